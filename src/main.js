@@ -11,6 +11,7 @@ import { UIManager } from './modules/UIManager.js';
 import { StorageManager } from './modules/StorageManager.js';
 import { ItineraryManager } from './modules/ItineraryManager.js';
 import { Logger } from './utils/Logger.js';
+import { CurrencyConverter } from './utils/CurrencyConverter.js';
 
 // Import API services
 import { FlightService } from './services/FlightService.js';
@@ -29,6 +30,28 @@ class TravelPlannerApp {
         this.modules = {};
         this.services = {};
         
+        // Formats offered by the export dialog, in display order
+        this.exportFormats = [
+            { format: 'pdf', label: 'PDF', icon: 'fa-file-pdf', description: 'Printable day-by-day itinerary' },
+            { format: 'ical', label: 'Calendar', icon: 'fa-calendar-alt', description: 'iCalendar file for Google, Apple or Outlook' },
+            { format: 'csv', label: 'CSV', icon: 'fa-file-csv', description: 'Spreadsheet with one row per item' },
+            { format: 'markdown', label: 'Markdown', icon: 'fa-file-alt', description: 'Plain-text itinerary for notes and docs' },
+            { format: 'json', label: 'JSON', icon: 'fa-file-code', description: 'Full trip data for backup' }
+        ];
+
+        // Badge style and icon for each trip status
+        this.tripStatusDisplay = {
+            draft: { className: 'status-draft', icon: 'fas fa-pencil-alt' },
+            booked: { className: 'status-upcoming', icon: 'fas fa-calendar-check' },
+            'in-progress': { className: 'status-active', icon: 'fas fa-play-circle' },
+            completed: { className: 'status-completed', icon: 'fas fa-check-circle' },
+            cancelled: { className: 'status-cancelled', icon: 'fas fa-ban' }
+        };
+
+        // Interval that keeps the today panel's countdown current
+        this.todayTimer = null;
+        this.todayDirections = null;
+
         // Bind methods
         this.init = this.init.bind(this);
         this.handleError = this.handleError.bind(this);
@@ -159,7 +182,12 @@ class TravelPlannerApp {
         document.addEventListener('itineraryUpdate', (e) => {
             this.handleItineraryUpdate(e.detail);
         });
-        
+
+        // Undo/redo shortcuts
+        document.addEventListener('keydown', (e) => {
+            this.handleHistoryShortcut(e);
+        });
+
         // Setup search functionality
         this.setupSearchListeners();
         
@@ -169,6 +197,27 @@ class TravelPlannerApp {
         this.logger.info('Event listeners set up successfully');
     }
 
+    /**
+     * Handle Ctrl/Cmd+Z (undo) and Ctrl/Cmd+Shift+Z or Ctrl+Y (redo) on the planner page
+     */
+    handleHistoryShortcut(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        if (this.modules.navigation.getCurrentPage() !== 'planner') return;
+
+        // Leave text fields their own undo
+        const target = event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && event.shiftKey) || (key === 'y' && !event.metaKey)) {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+
     /**
      * Setup search event listeners
      */
@@ -232,6 +281,22 @@ class TravelPlannerApp {
             });
         }
         
+        // Import trip button opens the file picker
+        const importTripBtn = document.getElementById('import-trip-btn');
+        const importTripInput = document.getElementById('import-trip-input');
+        if (importTripBtn && importTripInput) {
+            importTripBtn.addEventListener('click', () => {
+                importTripInput.click();
+            });
+            importTripInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) {
+                    this.importTrip(file);
+                }
+            });
+        }
+
         // Map filter buttons
         const mapFilterBtns = document.querySelectorAll('.filter-btn');
         mapFilterBtns.forEach(btn => {
@@ -262,7 +327,9 @@ class TravelPlannerApp {
             }
             
             // Initialize trips display
+            await this.modules.itinerary.loaded;
             this.updateTripsDisplay();
+            this.reportBudgetRepairs();
             
             // Initialize current page
             this.modules.navigation.initializePage();
@@ -273,6 +340,17 @@ class TravelPlannerApp {
         }
     }
 
+    /**
+     * Tell the user when stored trips had their budget totals corrected
+     */
+    reportBudgetRepairs() {
+        const repairs = this.modules.itinerary.getBudgetRepairReport();
+        if (repairs.length === 0) return;
+
+        const titles = repairs.map(repair => `"${this.escapeHtml(repair.title)}"`).join(', ');
+        UIManager.showToast(`Budget totals were recalculated from their items for ${titles}`, 'info', 8000);
+    }
+
     /**
      * Load popular destinations for the home page
      */
@@ -392,11 +470,17 @@ class TravelPlannerApp {
             let results = [];
             
             switch (type) {
-                case 'flights':
-                    results = await this.services.flight.searchFlights(filters);
+                case 'flights': {
+                    const search = await this.services.flight.searchFlightsWithReport({ passengers: this.getPartySize(), ...filters });
+                    const failed = search.providers.filter(provider => provider.status === 'failed');
+                    if (failed.length > 0) {
+                        UIManager.showToast(`Some flight sources did not respond: ${failed.map(provider => provider.name).join(', ')}`, 'warning');
+                    }
+                    results = search.flights;
                     break;
+                }
                 case 'hotels':
-                    results = await this.services.hotel.searchHotels(filters);
+                    results = await this.services.hotel.searchHotels({ guests: this.getPartySize(), ...filters });
                     break;
                 case 'locations':
                     results = await this.services.location.searchLocations({ query, ...filters });
@@ -415,6 +499,14 @@ class TravelPlannerApp {
         }
     }
 
+    /**
+     * Number of travelers on the current trip, used to prefill searches
+     */
+    getPartySize() {
+        const trip = this.modules.itinerary.getCurrentItinerary();
+        return trip ? trip.travelers || 1 : 1;
+    }
+
     /**
      * Handle itinerary updates
      */
@@ -512,30 +604,53 @@ class TravelPlannerApp {
 
     /**
      * Render flight search result
+     * Round trips and multi-city itineraries show one route row per segment,
+     * each followed by its layovers.
      */
     renderFlightResult(flight) {
+        const segments = flight.segments && flight.segments.length > 0 ? flight.segments : [flight];
+        const multiple = segments.length > 1;
+        const segmentLabel = (index) => (flight.tripType === 'round-trip' ? ['Outbound', 'Return'][index] : `Flight ${index + 1}`);
+
         return `
             <div class="flight-card" data-flight-id="${flight.id}">
                 <div class="flight-header">
                     <span class="airline">${flight.airline}</span>
                     <span class="flight-number">${flight.flightNumber}</span>
                 </div>
-                <div class="flight-route">
-                    <div class="departure">
-                        <span class="time">${new Date(flight.departure.time).toLocaleTimeString()}</span>
-                        <span class="airport">${flight.origin}</span>
-                    </div>
-                    <div class="flight-duration">
-                        <span class="duration">${Math.floor(flight.duration / 60)}h ${flight.duration % 60}m</span>
-                        ${flight.stops > 0 ? `<span class="stops">${flight.stops} stop${flight.stops > 1 ? 's' : ''}</span>` : '<span class="direct">Direct</span>'}
-                    </div>
-                    <div class="arrival">
-                        <span class="time">${new Date(flight.arrival.time).toLocaleTimeString()}</span>
-                        <span class="airport">${flight.destination}</span>
+                ${segments.map((segment, index) => `
+                    ${multiple ? `
+                        <div class="flight-segment-label">
+                            ${segmentLabel(index)} · ${new Date(segment.departure.time).toLocaleDateString()}
+                        </div>
+                    ` : ''}
+                    <div class="flight-route">
+                        <div class="departure">
+                            <span class="time">${new Date(segment.departure.time).toLocaleTimeString()}</span>
+                            <span class="airport">${segment.origin}</span>
+                        </div>
+                        <div class="flight-duration">
+                            <span class="duration">${Math.floor(segment.duration / 60)}h ${segment.duration % 60}m</span>
+                            ${segment.stops > 0 ? `<span class="stops">${segment.stops} stop${segment.stops > 1 ? 's' : ''}</span>` : '<span class="direct">Direct</span>'}
+                        </div>
+                        <div class="arrival">
+                            <span class="time">${new Date(segment.arrival.time).toLocaleTimeString()}</span>
+                            <span class="airport">${segment.destination}</span>
+                        </div>
                     </div>
-                </div>
+                    ${segment.layovers && segment.layovers.length > 0 ? `
+                        <div class="flight-layovers">
+                            ${segment.layovers.map(layover => `
+                                <span class="flight-layover ${layover.belowMinimum ? 'layover-short' : ''}" ${layover.belowMinimum ? `title="Shorter than the ${layover.minimumConnectionTime} min minimum connection time"` : ''}>
+                                    <i class="fas ${layover.belowMinimum ? 'fa-exclamation-triangle' : 'fa-exchange-alt'}"></i>
+                                    ${layover.airport} ${Math.floor(layover.duration / 60)}h ${layover.duration % 60}m${layover.overnight ? ' · overnight' : ''}${layover.terminalChange ? ' · terminal change' : ''}${layover.airportChange ? ' · airport change' : ''}
+                                </span>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                `).join('')}
                 <div class="flight-footer">
-                    <span class="price">$${flight.price.amount}</span>
+                    <span class="price">${CurrencyConverter.format(flight.price.amount, flight.price.currency)}${multiple ? ' total' : ''}</span>
                     <button class="btn btn-primary" onclick="TravelApp.addToItinerary('flight', '${flight.id}')">
                         Add to Trip
                     </button>
@@ -566,7 +681,7 @@ class TravelPlannerApp {
                     </div>
                     <div class="hotel-footer">
                         <div class="price">
-                            <span class="amount">$${hotel.price.amount}</span>
+                            <span class="amount">${CurrencyConverter.format(hotel.price.amount, hotel.price.currency)}</span>
                             <span class="period">total</span>
                         </div>
                         <button class="btn btn-primary" onclick="TravelApp.addToItinerary('hotel', '${hotel.id}')">
@@ -680,9 +795,11 @@ class TravelPlannerApp {
 
     /**
      * Add item to an existing trip
+     * Builds the itinerary item and asks the user to confirm where it goes.
      */
     async addItemToExistingTrip(type, itemId, currentItinerary) {
         let itemData = null;
+        let itineraryItem = null;
         
         if (type === 'location') {
             // First try to get from search results
@@ -708,16 +825,8 @@ class TravelPlannerApp {
                 throw new Error('Location data not available');
             }
             
-            // Check if this is the first location being added to the trip
-            const isFirstLocation = this.isFirstLocationInTrip(currentItinerary);
-            
-            // If this is the first location and trip has a generic destination, update it
-            if (isFirstLocation && this.hasGenericDestination(currentItinerary)) {
-                await this.updateTripDestination(currentItinerary.id, itemData);
-            }
-            
             // Convert location data to itinerary item format
-            const itineraryItem = {
+            itineraryItem = {
                 title: itemData.name || itemData.title,
                 description: itemData.description || itemData.vicinity || '',
                 type: 'location',
@@ -727,17 +836,6 @@ class TravelPlannerApp {
                 duration: '2 hours'
             };
             
-            // Add to the first available time slot of the first day
-            const firstDay = currentItinerary.days[0];
-            const availableSlot = this.findAvailableTimeSlot(firstDay);
-        
-        await this.modules.itinerary.addItemToDay(
-            currentItinerary.id,
-                0, 
-                availableSlot, 
-                itineraryItem
-            );
-            
         } else if (type === 'flight') {
             // Handle flight booking
             itemData = this.getFlightData(itemId);
@@ -745,24 +843,17 @@ class TravelPlannerApp {
                 throw new Error('Flight data not available');
             }
             
-            const itineraryItem = {
+            itineraryItem = {
                 title: `${itemData.airline} ${itemData.flightNumber}`,
-                description: `${itemData.departure} to ${itemData.arrival}`,
+                description: `${itemData.departure.airport || itemData.origin} to ${itemData.arrival.airport || itemData.destination}`,
                 type: 'flight',
                 category: 'transport',
                 data: itemData,
-                cost: itemData.price || 0,
+                cost: itemData.price?.amount || 0,
+                currency: itemData.price?.currency,
                 duration: itemData.duration || '2 hours'
             };
             
-            // Add to the first day, morning slot
-            await this.modules.itinerary.addItemToDay(
-                currentItinerary.id, 
-                0, 
-                'morning', 
-                itineraryItem
-            );
-            
         } else if (type === 'hotel') {
             // Handle hotel booking
             itemData = this.getHotelData(itemId);
@@ -770,34 +861,304 @@ class TravelPlannerApp {
                 throw new Error('Hotel data not available');
             }
             
-            const itineraryItem = {
+            itineraryItem = {
                 title: itemData.name,
-                description: itemData.description || itemData.address,
+                description: itemData.description || itemData.location?.address,
                 type: 'hotel',
                 category: 'accommodation',
                 data: itemData,
-                cost: itemData.pricePerNight || 0,
+                cost: itemData.price?.amount || 0,
+                currency: itemData.price?.currency,
                 duration: 'All day'
             };
             
-            // Add to the first day, evening slot
-            await this.modules.itinerary.addItemToDay(
-                currentItinerary.id, 
-                0, 
-                'evening', 
-                itineraryItem
-            );
-            
         } else {
             throw new Error(`Unsupported item type: ${type}`);
         }
         
-        // Update UI
-        this.selectTrip(currentItinerary.id);
-        this.updateTripsDisplay();
+        const suggestion = this.modules.itinerary.suggestPlacement(currentItinerary.id, itineraryItem);
         
         UIManager.hideLoading();
-        UIManager.showToast(`${itemData.name || itemData.title} added to your trip!`, 'success');
+        this.showPlacementModal({
+            tripId: currentItinerary.id,
+            type,
+            itemData,
+            item: itineraryItem,
+            suggestion
+        });
+    }
+
+    /**
+     * Find a flight from the last search results
+     */
+    getFlightData(flightId) {
+        return this._lastSearchResults?.find(result => result.id === flightId && result.flightNumber) || null;
+    }
+
+    /**
+     * Find a hotel from the last search results
+     */
+    getHotelData(hotelId) {
+        return this._lastSearchResults?.find(result => result.id === hotelId && result.price?.perNight !== undefined) || null;
+    }
+
+    /**
+     * Show the dialog to confirm or change where a new item goes
+     */
+    showPlacementModal(placement) {
+        this.closePlacementModal();
+        this._pendingPlacement = placement;
+
+        const trip = this.modules.itinerary.getItinerary(placement.tripId);
+        const first = placement.suggestion.placements[0];
+        const isHotel = placement.item.type === 'hotel';
+        // Each flight of a round-trip or multi-city itinerary goes on its own departure day
+        const isFlightItinerary = placement.item.type === 'flight' && placement.suggestion.placements.length > 1;
+        const lastNight = trip.days[trip.days.length - 1].date;
+        const checkOutMax = new Date(new Date(`${lastNight}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+        const dayOptions = trip.days.map((day, index) => `
+            <option value="${index}" ${index === first.dayIndex ? 'selected' : ''}>
+                Day ${index + 1} - ${day.dayOfWeek}, ${day.date}
+            </option>
+        `).join('');
+
+        const modalHtml = `
+            <div class="modal placement-modal" id="placement-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Add to "${this.escapeHtml(trip.title)}"</h3>
+                        <button class="modal-close" onclick="TravelApp.closePlacementModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <form class="placement-form" id="placement-form">
+                            <p class="placement-item-title">${this.escapeHtml(placement.item.title)}</p>
+                            ${isHotel ? `
+                                <div class="form-row">
+                                    <div class="form-group">
+                                        <label for="placement-check-in">Check-in</label>
+                                        <input type="date" id="placement-check-in" name="checkIn" value="${placement.suggestion.checkIn}" min="${trip.startDate}" max="${lastNight}">
+                                    </div>
+                                    <div class="form-group">
+                                        <label for="placement-check-out">Check-out</label>
+                                        <input type="date" id="placement-check-out" name="checkOut" value="${placement.suggestion.checkOut}" min="${trip.startDate}" max="${checkOutMax}">
+                                    </div>
+                                </div>
+                            ` : isFlightItinerary ? `
+                                <p class="form-hint">Each flight is added on the day it departs, sharing the itinerary price.</p>
+                            ` : `
+                                <div class="form-row">
+                                    <div class="form-group">
+                                        <label for="placement-day">Day</label>
+                                        <select id="placement-day" name="dayIndex">${dayOptions}</select>
+                                    </div>
+                                    <div class="form-group">
+                                        <label for="placement-slot">Time Slot</label>
+                                        <select id="placement-slot" name="timeSlot"></select>
+                                    </div>
+                                </div>
+                            `}
+                            <div class="placement-summary" id="placement-summary"></div>
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-outline" onclick="TravelApp.closePlacementModal()">
+                                    Cancel
+                                </button>
+                                <button type="submit" class="btn btn-primary" id="placement-confirm-btn">
+                                    <i class="fas fa-plus"></i>
+                                    Add to Trip
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('placement-modal');
+        const form = document.getElementById('placement-form');
+
+        if (!isHotel && !isFlightItinerary) {
+            this.updatePlacementSlotOptions(first.timeSlot);
+        }
+        this.renderPlacementSummary();
+
+        form.addEventListener('change', (e) => {
+            if (e.target.name === 'dayIndex') {
+                this.updatePlacementSlotOptions(document.getElementById('placement-slot').value);
+            }
+            this.updatePlacementSuggestion();
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.confirmPlacement();
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closePlacementModal();
+            }
+        });
+
+        setTimeout(() => modal.classList.add('active'), 10);
+    }
+
+    /**
+     * Fill the time slot picker with the slots of the chosen day
+     */
+    updatePlacementSlotOptions(selectedSlot) {
+        const placement = this._pendingPlacement;
+        const trip = this.modules.itinerary.getItinerary(placement.tripId);
+        const day = trip.days[parseInt(document.getElementById('placement-day').value)];
+        const slots = Object.entries(day.timeSlots);
+        const selected = day.timeSlots[selectedSlot] ? selectedSlot : slots[0][0];
+
+        document.getElementById('placement-slot').innerHTML = slots.map(([slot, timeSlot]) => `
+            <option value="${slot}" ${slot === selected ? 'selected' : ''}>${this.escapeHtml(timeSlot.name)}</option>
+        `).join('');
+    }
+
+    /**
+     * Recompute the placement from the choices in the dialog
+     */
+    updatePlacementSuggestion() {
+        const placement = this._pendingPlacement;
+        if (!placement) return;
+
+        const overrides = {};
+        if (placement.item.type === 'hotel') {
+            overrides.checkIn = document.getElementById('placement-check-in').value;
+            overrides.checkOut = document.getElementById('placement-check-out').value;
+        } else {
+            overrides.dayIndex = parseInt(document.getElementById('placement-day').value);
+            overrides.timeSlot = document.getElementById('placement-slot').value;
+        }
+
+        try {
+            placement.suggestion = this.modules.itinerary.suggestPlacement(placement.tripId, placement.item, overrides);
+            placement.error = null;
+        } catch (error) {
+            placement.error = error.message;
+        }
+
+        this.renderPlacementSummary();
+    }
+
+    /**
+     * Show where the item will be added and any notes about the placement
+     */
+    renderPlacementSummary() {
+        const placement = this._pendingPlacement;
+        const summary = document.getElementById('placement-summary');
+        const confirmBtn = document.getElementById('placement-confirm-btn');
+        if (!placement || !summary) return;
+
+        confirmBtn.disabled = Boolean(placement.error);
+        if (placement.error) {
+            summary.innerHTML = `<p class="placement-error"><i class="fas fa-exclamation-circle"></i> ${placement.error}</p>`;
+            return;
+        }
+
+        const trip = this.modules.itinerary.getItinerary(placement.tripId);
+        const { placements, notes } = placement.suggestion;
+
+        summary.innerHTML = `
+            <ul class="placement-list">
+                ${placements.map(entry => {
+                    const day = trip.days[entry.dayIndex];
+                    return `
+                        <li>
+                            <i class="fas fa-calendar-day"></i>
+                            Day ${entry.dayIndex + 1} (${day.dayOfWeek}, ${day.date}) - ${this.escapeHtml(day.timeSlots[entry.timeSlot].name)}
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+            ${notes.map(note => `<p class="placement-note"><i class="fas fa-info-circle"></i> ${note}</p>`).join('')}
+        `;
+    }
+
+    /**
+     * Add the pending item at the confirmed placement
+     */
+    async confirmPlacement() {
+        const placement = this._pendingPlacement;
+        if (!placement || placement.error) return;
+
+        try {
+            UIManager.showLoading('Adding to trip...');
+
+            // If this is the first location and trip has a generic destination, update it
+            const trip = this.modules.itinerary.getItinerary(placement.tripId);
+            // Hotel nights and the destination rename undo together with the item
+            const conflicts = [];
+            let budgetWarnings = [];
+            await this.modules.itinerary.batch(placement.tripId, `Add "${placement.item.title}"`, async () => {
+                if (placement.type === 'location' && this.isFirstLocationInTrip(trip) && this.hasGenericDestination(trip)) {
+                    await this.updateTripDestination(trip.id, placement.itemData);
+                }
+
+                for (const entry of placement.suggestion.placements) {
+                    const result = await this.modules.itinerary.addItemToDay(placement.tripId, entry.dayIndex, entry.timeSlot, entry.item);
+                    conflicts.push(...result.conflicts);
+                    budgetWarnings = result.budgetWarnings.length > 0 ? result.budgetWarnings : budgetWarnings;
+                }
+            });
+
+            this.closePlacementModal();
+
+            // Update UI
+            this.selectTrip(placement.tripId);
+            this.updateTripsDisplay();
+
+            const count = placement.suggestion.placements.length;
+            const first = placement.suggestion.placements[0];
+            let where = `to Day ${first.dayIndex + 1}`;
+            if (placement.item.type === 'hotel') {
+                where = `for ${count} night${count !== 1 ? 's' : ''}`;
+            } else if (count > 1) {
+                where = `as ${count} flights`;
+            }
+
+            UIManager.hideLoading();
+            UIManager.showToast(`${this.escapeHtml(placement.item.title)} added ${where}!`, 'success', 5000, this.getUndoAction());
+            this.reportConflicts(conflicts);
+            this.reportBudgetWarnings(budgetWarnings);
+
+        } catch (error) {
+            UIManager.hideLoading();
+            this.handleError('Failed to add item to trip', error);
+        }
+    }
+
+    /**
+     * Close the placement dialog without adding the item
+     */
+    closePlacementModal() {
+        const modal = document.getElementById('placement-modal');
+        if (modal) {
+            modal.remove();
+        }
+        this._pendingPlacement = null;
+    }
+
+    /**
+     * Warn about items that overlap a newly placed item
+     */
+    reportConflicts(conflicts) {
+        if (!conflicts || conflicts.length === 0) return;
+
+        const overlaps = conflicts.map(conflict => this.escapeHtml(`${conflict.title} (${conflict.startTime}-${conflict.endTime})`)).join(', ');
+        UIManager.showToast(`This overlaps with ${overlaps}`, 'warning', 8000);
+    }
+
+    /**
+     * Tell the user when an item took the trip over a budget cap
+     */
+    reportBudgetWarnings(warnings) {
+        if (!warnings || warnings.length === 0) return;
+
+        UIManager.showToast(warnings.map(warning => warning.message).join('. '), 'warning', 8000);
     }
     
     /**
@@ -854,14 +1215,12 @@ class TravelPlannerApp {
                 destination = locationData.name;
             }
             
-            // Update the trip destination
-            trip.destination = destination;
-            trip.title = `Trip to ${destination}`;
-            trip.name = `Trip to ${destination}`;
-            trip.updatedAt = new Date().toISOString();
-            
-            // Save the updated trip
-            await this.modules.itinerary.saveItineraries();
+            // The place becomes the trip's only leg, with its coordinates for lookups
+            const coordinates = locationData.coordinates && Number.isFinite(locationData.coordinates.lat)
+                ? { lat: locationData.coordinates.lat, lng: locationData.coordinates.lng }
+                : null;
+            await this.modules.itinerary.updateLeg(tripId, trip.legs[0].id, { city: destination, coordinates });
+            await this.modules.itinerary.updateItinerary(tripId, { title: `Trip to ${destination}` });
             
             this.logger.info('Updated trip destination', { tripId, destination });
             
@@ -870,19 +1229,6 @@ class TravelPlannerApp {
         }
     }
     
-    /**
-     * Find the first available time slot in a day
-     */
-    findAvailableTimeSlot(day) {
-        const slots = ['morning', 'afternoon', 'evening'];
-        for (const slot of slots) {
-            if (day.timeSlots[slot] && (!day.timeSlots[slot].items || day.timeSlots[slot].items.length === 0)) {
-                return slot;
-            }
-        }
-        return 'morning'; // Default to morning if all slots have items
-    }
-
     /**
      * Explore a specific destination (from destination cards)
      */
@@ -1146,6 +1492,10 @@ class TravelPlannerApp {
         if (message.includes('not found')) {
             return 'The requested information could not be found.';
         }
+
+        if (message.includes('storage is full')) {
+            return 'Your changes could not be saved because browser storage is full. Remove some attachments and try again.';
+        }
         
         return 'Something went wrong. Please try again.';
     }
@@ -1185,6 +1535,8 @@ class TravelPlannerApp {
             window.removeEventListener('error', this.handleError);
             window.removeEventListener('unhandledrejection', this.handleError);
             
+            clearInterval(this.todayTimer);
+
             // Destroy services
             if (this.services.map) {
                 this.services.map.destroy();
@@ -1227,8 +1579,60 @@ class TravelPlannerApp {
         window.TravelApp.removeItem = this.removeItem.bind(this);
         window.TravelApp.editTrip = this.editTrip.bind(this);
         window.TravelApp.exportTrip = this.exportTrip.bind(this);
+        window.TravelApp.closePlacementModal = this.closePlacementModal.bind(this);
+        window.TravelApp.downloadTripExport = this.downloadTripExport.bind(this);
+        window.TravelApp.closeExportModal = this.closeExportModal.bind(this);
         window.TravelApp.addDay = this.addDay.bind(this);
-        
+        window.TravelApp.removeDay = this.removeDay.bind(this);
+        window.TravelApp.closeTripEditModal = this.closeTripEditModal.bind(this);
+        window.TravelApp.closeOrphanedItemsModal = this.closeOrphanedItemsModal.bind(this);
+        window.TravelApp.undo = this.undo.bind(this);
+        window.TravelApp.showTripVersions = this.showTripVersions.bind(this);
+        window.TravelApp.setItemPayer = this.setItemPayer.bind(this);
+        window.TravelApp.editBudget = this.editBudget.bind(this);
+        window.TravelApp.closeBudgetModal = this.closeBudgetModal.bind(this);
+        window.TravelApp.showSettlement = this.showSettlement.bind(this);
+        window.TravelApp.closeSettlementModal = this.closeSettlementModal.bind(this);
+        window.TravelApp.closeTripVersionsModal = this.closeTripVersionsModal.bind(this);
+        window.TravelApp.restoreTripVersion = this.restoreTripVersion.bind(this);
+        window.TravelApp.branchTripVersion = this.branchTripVersion.bind(this);
+        window.TravelApp.deleteTripVersion = this.deleteTripVersion.bind(this);
+        window.TravelApp.showTripTemplates = this.showTripTemplates.bind(this);
+        window.TravelApp.createTripFromTemplate = this.createTripFromTemplate.bind(this);
+        window.TravelApp.deleteTripTemplate = this.deleteTripTemplate.bind(this);
+        window.TravelApp.closeTripTemplatesModal = this.closeTripTemplatesModal.bind(this);
+        window.TravelApp.editRoute = this.editRoute.bind(this);
+        window.TravelApp.closeRouteModal = this.closeRouteModal.bind(this);
+        window.TravelApp.showDayWeather = this.showDayWeather.bind(this);
+        window.TravelApp.showDayIdeas = this.showDayIdeas.bind(this);
+        window.TravelApp.showChecklist = this.showChecklist.bind(this);
+        window.TravelApp.suggestChecklist = this.suggestChecklist.bind(this);
+        window.TravelApp.toggleChecklistEntry = this.toggleChecklistEntry.bind(this);
+        window.TravelApp.assignChecklistEntry = this.assignChecklistEntry.bind(this);
+        window.TravelApp.removeChecklistEntry = this.removeChecklistEntry.bind(this);
+        window.TravelApp.closeChecklistModal = this.closeChecklistModal.bind(this);
+        window.TravelApp.showTravelers = this.showTravelers.bind(this);
+        window.TravelApp.addTraveler = this.addTraveler.bind(this);
+        window.TravelApp.removeTraveler = this.removeTraveler.bind(this);
+        window.TravelApp.closeTravelersModal = this.closeTravelersModal.bind(this);
+        window.TravelApp.editItemParticipants = this.editItemParticipants.bind(this);
+        window.TravelApp.closeParticipantsModal = this.closeParticipantsModal.bind(this);
+        window.TravelApp.bookFlightItem = this.bookFlightItem.bind(this);
+        window.TravelApp.closeFlightBookingModal = this.closeFlightBookingModal.bind(this);
+        window.TravelApp.showFlightSearch = this.showFlightSearch.bind(this);
+        window.TravelApp.closeFlightSearchModal = this.closeFlightSearchModal.bind(this);
+        window.TravelApp.setTripStatus = this.setTripStatus.bind(this);
+        window.TravelApp.setItemStatus = this.setItemStatus.bind(this);
+        window.TravelApp.showDirections = this.showDirections.bind(this);
+        window.TravelApp.editItemDetails = this.editItemDetails.bind(this);
+        window.TravelApp.closeItemDetailsModal = this.closeItemDetailsModal.bind(this);
+        window.TravelApp.removeAttachment = this.removeAttachment.bind(this);
+        window.TravelApp.openAttachment = this.openAttachment.bind(this);
+        window.TravelApp.showDocuments = this.showDocuments.bind(this);
+        window.TravelApp.closeDocumentsModal = this.closeDocumentsModal.bind(this);
+        window.TravelApp.closeItemEditModal = this.closeItemEditModal.bind(this);
+        window.TravelApp.redo = this.redo.bind(this);
+
         // Map functionality
         window.TravelApp.initializeMap = this.initializeMap.bind(this);
         
@@ -1395,7 +1799,7 @@ class TravelPlannerApp {
                     UIManager.showToast('Please use the flight search form for detailed flight searches', 'info');
                     break;
                 case 'hotels':
-                    results = await this.services.hotel.searchHotels({ destination: query });
+                    results = await this.services.hotel.searchHotels({ destination: query, guests: this.getPartySize() });
                     break;
                 case 'locations':
                 default:
@@ -1435,6 +1839,8 @@ class TravelPlannerApp {
      * Show trip creation modal
      */
     showTripCreationModal() {
+        const templates = this.modules.itinerary.getTemplates().filter(template => !template.builtIn);
+
         // Create modal HTML
         const modalHtml = `
             <div class="modal trip-creation-modal" id="trip-creation-modal">
@@ -1465,6 +1871,18 @@ class TravelPlannerApp {
                                     placeholder="Will be auto-generated if left empty"
                                 >
                             </div>
+
+                            ${templates.length > 0 ? `
+                                <div class="form-group">
+                                    <label for="trip-template">Start From Template</label>
+                                    <select id="trip-template" name="templateId">
+                                        <option value="">Blank trip</option>
+                                        ${templates.map(template => `
+                                            <option value="${template.id}">${this.escapeHtml(template.name)} (${template.defaultDuration} day${template.defaultDuration !== 1 ? 's' : ''}, ${template.itemCount} item${template.itemCount !== 1 ? 's' : ''})</option>
+                                        `).join('')}
+                                    </select>
+                                </div>
+                            ` : ''}
                             
                             <div class="form-row">
                                 <div class="form-group">
@@ -1501,16 +1919,21 @@ class TravelPlannerApp {
                                 </div>
                                 <div class="form-group">
                                     <label for="trip-budget">Budget (Optional)</label>
-                                    <input 
-                                        type="number" 
-                                        id="trip-budget" 
-                                        name="budget" 
-                                        placeholder="Total budget"
-                                        min="0"
-                                    >
+                                    <div class="budget-input">
+                                        <input
+                                            type="number"
+                                            id="trip-budget"
+                                            name="budget"
+                                            placeholder="Total budget"
+                                            min="0"
+                                        >
+                                        <select id="trip-currency" name="currency" aria-label="Trip currency">
+                                            ${this.renderCurrencyOptions('USD')}
+                                        </select>
+                                    </div>
                                 </div>
                             </div>
-                            
+
                             <div class="form-row">
                                 <div class="form-group">
                                     <label for="trip-travelers">Number of Travelers</label>
@@ -1565,6 +1988,27 @@ class TravelPlannerApp {
         
         document.getElementById('trip-start-date').value = tomorrow.toISOString().split('T')[0];
         document.getElementById('trip-end-date').value = nextWeek.toISOString().split('T')[0];
+
+        // Picking a template fills in its trip type, length and budget
+        const templateSelect = document.getElementById('trip-template');
+        if (templateSelect) {
+            const applyTemplate = () => {
+                const template = templates.find(entry => entry.id === templateSelect.value);
+                if (!template) return;
+
+                const startDate = document.getElementById('trip-start-date').value;
+                if (startDate) {
+                    const endDate = new Date(`${startDate}T00:00:00Z`);
+                    endDate.setUTCDate(endDate.getUTCDate() + template.defaultDuration - 1);
+                    document.getElementById('trip-end-date').value = endDate.toISOString().split('T')[0];
+                }
+                document.getElementById('trip-type').value = template.type;
+                document.getElementById('trip-budget').value = template.budget.total || '';
+                document.getElementById('trip-currency').value = template.budget.currency;
+            };
+            templateSelect.addEventListener('change', applyTemplate);
+            document.getElementById('trip-start-date').addEventListener('change', applyTemplate);
+        }
         
         // Add form submit handler
         document.getElementById('trip-creation-form').addEventListener('submit', (e) => {
@@ -1609,8 +2053,10 @@ class TravelPlannerApp {
                 endDate: endDate,
                 type: formData.get('type'),
                 budget: parseFloat(formData.get('budget')) || 0,
+                currency: formData.get('currency') || 'USD',
                 travelers: parseInt(formData.get('travelers')) || 1,
-                notes: formData.get('notes') || ''
+                notes: formData.get('notes') || '',
+                templateId: formData.get('templateId') || undefined
             };
             
             this.logger.info('Creating trip with data', { tripData });
@@ -1637,7 +2083,7 @@ class TravelPlannerApp {
             this.modules.navigation.navigateTo('planner');
             
             UIManager.hideLoading();
-            UIManager.showToast(`Trip "${newTrip.title}" created successfully!`, 'success');
+            UIManager.showToast(`Trip "${this.escapeHtml(newTrip.title)}" created successfully!`, 'success');
             
             // If there was a pending add-to-trip request, process it now
             if (this._pendingAddToTrip) {
@@ -1656,6 +2102,40 @@ class TravelPlannerApp {
         }
     }
 
+    /**
+     * Import a trip from a calendar or JSON file
+     */
+    async importTrip(file) {
+        try {
+            UIManager.showLoading('Importing trip...');
+            this.logger.info('Importing trip from file', { name: file.name, size: file.size });
+
+            const extension = file.name.split('.').pop().toLowerCase();
+            const contents = await file.text();
+
+            const result = await this.modules.itinerary.importItinerary(contents, extension);
+            const { itinerary, report } = result;
+
+            this.selectTrip(itinerary.id);
+            this.updateTripsDisplay();
+            this.modules.navigation.navigateTo('planner');
+
+            UIManager.hideLoading();
+            UIManager.showToast(`Imported "${this.escapeHtml(itinerary.title)}" with ${report.placed} item${report.placed !== 1 ? 's' : ''}`, 'success');
+
+            if (report.unplaced.length > 0) {
+                this.logger.warn('Some events could not be placed', { unplaced: report.unplaced });
+                const skipped = report.unplaced.map(entry => this.escapeHtml(`${entry.summary} (${entry.reason})`)).join(', ');
+                UIManager.showToast(`${report.unplaced.length} event${report.unplaced.length !== 1 ? 's' : ''} could not be placed: ${skipped}`, 'warning', 10000);
+            }
+
+        } catch (error) {
+            UIManager.hideLoading();
+            this.handleError('Failed to import trip', error);
+            UIManager.showToast(`${error.message}. Please check the file and try again.`, 'error', 10000);
+        }
+    }
+
     /**
      * Close trip creation modal
      */
@@ -1706,48 +2186,41 @@ class TravelPlannerApp {
         
         const startDate = new Date(trip.startDate);
         const endDate = new Date(trip.endDate);
-        const isUpcoming = startDate > new Date();
-        const isActive = startDate <= new Date() && endDate >= new Date();
-        const isPast = endDate < new Date();
-        
-        let statusClass = '';
-        let statusText = '';
-        let statusIcon = '';
-        
-        if (isPast) {
-            statusClass = 'status-completed';
-            statusText = 'Completed';
-            statusIcon = 'fas fa-check-circle';
-        } else if (isActive) {
-            statusClass = 'status-active';
-            statusText = 'Active';
-            statusIcon = 'fas fa-play-circle';
-        } else {
-            statusClass = 'status-upcoming';
-            statusText = 'Upcoming';
-            statusIcon = 'fas fa-calendar-alt';
-        }
+        const { statusClass, statusText, statusIcon } = this.getTripStatusDisplay(trip);
+        const statusOptions = this.modules.itinerary.getStatusOptions(trip.id);
         
         builder.innerHTML = `
             <div class="itinerary-header">
                 <div class="itinerary-title-section">
                     <div class="title-row">
-                        <h2>${trip.title || trip.name}</h2>
+                        <h2>${this.escapeHtml(trip.title || trip.name)}</h2>
                         <div class="trip-status-badge ${statusClass}">
                             <i class="${statusIcon}"></i>
                             <span>${statusText}</span>
                         </div>
+                        ${statusOptions.length > 0 ? `
+                            <select class="trip-status-select" onchange="TravelApp.setTripStatus('${trip.id}', this.value)" title="Change status">
+                                <option value="">Change status...</option>
+                                ${statusOptions.map(option => `
+                                    <option value="${option.status}" ${option.allowed ? '' : 'disabled'} title="${this.escapeHtml(option.reason || '')}">Mark as ${option.name.toLowerCase()}</option>
+                                `).join('')}
+                            </select>
+                        ` : ''}
                     </div>
                     <div class="destination-row">
                         <i class="fas fa-map-marker-alt"></i>
-                        <span class="destination">${trip.destination || 'Multiple Destinations'}</span>
+                        ${this.renderRoute(trip)}
+                        <button class="btn btn-sm btn-icon" onclick="TravelApp.editRoute('${trip.id}')" title="Edit route">
+                            <i class="fas fa-route"></i>
+                        </button>
                         <div class="trip-type-badge">
                             <i class="fas fa-tag"></i>
                             <span>${trip.type || 'leisure'}</span>
                         </div>
                     </div>
+                    ${trip.lineage ? this.renderLineage(trip.lineage) : ''}
                 </div>
-                
+
                 <div class="itinerary-stats">
                     <div class="stat-card">
                         <div class="stat-icon">
@@ -1775,8 +2248,8 @@ class TravelPlannerApp {
                                 <i class="fas fa-dollar-sign"></i>
                             </div>
                             <div class="stat-content">
-                                <span class="stat-number">$${trip.budget.spent || 0}</span>
-                                <span class="stat-label">of $${trip.budget.total}</span>
+                                <span class="stat-number">${this.formatTripMoney(trip, trip.budget.spent)}</span>
+                                <span class="stat-label">of ${this.formatTripMoney(trip, trip.budget.total)}</span>
                             </div>
                         </div>
                     ` : ''}
@@ -1797,6 +2270,34 @@ class TravelPlannerApp {
                         <i class="fas fa-edit"></i>
                         <span>Edit Trip</span>
                     </button>
+                    <button class="btn btn-outline" onclick="TravelApp.showTravelers('${trip.id}')">
+                        <i class="fas fa-users"></i>
+                        <span>Travelers</span>
+                    </button>
+                    <button class="btn btn-outline" onclick="TravelApp.showSettlement('${trip.id}')">
+                        <i class="fas fa-balance-scale"></i>
+                        <span>Settle Up</span>
+                    </button>
+                    <button class="btn btn-outline" onclick="TravelApp.showTripVersions('${trip.id}')">
+                        <i class="fas fa-history"></i>
+                        <span>Versions</span>
+                    </button>
+                    <button class="btn btn-outline" onclick="TravelApp.showChecklist('${trip.id}')">
+                        <i class="fas fa-tasks"></i>
+                        <span>Checklist</span>
+                    </button>
+                    <button class="btn btn-outline" onclick="TravelApp.showDocuments('${trip.id}')">
+                        <i class="fas fa-folder-open"></i>
+                        <span>Documents</span>
+                    </button>
+                    <button class="btn btn-outline" onclick="TravelApp.showFlightSearch('${trip.id}')">
+                        <i class="fas fa-plane"></i>
+                        <span>Flights</span>
+                    </button>
+                    <button class="btn btn-outline" onclick="TravelApp.showTripTemplates('${trip.id}')">
+                        <i class="fas fa-clone"></i>
+                        <span>Templates</span>
+                    </button>
                     <button class="btn btn-secondary" onclick="TravelApp.exportTrip('${trip.id}')">
                         <i class="fas fa-download"></i>
                         <span>Export</span>
@@ -1808,28 +2309,145 @@ class TravelPlannerApp {
                 </div>
             </div>
             
+            <div id="today-panel" data-trip-id="${trip.id}">${this.renderTodayPanel(trip.id)}</div>
+
+            ${this.renderBudgetDashboard(trip)}
+
             <div class="itinerary-content">
                 <div class="itinerary-days">
                     ${trip.days.map((day, index) => this.renderDay(day, index, trip.id)).join('')}
                 </div>
             </div>
         `;
+
+        this.startTodayTimer(trip.id);
     }
 
     /**
-     * Render a single day in the itinerary
+     * Badge class, icon and label for a trip's status
      */
-    renderDay(day, dayIndex, tripId) {
-        const dayDate = new Date(day.date);
-        const isToday = dayDate.toDateString() === new Date().toDateString();
-        const isPast = dayDate < new Date() && !isToday;
-        const dayName = dayDate.toLocaleDateString('en-US', { weekday: 'long' });
-        
-        // Calculate day statistics
-        const totalItems = Object.values(day.timeSlots).reduce((total, slot) => {
-            return total + (slot.items ? slot.items.length : 0);
-        }, 0);
-        
+    getTripStatusDisplay(trip) {
+        const status = this.modules.itinerary.getStatus(trip.id) || { status: 'draft', name: 'Draft' };
+        const display = this.tripStatusDisplay[status.status];
+        return { statusClass: display.className, statusText: status.name, statusIcon: display.icon };
+    }
+
+    /**
+     * Render the day-of panel: the next item, how soon it starts, and check-in
+     * Empty outside the trip's dates.
+     */
+    renderTodayPanel(tripId) {
+        const view = this.modules.itinerary.getTodayView(tripId);
+        if (!view || !view.active) return '';
+
+        const next = view.next;
+        const missed = view.items.filter(entry => entry.missed && (!next || entry.item.id !== next.item.id));
+        const directions = next && this.todayDirections && this.todayDirections.itemId === next.item.id ? this.todayDirections.html : '';
+
+        return `
+            <div class="today-panel">
+                <div class="today-header">
+                    <h3>
+                        <i class="fas fa-sun"></i>
+                        Today, Day ${view.dayNumber}${view.leg ? ` in ${this.escapeHtml(view.leg.city)}` : ''}
+                    </h3>
+                    <span class="today-progress">
+                        ${view.progress.done} of ${view.progress.total} done${view.progress.skipped > 0 ? `, ${view.progress.skipped} skipped` : ''}
+                    </span>
+                </div>
+                ${next ? `
+                    <div class="today-next">
+                        <div class="today-next-info">
+                            <span class="today-next-when">
+                                ${next.underway ? 'Happening now' : next.startsIn !== null ? `Starts in ${this.formatCountdown(next.startsIn)}` : 'Later today'}
+                                · ${next.startTime ? `${next.startTime}${next.endTime ? `-${next.endTime}` : ''}` : this.escapeHtml(next.slotName)}
+                            </span>
+                            <h4>${this.escapeHtml(next.item.title)}</h4>
+                            ${next.destination.address ? `
+                                <span class="today-next-address">${this.escapeHtml(next.destination.address)}</span>
+                            ` : ''}
+                            <div class="today-directions" id="today-directions">${directions}</div>
+                        </div>
+                        <div class="today-next-actions">
+                            ${next.destination.coordinates || next.destination.address ? `
+                                <button class="btn btn-outline btn-sm" onclick="TravelApp.showDirections('${tripId}')">
+                                    <i class="fas fa-directions"></i>
+                                    Directions
+                                </button>
+                            ` : ''}
+                            <button class="btn btn-primary btn-sm" onclick="TravelApp.setItemStatus('${tripId}', '${next.item.id}', 'completed')">
+                                <i class="fas fa-check"></i>
+                                Check In
+                            </button>
+                            <button class="btn btn-outline btn-sm" onclick="TravelApp.setItemStatus('${tripId}', '${next.item.id}', 'skipped')">
+                                <i class="fas fa-forward"></i>
+                                Skip
+                            </button>
+                        </div>
+                    </div>
+                ` : `
+                    <p class="form-hint">${view.items.length === 0 ? 'Nothing is planned for today.' : 'That was everything planned for today.'}</p>
+                `}
+                ${missed.length > 0 ? `
+                    <p class="form-hint">Not checked in yet: ${missed.map(entry => this.escapeHtml(entry.item.title)).join(', ')}</p>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Format minutes until something starts, e.g. "1 h 5 min"
+     */
+    formatCountdown(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        if (hours === 0) return `${rest} min`;
+        return rest > 0 ? `${hours} h ${rest} min` : `${hours} h`;
+    }
+
+    /**
+     * Keep the today panel current while its trip is on screen
+     */
+    startTodayTimer(tripId) {
+        clearInterval(this.todayTimer);
+        this.todayTimer = setInterval(() => {
+            const panel = document.getElementById('today-panel');
+            if (!panel || panel.dataset.tripId !== tripId) {
+                clearInterval(this.todayTimer);
+                this.todayTimer = null;
+                return;
+            }
+            panel.innerHTML = this.renderTodayPanel(tripId);
+        }, 60000);
+    }
+
+    /**
+     * Render a single day in the itinerary
+     */
+    renderDay(day, dayIndex, tripId) {
+        const dayDate = new Date(day.date);
+        const isToday = dayDate.toDateString() === new Date().toDateString();
+        const isPast = dayDate < new Date() && !isToday;
+        const dayName = dayDate.toLocaleDateString('en-US', { weekday: 'long' });
+        
+        // Calculate day statistics
+        const totalItems = Object.values(day.timeSlots).reduce((total, slot) => {
+            return total + (slot.items ? slot.items.length : 0);
+        }, 0);
+        
+        // Items with exact times go on the timeline; the slots keep the rest
+        const timeline = this.modules.itinerary.getDayTimeline(tripId, dayIndex);
+        const untimedItems = {};
+        for (const group of timeline ? timeline.untimed : []) {
+            untimedItems[group.slot] = group.items;
+        }
+        const conflictCount = timeline ? timeline.timed.filter(entry => entry.conflicts.length > 0).length : 0;
+
+        // Days are looked up in their leg's city; a travel day shows where it comes from
+        const leg = this.modules.itinerary.getDayLeg(tripId, dayIndex);
+        const previousLeg = dayIndex > 0 ? this.modules.itinerary.getDayLeg(tripId, dayIndex - 1) : null;
+        const arrivingFrom = leg && previousLeg && previousLeg.id !== leg.id ? previousLeg : null;
+
         return `
             <div class="day-card ${isToday ? 'today' : ''} ${isPast ? 'past' : ''}" data-day="${dayIndex}">
                 <div class="day-header">
@@ -1845,6 +2463,12 @@ class TravelPlannerApp {
                                 day: 'numeric',
                                 year: dayDate.getFullYear() !== new Date().getFullYear() ? 'numeric' : undefined
                             })}</span>
+                            ${leg ? `
+                                <span class="day-leg">
+                                    <i class="fas ${arrivingFrom ? 'fa-plane-arrival' : 'fa-map-marker-alt'}"></i>
+                                    ${arrivingFrom ? `${this.escapeHtml(arrivingFrom.city)} to ` : ''}${this.escapeHtml(leg.city)}
+                                </span>
+                            ` : ''}
                         </div>
                     </div>
                     <div class="day-stats">
@@ -1852,13 +2476,30 @@ class TravelPlannerApp {
                             <i class="fas fa-tasks"></i>
                             <span>${totalItems} activities</span>
                         </div>
+                        ${conflictCount > 0 ? `
+                            <div class="day-stat day-conflicts">
+                                <i class="fas fa-exclamation-triangle"></i>
+                                <span>${conflictCount} overlapping</span>
+                            </div>
+                        ` : ''}
                         ${isToday ? '<div class="today-badge"><i class="fas fa-star"></i><span>Today</span></div>' : ''}
+                        <button class="btn btn-sm btn-icon" onclick="TravelApp.showDayWeather('${tripId}', ${dayIndex})" title="Weather${leg ? ` in ${this.escapeHtml(leg.city)}` : ''}">
+                            <i class="fas fa-cloud-sun"></i>
+                        </button>
+                        <button class="btn btn-sm btn-icon" onclick="TravelApp.showDayIdeas('${tripId}', ${dayIndex})" title="Things to do${leg ? ` in ${this.escapeHtml(leg.city)}` : ''}">
+                            <i class="fas fa-compass"></i>
+                        </button>
+                        <button class="btn btn-sm btn-icon btn-danger" onclick="TravelApp.removeDay('${tripId}', ${dayIndex})" title="Remove day">
+                            <i class="fas fa-trash"></i>
+                        </button>
                     </div>
                 </div>
                 <div class="day-content">
+                    <div class="day-lookup" id="day-lookup-${dayIndex}"></div>
+                    ${timeline && timeline.timed.length > 0 ? this.renderDayTimeline(timeline, tripId) : ''}
                     <div class="time-slots">
                         ${Object.entries(day.timeSlots).map(([slot, timeSlotObj]) => 
-                            this.renderTimeSlot(slot, timeSlotObj, dayIndex, tripId)
+                            this.renderTimeSlot(slot, { ...timeSlotObj, items: untimedItems[slot] || timeSlotObj.items }, dayIndex, tripId)
                         ).join('')}
                     </div>
                 </div>
@@ -1884,18 +2525,14 @@ class TravelPlannerApp {
             night: 'fas fa-star'
         };
         
-        const slotTimes = {
-            morning: '6:00 AM - 12:00 PM',
-            afternoon: '12:00 PM - 6:00 PM',
-            evening: '6:00 PM - 10:00 PM',
-            night: '10:00 PM - 6:00 AM'
-        };
+        // Use the same clock windows the calendar export uses
+        const slotWindow = this.modules.itinerary.timeSlotWindows[slot];
         
         // Ensure timeSlotObj has the correct structure
         const items = timeSlotObj?.items || [];
         const slotName = slotNames[slot] || timeSlotObj?.name || slot;
         const slotIcon = slotIcons[slot] || 'fas fa-clock';
-        const slotTime = slotTimes[slot] || '';
+        const slotTime = slotWindow ? `${this.formatClockTime(slotWindow.start)} - ${this.formatClockTime(slotWindow.end)}` : '';
         
         return `
             <div class="time-slot ${items.length === 0 ? 'empty' : ''}" data-slot="${slot}">
@@ -1905,7 +2542,7 @@ class TravelPlannerApp {
                             <i class="${slotIcon}"></i>
                         </div>
                         <div class="slot-info">
-                            <h4>${slotName}</h4>
+                            <h4>${this.escapeHtml(slotName)}</h4>
                             <span class="slot-time">${slotTime}</span>
                         </div>
                     </div>
@@ -1927,6 +2564,83 @@ class TravelPlannerApp {
         `;
     }
 
+    /**
+     * Render the timeline of items with exact times for a day
+     */
+    renderDayTimeline(timeline, tripId) {
+        const hourHeight = 48;
+        const minHeight = 28;
+        const rangeStart = Math.floor(Math.min(...timeline.timed.map(entry => entry.start)) / 60) * 60;
+        const rangeEnd = Math.max(rangeStart + 3 * 60, Math.ceil(Math.max(...timeline.timed.map(entry => entry.end)) / 60) * 60);
+        const toPixels = (minutes) => ((minutes - rangeStart) / 60) * hourHeight;
+
+        // Overlapping items share the width side by side
+        const laneEnds = [];
+        const entries = timeline.timed.map(entry => {
+            let lane = laneEnds.findIndex(end => end <= entry.start);
+            if (lane === -1) {
+                lane = laneEnds.length;
+                laneEnds.push(entry.end);
+            } else {
+                laneEnds[lane] = entry.end;
+            }
+            return { ...entry, lane };
+        });
+        const laneWidth = 100 / Math.max(1, laneEnds.length);
+        const titles = new Map(timeline.timed.map(entry => [entry.item.id, entry.item.title]));
+
+        const hours = [];
+        for (let minutes = rangeStart; minutes <= rangeEnd; minutes += 60) {
+            hours.push(`
+                <div class="timeline-hour" style="top: ${toPixels(minutes)}px">
+                    <span>${this.formatClockTime(minutes)}</span>
+                </div>
+            `);
+        }
+
+        return `
+            <div class="day-timeline">
+                <div class="timeline-grid" style="height: ${toPixels(rangeEnd)}px">
+                    ${hours.join('')}
+                    <div class="timeline-entries">
+                        ${entries.map(entry => {
+                            const overlaps = entry.conflicts.map(id => titles.get(id)).join(', ');
+                            return `
+                                <div class="timeline-entry ${entry.conflicts.length > 0 ? 'conflict' : ''}"
+                                     data-item-id="${entry.item.id}"
+                                     style="top: ${toPixels(entry.start)}px; height: ${Math.max(minHeight, toPixels(entry.end) - toPixels(entry.start) - 2)}px; left: ${entry.lane * laneWidth}%; width: calc(${laneWidth}% - 4px)">
+                                    <div class="timeline-entry-header">
+                                        <span class="timeline-entry-time">
+                                            ${this.formatClockTime(entry.start)} - ${this.formatClockTime(entry.end)}
+                                            ${overlaps ? `<i class="fas fa-exclamation-triangle" title="Overlaps ${this.escapeHtml(overlaps)}"></i>` : ''}
+                                        </span>
+                                        <div class="item-actions">
+                                            <button class="btn btn-sm btn-icon" onclick="TravelApp.editItem('${tripId}', '${entry.item.id}')" title="Edit">
+                                                <i class="fas fa-edit"></i>
+                                            </button>
+                                            <button class="btn btn-sm btn-icon btn-danger" onclick="TravelApp.removeItem('${tripId}', '${entry.item.id}')" title="Remove">
+                                                <i class="fas fa-trash"></i>
+                                            </button>
+                                        </div>
+                                    </div>
+                                    <div class="timeline-entry-title">${this.escapeHtml(entry.item.title)}</div>
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Format minutes from midnight as a readable clock time ("9:30 AM")
+     */
+    formatClockTime(minutes) {
+        const time = new Date(Date.UTC(2000, 0, 1, 0, minutes));
+        return time.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' });
+    }
+
     /**
      * Render an itinerary item
      */
@@ -1960,11 +2674,27 @@ class TravelPlannerApp {
         const itemIcon = typeIcons[item.type] || typeIcons[item.category] || 'fas fa-map-marker-alt';
         const itemColor = typeColors[item.type] || typeColors[item.category] || '#3498db';
         
-        // Format cost if available
+        // Format cost if available, with who paid when the trip is shared
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        const travelers = this.modules.itinerary.getTravelers(tripId);
+        const canCheckIn = trip.status !== 'cancelled' && trip.days[dayIndex].date <= this.modules.itinerary.getTripToday(tripId);
+        const itemStatus = {
+            booked: { label: 'Booked', icon: 'fas fa-ticket-alt' },
+            completed: { label: 'Checked in', icon: 'fas fa-check-circle' },
+            skipped: { label: 'Skipped', icon: 'fas fa-forward' }
+        }[item.status];
         const costDisplay = item.cost && item.cost > 0 ? `
             <div class="item-cost">
-                <i class="fas fa-dollar-sign"></i>
-                <span>$${item.cost}</span>
+                <i class="fas fa-money-bill-wave"></i>
+                <span>${this.modules.itinerary.formatItemCost(trip, item)}</span>
+                ${trip.travelers > 1 ? `
+                    <select class="item-payer" onchange="TravelApp.setItemPayer('${tripId}', '${item.id}', this.value)" title="Paid by">
+                        <option value="">Not paid yet</option>
+                        ${travelers.map(traveler => `
+                            <option value="${traveler.index}" ${item.paidBy === traveler.index ? 'selected' : ''}>Paid by ${this.escapeHtml(traveler.displayName)}</option>
+                        `).join('')}
+                    </select>
+                ` : ''}
             </div>
         ` : '';
         
@@ -1977,7 +2707,7 @@ class TravelPlannerApp {
         ` : '';
         
         return `
-            <div class="itinerary-item" data-item-id="${item.id}">
+            <div class="itinerary-item item-${item.status || 'planned'}" data-item-id="${item.id}">
                 <div class="item-indicator" style="background-color: ${itemColor}"></div>
                 <div class="item-main">
                     <div class="item-header">
@@ -1986,11 +2716,36 @@ class TravelPlannerApp {
                                 <i class="${itemIcon}"></i>
                             </div>
                             <div class="item-title-info">
-                                <h5>${item.title}</h5>
+                                <h5>${this.escapeHtml(item.title)}</h5>
                                 <span class="item-type-badge">${item.type || item.category || 'activity'}</span>
                             </div>
                         </div>
                         <div class="item-actions">
+                            ${item.status === 'completed' || item.status === 'skipped' ? `
+                                <button class="btn btn-sm btn-icon" onclick="TravelApp.setItemStatus('${tripId}', '${item.id}', 'planned')" title="Undo ${item.status === 'completed' ? 'check-in' : 'skip'}">
+                                    <i class="fas fa-undo"></i>
+                                </button>
+                            ` : canCheckIn ? `
+                                <button class="btn btn-sm btn-icon" onclick="TravelApp.setItemStatus('${tripId}', '${item.id}', 'completed')" title="Check in">
+                                    <i class="fas fa-check"></i>
+                                </button>
+                                <button class="btn btn-sm btn-icon" onclick="TravelApp.setItemStatus('${tripId}', '${item.id}', 'skipped')" title="Skip">
+                                    <i class="fas fa-forward"></i>
+                                </button>
+                            ` : ''}
+                            ${item.type === 'flight' && item.data && item.data.id && !item.data.booking ? `
+                                <button class="btn btn-sm btn-icon" onclick="TravelApp.bookFlightItem('${tripId}', '${item.id}')" title="Book">
+                                    <i class="fas fa-ticket-alt"></i>
+                                </button>
+                            ` : ''}
+                            ${trip.travelers > 1 ? `
+                                <button class="btn btn-sm btn-icon" onclick="TravelApp.editItemParticipants('${tripId}', '${item.id}')" title="Who's going">
+                                    <i class="fas fa-user-friends"></i>
+                                </button>
+                            ` : ''}
+                            <button class="btn btn-sm btn-icon" onclick="TravelApp.editItemDetails('${tripId}', '${item.id}')" title="Booking and documents">
+                                <i class="fas fa-paperclip"></i>
+                            </button>
                             <button class="btn btn-sm btn-icon" onclick="TravelApp.editItem('${tripId}', '${item.id}')" title="Edit">
                                 <i class="fas fa-edit"></i>
                             </button>
@@ -2002,13 +2757,37 @@ class TravelPlannerApp {
                     
                     ${item.description ? `
                         <div class="item-description">
-                            <p>${item.description}</p>
+                            <p>${this.escapeHtml(item.description)}</p>
                         </div>
                     ` : ''}
                     
                     <div class="item-meta">
+                        ${itemStatus ? `
+                            <div class="item-status">
+                                <i class="${itemStatus.icon}"></i>
+                                <span>${itemStatus.label}</span>
+                            </div>
+                        ` : ''}
+                        ${item.booking && item.booking.confirmationCode ? `
+                            <div class="item-confirmation" title="Confirmation code">
+                                <i class="fas fa-hashtag"></i>
+                                <span>${this.escapeHtml(item.booking.confirmationCode)}</span>
+                            </div>
+                        ` : ''}
+                        ${item.attachments ? `
+                            <div class="item-attachment-count" title="Attached files">
+                                <i class="fas fa-paperclip"></i>
+                                <span>${item.attachments.length}</span>
+                            </div>
+                        ` : ''}
                         ${costDisplay}
                         ${durationDisplay}
+                        ${trip.travelers > 1 ? `
+                            <div class="item-participants" title="Who's going">
+                                <i class="fas fa-user-friends"></i>
+                                <span>${item.participants ? item.participants.map(index => this.escapeHtml(travelers[index].displayName)).join(', ') : 'Everyone'}</span>
+                            </div>
+                        ` : ''}
                         ${item.data && item.data.rating ? `
                             <div class="item-rating">
                                 <i class="fas fa-star"></i>
@@ -2063,34 +2842,14 @@ class TravelPlannerApp {
             // Format dates
             const startDate = new Date(trip.startDate);
             const endDate = new Date(trip.endDate);
-            const isUpcoming = startDate > new Date();
-            const isActive = startDate <= new Date() && endDate >= new Date();
-            const isPast = endDate < new Date();
-            
-            let statusClass = '';
-            let statusText = '';
-            let statusIcon = '';
-            
-            if (isPast) {
-                statusClass = 'status-completed';
-                statusText = 'Completed';
-                statusIcon = 'fas fa-check-circle';
-            } else if (isActive) {
-                statusClass = 'status-active';
-                statusText = 'Active';
-                statusIcon = 'fas fa-play-circle';
-            } else {
-                statusClass = 'status-upcoming';
-                statusText = 'Upcoming';
-                statusIcon = 'fas fa-calendar-alt';
-            }
+            const { statusClass, statusText, statusIcon } = this.getTripStatusDisplay(trip);
             
             return `
                 <div class="trip-card ${currentTrip?.id === trip.id ? 'active' : ''}" 
                      data-trip-id="${trip.id}">
                     <div class="trip-card-header">
                         <div class="trip-title">
-                            <h4 onclick="TravelApp.selectTrip('${trip.id}')">${trip.title || trip.name}</h4>
+                            <h4 onclick="TravelApp.selectTrip('${trip.id}')">${this.escapeHtml(trip.title || trip.name)}</h4>
                             <div class="trip-status ${statusClass}">
                                 <i class="${statusIcon}"></i>
                                 <span>${statusText}</span>
@@ -2114,7 +2873,7 @@ class TravelPlannerApp {
                         
                         <div class="trip-destination">
                             <i class="fas fa-map-marker-alt"></i>
-                            <span>${trip.destination || 'Multiple Destinations'}</span>
+                            <span>${this.escapeHtml(trip.destination || 'Multiple Destinations')}</span>
                         </div>
                         
                         <div class="trip-details">
@@ -2141,7 +2900,7 @@ class TravelPlannerApp {
                         ${trip.budget && trip.budget.total > 0 ? `
                             <div class="trip-budget">
                                 <i class="fas fa-dollar-sign"></i>
-                                <span>$${trip.budget.spent || 0} / $${trip.budget.total}</span>
+                                <span>${this.formatTripMoney(trip, trip.budget.spent)} / ${this.formatTripMoney(trip, trip.budget.total)}</span>
                             </div>
                         ` : ''}
                     </div>
@@ -2286,11 +3045,299 @@ class TravelPlannerApp {
     }
 
     /**
-     * Edit item (placeholder implementation)
+     * Edit an item's details, cost, placement and times
+     * The edit and any move to another day or slot are saved as one undo
+     * step, and a failed move rolls the whole edit back.
      */
     editItem(tripId, itemId) {
-        this.logger.info('Edit item', { tripId, itemId });
-        UIManager.showToast('Edit item functionality coming soon!', 'info');
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        const placement = this.modules.itinerary.getItem(tripId, itemId);
+        if (!trip || !placement) {
+            UIManager.showToast('Item not found', 'error');
+            return;
+        }
+
+        this.closeItemEditModal();
+
+        const { item, dayIndex, slot } = placement;
+        const price = item.price || { amount: item.cost || 0, currency: trip.budget.currency || 'USD' };
+        const categories = [...new Set([
+            'accommodation', 'transport', 'dining', 'attraction',
+            ...Object.keys(trip.budget.limits || {}),
+            ...Object.keys(trip.budget.categories || {}),
+            ...(item.category ? [item.category] : [])
+        ])];
+        let endTime = '';
+        if (item.startTime && item.durationMinutes) {
+            const [hours, minutes] = item.startTime.split(':').map(Number);
+            const end = (hours * 60 + minutes + item.durationMinutes) % (24 * 60);
+            endTime = `${String(Math.floor(end / 60)).padStart(2, '0')}:${String(end % 60).padStart(2, '0')}`;
+        }
+        const initial = {
+            title: item.title,
+            description: item.description || '',
+            category: item.category || '',
+            cost: price.amount,
+            currency: price.currency,
+            startTime: item.startTime || '',
+            endTime
+        };
+
+        const modalHtml = `
+            <div class="modal trip-creation-modal item-edit-modal" id="item-edit-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Edit "${this.escapeHtml(item.title)}"</h3>
+                        <button class="modal-close" onclick="TravelApp.closeItemEditModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <form class="trip-creation-form" id="item-edit-form" novalidate>
+                            <div class="form-group">
+                                <label for="item-edit-title">Title *</label>
+                                <input type="text" id="item-edit-title" name="title" value="${this.escapeHtml(initial.title)}" maxlength="100" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="item-edit-description">Description</label>
+                                <textarea id="item-edit-description" name="description" rows="3">${this.escapeHtml(initial.description)}</textarea>
+                            </div>
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="item-edit-category">Category</label>
+                                    <input type="text" id="item-edit-category" name="category" value="${this.escapeHtml(initial.category)}" list="item-edit-categories" placeholder="miscellaneous">
+                                    <datalist id="item-edit-categories">
+                                        ${categories.map(category => `<option value="${this.escapeHtml(category)}">`).join('')}
+                                    </datalist>
+                                </div>
+                                <div class="form-group">
+                                    <label for="item-edit-cost">Cost</label>
+                                    <input type="number" id="item-edit-cost" name="cost" min="0" step="0.01" value="${initial.cost || ''}">
+                                </div>
+                                <div class="form-group">
+                                    <label for="item-edit-currency">Currency</label>
+                                    <select id="item-edit-currency" name="currency">${this.renderCurrencyOptions(initial.currency)}</select>
+                                </div>
+                            </div>
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="item-edit-day">Day</label>
+                                    <select id="item-edit-day" name="day">
+                                        ${trip.days.map((day, index) => `
+                                            <option value="${index}" ${index === dayIndex ? 'selected' : ''}>
+                                                Day ${day.dayNumber} · ${new Date(`${day.date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                                            </option>
+                                        `).join('')}
+                                    </select>
+                                </div>
+                                <div class="form-group">
+                                    <label for="item-edit-slot">Time of day</label>
+                                    <select id="item-edit-slot" name="slot">${this.renderSlotOptions(trip.days[dayIndex], slot)}</select>
+                                </div>
+                            </div>
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="item-edit-start">Starts at</label>
+                                    <input type="time" id="item-edit-start" name="startTime" value="${initial.startTime}">
+                                </div>
+                                <div class="form-group">
+                                    <label for="item-edit-end">Ends at</label>
+                                    <input type="time" id="item-edit-end" name="endTime" value="${initial.endTime}">
+                                </div>
+                            </div>
+                            <p class="form-hint">An item with a start time is filed under the time of day it falls in.</p>
+
+                            <div class="item-edit-budget" id="item-edit-budget"></div>
+                            <div class="form-error" id="item-edit-error" hidden></div>
+
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-outline" onclick="TravelApp.closeItemEditModal()">
+                                    Cancel
+                                </button>
+                                <button type="submit" class="btn btn-primary">
+                                    <i class="fas fa-save"></i>
+                                    Save Changes
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('item-edit-modal');
+        const form = document.getElementById('item-edit-form');
+        const readForm = () => {
+            const formData = new FormData(form);
+            return {
+                title: formData.get('title').trim(),
+                description: formData.get('description').trim(),
+                category: formData.get('category').trim(),
+                cost: formData.get('cost') === '' ? 0 : parseFloat(formData.get('cost')),
+                currency: formData.get('currency'),
+                dayIndex: parseInt(formData.get('day')),
+                slot: formData.get('slot'),
+                startTime: formData.get('startTime'),
+                endTime: formData.get('endTime')
+            };
+        };
+        const showError = (message) => {
+            const error = document.getElementById('item-edit-error');
+            error.textContent = message || '';
+            error.hidden = !message;
+        };
+        const updatePreview = () => {
+            const values = readForm();
+            const target = document.getElementById('item-edit-budget');
+            if (!Number.isFinite(values.cost) || values.cost < 0) {
+                target.innerHTML = '';
+                return;
+            }
+            try {
+                const preview = this.modules.itinerary.previewItemEdit(tripId, itemId, {
+                    cost: values.cost,
+                    currency: values.currency,
+                    category: values.category || undefined
+                });
+                target.innerHTML = this.renderItemEditPreview(trip, preview);
+            } catch (error) {
+                target.innerHTML = `<p class="form-hint">${this.escapeHtml(error.message)}</p>`;
+            }
+        };
+
+        document.getElementById('item-edit-day').addEventListener('change', (e) => {
+            const slotSelect = document.getElementById('item-edit-slot');
+            slotSelect.innerHTML = this.renderSlotOptions(trip.days[parseInt(e.target.value)], slotSelect.value);
+        });
+        for (const name of ['cost', 'currency', 'category']) {
+            form.elements[name].addEventListener('input', updatePreview);
+        }
+        updatePreview();
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const values = readForm();
+            if (!values.title) {
+                showError('Give the item a title.');
+                return;
+            }
+            if (!Number.isFinite(values.cost) || values.cost < 0) {
+                showError('Cost must be zero or more.');
+                return;
+            }
+            if (values.endTime && !values.startTime) {
+                showError('Set a start time to go with the end time.');
+                return;
+            }
+            if (values.startTime && values.endTime === values.startTime) {
+                showError('The end time must differ from the start time.');
+                return;
+            }
+            showError(null);
+
+            const updates = {};
+            for (const field of ['title', 'description', 'category']) {
+                if (values[field] !== initial[field]) {
+                    updates[field] = values[field];
+                }
+            }
+            if (updates.category === '') {
+                updates.category = 'miscellaneous';
+            }
+            if (values.cost !== initial.cost || values.currency !== initial.currency) {
+                updates.cost = values.cost;
+                updates.currency = values.currency;
+            }
+            if (values.startTime !== initial.startTime || values.endTime !== initial.endTime) {
+                updates.startTime = values.startTime || null;
+                if (values.endTime) {
+                    updates.endTime = values.endTime;
+                }
+            }
+            const moving = values.dayIndex !== dayIndex || values.slot !== slot;
+            if (Object.keys(updates).length === 0 && !moving) {
+                this.closeItemEditModal();
+                return;
+            }
+
+            try {
+                const result = await this.modules.itinerary.batch(tripId, `Edit "${values.title}"`, async () => {
+                    const updated = Object.keys(updates).length > 0
+                        ? await this.modules.itinerary.updateItem(tripId, itemId, updates)
+                        : { conflicts: [], budgetWarnings: [] };
+
+                    // A new start time may already have refiled the item
+                    const current = this.modules.itinerary.getItem(tripId, itemId);
+                    if (moving && (current.dayIndex !== values.dayIndex || current.slot !== values.slot)) {
+                        const moved = await this.modules.itinerary.moveItem(tripId, itemId, values.dayIndex, values.slot);
+                        return { ...updated, conflicts: moved.conflicts };
+                    }
+                    return updated;
+                });
+
+                this.closeItemEditModal();
+                this.refreshTrip(tripId);
+                UIManager.showToast(`${this.escapeHtml(values.title)} updated`, 'success', 5000, this.getUndoAction());
+                this.reportConflicts(result.conflicts);
+                this.reportBudgetWarnings(result.budgetWarnings);
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeItemEditModal();
+            }
+        });
+
+        setTimeout(() => modal.classList.add('active'), 10);
+    }
+
+    /**
+     * Options for a day's time slot picker
+     */
+    renderSlotOptions(day, selected) {
+        return Object.entries(day.timeSlots).map(([key, timeSlot]) => `
+            <option value="${key}" ${key === selected ? 'selected' : ''}>${this.escapeHtml(timeSlot.name)}</option>
+        `).join('');
+    }
+
+    /**
+     * Show how an item edit would change the trip's planned spending
+     */
+    renderItemEditPreview(trip, preview) {
+        const money = (amount) => this.formatTripMoney(trip, amount);
+        const change = (before, after) => before === after
+            ? money(after)
+            : `${money(before)} <i class="fas fa-arrow-right"></i> <strong>${money(after)}</strong>`;
+
+        return `
+            <h4>Budget</h4>
+            <ul class="item-edit-budget-lines">
+                <li><span>This item</span><span>${change(preview.cost.before, preview.cost.after)}</span></li>
+                ${preview.categories.map(entry => `
+                    <li>
+                        <span>${this.escapeHtml(entry.category.charAt(0).toUpperCase() + entry.category.slice(1))}</span>
+                        <span>${change(entry.before, entry.after)}${entry.limit !== null ? ` of ${money(entry.limit)}` : ''}</span>
+                    </li>
+                `).join('')}
+                <li><span>Trip total</span><span>${change(preview.planned.before, preview.planned.after)}${preview.total > 0 ? ` of ${money(preview.total)}` : ''}</span></li>
+            </ul>
+            ${preview.budgetWarnings.map(warning => `
+                <p class="item-edit-warning"><i class="fas fa-exclamation-triangle"></i> ${this.escapeHtml(warning.message)}</p>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Close the item editor
+     */
+    closeItemEditModal() {
+        const modal = document.getElementById('item-edit-modal');
+        if (modal) {
+            modal.remove();
+        }
     }
 
     /**
@@ -2311,7 +3358,7 @@ class TravelPlannerApp {
                 this.displayItinerary(trip);
             }
             
-            UIManager.showToast('Item removed from trip', 'success');
+            UIManager.showToast('Item removed from trip', 'success', 5000, this.getUndoAction());
             
         } catch (error) {
             this.handleError('Failed to remove item', error);
@@ -2319,31 +3366,2916 @@ class TravelPlannerApp {
     }
 
     /**
-     * Edit trip (placeholder implementation)
+     * Show the edit dialog for a trip's details and dates
      */
     editTrip(tripId) {
         this.logger.info('Edit trip', { tripId });
-        UIManager.showToast('Edit trip functionality coming soon!', 'info');
-    }
 
-    /**
-     * Export trip (placeholder implementation)
-     */
-    exportTrip(tripId) {
-        this.logger.info('Export trip', { tripId });
-        UIManager.showToast('Export trip functionality coming soon!', 'info');
-    }
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        if (!trip) {
+            UIManager.showToast('Trip not found', 'error');
+            return;
+        }
 
-    /**
-     * Add day to trip (placeholder implementation)
-     */
-    addDay(tripId) {
-        this.logger.info('Add day to trip', { tripId });
-        UIManager.showToast('Add day functionality coming soon!', 'info');
+        this.closeTripEditModal();
+
+        const modalHtml = `
+            <div class="modal trip-creation-modal" id="trip-edit-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Edit Trip</h3>
+                        <button class="modal-close" onclick="TravelApp.closeTripEditModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <form class="trip-creation-form" id="trip-edit-form">
+                            <div class="form-group">
+                                <label for="edit-trip-name">Trip Name *</label>
+                                <input type="text" id="edit-trip-name" name="title" value="${this.escapeHtml(trip.title)}" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="edit-trip-destination">Destination *</label>
+                                <input type="text" id="edit-trip-destination" name="destination" value="${this.escapeHtml(trip.destination)}" required ${trip.legs.length > 1 ? 'readonly' : ''}>
+                                ${trip.legs.length > 1 ? '<p class="form-hint">This trip visits several cities; use Edit Route to change them.</p>' : ''}
+                            </div>
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="edit-trip-start">Start Date *</label>
+                                    <input type="date" id="edit-trip-start" name="startDate" value="${trip.startDate}" required>
+                                </div>
+                                <div class="form-group">
+                                    <label for="edit-trip-end">End Date *</label>
+                                    <input type="date" id="edit-trip-end" name="endDate" value="${trip.endDate}" required>
+                                </div>
+                            </div>
+                            <label class="checkbox-label">
+                                <input type="checkbox" id="edit-trip-shift" name="shift" checked>
+                                <span>Move activities along with the new dates</span>
+                            </label>
+                            <p class="form-hint" id="edit-trip-hint"></p>
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="edit-trip-travelers">Travelers</label>
+                                    <input type="number" id="edit-trip-travelers" name="travelers" min="1" value="${trip.travelers || 1}" required>
+                                </div>
+                                <div class="form-group">
+                                    <label for="edit-trip-currency">Currency</label>
+                                    <select id="edit-trip-currency" name="currency">
+                                        ${this.renderCurrencyOptions(trip.budget.currency || 'USD')}
+                                    </select>
+                                </div>
+                            </div>
+                            <div class="form-group">
+                                <label for="edit-trip-notes">Notes</label>
+                                <textarea id="edit-trip-notes" name="notes" rows="3">${this.escapeHtml(trip.notes || '')}</textarea>
+                            </div>
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-outline" onclick="TravelApp.closeTripEditModal()">
+                                    Cancel
+                                </button>
+                                <button type="submit" class="btn btn-primary">
+                                    <i class="fas fa-save"></i>
+                                    Save Changes
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('trip-edit-modal');
+        const form = document.getElementById('trip-edit-form');
+        const startInput = document.getElementById('edit-trip-start');
+        const endInput = document.getElementById('edit-trip-end');
+        const shiftInput = document.getElementById('edit-trip-shift');
+
+        // Moving the start date carries the end date along while shifting
+        startInput.addEventListener('change', () => {
+            if (shiftInput.checked && startInput.value) {
+                endInput.value = this.addDaysToDate(startInput.value, trip.duration - 1);
+            }
+            this.updateTripEditHint(trip);
+        });
+        endInput.addEventListener('change', () => this.updateTripEditHint(trip));
+        shiftInput.addEventListener('change', () => this.updateTripEditHint(trip));
+
+        form.addEventListener('submit', (e) => this.handleTripEditSubmit(e, tripId));
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeTripEditModal();
+            }
+        });
+
+        this.updateTripEditHint(trip);
+        setTimeout(() => modal.classList.add('active'), 10);
     }
 
     /**
-     * Delete trip with confirmation
+     * Explain what saving the chosen dates will do to the trip's days
+     */
+    updateTripEditHint(trip) {
+        const hint = document.getElementById('edit-trip-hint');
+        const startDate = document.getElementById('edit-trip-start').value;
+        const endDate = document.getElementById('edit-trip-end').value;
+        const shift = document.getElementById('edit-trip-shift').checked;
+        if (!hint) return;
+
+        if (!startDate || !endDate || (startDate === trip.startDate && endDate === trip.endDate)) {
+            hint.textContent = '';
+            return;
+        }
+
+        try {
+            const change = this.getTripDateChange(trip, startDate, endDate, shift);
+            const preview = this.modules.itinerary.previewDateChange(trip.id, change);
+            const orphaned = preview.orphaned.length;
+            hint.textContent = `${preview.duration} day${preview.duration !== 1 ? 's' : ''}` +
+                (orphaned > 0 ? ` - ${orphaned} activit${orphaned !== 1 ? 'ies fall' : 'y falls'} outside the new dates and will need a new day` : '');
+        } catch (error) {
+            hint.textContent = error.message;
+        }
+    }
+
+    /**
+     * Turn edited trip dates into a date change for the itinerary manager
+     */
+    getTripDateChange(trip, startDate, endDate, shift) {
+        const duration = Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / (1000 * 60 * 60 * 24)) + 1;
+        if (shift && duration === trip.duration) {
+            return { type: 'shift', startDate };
+        }
+        return { type: 'range', startDate, endDate };
+    }
+
+    /**
+     * Save the trip edit form
+     */
+    async handleTripEditSubmit(event, tripId) {
+        event.preventDefault();
+
+        try {
+            const formData = new FormData(event.target);
+            const trip = this.modules.itinerary.getItinerary(tripId);
+            const startDate = formData.get('startDate');
+            const endDate = formData.get('endDate');
+
+            await this.modules.itinerary.updateItinerary(tripId, {
+                title: formData.get('title'),
+                destination: formData.get('destination'),
+                travelers: parseInt(formData.get('travelers')) || 1,
+                currency: formData.get('currency'),
+                notes: formData.get('notes') || ''
+            });
+
+            this.closeTripEditModal();
+
+            if (startDate !== trip.startDate || endDate !== trip.endDate) {
+                const change = this.getTripDateChange(trip, startDate, endDate, formData.get('shift') === 'on');
+                await this.applyDateChange(tripId, change, 'Trip updated');
+                return;
+            }
+
+            this.refreshTrip(tripId);
+            UIManager.showToast('Trip updated', 'success', 5000, this.getUndoAction());
+
+        } catch (error) {
+            this.handleError('Failed to update trip', error);
+        }
+    }
+
+    /**
+     * Close trip edit modal
+     */
+    closeTripEditModal() {
+        const modal = document.getElementById('trip-edit-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Apply a date change, asking where orphaned activities should go first
+     */
+    async applyDateChange(tripId, change, successMessage) {
+        const preview = this.modules.itinerary.previewDateChange(tripId, change);
+
+        if (preview.orphaned.length > 0) {
+            this.showOrphanedItemsModal(tripId, change, preview, successMessage);
+            return;
+        }
+
+        await this.modules.itinerary.changeDates(tripId, change);
+        this.refreshTrip(tripId);
+        UIManager.showToast(successMessage, 'success', 5000, this.getUndoAction());
+    }
+
+    /**
+     * Ask where activities that lose their day should be moved
+     */
+    showOrphanedItemsModal(tripId, change, preview, successMessage) {
+        this.closeOrphanedItemsModal();
+
+        const dayOptions = (selected) => `
+            ${preview.days.map((day, index) => `
+                <option value="${index}" ${index === selected ? 'selected' : ''}>
+                    Day ${index + 1} - ${day.dayOfWeek}, ${day.date}
+                </option>
+            `).join('')}
+            <option value="remove">Remove from trip</option>
+        `;
+
+        const modalHtml = `
+            <div class="modal trip-creation-modal" id="orphaned-items-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Move Activities</h3>
+                        <button class="modal-close" onclick="TravelApp.closeOrphanedItemsModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <form class="trip-creation-form" id="orphaned-items-form">
+                            <p>
+                                The trip will run from ${preview.startDate} to ${preview.endDate}.
+                                ${preview.orphaned.length} activit${preview.orphaned.length !== 1 ? 'ies are' : 'y is'} no longer on a trip day.
+                                Choose where each one should go.
+                            </p>
+                            ${preview.orphaned.map(item => `
+                                <div class="form-group">
+                                    <label for="orphan-${item.id}">${this.escapeHtml(item.title)} <small>(was ${item.date})</small></label>
+                                    <select id="orphan-${item.id}" name="${item.id}">
+                                        ${dayOptions(item.suggestedDayIndex)}
+                                    </select>
+                                </div>
+                            `).join('')}
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-outline" onclick="TravelApp.closeOrphanedItemsModal()">
+                                    Cancel
+                                </button>
+                                <button type="submit" class="btn btn-primary">
+                                    <i class="fas fa-check"></i>
+                                    Apply
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('orphaned-items-modal');
+        document.getElementById('orphaned-items-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const moves = {};
+            for (const [itemId, value] of new FormData(e.target).entries()) {
+                moves[itemId] = value === 'remove' ? null : parseInt(value);
+            }
+
+            try {
+                await this.modules.itinerary.changeDates(tripId, change, moves);
+                this.closeOrphanedItemsModal();
+                this.refreshTrip(tripId);
+                UIManager.showToast(successMessage, 'success', 5000, this.getUndoAction());
+            } catch (error) {
+                this.handleError('Failed to change trip dates', error);
+            }
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeOrphanedItemsModal();
+            }
+        });
+
+        setTimeout(() => modal.classList.add('active'), 10);
+    }
+
+    /**
+     * Close the orphaned activities modal without changing the trip
+     */
+    closeOrphanedItemsModal() {
+        const modal = document.getElementById('orphaned-items-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Redraw a trip after it changed
+     */
+    refreshTrip(tripId) {
+        this.updateTripsDisplay();
+
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        if (trip) {
+            this.displayItinerary(trip);
+        }
+    }
+
+    /**
+     * Escape text for use inside HTML markup and attribute values
+     */
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            '\'': '&#39;'
+        })[char]);
+    }
+
+    /**
+     * Add days to a YYYY-MM-DD date
+     */
+    addDaysToDate(date, days) {
+        const result = new Date(`${date}T00:00:00Z`);
+        result.setUTCDate(result.getUTCDate() + days);
+        return result.toISOString().split('T')[0];
+    }
+
+    /**
+     * Open the export dialog for a trip
+     */
+    async exportTrip(tripId) {
+        this.logger.info('Export trip', { tripId });
+
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        if (!trip) {
+            UIManager.showToast('Trip not found', 'error');
+            return;
+        }
+
+        this.closeExportModal();
+        this._exportDialog = { tripId, format: null, results: {}, previewUrl: null };
+
+        const formatOptions = this.exportFormats.map((option, index) => `
+            <label class="export-format-option">
+                <input type="radio" name="export-format" value="${option.format}" ${index === 0 ? 'checked' : ''}>
+                <span class="export-format-label">
+                    <i class="fas ${option.icon}"></i>
+                    <strong>${option.label}</strong>
+                    <small>${option.description}</small>
+                </span>
+            </label>
+        `).join('');
+
+        const modalHtml = `
+            <div class="modal export-modal" id="export-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Export "${this.escapeHtml(trip.title)}"</h3>
+                        <button class="modal-close" onclick="TravelApp.closeExportModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="export-formats" id="export-formats">
+                            ${formatOptions}
+                        </div>
+                        <div class="export-preview">
+                            <div class="export-preview-header">
+                                <span>Preview</span>
+                                <span class="export-filename" id="export-filename"></span>
+                            </div>
+                            <div class="export-preview-body" id="export-preview"></div>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-outline" onclick="TravelApp.closeExportModal()">
+                                Cancel
+                            </button>
+                            <button type="button" class="btn btn-primary" id="export-download-btn" onclick="TravelApp.downloadTripExport()" disabled>
+                                <i class="fas fa-download"></i>
+                                Download
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('export-modal');
+        modal.querySelector('#export-formats').addEventListener('change', (e) => {
+            if (e.target.name === 'export-format') {
+                this.previewExport(e.target.value);
+            }
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeExportModal();
+            }
+        });
+
+        setTimeout(() => modal.classList.add('active'), 10);
+
+        await this.previewExport(this.exportFormats[0].format);
+    }
+
+    /**
+     * Generate (or reuse) an export and show it in the export dialog
+     */
+    async previewExport(format) {
+        const dialog = this._exportDialog;
+        const preview = document.getElementById('export-preview');
+        const downloadBtn = document.getElementById('export-download-btn');
+        if (!dialog || !preview) return;
+
+        dialog.format = format;
+        downloadBtn.disabled = true;
+        preview.innerHTML = '<div class="export-preview-loading"><i class="fas fa-spinner fa-spin"></i> Generating preview...</div>';
+
+        try {
+            if (!dialog.results[format]) {
+                dialog.results[format] = await this.modules.itinerary.exportItinerary(dialog.tripId, format);
+            }
+
+            // The user may have picked another format or closed the dialog while this one was generating
+            if (this._exportDialog !== dialog || dialog.format !== format) return;
+
+            const exported = dialog.results[format];
+            document.getElementById('export-filename').textContent = exported.filename;
+
+            if (dialog.previewUrl) {
+                URL.revokeObjectURL(dialog.previewUrl);
+                dialog.previewUrl = null;
+            }
+
+            preview.innerHTML = '';
+            if (exported.data instanceof Blob) {
+                dialog.previewUrl = URL.createObjectURL(exported.data);
+                const frame = document.createElement('iframe');
+                frame.className = 'export-preview-frame';
+                frame.title = 'Export preview';
+                frame.src = dialog.previewUrl;
+                preview.appendChild(frame);
+            } else {
+                const text = document.createElement('pre');
+                text.className = 'export-preview-text';
+                text.textContent = this.getExportText(exported);
+                preview.appendChild(text);
+            }
+
+            downloadBtn.disabled = false;
+
+        } catch (error) {
+            this.logger.error('Failed to preview export', error);
+            if (this._exportDialog === dialog && dialog.format === format) {
+                preview.innerHTML = '<div class="export-preview-error"><i class="fas fa-exclamation-triangle"></i> Could not generate this format.</div>';
+            }
+        }
+    }
+
+    /**
+     * Download the export currently shown in the export dialog
+     */
+    downloadTripExport() {
+        const dialog = this._exportDialog;
+        const exported = dialog && dialog.results[dialog.format];
+        if (!exported) return;
+
+        try {
+            this.downloadExport(exported);
+            UIManager.showToast(`Downloaded ${exported.filename}`, 'success');
+            this.closeExportModal();
+        } catch (error) {
+            this.handleError('Failed to export trip', error);
+            UIManager.showToast('Failed to export trip. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Close export dialog
+     */
+    closeExportModal() {
+        const modal = document.getElementById('export-modal');
+        if (modal) {
+            modal.remove();
+        }
+
+        if (this._exportDialog && this._exportDialog.previewUrl) {
+            URL.revokeObjectURL(this._exportDialog.previewUrl);
+        }
+        this._exportDialog = null;
+    }
+
+    /**
+     * Get the text content of a non-binary export result
+     */
+    getExportText(exported) {
+        return typeof exported.data === 'string' ? exported.data : JSON.stringify(exported.data, null, 2);
+    }
+
+    /**
+     * Save an export result as a file download
+     */
+    downloadExport(exported) {
+        const blob = exported.data instanceof Blob
+            ? exported.data
+            : new Blob([this.getExportText(exported)], { type: exported.mimeType || 'application/octet-stream' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = exported.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before releasing the URL
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Format an amount in a trip's currency
+     */
+    formatTripMoney(trip, amount) {
+        return CurrencyConverter.format(amount || 0, trip.budget.currency || 'USD');
+    }
+
+    /**
+     * Options for a currency picker
+     */
+    renderCurrencyOptions(selected) {
+        return this.modules.itinerary.getCurrencies().map(currency => `
+            <option value="${currency}" ${currency === selected ? 'selected' : ''}>${currency}</option>
+        `).join('');
+    }
+
+    /**
+     * Render planned versus paid spending per category and per day
+     */
+    renderBudgetDashboard(trip) {
+        const forecast = this.modules.itinerary.getBudgetForecast(trip.id);
+        const money = (amount) => this.formatTripMoney(trip, amount);
+        const editButton = `
+            <button class="btn btn-sm btn-outline" onclick="TravelApp.editBudget('${trip.id}')">
+                <i class="fas fa-sliders-h"></i>
+                <span>Set Caps</span>
+            </button>
+        `;
+
+        if (forecast.planned === 0 && forecast.total === 0 && forecast.categories.length === 0) {
+            return `
+                <div class="budget-dashboard empty">
+                    <span>No costs planned yet.</span>
+                    ${editButton}
+                </div>
+            `;
+        }
+
+        const percent = (amount, scale) => scale > 0 ? Math.min(100, (amount / scale) * 100) : 0;
+        const busiestDay = Math.max(...forecast.days.map(day => day.planned), 1);
+
+        return `
+            <div class="budget-dashboard">
+                <div class="budget-dashboard-header">
+                    <h3><i class="fas fa-wallet"></i> Budget</h3>
+                    <div class="budget-totals">
+                        <span>Planned <strong>${money(forecast.planned)}</strong></span>
+                        <span>Paid <strong>${money(forecast.paid)}</strong></span>
+                        ${forecast.total > 0 ? `
+                            <span class="${forecast.over ? 'delta-up' : ''}">
+                                ${forecast.over ? 'Over by' : 'Left'} <strong>${money(Math.abs(forecast.remaining))}</strong> of ${money(forecast.total)}
+                            </span>
+                        ` : ''}
+                    </div>
+                    ${editButton}
+                </div>
+
+                ${forecast.warnings.length > 0 ? `
+                    <ul class="budget-warnings">
+                        ${forecast.warnings.map(warning => `<li><i class="fas fa-exclamation-triangle"></i> ${this.escapeHtml(warning.message)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+
+                <div class="budget-dashboard-body">
+                    <div class="budget-categories">
+                        ${forecast.categories.map(entry => {
+                            const scale = Math.max(entry.limit || 0, entry.planned);
+                            return `
+                                <div class="budget-category ${entry.over ? 'over' : ''}">
+                                    <div class="budget-category-label">
+                                        <span>${this.escapeHtml(entry.category)}</span>
+                                        <span>${money(entry.planned)}${entry.limit ? ` / ${money(entry.limit)}` : ''}</span>
+                                    </div>
+                                    <div class="budget-bar" title="Paid ${money(entry.paid)} of ${money(entry.planned)} planned">
+                                        <div class="budget-bar-planned" style="width: ${percent(entry.planned, scale)}%"></div>
+                                        <div class="budget-bar-paid" style="width: ${percent(entry.paid, scale)}%"></div>
+                                        ${entry.limit ? `<div class="budget-bar-cap" style="left: ${percent(entry.limit, scale)}%"></div>` : ''}
+                                    </div>
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+
+                    <div class="budget-days">
+                        ${forecast.days.map(day => `
+                            <div class="budget-day" title="Day ${day.dayNumber} (${day.date}): ${money(day.planned)} planned, ${money(day.paid)} paid">
+                                <div class="budget-day-bar">
+                                    <div class="budget-day-planned" style="height: ${percent(day.planned, busiestDay)}%"></div>
+                                    <div class="budget-day-paid" style="height: ${percent(day.paid, busiestDay)}%"></div>
+                                </div>
+                                <span>${day.dayNumber}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the form for the trip budget and category caps
+     */
+    editBudget(tripId) {
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        if (!trip) {
+            UIManager.showToast('Trip not found', 'error');
+            return;
+        }
+
+        this.closeBudgetModal();
+
+        const limits = trip.budget.limits || {};
+        const categories = [...new Set([
+            'accommodation', 'transport', 'dining', 'attraction',
+            ...Object.keys(limits),
+            ...Object.keys(trip.budget.categories || {})
+        ])];
+        const currency = trip.budget.currency || 'USD';
+
+        const modalHtml = `
+            <div class="modal trip-creation-modal" id="budget-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Budget Caps</h3>
+                        <button class="modal-close" onclick="TravelApp.closeBudgetModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <form class="trip-creation-form" id="budget-form">
+                            <div class="form-group">
+                                <label for="budget-total">Total budget (${currency})</label>
+                                <input type="number" id="budget-total" name="total" min="0" step="0.01" value="${trip.budget.total || ''}">
+                            </div>
+                            <p class="form-hint">Leave a category empty for no cap. You will be warned when planned costs go over a cap.</p>
+                            ${categories.map(category => `
+                                <div class="form-group">
+                                    <label for="budget-cap-${category}">${this.escapeHtml(category.charAt(0).toUpperCase() + category.slice(1))} (${currency})</label>
+                                    <input type="number" id="budget-cap-${category}" name="cap:${this.escapeHtml(category)}" min="0" step="0.01" value="${limits[category] || ''}">
+                                </div>
+                            `).join('')}
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-outline" onclick="TravelApp.closeBudgetModal()">
+                                    Cancel
+                                </button>
+                                <button type="submit" class="btn btn-primary">
+                                    <i class="fas fa-save"></i>
+                                    Save Caps
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('budget-modal');
+        document.getElementById('budget-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const formData = new FormData(e.target);
+            const caps = {};
+            for (const [field, value] of formData.entries()) {
+                if (field.startsWith('cap:')) {
+                    caps[field.slice(4)] = value === '' ? null : parseFloat(value);
+                }
+            }
+
+            try {
+                await this.modules.itinerary.setBudgetLimits(tripId, caps, parseFloat(formData.get('total')) || 0);
+                this.closeBudgetModal();
+                this.refreshTrip(tripId);
+                UIManager.showToast('Budget updated', 'success', 5000, this.getUndoAction());
+            } catch (error) {
+                this.handleError('Failed to update budget', error);
+            }
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeBudgetModal();
+            }
+        });
+
+        setTimeout(() => modal.classList.add('active'), 10);
+    }
+
+    /**
+     * Close the budget caps modal
+     */
+    closeBudgetModal() {
+        const modal = document.getElementById('budget-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Record which traveler paid for an item
+     */
+    async setItemPayer(tripId, itemId, value) {
+        try {
+            const paidBy = value === '' ? null : parseInt(value);
+            await this.modules.itinerary.updateItem(tripId, itemId, { paidBy });
+            this.refreshTrip(tripId);
+
+        } catch (error) {
+            this.handleError('Failed to record payer', error);
+        }
+    }
+
+    /**
+     * Show who owes whom for the trip's shared expenses
+     */
+    showSettlement(tripId) {
+        this.logger.info('Show settlement', { tripId });
+
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        if (!trip) {
+            UIManager.showToast('Trip not found', 'error');
+            return;
+        }
+
+        this.closeSettlementModal();
+
+        const settlement = this.modules.itinerary.getSettlement(tripId);
+        const money = (amount) => this.formatTripMoney(trip, amount);
+
+        const modalHtml = `
+            <div class="modal settlement-modal" id="settlement-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Settle Up</h3>
+                        <button class="modal-close" onclick="TravelApp.closeSettlementModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        ${trip.travelers < 2 ? `
+                            <p class="form-hint">Add more travelers to the trip to split its costs.</p>
+                        ` : `
+                            <p>Shared costs of ${money(settlement.total)}, split evenly between the travelers on each item.</p>
+                            <table class="settlement-table">
+                                <thead>
+                                    <tr><th>Traveler</th><th>Paid</th><th>Share</th><th>Balance</th></tr>
+                                </thead>
+                                <tbody>
+                                    ${settlement.travelers.map(traveler => `
+                                        <tr>
+                                            <td>${this.escapeHtml(traveler.name)}</td>
+                                            <td>${money(traveler.paid)}</td>
+                                            <td>${money(traveler.share)}</td>
+                                            <td class="${traveler.balance > 0 ? 'delta-down' : traveler.balance < 0 ? 'delta-up' : ''}">${traveler.balance > 0 ? '+' : ''}${money(traveler.balance)}</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                            ${settlement.transfers.length === 0 ? `
+                                <p class="form-hint">Everyone is even.</p>
+                            ` : `
+                                <ul class="settlement-transfers">
+                                    ${settlement.transfers.map(transfer => `
+                                        <li>
+                                            <strong>${this.escapeHtml(transfer.fromName)}</strong>
+                                            <i class="fas fa-arrow-right"></i>
+                                            <strong>${this.escapeHtml(transfer.toName)}</strong>
+                                            <span>${money(transfer.amount)}</span>
+                                        </li>
+                                    `).join('')}
+                                </ul>
+                            `}
+                        `}
+                        ${settlement.unassigned > 0 ? `
+                            <p class="form-hint">${money(settlement.unassigned)} of costs have no payer yet and are not included.</p>
+                        ` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('settlement-modal');
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeSettlementModal();
+            }
+        });
+
+        setTimeout(() => modal.classList.add('active'), 10);
+    }
+
+    /**
+     * Close the settle-up modal
+     */
+    closeSettlementModal() {
+        const modal = document.getElementById('settlement-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Describe where a branched trip came from
+     */
+    renderLineage(lineage) {
+        const source = this.modules.itinerary.getItinerary(lineage.itineraryId);
+        const sourceTitle = this.escapeHtml(source ? source.title : lineage.itineraryTitle);
+        const sourceLabel = source
+            ? `<a href="#" onclick="TravelApp.selectTrip('${source.id}'); return false;">${sourceTitle}</a>`
+            : sourceTitle;
+
+        return `
+            <div class="lineage-row">
+                <i class="fas fa-code-branch"></i>
+                <span>
+                    Branched from ${sourceLabel}${lineage.versionName ? ` (version "${this.escapeHtml(lineage.versionName)}")` : ''}
+                    on ${new Date(lineage.branchedAt).toLocaleDateString()}
+                </span>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the saved versions of a trip, with save, compare, restore and branch
+     */
+    showTripVersions(tripId) {
+        this.logger.info('Show trip versions', { tripId });
+
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        if (!trip) {
+            UIManager.showToast('Trip not found', 'error');
+            return;
+        }
+
+        this.closeTripVersionsModal();
+
+        const versions = this.modules.itinerary.getVersions(tripId);
+        const sideOptions = (selected) => `
+            <option value="" ${selected === null ? 'selected' : ''}>Current trip</option>
+            ${versions.map(version => `
+                <option value="${version.id}" ${version.id === selected ? 'selected' : ''}>${this.escapeHtml(version.name)}</option>
+            `).join('')}
+        `;
+
+        const modalHtml = `
+            <div class="modal versions-modal" id="trip-versions-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Versions of "${this.escapeHtml(trip.title)}"</h3>
+                        <button class="modal-close" onclick="TravelApp.closeTripVersionsModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <form class="version-save-form" id="version-save-form">
+                            <input type="text" name="name" placeholder="Name this version, e.g. before budget cut" maxlength="60" required>
+                            <button type="submit" class="btn btn-primary">
+                                <i class="fas fa-save"></i>
+                                Save Version
+                            </button>
+                        </form>
+
+                        ${versions.length === 0 ? `
+                            <p class="form-hint">No saved versions yet. Save one before making big changes so you can compare or go back later.</p>
+                        ` : `
+                            <ul class="version-list">
+                                ${versions.map(version => `
+                                    <li class="version-entry">
+                                        <div class="version-info">
+                                            <strong>${this.escapeHtml(version.name)}</strong>
+                                            <small>
+                                                Saved ${new Date(version.createdAt).toLocaleString()} ·
+                                                ${version.startDate} to ${version.endDate} ·
+                                                ${version.itemCount} item${version.itemCount !== 1 ? 's' : ''} ·
+                                                ${this.formatTripMoney(trip, version.spent)}
+                                            </small>
+                                        </div>
+                                        <div class="version-actions">
+                                            <button class="btn btn-sm btn-icon" onclick="TravelApp.restoreTripVersion('${tripId}', '${version.id}')" title="Restore this version">
+                                                <i class="fas fa-undo"></i>
+                                            </button>
+                                            <button class="btn btn-sm btn-icon" onclick="TravelApp.branchTripVersion('${tripId}', '${version.id}')" title="Branch into a new trip">
+                                                <i class="fas fa-code-branch"></i>
+                                            </button>
+                                            <button class="btn btn-sm btn-icon btn-danger" onclick="TravelApp.deleteTripVersion('${tripId}', '${version.id}')" title="Delete this version">
+                                                <i class="fas fa-trash"></i>
+                                            </button>
+                                        </div>
+                                    </li>
+                                `).join('')}
+                            </ul>
+
+                            <div class="version-compare">
+                                <label>
+                                    Compare
+                                    <select id="version-diff-from">${sideOptions(versions[0].id)}</select>
+                                </label>
+                                <label>
+                                    with
+                                    <select id="version-diff-to">${sideOptions(null)}</select>
+                                </label>
+                            </div>
+                            <div class="version-diff" id="version-diff"></div>
+                        `}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('trip-versions-modal');
+        document.getElementById('version-save-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const version = await this.modules.itinerary.saveVersion(tripId, new FormData(e.target).get('name'));
+                this.showTripVersions(tripId);
+                UIManager.showToast(`Saved version "${this.escapeHtml(version.name)}"`, 'success');
+            } catch (error) {
+                UIManager.showToast(this.escapeHtml(error.message), 'error');
+            }
+        });
+        modal.querySelectorAll('.version-compare select').forEach(select => {
+            select.addEventListener('change', () => this.renderVersionDiff(tripId));
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeTripVersionsModal();
+            }
+        });
+
+        if (versions.length > 0) {
+            this.renderVersionDiff(tripId);
+        }
+
+        setTimeout(() => modal.classList.add('active'), 10);
+    }
+
+    /**
+     * Show the differences between the two versions picked in the versions dialog
+     */
+    renderVersionDiff(tripId) {
+        const container = document.getElementById('version-diff');
+        if (!container) return;
+
+        const fromId = document.getElementById('version-diff-from').value || null;
+        const toId = document.getElementById('version-diff-to').value || null;
+        if (fromId === toId) {
+            container.innerHTML = '<p class="form-hint">Pick two different versions to compare.</p>';
+            return;
+        }
+
+        const diff = this.modules.itinerary.diffVersions(tripId, fromId, toId);
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        const money = (amount) => this.formatTripMoney(trip, amount);
+        const signed = (amount) => `${amount > 0 ? '+' : ''}${money(amount)}`;
+        const where = (entry) => `Day ${entry.dayIndex + 1} (${entry.date}), ${entry.slot}${entry.startTime ? ` ${entry.startTime}` : ''}`;
+        const section = (title, icon, entries, render) => entries.length === 0 ? '' : `
+            <div class="diff-section">
+                <h4><i class="fas ${icon}"></i> ${title} (${entries.length})</h4>
+                <ul>${entries.map(entry => `<li>${render(entry)}</li>`).join('')}</ul>
+            </div>
+        `;
+
+        const budgetRows = [
+            ['Budget', diff.budget.total],
+            ['Spent', diff.budget.spent],
+            ...Object.entries(diff.budget.categories).map(([category, entry]) => [`&nbsp;&nbsp;${this.escapeHtml(category)}`, entry])
+        ];
+
+        const sections = [
+            diff.dates.changed ? `
+                <div class="diff-section">
+                    <h4><i class="fas fa-calendar-alt"></i> Dates</h4>
+                    <p>${diff.dates.from.startDate} to ${diff.dates.from.endDate} → ${diff.dates.to.startDate} to ${diff.dates.to.endDate}</p>
+                </div>
+            ` : '',
+            section('Added', 'fa-plus', diff.added, entry => `${this.escapeHtml(entry.title)} <small>${where(entry)}${entry.cost ? ` · ${money(entry.cost)}` : ''}</small>`),
+            section('Removed', 'fa-minus', diff.removed, entry => `${this.escapeHtml(entry.title)} <small>${where(entry)}${entry.cost ? ` · ${money(entry.cost)}` : ''}</small>`),
+            section('Moved', 'fa-arrows-alt', diff.moved, entry => `${this.escapeHtml(entry.title)} <small>${where(entry.from)} → ${where(entry.to)}</small>`),
+            section('Changed', 'fa-pen', diff.changed, entry => `${this.escapeHtml(entry.title)} <small>${entry.changes.map(change => `${change.field}: ${this.escapeHtml(change.from ?? '—')} → ${this.escapeHtml(change.to ?? '—')}`).join(', ')}</small>`)
+        ].join('');
+
+        container.innerHTML = `
+            ${sections || '<p class="form-hint">No item changes between these versions.</p>'}
+            <table class="diff-budget">
+                <thead>
+                    <tr><th></th><th>${this.escapeHtml(diff.from.name)}</th><th>${this.escapeHtml(diff.to.name)}</th><th>Change</th></tr>
+                </thead>
+                <tbody>
+                    ${budgetRows.map(([label, entry]) => `
+                        <tr>
+                            <td>${label}</td>
+                            <td>${money(entry.from)}</td>
+                            <td>${money(entry.to)}</td>
+                            <td class="${entry.delta > 0 ? 'delta-up' : entry.delta < 0 ? 'delta-down' : ''}">${signed(entry.delta)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Restore a trip to a saved version
+     */
+    async restoreTripVersion(tripId, versionId) {
+        try {
+            const version = this.modules.itinerary.getVersions(tripId).find(entry => entry.id === versionId);
+            const confirmed = confirm(`Restore "${version.name}"? Changes made since then will be replaced (you can undo this).`);
+            if (!confirmed) return;
+
+            await this.modules.itinerary.restoreVersion(tripId, versionId);
+            this.closeTripVersionsModal();
+            this.refreshTrip(tripId);
+            UIManager.showToast(`Restored version "${this.escapeHtml(version.name)}"`, 'success', 5000, this.getUndoAction());
+
+        } catch (error) {
+            this.handleError('Failed to restore version', error);
+        }
+    }
+
+    /**
+     * Start a new trip from a saved version
+     */
+    async branchTripVersion(tripId, versionId) {
+        try {
+            const branch = await this.modules.itinerary.branchVersion(tripId, versionId);
+            this.closeTripVersionsModal();
+            this.selectTrip(branch.id);
+            UIManager.showToast(`Created "${this.escapeHtml(branch.title)}"`, 'success');
+
+        } catch (error) {
+            this.handleError('Failed to branch version', error);
+        }
+    }
+
+    /**
+     * Delete a saved version
+     */
+    async deleteTripVersion(tripId, versionId) {
+        try {
+            const version = this.modules.itinerary.getVersions(tripId).find(entry => entry.id === versionId);
+            const confirmed = confirm(`Delete version "${version.name}"?`);
+            if (!confirmed) return;
+
+            await this.modules.itinerary.deleteVersion(tripId, versionId);
+            this.showTripVersions(tripId);
+
+        } catch (error) {
+            this.handleError('Failed to delete version', error);
+        }
+    }
+
+    /**
+     * Close the versions modal
+     */
+    closeTripVersionsModal() {
+        const modal = document.getElementById('trip-versions-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Show saved trip templates, with a form to save the given trip as a new one
+     */
+    showTripTemplates(tripId) {
+        this.logger.info('Show trip templates', { tripId });
+
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        if (!trip) {
+            UIManager.showToast('Trip not found', 'error');
+            return;
+        }
+
+        this.closeTripTemplatesModal();
+
+        const templates = this.modules.itinerary.getTemplates().filter(template => !template.builtIn);
+        const slotNames = Object.values(trip.days[0].timeSlots).map(timeSlot => timeSlot.name).join(', ');
+
+        const modalHtml = `
+            <div class="modal templates-modal" id="trip-templates-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Trip Templates</h3>
+                        <button class="modal-close" onclick="TravelApp.closeTripTemplatesModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <form class="template-save-form" id="template-save-form">
+                            <p class="form-hint">Save "${this.escapeHtml(trip.title)}" so new trips can start with the same activities on the same trip days.</p>
+                            <input type="text" name="name" placeholder="Template name, e.g. Quarterly offsite" maxlength="60" required>
+                            <input type="text" name="description" placeholder="Description (optional)" maxlength="120">
+                            <label>
+                                Time slots, in order
+                                <input type="text" name="timeSlots" value="${this.escapeHtml(slotNames)}">
+                            </label>
+                            <button type="submit" class="btn btn-primary">
+                                <i class="fas fa-save"></i>
+                                Save as Template
+                            </button>
+                        </form>
+
+                        ${templates.length === 0 ? `
+                            <p class="form-hint">No saved templates yet.</p>
+                        ` : `
+                            <ul class="version-list">
+                                ${templates.map(template => `
+                                    <li class="version-entry">
+                                        <div class="version-info">
+                                            <strong>${this.escapeHtml(template.name)}</strong>
+                                            <small>
+                                                ${template.description ? `${this.escapeHtml(template.description)} · ` : ''}
+                                                ${template.defaultDuration} day${template.defaultDuration !== 1 ? 's' : ''} ·
+                                                ${template.itemCount} item${template.itemCount !== 1 ? 's' : ''} ·
+                                                ${template.timeSlots.map(slot => this.escapeHtml(slot)).join(', ')}
+                                            </small>
+                                        </div>
+                                        <div class="version-actions">
+                                            <button class="btn btn-sm btn-icon" onclick="TravelApp.createTripFromTemplate('${template.id}')" title="Create a trip from this template">
+                                                <i class="fas fa-plus"></i>
+                                            </button>
+                                            <button class="btn btn-sm btn-icon btn-danger" onclick="TravelApp.deleteTripTemplate('${tripId}', '${template.id}')" title="Delete this template">
+                                                <i class="fas fa-trash"></i>
+                                            </button>
+                                        </div>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        `}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('trip-templates-modal');
+        document.getElementById('template-save-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const formData = new FormData(e.target);
+                const template = await this.modules.itinerary.saveAsTemplate(tripId, {
+                    name: formData.get('name'),
+                    description: formData.get('description'),
+                    timeSlots: formData.get('timeSlots').split(',')
+                });
+                this.showTripTemplates(tripId);
+                UIManager.showToast(`Saved template "${this.escapeHtml(template.name)}"`, 'success');
+            } catch (error) {
+                UIManager.showToast(this.escapeHtml(error.message), 'error');
+            }
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeTripTemplatesModal();
+            }
+        });
+
+        setTimeout(() => modal.classList.add('active'), 10);
+    }
+
+    /**
+     * Open the trip creation form with a saved template picked
+     */
+    createTripFromTemplate(templateId) {
+        this.closeTripTemplatesModal();
+        this.showTripCreationModal();
+
+        const templateSelect = document.getElementById('trip-template');
+        templateSelect.value = templateId;
+        templateSelect.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * Delete a saved template
+     */
+    async deleteTripTemplate(tripId, templateId) {
+        try {
+            const template = this.modules.itinerary.getTemplates().find(entry => entry.id === templateId);
+            const confirmed = confirm(`Delete template "${template.name}"? Trips created from it are kept.`);
+            if (!confirmed) return;
+
+            await this.modules.itinerary.deleteTemplate(templateId);
+            this.showTripTemplates(tripId);
+
+        } catch (error) {
+            this.handleError('Failed to delete template', error);
+        }
+    }
+
+    /**
+     * Close the templates modal
+     */
+    closeTripTemplatesModal() {
+        const modal = document.getElementById('trip-templates-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Render a trip's route as its legs in travel order
+     */
+    renderRoute(trip) {
+        const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+        return `
+            <span class="trip-route">
+                ${trip.legs.map(leg => `
+                    <span class="route-leg" title="${leg.lodging ? `Staying at ${this.escapeHtml(leg.lodging.name)}` : 'No lodging set'}">
+                        <span class="destination">${this.escapeHtml(leg.city)}</span>
+                        ${trip.legs.length > 1 ? `<small>${formatDate(leg.startDate)}${leg.endDate !== leg.startDate ? ` - ${formatDate(leg.endDate)}` : ''}</small>` : ''}
+                    </span>
+                `).join('<i class="fas fa-arrow-right route-arrow"></i>')}
+            </span>
+        `;
+    }
+
+    /**
+     * Show the route editor for a trip's legs
+     */
+    editRoute(tripId) {
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        if (!trip) {
+            UIManager.showToast('Trip not found', 'error');
+            return;
+        }
+
+        this.closeRouteModal();
+
+        const renderLeg = (leg) => `
+            <fieldset class="route-leg-row" data-leg-id="${leg.id || ''}">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>City *</label>
+                        <input type="text" name="city" value="${this.escapeHtml(leg.city || '')}" required>
+                    </div>
+                    <div class="form-group">
+                        <label>From</label>
+                        <input type="date" name="startDate" value="${leg.startDate || ''}" min="${trip.startDate}" max="${trip.endDate}" required>
+                    </div>
+                    <div class="form-group">
+                        <label>To</label>
+                        <input type="date" name="endDate" value="${leg.endDate || ''}" min="${trip.startDate}" max="${trip.endDate}" required>
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Lodging</label>
+                        <input type="text" name="lodgingName" value="${this.escapeHtml(leg.lodging ? leg.lodging.name : '')}" placeholder="Hotel or apartment">
+                    </div>
+                    <div class="form-group">
+                        <label>Address</label>
+                        <input type="text" name="lodgingAddress" value="${this.escapeHtml(leg.lodging ? leg.lodging.address : '')}">
+                    </div>
+                    <button type="button" class="btn btn-sm btn-icon btn-danger route-leg-remove" title="Remove leg">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </fieldset>
+        `;
+
+        const modalHtml = `
+            <div class="modal trip-creation-modal route-modal" id="route-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Route</h3>
+                        <button class="modal-close" onclick="TravelApp.closeRouteModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <form class="trip-creation-form" id="route-form">
+                            <p class="form-hint">
+                                List the cities in travel order, covering ${trip.startDate} to ${trip.endDate}.
+                                A leg can start on the day the previous one ends (a travel day) or the day after.
+                            </p>
+                            <div class="route-legs" id="route-legs">
+                                ${trip.legs.map(renderLeg).join('')}
+                            </div>
+                            <button type="button" class="btn btn-outline btn-sm" id="route-add-leg">
+                                <i class="fas fa-plus"></i>
+                                Add City
+                            </button>
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-outline" onclick="TravelApp.closeRouteModal()">
+                                    Cancel
+                                </button>
+                                <button type="submit" class="btn btn-primary">
+                                    <i class="fas fa-save"></i>
+                                    Save Route
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('route-modal');
+        const legList = document.getElementById('route-legs');
+        legList.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.route-leg-remove');
+            if (removeButton && legList.children.length > 1) {
+                removeButton.closest('.route-leg-row').remove();
+            }
+        });
+        document.getElementById('route-add-leg').addEventListener('click', () => {
+            // The new city starts on the last one's final day; shorten that one to make room
+            const rows = legList.querySelectorAll('.route-leg-row');
+            const lastEnd = rows[rows.length - 1].querySelector('[name="endDate"]').value || trip.endDate;
+            legList.insertAdjacentHTML('beforeend', renderLeg({ startDate: lastEnd, endDate: trip.endDate }));
+            legList.lastElementChild.querySelector('[name="city"]').focus();
+        });
+        document.getElementById('route-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            try {
+                UIManager.showLoading('Saving route...');
+
+                const legs = [];
+                for (const row of legList.querySelectorAll('.route-leg-row')) {
+                    const field = (name) => row.querySelector(`[name="${name}"]`).value.trim();
+                    const existing = trip.legs.find(leg => leg.id === row.dataset.legId);
+                    const city = field('city');
+                    legs.push({
+                        id: existing ? existing.id : undefined,
+                        city,
+                        coordinates: existing && existing.city === city && existing.coordinates
+                            ? existing.coordinates
+                            : await this.findCityCoordinates(city),
+                        startDate: field('startDate'),
+                        endDate: field('endDate'),
+                        lodging: { name: field('lodgingName'), address: field('lodgingAddress') }
+                    });
+                }
+
+                await this.modules.itinerary.setLegs(tripId, legs);
+                this.closeRouteModal();
+                this.refreshTrip(tripId);
+                UIManager.hideLoading();
+                UIManager.showToast('Route updated', 'success', 5000, this.getUndoAction());
+            } catch (error) {
+                UIManager.hideLoading();
+                UIManager.showToast(error.message, 'error');
+            }
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeRouteModal();
+            }
+        });
+
+        setTimeout(() => modal.classList.add('active'), 10);
+    }
+
+    /**
+     * Close the route editor
+     */
+    closeRouteModal() {
+        const modal = document.getElementById('route-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Look up a city's coordinates with the location search
+     * @returns {Promise<Object|null>} Coordinates ({lat, lng}), or null when the city was not found
+     */
+    async findCityCoordinates(city) {
+        if (!city) return null;
+
+        try {
+            const results = await this.services.location.searchLocations({ query: city });
+            const match = results.find(result => result.coordinates && Number.isFinite(result.coordinates.lat));
+            return match ? { lat: match.coordinates.lat, lng: match.coordinates.lng } : null;
+        } catch (error) {
+            this.logger.warn('Failed to look up city coordinates', { city, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Get where a day of a trip takes place, from the leg it belongs to
+     * Legs saved without coordinates are looked up by city name.
+     * @returns {Promise<{leg: Object, coordinates: Object}|null>} Leg and its coordinates, or null when unknown
+     */
+    async getDayLocation(tripId, dayIndex) {
+        const leg = this.modules.itinerary.getDayLeg(tripId, dayIndex);
+        if (!leg) return null;
+
+        const coordinates = leg.coordinates || await this.findCityCoordinates(leg.city);
+        return coordinates ? { leg, coordinates } : null;
+    }
+
+    /**
+     * Show the weather for a day in its leg's city
+     */
+    async showDayWeather(tripId, dayIndex) {
+        const container = document.getElementById(`day-lookup-${dayIndex}`);
+        if (!container) return;
+
+        try {
+            container.innerHTML = '<p class="day-lookup-loading"><i class="fas fa-spinner fa-spin"></i> Checking the weather...</p>';
+
+            const location = await this.getDayLocation(tripId, dayIndex);
+            if (!location) {
+                container.innerHTML = '<p class="form-hint">This city could not be found, so there is no weather for it.</p>';
+                return;
+            }
+
+            const date = this.modules.itinerary.getItinerary(tripId).days[dayIndex].date;
+            const weather = await this.services.location.getWeatherInfo({ ...location.coordinates, forecast: true });
+            const forecast = (weather.forecast || []).find(entry => entry.date === date);
+            const city = this.escapeHtml(location.leg.city);
+
+            container.innerHTML = forecast ? `
+                <div class="day-weather">
+                    <img src="${forecast.icon}" alt="">
+                    <span><strong>${city}</strong>: ${this.escapeHtml(forecast.description)}, ${forecast.low}° to ${forecast.high}°C, ${forecast.precipitation}% chance of rain</span>
+                </div>
+            ` : `
+                <div class="day-weather">
+                    <img src="${weather.current.icon}" alt="">
+                    <span><strong>${city}</strong> now: ${this.escapeHtml(weather.current.description)}, ${weather.current.temperature}°C. No forecast for ${date} yet.</span>
+                </div>
+            `;
+        } catch (error) {
+            this.logger.warn('Failed to load day weather', { tripId, dayIndex, error: error.message });
+            container.innerHTML = '<p class="form-hint">Weather is not available right now.</p>';
+        }
+    }
+
+    /**
+     * Show points of interest for a day around its leg's city
+     */
+    async showDayIdeas(tripId, dayIndex) {
+        const container = document.getElementById(`day-lookup-${dayIndex}`);
+        if (!container) return;
+
+        try {
+            container.innerHTML = '<p class="day-lookup-loading"><i class="fas fa-spinner fa-spin"></i> Finding things to do...</p>';
+
+            const location = await this.getDayLocation(tripId, dayIndex);
+            if (!location) {
+                container.innerHTML = '<p class="form-hint">This city could not be found, so there are no suggestions for it.</p>';
+                return;
+            }
+
+            const pois = await this.services.location.getPointsOfInterest({
+                ...location.coordinates,
+                near: location.leg.city,
+                radius: 5000,
+                category: 'attraction'
+            });
+
+            container.innerHTML = `
+                <h5>Things to do in ${this.escapeHtml(location.leg.city)}</h5>
+                <div class="poi-list">
+                    ${pois.slice(0, 6).map(poi => `
+                        <div class="poi-item" data-poi-id="${poi.id}">
+                            <h5>${this.escapeHtml(poi.name)}</h5>
+                            <p>${this.escapeHtml(poi.type || poi.category || '')}${poi.distance ? ` • ${poi.distance}m away` : ''}</p>
+                            ${poi.rating ? `<div class="poi-rating">★ ${poi.rating}</div>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        } catch (error) {
+            this.logger.warn('Failed to load day suggestions', { tripId, dayIndex, error: error.message });
+            container.innerHTML = '<p class="form-hint">Suggestions are not available right now.</p>';
+        }
+    }
+
+    /**
+     * Show a trip's packing list and pre-trip tasks
+     */
+    showChecklist(tripId) {
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        if (!trip) {
+            UIManager.showToast('Trip not found', 'error');
+            return;
+        }
+
+        // Re-rendering an open checklist should not replay the opening animation
+        const reopening = Boolean(document.getElementById('checklist-modal'));
+        this.closeChecklistModal();
+
+        const checklist = this.modules.itinerary.getChecklist(tripId);
+        const tasks = checklist.items.filter(entry => entry.kind === 'task');
+        const packing = checklist.items.filter(entry => entry.kind === 'packing');
+        const travelerOptions = (selected) => `
+            <option value="" ${selected === null ? 'selected' : ''}>Everyone</option>
+            ${this.modules.itinerary.getTravelers(tripId).map(traveler => `
+                <option value="${traveler.index}" ${selected === traveler.index ? 'selected' : ''}>${this.escapeHtml(traveler.displayName)}</option>
+            `).join('')}
+        `;
+        const renderEntry = (entry) => `
+            <li class="checklist-entry ${entry.done ? 'done' : ''} ${entry.overdue ? 'overdue' : ''}">
+                <label class="checklist-check">
+                    <input type="checkbox" ${entry.done ? 'checked' : ''} onchange="TravelApp.toggleChecklistEntry('${tripId}', '${entry.id}', this.checked)">
+                    <span>
+                        ${this.escapeHtml(entry.title)}
+                        <small>
+                            ${entry.dueDate ? `Due ${new Date(`${entry.dueDate}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}${entry.overdue ? ' (overdue)' : ''}` : ''}
+                            ${entry.dueDate && (entry.category || entry.reason) ? ' · ' : ''}
+                            ${entry.category ? this.escapeHtml(entry.category) : ''}
+                            ${entry.category && entry.reason ? ' · ' : ''}
+                            ${entry.reason ? this.escapeHtml(entry.reason) : ''}
+                        </small>
+                    </span>
+                </label>
+                <select class="checklist-assignee" onchange="TravelApp.assignChecklistEntry('${tripId}', '${entry.id}', this.value)" title="Assigned to">
+                    ${travelerOptions(entry.assignee)}
+                </select>
+                <button class="btn btn-sm btn-icon btn-danger" onclick="TravelApp.removeChecklistEntry('${tripId}', '${entry.id}')" title="Remove">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </li>
+        `;
+
+        const modalHtml = `
+            <div class="modal checklist-modal" id="checklist-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Checklist for "${this.escapeHtml(trip.title)}"</h3>
+                        <button class="modal-close" onclick="TravelApp.closeChecklistModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="checklist-toolbar">
+                            <span class="checklist-progress">${checklist.progress.done} of ${checklist.progress.total} done</span>
+                            <button class="btn btn-outline btn-sm" onclick="TravelApp.suggestChecklist('${tripId}')">
+                                <i class="fas fa-magic"></i>
+                                Suggest Items
+                            </button>
+                        </div>
+
+                        ${checklist.items.length === 0 ? `
+                            <p class="form-hint">Nothing here yet. Suggest items from the trip type, the weather on your route and your activities, or add your own below.</p>
+                        ` : ''}
+
+                        ${tasks.length > 0 ? `
+                            <h4>Before You Go</h4>
+                            <ul class="checklist-list">${tasks.map(renderEntry).join('')}</ul>
+                        ` : ''}
+
+                        ${packing.length > 0 ? `
+                            <h4>Packing</h4>
+                            <ul class="checklist-list">${packing.map(renderEntry).join('')}</ul>
+                        ` : ''}
+
+                        <form class="checklist-add-form" id="checklist-add-form">
+                            <input type="text" name="title" placeholder="Add an item or task" maxlength="80" required>
+                            <select name="kind" aria-label="Kind">
+                                <option value="packing">Packing</option>
+                                <option value="task">Task</option>
+                            </select>
+                            <input type="date" name="dueDate" aria-label="Due date">
+                            <select name="assignee" aria-label="Assigned to">${travelerOptions(null)}</select>
+                            <button type="submit" class="btn btn-primary btn-sm">
+                                <i class="fas fa-plus"></i>
+                                Add
+                            </button>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('checklist-modal');
+        document.getElementById('checklist-add-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const formData = new FormData(e.target);
+                await this.modules.itinerary.addChecklistItem(tripId, {
+                    title: formData.get('title'),
+                    kind: formData.get('kind'),
+                    dueDate: formData.get('dueDate') || undefined,
+                    assignee: formData.get('assignee') === '' ? null : parseInt(formData.get('assignee'))
+                });
+                this.showChecklist(tripId);
+            } catch (error) {
+                UIManager.showToast(error.message, 'error');
+            }
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeChecklistModal();
+            }
+        });
+
+        if (reopening) {
+            modal.classList.add('active');
+        } else {
+            setTimeout(() => modal.classList.add('active'), 10);
+        }
+    }
+
+    /**
+     * Add suggested items to a trip's checklist, using the weather for each city on the route
+     */
+    async suggestChecklist(tripId) {
+        try {
+            UIManager.showLoading('Checking the weather on your route...');
+
+            const trip = this.modules.itinerary.getItinerary(tripId);
+            const weather = [];
+            for (const leg of trip.legs) {
+                const coordinates = leg.coordinates || await this.findCityCoordinates(leg.city);
+                if (!coordinates) continue;
+
+                try {
+                    const report = await this.services.location.getWeatherInfo({ ...coordinates, forecast: true });
+                    weather.push({ city: leg.city, report });
+                } catch (error) {
+                    this.logger.warn('Failed to get weather for checklist', { city: leg.city, error: error.message });
+                }
+            }
+
+            const { added } = await this.modules.itinerary.generateChecklist(tripId, { weather });
+
+            UIManager.hideLoading();
+            this.showChecklist(tripId);
+            UIManager.showToast(
+                added.length > 0 ? `Added ${added.length} suggestion${added.length !== 1 ? 's' : ''}` : 'No new suggestions for this trip',
+                added.length > 0 ? 'success' : 'info',
+                5000,
+                added.length > 0 ? this.getUndoAction() : null
+            );
+        } catch (error) {
+            UIManager.hideLoading();
+            this.handleError('Failed to suggest checklist items', error);
+        }
+    }
+
+    /**
+     * Check off or uncheck a checklist entry
+     */
+    async toggleChecklistEntry(tripId, entryId, done) {
+        try {
+            await this.modules.itinerary.updateChecklistItem(tripId, entryId, { done });
+            this.showChecklist(tripId);
+        } catch (error) {
+            this.handleError('Failed to update checklist', error);
+        }
+    }
+
+    /**
+     * Assign a checklist entry to a traveler, or to everyone
+     */
+    async assignChecklistEntry(tripId, entryId, value) {
+        try {
+            await this.modules.itinerary.updateChecklistItem(tripId, entryId, { assignee: value === '' ? null : parseInt(value) });
+            this.showChecklist(tripId);
+        } catch (error) {
+            this.handleError('Failed to assign checklist item', error);
+        }
+    }
+
+    /**
+     * Remove a checklist entry
+     */
+    async removeChecklistEntry(tripId, entryId) {
+        try {
+            await this.modules.itinerary.removeChecklistItem(tripId, entryId);
+            this.showChecklist(tripId);
+        } catch (error) {
+            this.handleError('Failed to remove checklist item', error);
+        }
+    }
+
+    /**
+     * Close the checklist modal
+     */
+    closeChecklistModal() {
+        const modal = document.getElementById('checklist-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Show the trip's travelers, their profiles and what each one's share of the costs is
+     */
+    showTravelers(tripId) {
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        if (!trip) {
+            UIManager.showToast('Trip not found', 'error');
+            return;
+        }
+
+        const reopening = Boolean(document.getElementById('travelers-modal'));
+        this.closeTravelersModal();
+
+        const travelers = this.modules.itinerary.getTravelers(tripId);
+        const ageBands = this.modules.itinerary.getAgeBands();
+        const costs = this.modules.itinerary.getPerPersonCosts(tripId);
+        const money = (amount) => this.formatTripMoney(trip, amount);
+
+        const renderTraveler = (traveler) => `
+            <form class="traveler-form" data-index="${traveler.index}">
+                <div class="traveler-form-header">
+                    <h4>${this.escapeHtml(traveler.displayName)}</h4>
+                    <span class="traveler-share">${money(costs.travelers[traveler.index].total)}</span>
+                    ${travelers.length > 1 ? `
+                        <button type="button" class="btn btn-sm btn-icon btn-danger" onclick="TravelApp.removeTraveler('${tripId}', ${traveler.index})" title="Remove traveler">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    ` : ''}
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Name</label>
+                        <input type="text" name="name" value="${this.escapeHtml(traveler.name)}" placeholder="As on their passport">
+                    </div>
+                    <div class="form-group">
+                        <label>Age</label>
+                        <select name="ageBand">
+                            ${ageBands.map(band => `
+                                <option value="${band.id}" ${traveler.ageBand === band.id ? 'selected' : ''}>${band.name}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>Passport</label>
+                        <input type="text" name="passportCountry" value="${traveler.passportCountry || ''}" maxlength="2" placeholder="e.g. US">
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Dietary needs</label>
+                        <input type="text" name="dietary" value="${this.escapeHtml(traveler.dietary.join(', '))}" placeholder="e.g. vegetarian, nut allergy">
+                    </div>
+                    <div class="form-group">
+                        <label>Loyalty numbers</label>
+                        <textarea name="loyalty" rows="2" placeholder="Program: number, one per line">${this.escapeHtml(traveler.loyalty.map(entry => `${entry.program}: ${entry.number}`).join('\n'))}</textarea>
+                    </div>
+                </div>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary btn-sm">
+                        <i class="fas fa-save"></i>
+                        Save
+                    </button>
+                </div>
+            </form>
+        `;
+
+        const modalHtml = `
+            <div class="modal trip-creation-modal travelers-modal" id="travelers-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Travelers</h3>
+                        <button class="modal-close" onclick="TravelApp.closeTravelersModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <p class="form-hint">
+                            Profiles fill in passenger details when booking flights and the guest count for hotel searches.
+                            Each traveler's share counts the items they take part in, ${money(costs.total)} in total.
+                        </p>
+                        <div class="trip-creation-form">
+                            ${travelers.map(renderTraveler).join('')}
+                        </div>
+                        <button type="button" class="btn btn-outline btn-sm" onclick="TravelApp.addTraveler('${tripId}')">
+                            <i class="fas fa-user-plus"></i>
+                            Add Traveler
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('travelers-modal');
+        modal.querySelectorAll('.traveler-form').forEach(form => {
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                try {
+                    const formData = new FormData(form);
+                    const loyalty = formData.get('loyalty').split('\n')
+                        .map(line => line.trim())
+                        .filter(Boolean)
+                        .map(line => {
+                            const separator = line.lastIndexOf(':');
+                            return separator === -1
+                                ? { program: line, number: '' }
+                                : { program: line.slice(0, separator), number: line.slice(separator + 1) };
+                        });
+
+                    await this.modules.itinerary.updateTraveler(tripId, parseInt(form.dataset.index), {
+                        name: formData.get('name'),
+                        ageBand: formData.get('ageBand'),
+                        passportCountry: formData.get('passportCountry'),
+                        dietary: formData.get('dietary'),
+                        loyalty
+                    });
+                    this.refreshTrip(tripId);
+                    this.showTravelers(tripId);
+                    UIManager.showToast('Traveler saved', 'success', 5000, this.getUndoAction());
+                } catch (error) {
+                    UIManager.showToast(error.message, 'error');
+                }
+            });
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeTravelersModal();
+            }
+        });
+
+        if (reopening) {
+            modal.classList.add('active');
+        } else {
+            setTimeout(() => modal.classList.add('active'), 10);
+        }
+    }
+
+    /**
+     * Add an unnamed traveler to a trip
+     */
+    async addTraveler(tripId) {
+        try {
+            await this.modules.itinerary.addTraveler(tripId, {});
+            this.refreshTrip(tripId);
+            this.showTravelers(tripId);
+        } catch (error) {
+            this.handleError('Failed to add traveler', error);
+        }
+    }
+
+    /**
+     * Remove a traveler from a trip
+     */
+    async removeTraveler(tripId, index) {
+        try {
+            const traveler = this.modules.itinerary.getTravelers(tripId)[index];
+            await this.modules.itinerary.removeTraveler(tripId, index);
+            this.refreshTrip(tripId);
+            this.showTravelers(tripId);
+            UIManager.showToast(`Removed ${this.escapeHtml(traveler.displayName)}`, 'success', 5000, this.getUndoAction());
+        } catch (error) {
+            this.handleError('Failed to remove traveler', error);
+        }
+    }
+
+    /**
+     * Close the travelers modal
+     */
+    closeTravelersModal() {
+        const modal = document.getElementById('travelers-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Choose which travelers take part in an item
+     */
+    editItemParticipants(tripId, itemId) {
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        const placement = this.modules.itinerary.getItem(tripId, itemId);
+        if (!placement) {
+            UIManager.showToast('Item not found', 'error');
+            return;
+        }
+
+        this.closeParticipantsModal();
+
+        const item = placement.item;
+        const travelers = this.modules.itinerary.getTravelers(tripId);
+        const modalHtml = `
+            <div class="modal trip-creation-modal participants-modal" id="participants-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Who's going to "${this.escapeHtml(item.title)}"?</h3>
+                        <button class="modal-close" onclick="TravelApp.closeParticipantsModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <form class="trip-creation-form" id="participants-form">
+                            <div class="participant-list">
+                                ${travelers.map(traveler => `
+                                    <label class="participant-option">
+                                        <input type="checkbox" name="participants" value="${traveler.index}" ${!item.participants || item.participants.includes(traveler.index) ? 'checked' : ''}>
+                                        <span>${this.escapeHtml(traveler.displayName)}</span>
+                                    </label>
+                                `).join('')}
+                            </div>
+                            ${item.cost ? `
+                                <p class="form-hint">Its ${this.formatTripMoney(trip, item.cost)} cost is split evenly between the travelers going.</p>
+                            ` : ''}
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-outline" onclick="TravelApp.closeParticipantsModal()">
+                                    Cancel
+                                </button>
+                                <button type="submit" class="btn btn-primary">
+                                    <i class="fas fa-save"></i>
+                                    Save
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('participants-modal');
+        document.getElementById('participants-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const participants = new FormData(e.target).getAll('participants').map(value => parseInt(value));
+                await this.modules.itinerary.updateItem(tripId, itemId, { participants });
+                this.closeParticipantsModal();
+                this.refreshTrip(tripId);
+                UIManager.showToast('Travelers updated', 'success', 5000, this.getUndoAction());
+            } catch (error) {
+                UIManager.showToast(error.message, 'error');
+            }
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeParticipantsModal();
+            }
+        });
+
+        setTimeout(() => modal.classList.add('active'), 10);
+    }
+
+    /**
+     * Close the participants modal
+     */
+    closeParticipantsModal() {
+        const modal = document.getElementById('participants-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Book a flight on the trip for the travelers taking it
+     * Passenger details are prefilled from their profiles.
+     */
+    bookFlightItem(tripId, itemId) {
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        if (!trip) {
+            UIManager.showToast('Trip not found', 'error');
+            return;
+        }
+
+        this.closeFlightBookingModal();
+
+        let booking;
+        try {
+            booking = this.modules.itinerary.getBookingDetails(tripId, itemId);
+        } catch (error) {
+            UIManager.showToast(error.message, 'error');
+            return;
+        }
+        const item = this.modules.itinerary.getItem(tripId, itemId).item;
+        // Every flight of a round-trip or multi-city itinerary is booked together
+        const itineraryFlights = trip.days
+            .flatMap(day => Object.values(day.timeSlots).flatMap(slot => slot.items || []))
+            .filter(other => other.type === 'flight' && item.data.id && other.data && other.data.id === item.data.id);
+
+        const modalHtml = `
+            <div class="modal trip-creation-modal flight-booking-modal" id="flight-booking-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Book ${this.escapeHtml(item.title)}</h3>
+                        <button class="modal-close" onclick="TravelApp.closeFlightBookingModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <form class="trip-creation-form" id="flight-booking-form">
+                            ${itineraryFlights.length > 1 ? `
+                                <p class="form-hint">Books all ${itineraryFlights.length} flights of this itinerary: ${itineraryFlights.map(flight => this.escapeHtml(flight.title)).join(', ')}</p>
+                            ` : ''}
+                            ${booking.passengerDetails.map((passenger, position) => `
+                                <fieldset class="booking-passenger" data-position="${position}">
+                                    <legend>${this.escapeHtml(this.modules.itinerary.getTravelers(tripId)[passenger.travelerIndex].displayName)} (${passenger.passengerType})</legend>
+                                    <div class="form-row">
+                                        <div class="form-group">
+                                            <label>First name *</label>
+                                            <input type="text" name="firstName" value="${this.escapeHtml(passenger.firstName)}" required>
+                                        </div>
+                                        <div class="form-group">
+                                            <label>Last name *</label>
+                                            <input type="text" name="lastName" value="${this.escapeHtml(passenger.lastName)}" required>
+                                        </div>
+                                        <div class="form-group">
+                                            <label>Date of birth *</label>
+                                            <input type="date" name="dateOfBirth" value="${passenger.dateOfBirth}" required>
+                                        </div>
+                                    </div>
+                                    <p class="form-hint">
+                                        ${passenger.nationality ? `Passport: ${passenger.nationality}` : 'No passport country on file'}
+                                        ${passenger.loyaltyNumber ? ` · ${this.escapeHtml(passenger.loyaltyProgram)} ${this.escapeHtml(passenger.loyaltyNumber)}` : ''}
+                                        ${passenger.dietary.length > 0 ? ` · Meals: ${this.escapeHtml(passenger.dietary.join(', '))}` : ''}
+                                    </p>
+                                </fieldset>
+                            `).join('')}
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="booking-card-number">Card number *</label>
+                                    <input type="text" id="booking-card-number" name="cardNumber" inputmode="numeric" autocomplete="cc-number" required>
+                                </div>
+                                <div class="form-group">
+                                    <label for="booking-card-expiry">Expiry *</label>
+                                    <input type="text" id="booking-card-expiry" name="expiryDate" placeholder="MM/YY" autocomplete="cc-exp" required>
+                                </div>
+                                <div class="form-group">
+                                    <label for="booking-card-cvv">CVV *</label>
+                                    <input type="text" id="booking-card-cvv" name="cvv" inputmode="numeric" autocomplete="cc-csc" maxlength="4" required>
+                                </div>
+                            </div>
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-outline" onclick="TravelApp.closeFlightBookingModal()">
+                                    Cancel
+                                </button>
+                                <button type="submit" class="btn btn-primary">
+                                    <i class="fas fa-ticket-alt"></i>
+                                    Book ${booking.passengerDetails.length} Passenger${booking.passengerDetails.length !== 1 ? 's' : ''}
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('flight-booking-modal');
+        document.getElementById('flight-booking-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            try {
+                UIManager.showLoading('Booking flight...');
+
+                const form = e.target;
+                const passengerDetails = Array.from(form.querySelectorAll('.booking-passenger')).map(fieldset => {
+                    const field = (name) => fieldset.querySelector(`[name="${name}"]`).value.trim();
+                    return {
+                        ...booking.passengerDetails[parseInt(fieldset.dataset.position)],
+                        firstName: field('firstName'),
+                        lastName: field('lastName'),
+                        dateOfBirth: field('dateOfBirth')
+                    };
+                });
+                const formData = new FormData(form);
+                const confirmation = await this.services.flight.bookFlight(item.data.id, passengerDetails, {
+                    cardNumber: formData.get('cardNumber'),
+                    expiryDate: formData.get('expiryDate'),
+                    cvv: formData.get('cvv')
+                }, item.data);
+
+                await this.modules.itinerary.batch(tripId, `Book "${item.title}"`, async () => {
+                    for (const flight of itineraryFlights.length > 0 ? itineraryFlights : [item]) {
+                        await this.modules.itinerary.updateItem(tripId, flight.id, {
+                            status: 'booked',
+                            booking: {
+                                ...flight.booking,
+                                confirmationCode: confirmation.confirmationCode,
+                                provider: (flight.booking && flight.booking.provider) || { name: flight.data.airline }
+                            },
+                            data: {
+                                ...flight.data,
+                                booking: {
+                                    id: confirmation.id,
+                                    confirmationCode: confirmation.confirmationCode,
+                                    bookingDate: confirmation.bookingDate,
+                                    eTickets: confirmation.eTickets
+                                }
+                            }
+                        });
+                    }
+                });
+
+                this.closeFlightBookingModal();
+                this.refreshTrip(tripId);
+                UIManager.hideLoading();
+                UIManager.showToast(`Flight booked, confirmation ${confirmation.confirmationCode}`, 'success');
+            } catch (error) {
+                UIManager.hideLoading();
+                UIManager.showToast(error.message, 'error');
+            }
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeFlightBookingModal();
+            }
+        });
+
+        setTimeout(() => modal.classList.add('active'), 10);
+    }
+
+    /**
+     * Close the flight booking modal
+     */
+    closeFlightBookingModal() {
+        const modal = document.getElementById('flight-booking-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Search flights for a trip, on exact dates or across a fare calendar
+     * Flexible searches show the cheapest fare for each date as a heat map;
+     * picking a date searches it exactly.
+     */
+    showFlightSearch(tripId) {
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        if (!trip) {
+            UIManager.showToast('Trip not found', 'error');
+            return;
+        }
+
+        this.closeFlightSearchModal();
+
+        const modalHtml = `
+            <div class="modal trip-creation-modal flight-search-modal" id="flight-search-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Flights for "${this.escapeHtml(trip.title)}"</h3>
+                        <button class="modal-close" onclick="TravelApp.closeFlightSearchModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <form class="trip-creation-form" id="flight-search-form">
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="flight-search-origin">From *</label>
+                                    <input type="text" id="flight-search-origin" name="origin" placeholder="City or airport" list="flight-search-origin-airports" autocomplete="off" required>
+                                    <datalist id="flight-search-origin-airports"></datalist>
+                                    <button type="button" class="btn btn-sm btn-outline flight-search-nearest" id="flight-search-nearest">
+                                        <i class="fas fa-location-arrow"></i>
+                                        Nearest airport
+                                    </button>
+                                </div>
+                                <div class="form-group">
+                                    <label for="flight-search-destination">To *</label>
+                                    <input type="text" id="flight-search-destination" name="destination" value="${this.escapeHtml(trip.destination || '')}" list="flight-search-destination-airports" autocomplete="off" required>
+                                    <datalist id="flight-search-destination-airports"></datalist>
+                                </div>
+                            </div>
+                            <p class="form-hint" id="flight-search-nearby" hidden></p>
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="flight-search-departure">Depart *</label>
+                                    <input type="date" id="flight-search-departure" name="departureDate" value="${trip.startDate}" required>
+                                </div>
+                                <div class="form-group">
+                                    <label for="flight-search-return">Return</label>
+                                    <input type="date" id="flight-search-return" name="returnDate" value="${trip.endDate}">
+                                </div>
+                                <div class="form-group">
+                                    <label for="flight-search-passengers">Passengers</label>
+                                    <input type="number" id="flight-search-passengers" name="passengers" min="1" max="9" value="${Math.min(this.getPartySize(), 9)}">
+                                </div>
+                            </div>
+                            <div class="form-group">
+                                <label for="flight-search-dates">Dates</label>
+                                <select id="flight-search-dates" name="dates">
+                                    <option value="exact">Exact dates</option>
+                                    <option value="flexible">Flexible, 3 days either side</option>
+                                    <option value="month">Whole month, same trip length</option>
+                                </select>
+                            </div>
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-outline" onclick="TravelApp.closeFlightSearchModal()">
+                                    Close
+                                </button>
+                                <button type="submit" class="btn btn-primary">
+                                    <i class="fas fa-search"></i>
+                                    Search Flights
+                                </button>
+                            </div>
+                        </form>
+                        <div class="flight-search-results" id="flight-search-results"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('flight-search-modal');
+        const form = document.getElementById('flight-search-form');
+        const results = document.getElementById('flight-search-results');
+
+        const search = async () => {
+            const formData = new FormData(form);
+            const dates = formData.get('dates');
+            const departureDate = formData.get('departureDate');
+            const returnDate = formData.get('returnDate') || undefined;
+            const params = {
+                origin: formData.get('origin').trim(),
+                destination: formData.get('destination').trim(),
+                passengers: parseInt(formData.get('passengers')) || 1
+            };
+
+            try {
+                if (dates === 'exact') {
+                    UIManager.showLoading('Searching flights...');
+                    const found = await this.services.flight.searchFlightsWithReport({ ...params, departureDate, returnDate });
+                    const failed = found.providers.filter(provider => provider.status === 'failed');
+                    if (failed.length > 0) {
+                        UIManager.showToast(`Some flight sources did not respond: ${failed.map(provider => provider.name).join(', ')}`, 'warning');
+                    }
+
+                    this._lastSearchResults = found.flights;
+                    results.innerHTML = found.flights.length === 0 ? `
+                        <p class="form-hint">No flights found for these dates.</p>
+                    ` : `
+                        <p class="form-hint">${found.flights.length} flight${found.flights.length !== 1 ? 's' : ''}</p>
+                        <div class="search-results-grid">${found.flights.map(flight => this.renderFlightResult(flight)).join('')}</div>
+                    `;
+                } else {
+                    UIManager.showLoading(dates === 'month' ? 'Checking fares for the whole month...' : 'Checking fares for nearby dates...');
+                    const calendar = await this.services.flight.getFareCalendar(dates === 'month' ? {
+                        ...params,
+                        month: departureDate.slice(0, 7),
+                        nights: returnDate ? Math.round((new Date(returnDate) - new Date(departureDate)) / 86400000) : undefined,
+                        currency: trip.budget.currency
+                    } : {
+                        ...params,
+                        departureDate,
+                        returnDate,
+                        flexDays: 3,
+                        currency: trip.budget.currency
+                    });
+                    results.innerHTML = this.renderFareCalendar(calendar);
+                }
+                UIManager.hideLoading();
+            } catch (error) {
+                UIManager.hideLoading();
+                UIManager.showToast(error.message, 'error');
+            }
+        };
+
+        // Suggest airports and multi-airport cities while typing; picking one fills in its code
+        ['origin', 'destination'].forEach(field => {
+            const input = form.elements[field];
+            const list = document.getElementById(`flight-search-${field}-airports`);
+            input.addEventListener('input', () => {
+                list.innerHTML = this.services.flight.searchAirports(input.value).map(match => (match.type === 'city'
+                    ? `<option value="${this.escapeHtml(match.code || match.city)}">${this.escapeHtml(`${match.city}, ${match.country} · all airports (${match.airports.map(airport => airport.iata).join(', ')})`)}</option>`
+                    : `<option value="${match.code}">${this.escapeHtml(`${match.name}, ${match.city}, ${match.country}`)}</option>`
+                )).join('');
+            });
+        });
+
+        document.getElementById('flight-search-nearest').addEventListener('click', async () => {
+            const hint = document.getElementById('flight-search-nearby');
+            let coordinates;
+            try {
+                coordinates = await this.services.map.locateUser();
+            } catch (error) {
+                // Without the user's position, use wherever the map is showing
+                if (!this.services.map.map) {
+                    UIManager.showToast('Your location is not available', 'error');
+                    return;
+                }
+                const center = this.services.map.map.getCenter();
+                coordinates = [center.lat, center.lng];
+            }
+
+            const nearest = this.services.flight.findNearestAirports(coordinates, { limit: 3 });
+            form.elements.origin.value = nearest[0].iata;
+            hint.hidden = false;
+            hint.textContent = `Nearest: ${nearest.map(airport => `${airport.iata} ${airport.name} (${Math.round(airport.distanceKm)} km)`).join(', ')}`;
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            search();
+        });
+        results.addEventListener('click', (e) => {
+            const cell = e.target.closest('.fare-cell');
+            if (!cell || cell.disabled) return;
+
+            // Search the picked dates exactly
+            form.elements.departureDate.value = cell.dataset.departure;
+            form.elements.returnDate.value = cell.dataset.return || '';
+            form.elements.dates.value = 'exact';
+            search();
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeFlightSearchModal();
+            }
+        });
+
+        setTimeout(() => modal.classList.add('active'), 10);
+    }
+
+    /**
+     * Render a fare calendar as a heat map, cheapest dates highlighted
+     * One-way and fixed-length trips are a month-style grid of departure days;
+     * otherwise departures are rows and returns are columns.
+     */
+    renderFareCalendar(calendar) {
+        const byDates = new Map(calendar.cells.map(cell => [`${cell.departureDate}_${cell.returnDate || ''}`, cell]));
+        const prices = calendar.cells.filter(cell => cell.status === 'ok').map(cell => cell.price);
+        const lowest = Math.min(...prices);
+        const highest = Math.max(...prices);
+        const formatDate = (date, options = { month: 'short', day: 'numeric' }) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', options);
+
+        const renderCell = (cell, label = '') => {
+            if (!cell) {
+                return '<span class="fare-cell fare-empty"></span>';
+            }
+            const level = cell.status !== 'ok' || highest === lowest
+                ? 0
+                : Math.min(4, Math.floor(((cell.price - lowest) / (highest - lowest)) * 5));
+            const title = cell.status === 'failed'
+                ? `Could not check: ${cell.error}`
+                : `${formatDate(cell.departureDate)}${cell.returnDate ? ` to ${formatDate(cell.returnDate)}` : ''}${cell.status === 'none' ? ': no flights' : ''}`;
+            return `
+                <button type="button" class="fare-cell ${cell.status === 'ok' ? `fare-level-${level}` : 'fare-unavailable'} ${cell.cheapest ? 'fare-cheapest' : ''}"
+                    data-departure="${cell.departureDate}" data-return="${cell.returnDate || ''}" title="${this.escapeHtml(title)}" ${cell.status === 'ok' ? '' : 'disabled'}>
+                    ${label ? `<span class="fare-date">${label}</span>` : ''}
+                    <span class="fare-price">${cell.status === 'ok' ? CurrencyConverter.format(Math.round(cell.price), calendar.currency) : '—'}</span>
+                </button>
+            `;
+        };
+
+        let grid;
+        if (calendar.returnDates.length === 0 || calendar.nights) {
+            const leading = new Date(`${calendar.departureDates[0]}T00:00:00`).getDay();
+            grid = `
+                <div class="fare-calendar-grid">
+                    ${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => `<span class="fare-weekday">${day}</span>`).join('')}
+                    ${'<span class="fare-cell fare-empty"></span>'.repeat(leading)}
+                    ${calendar.departureDates.map((date, index) => renderCell(
+                        byDates.get(`${date}_${calendar.returnDates[index] || ''}`),
+                        formatDate(date)
+                    )).join('')}
+                </div>
+            `;
+        } else {
+            grid = `
+                <div class="fare-calendar-table-wrapper">
+                    <table class="fare-calendar-table">
+                        <thead>
+                            <tr>
+                                <th>Depart / Return</th>
+                                ${calendar.returnDates.map(date => `<th>${formatDate(date, { weekday: 'short', month: 'short', day: 'numeric' })}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${calendar.departureDates.map(departureDate => `
+                                <tr>
+                                    <th>${formatDate(departureDate, { weekday: 'short', month: 'short', day: 'numeric' })}</th>
+                                    ${calendar.returnDates.map(returnDate => `<td>${renderCell(byDates.get(`${departureDate}_${returnDate}`))}</td>`).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="fare-calendar">
+                ${calendar.cheapest ? `
+                    <p class="form-hint">
+                        Cheapest: <strong>${CurrencyConverter.format(calendar.cheapest.price, calendar.currency)}</strong>
+                        ${calendar.cheapest.combinations.map(({ departureDate, returnDate }) => `${formatDate(departureDate)}${returnDate ? ` to ${formatDate(returnDate)}` : ''}`).join(', ')}
+                        ${calendar.nights ? ` · ${calendar.nights} night${calendar.nights !== 1 ? 's' : ''}` : ''}
+                    </p>
+                ` : '<p class="form-hint">No flights found on any of these dates.</p>'}
+                ${grid}
+                <div class="fare-legend">
+                    <span>Lower</span>
+                    ${[0, 1, 2, 3, 4].map(level => `<span class="fare-swatch fare-level-${level}"></span>`).join('')}
+                    <span>Higher</span>
+                    <span class="fare-swatch fare-cheapest"></span>
+                    <span>Cheapest</span>
+                    <span class="fare-legend-hint">Pick a date to see its flights</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Close the flight search modal
+     */
+    closeFlightSearchModal() {
+        const modal = document.getElementById('flight-search-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Edit an item's booking details and notes, and attach files to it
+     */
+    editItemDetails(tripId, itemId) {
+        const placement = this.modules.itinerary.getItem(tripId, itemId);
+        if (!placement) {
+            UIManager.showToast('Item not found', 'error');
+            return;
+        }
+
+        this.closeItemDetailsModal();
+
+        const item = placement.item;
+        const booking = item.booking || {};
+        const provider = booking.provider || {};
+        const [cancelDate, cancelTime] = (booking.cancellationDeadline || '').split('T');
+        const value = (text) => this.escapeHtml(text || '');
+
+        const modalHtml = `
+            <div class="modal trip-creation-modal item-details-modal" id="item-details-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Booking for "${this.escapeHtml(item.title)}"</h3>
+                        <button class="modal-close" onclick="TravelApp.closeItemDetailsModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <form class="trip-creation-form" id="item-details-form">
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="item-confirmation-code">Confirmation code</label>
+                                    <input type="text" id="item-confirmation-code" name="confirmationCode" value="${value(booking.confirmationCode)}" maxlength="40">
+                                </div>
+                                <div class="form-group">
+                                    <label for="item-cancel-date">Free cancellation until</label>
+                                    <input type="date" id="item-cancel-date" name="cancelDate" value="${cancelDate || ''}">
+                                </div>
+                                <div class="form-group">
+                                    <label for="item-cancel-time">Time</label>
+                                    <input type="time" id="item-cancel-time" name="cancelTime" value="${cancelTime || ''}">
+                                </div>
+                            </div>
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="item-provider-name">Provider</label>
+                                    <input type="text" id="item-provider-name" name="providerName" value="${value(provider.name)}" placeholder="Airline, hotel or operator">
+                                </div>
+                                <div class="form-group">
+                                    <label for="item-provider-phone">Phone</label>
+                                    <input type="tel" id="item-provider-phone" name="providerPhone" value="${value(provider.phone)}">
+                                </div>
+                            </div>
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="item-provider-email">Email</label>
+                                    <input type="email" id="item-provider-email" name="providerEmail" value="${value(provider.email)}">
+                                </div>
+                                <div class="form-group">
+                                    <label for="item-provider-website">Website</label>
+                                    <input type="text" id="item-provider-website" name="providerWebsite" value="${value(provider.website)}">
+                                </div>
+                            </div>
+                            <div class="form-group">
+                                <label for="item-notes">Notes</label>
+                                <textarea id="item-notes" name="notes" rows="3" placeholder="Check-in instructions, seat numbers, what to bring...">${value(item.notes)}</textarea>
+                            </div>
+
+                            <h4>Attachments</h4>
+                            <div id="item-attachments">${this.renderAttachmentList(tripId, itemId, item.attachments || [])}</div>
+                            <label class="btn btn-outline btn-sm attachment-upload">
+                                <i class="fas fa-paperclip"></i>
+                                Attach Files
+                                <input type="file" id="item-attachment-input" accept="application/pdf,image/png,image/jpeg,image/gif,image/webp,text/plain" multiple hidden>
+                            </label>
+                            <p class="form-hint">PDF tickets, QR codes and other images or text files up to 1 MB each. Files are kept on this device.</p>
+
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-outline" onclick="TravelApp.closeItemDetailsModal()">
+                                    Cancel
+                                </button>
+                                <button type="submit" class="btn btn-primary">
+                                    <i class="fas fa-save"></i>
+                                    Save
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('item-details-modal');
+        document.getElementById('item-attachment-input').addEventListener('change', async (e) => {
+            await this.attachFiles(tripId, itemId, Array.from(e.target.files));
+            e.target.value = '';
+        });
+        document.getElementById('item-details-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const formData = new FormData(e.target);
+                const field = (name) => formData.get(name).trim();
+                const deadline = field('cancelDate') ? `${field('cancelDate')}${field('cancelTime') ? `T${field('cancelTime')}` : ''}` : '';
+
+                await this.modules.itinerary.updateItem(tripId, itemId, {
+                    booking: {
+                        confirmationCode: field('confirmationCode'),
+                        provider: {
+                            name: field('providerName'),
+                            phone: field('providerPhone'),
+                            email: field('providerEmail'),
+                            website: field('providerWebsite')
+                        },
+                        cancellationDeadline: deadline
+                    },
+                    notes: field('notes')
+                });
+                this.closeItemDetailsModal();
+                this.refreshTrip(tripId);
+                this.refreshDocuments(tripId);
+                UIManager.showToast('Booking details saved', 'success', 5000, this.getUndoAction());
+            } catch (error) {
+                UIManager.showToast(error.message, 'error');
+            }
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeItemDetailsModal();
+            }
+        });
+
+        setTimeout(() => modal.classList.add('active'), 10);
+    }
+
+    /**
+     * Close the item booking modal
+     */
+    closeItemDetailsModal() {
+        const modal = document.getElementById('item-details-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Render a list of attached files with open, download and remove buttons
+     */
+    renderAttachmentList(tripId, itemId, attachments) {
+        if (attachments.length === 0) {
+            return '<p class="form-hint">No files attached.</p>';
+        }
+
+        return `
+            <ul class="attachment-list">
+                ${attachments.map(attachment => {
+                    const stored = this.modules.itinerary.getAttachment(attachment.id) !== null;
+                    const icon = attachment.type === 'application/pdf' ? 'fa-file-pdf' : attachment.type.startsWith('image/') ? 'fa-file-image' : 'fa-file-alt';
+                    return `
+                        <li class="attachment ${stored ? '' : 'missing'}">
+                            <i class="fas ${icon}"></i>
+                            ${stored ? `
+                                <button type="button" class="attachment-name" onclick="TravelApp.openAttachment('${attachment.id}')">${this.escapeHtml(attachment.name)}</button>
+                            ` : `
+                                <span class="attachment-name" title="This file was attached on another device">${this.escapeHtml(attachment.name)}</span>
+                            `}
+                            <small>${this.formatFileSize(attachment.size)}</small>
+                            ${stored ? `
+                                <button type="button" class="btn btn-sm btn-icon" onclick="TravelApp.openAttachment('${attachment.id}', true)" title="Download">
+                                    <i class="fas fa-download"></i>
+                                </button>
+                            ` : ''}
+                            <button type="button" class="btn btn-sm btn-icon btn-danger" onclick="TravelApp.removeAttachment('${tripId}', '${itemId}', '${attachment.id}')" title="Remove">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Attach files picked by the user to an item
+     */
+    async attachFiles(tripId, itemId, files) {
+        const readFile = (file) => new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+            reader.readAsDataURL(file);
+        });
+
+        let attached = 0;
+        for (const file of files) {
+            try {
+                const dataUrl = await readFile(file);
+                await this.modules.itinerary.addAttachment(tripId, itemId, { name: file.name, type: file.type, dataUrl });
+                attached++;
+            } catch (error) {
+                UIManager.showToast(this.escapeHtml(error.message), 'error');
+            }
+        }
+
+        if (attached > 0) {
+            this.refreshAttachments(tripId, itemId);
+            UIManager.showToast(`Attached ${attached} file${attached !== 1 ? 's' : ''}`, 'success', 5000, this.getUndoAction());
+        }
+    }
+
+    /**
+     * Remove an attached file from an item
+     */
+    async removeAttachment(tripId, itemId, attachmentId) {
+        try {
+            await this.modules.itinerary.removeAttachment(tripId, itemId, attachmentId);
+            this.refreshAttachments(tripId, itemId);
+            UIManager.showToast('File removed', 'success', 5000, this.getUndoAction());
+        } catch (error) {
+            UIManager.showToast(error.message, 'error');
+        }
+    }
+
+    /**
+     * Re-render everything that lists an item's files
+     */
+    refreshAttachments(tripId, itemId) {
+        const list = document.getElementById('item-attachments');
+        const placement = this.modules.itinerary.getItem(tripId, itemId);
+        if (list && placement) {
+            list.innerHTML = this.renderAttachmentList(tripId, itemId, placement.item.attachments || []);
+        }
+        this.refreshTrip(tripId);
+        this.refreshDocuments(tripId);
+    }
+
+    /**
+     * Open an attached file in a new tab, or download it
+     */
+    async openAttachment(attachmentId, download = false) {
+        const attachment = this.modules.itinerary.getAttachment(attachmentId);
+        if (!attachment) {
+            UIManager.showToast('This file is not stored on this device', 'error');
+            return;
+        }
+
+        try {
+            const blob = await (await fetch(attachment.dataUrl)).blob();
+            if (download) {
+                this.downloadExport({ data: blob, filename: attachment.name });
+                return;
+            }
+
+            const url = URL.createObjectURL(blob);
+            window.open(url, '_blank', 'noopener');
+            // The new tab holds its own copy once it has loaded
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        } catch (error) {
+            this.logger.error('Failed to open attachment', { error: error.message, attachmentId });
+            UIManager.showToast(`Could not open ${this.escapeHtml(attachment.name)}`, 'error');
+        }
+    }
+
+    /**
+     * Format a file size, e.g. "240 KB"
+     */
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Show every confirmation code, contact, deadline, note and file on a trip
+     */
+    showDocuments(tripId) {
+        const trip = this.modules.itinerary.getItinerary(tripId);
+        if (!trip) {
+            UIManager.showToast('Trip not found', 'error');
+            return;
+        }
+
+        // Re-rendering open documents should not replay the opening animation
+        const reopening = Boolean(document.getElementById('documents-modal'));
+        this.closeDocumentsModal();
+
+        const documents = this.modules.itinerary.getDocuments(tripId);
+        const deadlineLabels = { passed: 'Cancellation closed', soon: 'Cancel soon', open: 'Free cancellation' };
+        const renderEntry = ({ item, date, booking, notes, cancellation, attachments }) => {
+            const provider = (booking && booking.provider) || {};
+            return `
+                <li class="document-entry">
+                    <div class="document-entry-header">
+                        <div>
+                            <h4>${this.escapeHtml(item.title)}</h4>
+                            <small>${new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}</small>
+                        </div>
+                        <button class="btn btn-sm btn-icon" onclick="TravelApp.editItemDetails('${tripId}', '${item.id}')" title="Edit">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                    </div>
+                    ${booking && booking.confirmationCode ? `
+                        <p class="document-code"><i class="fas fa-hashtag"></i> ${this.escapeHtml(booking.confirmationCode)}</p>
+                    ` : ''}
+                    ${provider.name || provider.phone || provider.email || provider.website ? `
+                        <p class="document-contact">
+                            ${provider.name ? `<span>${this.escapeHtml(provider.name)}</span>` : ''}
+                            ${provider.phone ? `<a href="tel:${this.escapeHtml(provider.phone.replace(/[^\d+]/g, ''))}"><i class="fas fa-phone"></i> ${this.escapeHtml(provider.phone)}</a>` : ''}
+                            ${provider.email ? `<a href="mailto:${this.escapeHtml(provider.email)}"><i class="fas fa-envelope"></i> ${this.escapeHtml(provider.email)}</a>` : ''}
+                            ${provider.website ? `<a href="${this.escapeHtml(provider.website)}" target="_blank" rel="noopener"><i class="fas fa-globe"></i> Website</a>` : ''}
+                        </p>
+                    ` : ''}
+                    ${cancellation ? `
+                        <p class="document-deadline deadline-${cancellation.state}">
+                            <i class="fas fa-calendar-times"></i>
+                            ${deadlineLabels[cancellation.state]}: ${cancellation.deadline.replace('T', ' ')}
+                        </p>
+                    ` : ''}
+                    ${notes ? `<p class="document-notes">${this.escapeHtml(notes)}</p>` : ''}
+                    ${attachments.length > 0 ? this.renderAttachmentList(tripId, item.id, attachments) : ''}
+                </li>
+            `;
+        };
+
+        const modalHtml = `
+            <div class="modal documents-modal" id="documents-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Documents for "${this.escapeHtml(trip.title)}"</h3>
+                        <button class="modal-close" onclick="TravelApp.closeDocumentsModal()">×</button>
+                    </div>
+                    <div class="modal-body">
+                        ${documents.entries.length === 0 ? `
+                            <p class="form-hint">No bookings or files yet. Use the <i class="fas fa-paperclip"></i> button on an item to add its confirmation code, provider contact, cancellation deadline, notes and tickets.</p>
+                        ` : `
+                            <p class="form-hint">
+                                ${documents.entries.length} item${documents.entries.length !== 1 ? 's' : ''},
+                                ${documents.attachmentCount} file${documents.attachmentCount !== 1 ? 's' : ''} (${this.formatFileSize(documents.totalSize)})
+                            </p>
+                            <ul class="document-list">${documents.entries.map(renderEntry).join('')}</ul>
+                        `}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('documents-modal');
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeDocumentsModal();
+            }
+        });
+
+        if (reopening) {
+            modal.classList.add('active');
+        } else {
+            setTimeout(() => modal.classList.add('active'), 10);
+        }
+    }
+
+    /**
+     * Re-render the documents modal if it is open
+     */
+    refreshDocuments(tripId) {
+        if (document.getElementById('documents-modal')) {
+            this.showDocuments(tripId);
+        }
+    }
+
+    /**
+     * Close the documents modal
+     */
+    closeDocumentsModal() {
+        const modal = document.getElementById('documents-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Move a trip to a new status
+     */
+    async setTripStatus(tripId, status) {
+        if (!status) return;
+
+        try {
+            await this.modules.itinerary.setStatus(tripId, status);
+            const { name } = this.modules.itinerary.getStatus(tripId);
+            UIManager.showToast(`Trip marked as ${name.toLowerCase()}`, 'success', 5000, this.getUndoAction());
+        } catch (error) {
+            UIManager.showToast(error.message, 'error');
+        }
+        this.refreshTrip(tripId);
+    }
+
+    /**
+     * Check in to an item, skip it, or set it back to planned
+     */
+    async setItemStatus(tripId, itemId, status) {
+        try {
+            const item = await this.modules.itinerary.setItemStatus(tripId, itemId, status);
+            this.refreshTrip(tripId);
+            const title = this.escapeHtml(item.title);
+            const message = status === 'completed' ? `Checked in to ${title}` : status === 'skipped' ? `Skipped ${title}` : `${title} set back to ${item.status}`;
+            UIManager.showToast(message, 'success', 5000, this.getUndoAction());
+        } catch (error) {
+            UIManager.showToast(error.message, 'error');
+        }
+    }
+
+    /**
+     * Show how to get from the user's position to today's next item
+     */
+    async showDirections(tripId) {
+        const target = document.getElementById('today-directions');
+        const view = this.modules.itinerary.getTodayView(tripId);
+        if (!target || !view || !view.next) return;
+
+        const { item, destination } = view.next;
+        const searchLink = `https://www.openstreetmap.org/search?query=${encodeURIComponent(destination.address)}`;
+        target.innerHTML = '<span class="day-lookup-loading">Finding your location...</span>';
+
+        let html;
+        try {
+            if (!destination.coordinates) {
+                throw new Error('No coordinates for this item');
+            }
+            const origin = await this.services.map.locateUser();
+            const directions = this.services.map.getDirections(origin, [destination.coordinates.lat, destination.coordinates.lng]);
+            html = `
+                <i class="fas fa-location-arrow"></i>
+                ${directions.distanceKm} km ${directions.heading}, about ${this.formatCountdown(directions.walkingMinutes)} on foot
+                <a href="${directions.url}" target="_blank" rel="noopener">Route</a>
+            `;
+        } catch (error) {
+            this.logger.warn('Could not work out directions', { error: error.message });
+            html = destination.address
+                ? `<a href="${searchLink}" target="_blank" rel="noopener">Find ${this.escapeHtml(destination.address)} on the map</a>`
+                : '<span>Your location is not available.</span>';
+        }
+
+        this.todayDirections = { itemId: item.id, html };
+        target.innerHTML = html;
+    }
+
+    /**
+     * Add a day to the end of a trip
+     */
+    async addDay(tripId) {
+        try {
+            this.logger.info('Add day to trip', { tripId });
+
+            const trip = await this.modules.itinerary.addDay(tripId);
+            this.refreshTrip(tripId);
+
+            const lastDay = trip.days[trip.days.length - 1];
+            UIManager.showToast(`Day ${lastDay.dayNumber} (${lastDay.dayOfWeek}) added`, 'success', 5000, this.getUndoAction());
+
+        } catch (error) {
+            this.handleError('Failed to add day', error);
+        }
+    }
+
+    /**
+     * Remove a day from a trip, asking where its activities should go
+     */
+    async removeDay(tripId, dayIndex) {
+        try {
+            this.logger.info('Remove day from trip', { tripId, dayIndex });
+
+            const trip = this.modules.itinerary.getItinerary(tripId);
+            if (!trip) {
+                UIManager.showToast('Trip not found', 'error');
+                return;
+            }
+
+            const change = { type: 'remove-day', dayIndex };
+            const preview = this.modules.itinerary.previewDateChange(tripId, change);
+
+            if (preview.orphaned.length === 0) {
+                const confirmed = confirm(`Remove Day ${dayIndex + 1} (${trip.days[dayIndex].date}) from "${trip.title}"?`);
+                if (!confirmed) return;
+            }
+
+            await this.applyDateChange(tripId, change, `Day ${dayIndex + 1} removed`);
+
+        } catch (error) {
+            this.handleError('Failed to remove day', error);
+        }
+    }
+
+    /**
+     * Delete trip with confirmation
      */
     async deleteTrip(tripId) {
         try {
@@ -2357,7 +6289,7 @@ class TravelPlannerApp {
             }
             
             // Show confirmation dialog
-            const confirmed = confirm(`Are you sure you want to delete "${trip.title || trip.name}"?\n\nThis action cannot be undone.`);
+            const confirmed = confirm(`Are you sure you want to delete "${trip.title || trip.name}"?\n\nYou can undo this with Ctrl+Z on the planner page.`);
             
             if (!confirmed) {
                 this.logger.info('Trip deletion cancelled by user');
@@ -2373,25 +6305,93 @@ class TravelPlannerApp {
             // If this was the current trip, clear the itinerary builder
             const currentTrip = this.modules.itinerary.getCurrentItinerary();
             if (!currentTrip || currentTrip.id === tripId) {
-                const builder = document.getElementById('itinerary-builder');
-                if (builder) {
-                    builder.innerHTML = `
-                        <div class="empty-state">
-                            <i class="fas fa-calendar-plus"></i>
-                            <h3>Start Planning Your Adventure</h3>
-                            <p>Create a new trip or select an existing one to begin planning</p>
-                        </div>
-                    `;
-                }
+                this.clearItineraryBuilder();
             }
             
-            UIManager.showToast(`"${trip.title || trip.name}" has been deleted`, 'success');
+            UIManager.showToast(`"${this.escapeHtml(trip.title || trip.name)}" has been deleted`, 'success', 5000, this.getUndoAction());
             
         } catch (error) {
             this.handleError('Failed to delete trip', error);
             UIManager.showToast('Failed to delete trip. Please try again.', 'error');
         }
     }
+
+    /**
+     * Show the empty state in the itinerary builder
+     */
+    clearItineraryBuilder() {
+        const builder = document.getElementById('itinerary-builder');
+        if (builder) {
+            builder.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-calendar-plus"></i>
+                    <h3>Start Planning Your Adventure</h3>
+                    <p>Create a new trip or select an existing one to begin planning</p>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Toast action that undoes the edit just made
+     */
+    getUndoAction() {
+        return { label: 'Undo', onClick: () => this.undo() };
+    }
+
+    /**
+     * Undo the last itinerary edit
+     */
+    async undo() {
+        try {
+            const entry = await this.modules.itinerary.undo();
+            if (!entry) {
+                UIManager.showToast('Nothing to undo', 'info', 2000);
+                return;
+            }
+
+            this.showHistoryResult(entry);
+            UIManager.showToast(`Undid: ${this.escapeHtml(entry.label)}`, 'info', 5000, { label: 'Redo', onClick: () => this.redo() });
+
+        } catch (error) {
+            this.handleError('Failed to undo', error);
+        }
+    }
+
+    /**
+     * Redo the last undone itinerary edit
+     */
+    async redo() {
+        try {
+            const entry = await this.modules.itinerary.redo();
+            if (!entry) {
+                UIManager.showToast('Nothing to redo', 'info', 2000);
+                return;
+            }
+
+            this.showHistoryResult(entry);
+            UIManager.showToast(`Redid: ${this.escapeHtml(entry.label)}`, 'info', 5000, this.getUndoAction());
+
+        } catch (error) {
+            this.handleError('Failed to redo', error);
+        }
+    }
+
+    /**
+     * Show the trip touched by an undo or redo
+     */
+    showHistoryResult(entry) {
+        if (entry.itinerary) {
+            this.selectTrip(entry.itineraryId);
+            return;
+        }
+
+        this.updateTripsDisplay();
+        const currentTrip = this.modules.itinerary.getCurrentItinerary();
+        if (!currentTrip) {
+            this.clearItineraryBuilder();
+        }
+    }
 }
 
 // Initialize application when DOM is ready
@@ -1,5 +1,11 @@
 import { Logger } from '../utils/Logger.js';
 import { StorageManager } from './StorageManager.js';
+import { ICalendar } from '../utils/ICalendar.js';
+import { ItineraryPDF } from '../utils/ItineraryPDF.js';
+import { ItinerarySchema } from '../utils/ItinerarySchema.js';
+import { CurrencyConverter } from '../utils/CurrencyConverter.js';
+import { PackingChecklist } from '../utils/PackingChecklist.js';
+import { AirportDirectory } from '../utils/AirportDirectory.js';
 
 /**
  * ItineraryManager - Handles trip planning and itinerary management
@@ -11,7 +17,10 @@ export class ItineraryManager {
         this.storageManager = new StorageManager();
         this.currentItinerary = null;
         this.itineraries = new Map();
-        
+        this.versions = new Map();
+        this.customTemplates = new Map();
+        this.currencyConverter = new CurrencyConverter();
+
         // Itinerary templates for different trip types
         this.templates = {
             business: {
@@ -40,30 +49,88 @@ export class ItineraryManager {
             }
         };
         
+        // Clock windows for each time slot, in minutes from local midnight
+        this.timeSlotWindows = {
+            'early-morning': { start: 5 * 60, end: 8 * 60 },
+            morning: { start: 8 * 60, end: 12 * 60 },
+            afternoon: { start: 12 * 60, end: 18 * 60 },
+            evening: { start: 18 * 60, end: 22 * 60 },
+            night: { start: 22 * 60, end: 30 * 60 }
+        };
+        this.defaultItemDuration = 60;
+
+        // Trip status workflow, with the statuses each one can move on to
+        this.tripStatuses = {
+            draft: { name: 'Draft', next: ['booked', 'cancelled'] },
+            booked: { name: 'Booked', next: ['draft', 'in-progress', 'cancelled'] },
+            'in-progress': { name: 'In Progress', next: ['completed', 'cancelled'] },
+            completed: { name: 'Completed', next: ['in-progress'] },
+            cancelled: { name: 'Cancelled', next: ['draft'] }
+        };
+
+        // Age bands for traveler profiles, with the fare type airlines book each under
+        this.ageBands = {
+            infant: { name: 'Infant (under 2)', passengerType: 'infant' },
+            child: { name: 'Child (2-11)', passengerType: 'child' },
+            teen: { name: 'Teen (12-17)', passengerType: 'adult' },
+            adult: { name: 'Adult (18-64)', passengerType: 'adult' },
+            senior: { name: 'Senior (65+)', passengerType: 'adult' }
+        };
+
+        // Files attached to items, by attachment ID. Their contents are stored
+        // apart from the trips so that saving a trip does not rewrite them.
+        this.attachments = new Map();
+        this.attachmentTypes = ['application/pdf', 'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'text/plain'];
+        this.maxAttachmentSize = 1024 * 1024; // bytes; local storage holds about 5 MB in all
+
+        // Undo/redo history of itinerary snapshots, newest last
+        this.history = { undo: [], redo: [] };
+        this.historyLimit = 50;
+        this.historySuspended = 0;
+
+        // Budget totals corrected while loading stored trips
+        this.budgetRepairs = [];
+        this.storageUnavailableLogged = false;
+
+        // Airports, for the timezone of a new trip's destination
+        this.airports = new AirportDirectory();
+
         this.logger.info('ItineraryManager initialized');
-        this.loadItineraries();
+        this.loaded = this.loadItineraries();
     }
 
     /**
      * Create a new itinerary
      * @param {Object} itineraryData - Itinerary creation data
      * @param {string} itineraryData.title - Itinerary title
-     * @param {string} itineraryData.destination - Destination
+     * @param {string} itineraryData.destination - Destination, which becomes the trip's first leg
+     * @param {Object} itineraryData.coordinates - Destination coordinates ({lat, lng})
      * @param {string} itineraryData.startDate - Start date (YYYY-MM-DD)
      * @param {string} itineraryData.endDate - End date (YYYY-MM-DD)
      * @param {string} itineraryData.type - Trip type (business, leisure, family, adventure)
+     * @param {string} itineraryData.timezone - IANA timezone; defaults to the destination's, or the browser's
+     *     when the destination has no known airport
+     * @param {string} itineraryData.templateId - Saved template to start from; its items are
+     *     re-dated from the new start date, and it fills in the type, end date, budget and
+     *     currency when those are not given
+     * @param {string} itineraryData.currency - Base currency for the budget (ISO 4217, default USD)
      * @param {Object} itineraryData.preferences - User preferences
      * @returns {Promise<Object>} Created itinerary
      */
     async createItinerary(itineraryData) {
         try {
             this.logger.info('Creating new itinerary', { itineraryData });
+
+            const savedTemplate = itineraryData.templateId ? this.findTemplate(itineraryData.templateId) : null;
+            if (savedTemplate) {
+                itineraryData = this.applyTemplateDefaults(itineraryData, savedTemplate);
+            }
             
             // Validate itinerary data
             this.validateItineraryData(itineraryData);
             
             const itineraryId = `itinerary_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-            const template = this.templates[itineraryData.type] || this.templates.leisure;
+            const template = savedTemplate || this.templates[itineraryData.type] || this.templates.leisure;
             
             // Calculate trip duration
             const startDate = new Date(itineraryData.startDate);
@@ -78,6 +145,7 @@ export class ItineraryManager {
                 startDate: itineraryData.startDate,
                 endDate: itineraryData.endDate,
                 duration,
+                timezone: itineraryData.timezone || this.getDestinationTimezone(itineraryData.destination, itineraryData.coordinates),
                 type: itineraryData.type,
                 template: template.name,
                 preferences: itineraryData.preferences || {},
@@ -88,6 +156,7 @@ export class ItineraryManager {
                 budget: {
                     total: itineraryData.budget || 0,
                     spent: 0,
+                    currency: (itineraryData.currency || 'USD').toUpperCase(),
                     categories: {}
                 },
                 travelers: itineraryData.travelers || 1,
@@ -98,11 +167,27 @@ export class ItineraryManager {
                     collaborators: []
                 }
             };
+
+            // The whole trip starts out as a single leg
+            itinerary.legs = [this.createLeg({
+                city: itineraryData.destination,
+                coordinates: itineraryData.coordinates,
+                startDate: itinerary.startDate,
+                endDate: itinerary.endDate
+            })];
+            this.fitLegsToDays(itinerary);
+
+            // Travelers start out unnamed until their profiles are filled in
+            this.getTravelerProfiles(itinerary);
+
+            if (savedTemplate) {
+                this.fillFromTemplate(itinerary, savedTemplate);
+            }
             
             // Store itinerary
             this.itineraries.set(itineraryId, itinerary);
+            await this.saveEdit(itineraryId, null);
             this.currentItinerary = itinerary;
-            await this.saveItineraries();
             
             this.logger.info('Itinerary created successfully', { 
                 itineraryId, 
@@ -120,16 +205,25 @@ export class ItineraryManager {
 
     /**
      * Add an item to a specific day and time slot
+     * Items with an exact `startTime` ("HH:MM") are filed under the slot
+     * covering that time; `endTime` or `duration` sets their length.
+     * A `cost` in another `currency` is kept as the item's `price` and
+     * converted into the trip currency; `paidBy` is the paying traveler's index.
+     * `participants` lists the indexes of the travelers taking part; without
+     * it the item is for everyone.
+     * Items that take a category or the trip past its budget cap are added
+     * anyway and reported in `budgetWarnings`.
      * @param {string} itineraryId - Itinerary ID
      * @param {number} dayIndex - Day index (0-based)
      * @param {string} timeSlot - Time slot (morning, afternoon, evening)
      * @param {Object} item - Item to add
-     * @returns {Promise<Object>} Updated itinerary
+     * @returns {Promise<Object>} Updated itinerary, the added item, the items it overlaps and any budget warnings
      */
     async addItemToDay(itineraryId, dayIndex, timeSlot, item) {
         try {
             this.logger.info('Adding item to itinerary day', { itineraryId, dayIndex, timeSlot, item });
             
+            const before = this.snapshotItinerary(itineraryId);
             const itinerary = this.itineraries.get(itineraryId);
             if (!itinerary) {
                 throw new Error('Itinerary not found');
@@ -144,32 +238,60 @@ export class ItineraryManager {
                 throw new Error('Invalid time slot');
             }
             
+            this.validatePayer(itinerary, item.paidBy);
+            const participants = this.normalizeParticipants(itinerary, item.participants);
+            const booking = this.normalizeBooking(item.booking);
+            const plannedBefore = this.getPlannedByCategory(itinerary);
+
             // Create item with unique ID
             const itemId = `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
             const itineraryItem = {
                 id: itemId,
-                ...item,
+                ...this.normalizeItemTiming(item),
+                ...this.priceItem(itinerary, item),
                 addedAt: new Date().toISOString(),
                 status: 'planned'
             };
+            delete itineraryItem.currency;
+            if (participants) {
+                itineraryItem.participants = participants;
+            } else {
+                delete itineraryItem.participants;
+            }
+
+            // Files are attached to the stored item with addAttachment
+            delete itineraryItem.attachments;
+            delete itineraryItem.booking;
+            if (booking) {
+                itineraryItem.booking = booking;
+            }
+            if (this.isItemBooked(itineraryItem)) {
+                itineraryItem.status = 'booked';
+            }
             
             // Add item to time slot
-            day.timeSlots[timeSlot].items.push(itineraryItem);
-            
-            // Update budget if item has cost
-            if (item.cost) {
-                itinerary.budget.spent += item.cost;
-                const category = item.category || 'miscellaneous';
-                itinerary.budget.categories[category] = (itinerary.budget.categories[category] || 0) + item.cost;
-            }
+            const slot = this.resolveTimeSlot(day, timeSlot, itineraryItem);
+            day.timeSlots[slot].items.push(itineraryItem);
+            this.recomputeBudget(itinerary);
             
             // Update itinerary metadata
             itinerary.updatedAt = new Date().toISOString();
             
-            await this.saveItineraries();
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory(`Add "${itineraryItem.title}"`, itineraryId, before);
             
-            this.logger.info('Item added to itinerary successfully', { itineraryId, itemId, dayIndex, timeSlot });
-            return itinerary;
+            const conflicts = this.findConflicts(itinerary, dayIndex, itemId);
+            if (conflicts.length > 0) {
+                this.logger.warn('Added item overlaps other items', { itineraryId, itemId, conflicts });
+            }
+
+            const budgetWarnings = this.checkBudgetLimits(itinerary, plannedBefore);
+            if (budgetWarnings.length > 0) {
+                this.logger.warn('Added item goes over budget', { itineraryId, itemId, budgetWarnings });
+            }
+
+            this.logger.info('Item added to itinerary successfully', { itineraryId, itemId, dayIndex, timeSlot: slot });
+            return { itinerary, item: itineraryItem, conflicts, budgetWarnings };
             
         } catch (error) {
             this.logger.error('Failed to add item to itinerary', { error: error.message, itineraryId, dayIndex, timeSlot });
@@ -187,6 +309,7 @@ export class ItineraryManager {
         try {
             this.logger.info('Removing item from itinerary', { itineraryId, itemId });
             
+            const before = this.snapshotItinerary(itineraryId);
             const itinerary = this.itineraries.get(itineraryId);
             if (!itinerary) {
                 throw new Error('Itinerary not found');
@@ -212,17 +335,13 @@ export class ItineraryManager {
                 throw new Error('Item not found in itinerary');
             }
             
-            // Update budget if item had cost
-            if (removedItem.cost) {
-                itinerary.budget.spent -= removedItem.cost;
-                const category = removedItem.category || 'miscellaneous';
-                itinerary.budget.categories[category] = Math.max(0, (itinerary.budget.categories[category] || 0) - removedItem.cost);
-            }
+            this.recomputeBudget(itinerary);
             
             // Update itinerary metadata
             itinerary.updatedAt = new Date().toISOString();
             
-            await this.saveItineraries();
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory(`Remove "${removedItem.title}"`, itineraryId, before);
             
             this.logger.info('Item removed from itinerary successfully', { itineraryId, itemId });
             return itinerary;
@@ -235,15 +354,18 @@ export class ItineraryManager {
 
     /**
      * Update an existing item in the itinerary
+     * Changes that take a category or the trip past its budget cap are
+     * applied anyway and reported in `budgetWarnings`.
      * @param {string} itineraryId - Itinerary ID
      * @param {string} itemId - Item ID to update
      * @param {Object} updates - Updates to apply
-     * @returns {Promise<Object>} Updated itinerary
+     * @returns {Promise<Object>} Updated itinerary, the item, the items it overlaps and any budget warnings
      */
     async updateItem(itineraryId, itemId, updates) {
         try {
             this.logger.info('Updating itinerary item', { itineraryId, itemId, updates });
             
+            const before = this.snapshotItinerary(itineraryId);
             const itinerary = this.itineraries.get(itineraryId);
             if (!itinerary) {
                 throw new Error('Itinerary not found');
@@ -251,13 +373,17 @@ export class ItineraryManager {
             
             let itemFound = false;
             let targetItem = null;
+            let dayIndex = -1;
+            let slot = null;
             
             // Find the item to update
-            for (const day of itinerary.days) {
-                for (const timeSlot of Object.values(day.timeSlots)) {
+            for (const [index, day] of itinerary.days.entries()) {
+                for (const [slotKey, timeSlot] of Object.entries(day.timeSlots)) {
                     targetItem = timeSlot.items.find(item => item.id === itemId);
                     if (targetItem) {
                         itemFound = true;
+                        dayIndex = index;
+                        slot = slotKey;
                         break;
                     }
                 }
@@ -267,31 +393,116 @@ export class ItineraryManager {
             if (!itemFound) {
                 throw new Error('Item not found in itinerary');
             }
-            
-            // Update budget if cost changed
-            if (updates.cost !== undefined && updates.cost !== targetItem.cost) {
-                const oldCost = targetItem.cost || 0;
-                const newCost = updates.cost || 0;
-                const costDifference = newCost - oldCost;
-                
-                itinerary.budget.spent += costDifference;
-                
-                const category = updates.category || targetItem.category || 'miscellaneous';
-                itinerary.budget.categories[category] = (itinerary.budget.categories[category] || 0) + costDifference;
+
+            if ('title' in updates && !String(updates.title || '').trim()) {
+                throw new Error('Item title is required');
             }
             
+            if ('paidBy' in updates) {
+                this.validatePayer(itinerary, updates.paidBy);
+            }
+            let participants;
+            if ('participants' in updates) {
+                participants = this.normalizeParticipants(itinerary, updates.participants);
+                updates = { ...updates };
+                delete updates.participants;
+            }
+            let booking;
+            if ('booking' in updates) {
+                booking = this.normalizeBooking(updates.booking);
+                updates = { ...updates };
+                delete updates.booking;
+            }
+            if ('attachments' in updates) {
+                throw new Error('Attachments are changed with addAttachment and removeAttachment');
+            }
+            const plannedBefore = this.getPlannedByCategory(itinerary);
+
+            // A new amount or currency is converted into the trip currency
+            if (['cost', 'currency', 'price'].some(field => field in updates)) {
+                const current = this.getItemPrice(itinerary, targetItem);
+                const price = updates.price || {
+                    amount: updates.cost !== undefined ? updates.cost : current.amount,
+                    currency: updates.currency || current.currency
+                };
+                updates = { ...updates, ...this.priceItem(itinerary, { price }) };
+                delete updates.currency;
+            }
+
             // Apply updates
-            Object.assign(targetItem, updates, {
-                updatedAt: new Date().toISOString()
-            });
+            const timingChanged = ['startTime', 'endTime', 'duration', 'durationMinutes'].some(field => field in updates);
+            if (timingChanged) {
+                // A new duration text replaces the previously parsed length
+                const merged = { ...targetItem, ...updates };
+                if (updates.duration !== undefined && updates.durationMinutes === undefined) {
+                    delete merged.durationMinutes;
+                }
+                const normalized = this.normalizeItemTiming(merged);
+
+                for (const field of ['startTime', 'durationMinutes']) {
+                    if (normalized[field] === undefined) delete targetItem[field];
+                }
+                Object.assign(targetItem, normalized, {
+                    updatedAt: new Date().toISOString()
+                });
+                delete targetItem.endTime;
+
+                // Refile the item if its new time falls outside its slot
+                const day = itinerary.days[dayIndex];
+                const newSlot = this.resolveTimeSlot(day, slot, targetItem);
+                if (newSlot !== slot) {
+                    day.timeSlots[slot].items = day.timeSlots[slot].items.filter(item => item.id !== itemId);
+                    day.timeSlots[newSlot].items.push(targetItem);
+                }
+            } else {
+                Object.assign(targetItem, updates, {
+                    updatedAt: new Date().toISOString()
+                });
+            }
+
+            // Participants covering the whole party are stored as everyone
+            if (participants !== undefined) {
+                if (participants) {
+                    targetItem.participants = participants;
+                } else {
+                    delete targetItem.participants;
+                }
+            }
+
+            // Giving a planned item a confirmation code books it, and taking the code away unbooks it
+            if (booking !== undefined) {
+                if (booking) {
+                    targetItem.booking = booking;
+                } else {
+                    delete targetItem.booking;
+                }
+                if (!('status' in updates) && ['planned', 'booked'].includes(targetItem.status)) {
+                    targetItem.status = this.isItemBooked(targetItem) ? 'booked' : 'planned';
+                }
+            }
+            this.recomputeBudget(itinerary);
             
             // Update itinerary metadata
             itinerary.updatedAt = new Date().toISOString();
             
-            await this.saveItineraries();
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory(`Edit "${targetItem.title}"`, itineraryId, before);
             
+            let conflicts = [];
+            if (timingChanged) {
+                conflicts = this.findConflicts(itinerary, dayIndex, itemId);
+                if (conflicts.length > 0) {
+                    this.logger.warn('Updated item overlaps other items', { itineraryId, itemId, conflicts });
+                }
+            }
+
+            const budgetWarnings = this.checkBudgetLimits(itinerary, plannedBefore);
+            if (budgetWarnings.length > 0) {
+                this.logger.warn('Updated item goes over budget', { itineraryId, itemId, budgetWarnings });
+            }
+
             this.logger.info('Item updated successfully', { itineraryId, itemId });
-            return itinerary;
+            return { itinerary, item: targetItem, conflicts, budgetWarnings };
             
         } catch (error) {
             this.logger.error('Failed to update item', { error: error.message, itineraryId, itemId });
@@ -305,12 +516,14 @@ export class ItineraryManager {
      * @param {string} itemId - Item ID to move
      * @param {number} newDayIndex - New day index
      * @param {string} newTimeSlot - New time slot
-     * @returns {Promise<Object>} Updated itinerary
+     * @param {string|null} newStartTime - New start time ("HH:MM"), null to drop the exact time, omit to keep it
+     * @returns {Promise<Object>} Updated itinerary, the moved item and the items it overlaps
      */
-    async moveItem(itineraryId, itemId, newDayIndex, newTimeSlot) {
+    async moveItem(itineraryId, itemId, newDayIndex, newTimeSlot, newStartTime) {
         try {
-            this.logger.info('Moving itinerary item', { itineraryId, itemId, newDayIndex, newTimeSlot });
+            this.logger.info('Moving itinerary item', { itineraryId, itemId, newDayIndex, newTimeSlot, newStartTime });
             
+            const before = this.snapshotItinerary(itineraryId);
             const itinerary = this.itineraries.get(itineraryId);
             if (!itinerary) {
                 throw new Error('Itinerary not found');
@@ -325,6 +538,10 @@ export class ItineraryManager {
                 throw new Error('Invalid time slot');
             }
             
+            if (newStartTime && this.parseClock(newStartTime) === null) {
+                throw new Error(`Invalid start time: ${newStartTime}`);
+            }
+
             // Find and remove the item from its current location
             let itemFound = false;
             let targetItem = null;
@@ -346,16 +563,30 @@ export class ItineraryManager {
             }
             
             // Add item to new location
+            if (newStartTime !== undefined) {
+                if (newStartTime) {
+                    targetItem.startTime = this.formatClock(this.parseClock(newStartTime));
+                } else {
+                    delete targetItem.startTime;
+                }
+            }
             targetItem.movedAt = new Date().toISOString();
-            newDay.timeSlots[newTimeSlot].items.push(targetItem);
+            const slot = this.resolveTimeSlot(newDay, newTimeSlot, targetItem);
+            newDay.timeSlots[slot].items.push(targetItem);
             
             // Update itinerary metadata
             itinerary.updatedAt = new Date().toISOString();
             
-            await this.saveItineraries();
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory(`Move "${targetItem.title}"`, itineraryId, before);
             
-            this.logger.info('Item moved successfully', { itineraryId, itemId, newDayIndex, newTimeSlot });
-            return itinerary;
+            const conflicts = this.findConflicts(itinerary, newDayIndex, itemId);
+            if (conflicts.length > 0) {
+                this.logger.warn('Moved item overlaps other items', { itineraryId, itemId, conflicts });
+            }
+
+            this.logger.info('Item moved successfully', { itineraryId, itemId, newDayIndex, newTimeSlot: slot });
+            return { itinerary, item: targetItem, conflicts };
             
         } catch (error) {
             this.logger.error('Failed to move item', { error: error.message, itineraryId, itemId });
@@ -363,6 +594,59 @@ export class ItineraryManager {
         }
     }
 
+    /**
+     * Preview how a new cost, currency or category for an item changes the budget
+     * Nothing is saved. Planned amounts are projected the way the budget
+     * dashboard projects them, so a hotel stay counts all of its nights.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} itemId - Item ID
+     * @param {Object} changes - Proposed cost, currency and category; omitted fields keep their values
+     * @returns {Object} Preview ({currency, cost, planned, total, categories, budgetWarnings}),
+     *     where cost and planned are {before, after} in the trip currency
+     */
+    previewItemEdit(itineraryId, itemId, changes = {}) {
+        const itinerary = this.itineraries.get(itineraryId);
+        if (!itinerary) {
+            throw new Error('Itinerary not found');
+        }
+        const placement = this.collectItemPlacements(itinerary).get(itemId);
+        if (!placement) {
+            throw new Error('Item not found in itinerary');
+        }
+
+        const draft = JSON.parse(JSON.stringify(itinerary));
+        const item = this.collectItemPlacements(draft).get(itemId).item;
+        const current = this.getItemPrice(draft, item);
+        const oldCategory = item.category || 'miscellaneous';
+        Object.assign(item, this.priceItem(draft, {
+            price: {
+                amount: changes.cost !== undefined ? changes.cost : current.amount,
+                currency: changes.currency || current.currency
+            }
+        }));
+        if (changes.category) {
+            item.category = changes.category;
+        }
+
+        const plannedBefore = this.getPlannedByCategory(itinerary);
+        const plannedAfter = this.getPlannedByCategory(draft);
+        const limits = itinerary.budget.limits || {};
+
+        return {
+            currency: this.getBaseCurrency(itinerary),
+            cost: { before: placement.item.cost || 0, after: item.cost },
+            planned: { before: plannedBefore.get(null), after: plannedAfter.get(null) },
+            total: itinerary.budget.total || 0,
+            categories: [...new Set([oldCategory, item.category || 'miscellaneous'])].map(category => ({
+                category,
+                before: plannedBefore.get(category) || 0,
+                after: plannedAfter.get(category) || 0,
+                limit: limits[category] ?? null
+            })),
+            budgetWarnings: this.checkBudgetLimits(draft, plannedBefore)
+        };
+    }
+
     /**
      * Get all itineraries for the current user
      * @returns {Array} Array of itineraries
@@ -398,6 +682,102 @@ export class ItineraryManager {
         }
     }
 
+    /**
+     * Find an item and where it sits in the trip
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} itemId - Item ID
+     * @returns {Object|null} The item with its dayIndex, date and slot, or null if not found
+     */
+    getItem(itineraryId, itemId) {
+        const itinerary = this.itineraries.get(itineraryId);
+        return itinerary ? this.collectItemPlacements(itinerary).get(itemId) || null : null;
+    }
+
+    /**
+     * Get the timeline of a day: items with exact times in clock order with
+     * their overlaps, and the remaining items grouped by time slot
+     * @param {string} itineraryId - Itinerary ID
+     * @param {number} dayIndex - Day index (0-based)
+     * @returns {Object|null} Day timeline, or null if the day does not exist
+     */
+    getDayTimeline(itineraryId, dayIndex) {
+        const itinerary = this.itineraries.get(itineraryId);
+        const day = itinerary && itinerary.days[dayIndex];
+        if (!day) {
+            return null;
+        }
+
+        const timed = this.getTimedEntries(itinerary, day).map((entry, index, entries) => ({
+            ...entry,
+            startTime: this.formatClock(entry.start),
+            endTime: this.formatClock(entry.end),
+            conflicts: entries
+                .filter(other => other !== entry && other.start < entry.end && entry.start < other.end)
+                .map(other => other.item.id)
+        }));
+        const timedIds = new Set(timed.map(entry => entry.item.id));
+
+        const untimed = Object.entries(day.timeSlots).map(([slot, timeSlot]) => ({
+            slot,
+            name: timeSlot.name,
+            items: timeSlot.items.filter(item => !timedIds.has(item.id))
+        }));
+
+        return { date: day.date, timed, untimed };
+    }
+
+    /**
+     * Suggest where a new item should go in an itinerary
+     * Flights land on their departure date (one entry per flight for round
+     * trips and multi-city itineraries), hotels get one entry per night
+     * between check-in and check-out, and everything else goes to the day
+     * and slot with the most free time.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {Object} item - Item about to be added
+     * @param {Object} overrides - User choices that replace the suggestion
+     * @param {number} overrides.dayIndex - Day to use instead of the suggested one (not for multi-flight itineraries)
+     * @param {string} overrides.timeSlot - Time slot to use instead of the suggested one
+     * @param {string} overrides.checkIn - Hotel check-in date (YYYY-MM-DD)
+     * @param {string} overrides.checkOut - Hotel check-out date (YYYY-MM-DD)
+     * @returns {Object} Suggestion with one placement ({dayIndex, date, timeSlot, item}) per entry to add
+     */
+    suggestPlacement(itineraryId, item, overrides = {}) {
+        const itinerary = this.itineraries.get(itineraryId);
+        if (!itinerary) {
+            throw new Error('Itinerary not found');
+        }
+
+        if (overrides.dayIndex !== undefined && !itinerary.days[overrides.dayIndex]) {
+            throw new Error('Invalid day index');
+        }
+
+        let suggestion;
+        if (item.type === 'hotel') {
+            suggestion = this.suggestHotelPlacement(itinerary, item, overrides);
+        } else if (item.type === 'flight') {
+            suggestion = this.suggestFlightPlacement(itinerary, item, overrides);
+        } else {
+            suggestion = this.suggestActivityPlacement(itinerary, item, overrides);
+        }
+
+        // A slot chosen by the user applies to every placement that has it
+        if (overrides.timeSlot) {
+            for (const placement of suggestion.placements) {
+                if (!itinerary.days[placement.dayIndex].timeSlots[overrides.timeSlot]) {
+                    throw new Error(`Invalid time slot: ${overrides.timeSlot}`);
+                }
+                placement.timeSlot = overrides.timeSlot;
+            }
+        }
+
+        this.logger.info('Placement suggested', {
+            itineraryId,
+            kind: suggestion.kind,
+            placements: suggestion.placements.map(placement => `${placement.date} ${placement.timeSlot}`)
+        });
+        return suggestion;
+    }
+
     /**
      * Delete an itinerary
      * @param {string} itineraryId - Itinerary ID
@@ -407,18 +787,19 @@ export class ItineraryManager {
         try {
             this.logger.info('Deleting itinerary', { itineraryId });
             
+            const before = this.snapshotItinerary(itineraryId);
             const itinerary = this.itineraries.get(itineraryId);
             if (!itinerary) {
                 throw new Error('Itinerary not found');
             }
             
             this.itineraries.delete(itineraryId);
+            await this.saveEdit(itineraryId, before);
             
             if (this.currentItinerary && this.currentItinerary.id === itineraryId) {
                 this.currentItinerary = null;
             }
-            
-            await this.saveItineraries();
+            this.recordHistory(`Delete trip "${itinerary.title}"`, itineraryId, before);
             
             this.logger.info('Itinerary deleted successfully', { itineraryId });
             return true;
@@ -458,9 +839,14 @@ export class ItineraryManager {
             newItinerary.createdAt = new Date().toISOString();
             newItinerary.updatedAt = new Date().toISOString();
             
-            // Reset budget spent
-            newItinerary.budget.spent = 0;
-            newItinerary.budget.categories = {};
+            // The copy keeps its priced items, so it keeps their spending too
+            this.recomputeBudget(newItinerary);
+
+            // The copy's checklist starts out unchecked
+            for (const entry of this.getChecklistState(newItinerary).items) {
+                entry.done = false;
+                entry.doneAt = null;
+            }
             
             // Generate new IDs for all items
             for (const day of newItinerary.days) {
@@ -469,13 +855,16 @@ export class ItineraryManager {
                         item.id = `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
                         item.status = 'planned';
                         delete item.completedAt;
+                        delete item.skippedAt;
+                        delete item.booking;
+                        delete item.attachments;
                     }
                 }
             }
             
             // Store new itinerary
             this.itineraries.set(newItineraryId, newItinerary);
-            await this.saveItineraries();
+            await this.saveEdit(newItineraryId, null);
             
             this.logger.info('Itinerary duplicated successfully', { 
                 sourceId: itineraryId, 
@@ -491,155 +880,4326 @@ export class ItineraryManager {
     }
 
     /**
-     * Export itinerary to different formats
+     * Update the descriptive details of a trip
+     * Dates are changed through the date operations below, which keep the days in step.
+     * A new `currency` converts the budget and every item cost into it.
+     * A new `destination` renames the only leg of a single-city trip; multi-city
+     * trips change their cities through setLegs.
      * @param {string} itineraryId - Itinerary ID
-     * @param {string} format - Export format (json, pdf, ical)
-     * @returns {Promise<Object>} Export data
+     * @param {Object} updates - New title, destination, notes, travelers or currency
+     * @returns {Promise<Object>} Updated itinerary
      */
-    async exportItinerary(itineraryId, format = 'json') {
+    async updateItinerary(itineraryId, updates) {
         try {
-            this.logger.info('Exporting itinerary', { itineraryId, format });
-            
+            this.logger.info('Updating itinerary', { itineraryId, updates });
+
+            const before = this.snapshotItinerary(itineraryId);
             const itinerary = this.itineraries.get(itineraryId);
             if (!itinerary) {
                 throw new Error('Itinerary not found');
             }
-            
-            switch (format.toLowerCase()) {
-                case 'json':
-                    return this.exportToJSON(itinerary);
-                case 'pdf':
-                    return this.exportToPDF(itinerary);
-                case 'ical':
-                    return this.exportToICal(itinerary);
-                default:
-                    throw new Error(`Unsupported export format: ${format}`);
+
+            const editable = ['title', 'destination', 'notes', 'travelers'];
+            const changes = Object.fromEntries(Object.entries(updates).filter(([field]) => editable.includes(field)));
+
+            for (const field of ['title', 'destination']) {
+                if (field in changes && (!changes[field] || changes[field].toString().trim() === '')) {
+                    throw new Error(`${field.charAt(0).toUpperCase() + field.slice(1)} cannot be empty`);
+                }
+            }
+            if ('travelers' in changes && (!Number.isInteger(changes.travelers) || changes.travelers < 1)) {
+                throw new Error('Travelers must be a whole number of at least 1');
+            }
+            if ('destination' in changes && changes.destination.trim() !== itinerary.destination) {
+                if (itinerary.legs.length > 1) {
+                    throw new Error('Edit the route to change the cities of a multi-city trip');
+                }
+                changes.destination = changes.destination.trim();
+                itinerary.legs[0].city = changes.destination;
+                itinerary.legs[0].coordinates = null;
             }
-            
-        } catch (error) {
-            this.logger.error('Failed to export itinerary', { error: error.message, itineraryId, format });
-            throw new Error(`Failed to export itinerary: ${error.message}`);
-        }
-    }
 
-    /**
-     * Validate itinerary data
-     * @private
-     */
-    validateItineraryData(data) {
-        const required = ['title', 'destination', 'startDate', 'endDate'];
-        const missing = required.filter(field => !data[field] || data[field].toString().trim() === '');
-        
-        if (missing.length > 0) {
-            throw new Error(`Missing required fields: ${missing.join(', ')}`);
-        }
-        
-        const startDate = new Date(data.startDate);
-        const endDate = new Date(data.endDate);
-        
-        if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
-            throw new Error('Invalid date format');
-        }
-        
-        if (endDate < startDate) {
-            throw new Error('End date must be after start date');
-        }
-        
-        if (data.type && !this.templates[data.type]) {
-            throw new Error(`Invalid trip type: ${data.type}`);
-        }
-    }
+            const currency = updates.currency ? updates.currency.toUpperCase() : null;
+            if (currency && currency !== this.getBaseCurrency(itinerary)) {
+                this.convertItineraryCurrency(itinerary, currency);
+            }
 
-    /**
-     * Generate day structure for itinerary
-     * @private
-     */
-    generateDayStructure(duration, startDate, template) {
-        const days = [];
-        
-        for (let i = 0; i < duration; i++) {
-            const currentDate = new Date(startDate);
-            currentDate.setDate(startDate.getDate() + i);
-            
-            const day = {
-                date: currentDate.toISOString().split('T')[0],
-                dayNumber: i + 1,
-                dayOfWeek: currentDate.toLocaleDateString('en-US', { weekday: 'long' }),
-                timeSlots: {}
-            };
-            
-            // Create time slots based on template
-            for (const slot of template.timeSlots) {
-                day.timeSlots[slot] = {
-                    name: slot.charAt(0).toUpperCase() + slot.slice(1),
-                    items: []
-                };
+            Object.assign(itinerary, changes, {
+                updatedAt: new Date().toISOString()
+            });
+
+            // Payments, places and tasks of travelers who are no longer on the trip become unassigned
+            for (const { item } of this.collectItemPlacements(itinerary).values()) {
+                if (Number.isInteger(item.paidBy) && item.paidBy >= itinerary.travelers) {
+                    delete item.paidBy;
+                }
+                if (Array.isArray(item.participants)) {
+                    item.participants = item.participants.filter(index => index < itinerary.travelers);
+                    if (item.participants.length === 0) {
+                        delete item.participants;
+                    }
+                }
             }
-            
-            days.push(day);
+            for (const entry of this.getChecklistState(itinerary).items) {
+                if (Number.isInteger(entry.assignee) && entry.assignee >= itinerary.travelers) {
+                    entry.assignee = null;
+                }
+            }
+            this.getTravelerProfiles(itinerary);
+
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory('Edit trip details', itineraryId, before);
+
+            this.logger.info('Itinerary updated successfully', { itineraryId });
+            return itinerary;
+
+        } catch (error) {
+            this.logger.error('Failed to update itinerary', { error: error.message, itineraryId });
+            throw new Error(`Failed to update itinerary: ${error.message}`);
         }
-        
-        return days;
     }
 
     /**
-     * Export to JSON format
-     * @private
+     * Get the legs of a trip in travel order
+     * @param {string} itineraryId - Itinerary ID
+     * @returns {Array} Legs ({id, city, coordinates, startDate, endDate, lodging})
      */
-    exportToJSON(itinerary) {
-        return {
-            format: 'json',
-            data: itinerary,
-            exportedAt: new Date().toISOString(),
-            filename: `${itinerary.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_itinerary.json`
-        };
+    getLegs(itineraryId) {
+        const itinerary = this.itineraries.get(itineraryId);
+        return itinerary ? itinerary.legs : [];
     }
 
     /**
-     * Export to PDF format (mock implementation)
-     * @private
+     * Get the leg a day of a trip belongs to
+     * @param {string} itineraryId - Itinerary ID
+     * @param {number} dayIndex - Day index (0-based)
+     * @returns {Object|null} Leg, or null when the trip or day does not exist
      */
-    exportToPDF(itinerary) {
-        // In a real implementation, you would use a PDF library like jsPDF
-        return {
-            format: 'pdf',
-            data: `PDF export for ${itinerary.title} - ${itinerary.destination}`,
-            exportedAt: new Date().toISOString(),
-            filename: `${itinerary.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_itinerary.pdf`
-        };
+    getDayLeg(itineraryId, dayIndex) {
+        const itinerary = this.itineraries.get(itineraryId);
+        const day = itinerary && itinerary.days[dayIndex];
+        if (!day) return null;
+
+        return itinerary.legs.find(leg => leg.id === day.legId) || null;
     }
 
     /**
-     * Export to iCal format (mock implementation)
-     * @private
+     * Replace the route of a trip
+     * Legs run in order and together cover the trip's dates. A leg starts
+     * either on the day the previous one ends (a travel day) or the day after;
+     * a travel day belongs to the leg being arrived at.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {Array<Object>} legs - Legs ({id, city, coordinates, startDate, endDate, lodging}); legs without an ID are new
+     * @returns {Promise<Object>} Updated itinerary
+     */
+    async setLegs(itineraryId, legs) {
+        try {
+            this.logger.info('Setting itinerary legs', { itineraryId, legs });
+
+            const before = this.snapshotItinerary(itineraryId);
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+            if (!Array.isArray(legs) || legs.length === 0) {
+                throw new Error('A trip needs at least one leg');
+            }
+
+            const route = legs.map(leg => this.createLeg(leg));
+            this.validateLegs(itinerary, route);
+
+            itinerary.legs = route;
+            this.assignDaysToLegs(itinerary);
+            itinerary.destination = this.describeRoute(route);
+            itinerary.updatedAt = new Date().toISOString();
+
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory('Edit route', itineraryId, before);
+
+            this.logger.info('Itinerary legs set', { itineraryId, route: itinerary.destination });
+            return itinerary;
+
+        } catch (error) {
+            this.logger.error('Failed to set itinerary legs', { error: error.message, itineraryId });
+            throw new Error(`Failed to update route: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update the city, coordinates or lodging of one leg
+     * A new city clears the coordinates unless new ones are given.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} legId - Leg ID
+     * @param {Object} updates - New city, coordinates ({lat, lng}) or lodging ({name, address})
+     * @returns {Promise<Object>} Updated leg
+     */
+    async updateLeg(itineraryId, legId, updates) {
+        try {
+            this.logger.info('Updating itinerary leg', { itineraryId, legId, updates });
+
+            const before = this.snapshotItinerary(itineraryId);
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+            const leg = itinerary.legs.find(entry => entry.id === legId);
+            if (!leg) {
+                throw new Error('Leg not found');
+            }
+
+            const cityChanged = updates.city !== undefined && updates.city.trim() !== leg.city;
+            const updated = this.createLeg({
+                ...leg,
+                ...updates,
+                coordinates: updates.coordinates !== undefined ? updates.coordinates : cityChanged ? null : leg.coordinates,
+                id: leg.id,
+                startDate: leg.startDate,
+                endDate: leg.endDate
+            });
+            this.validateLeg(updated, itinerary.legs.indexOf(leg));
+
+            Object.assign(leg, updated);
+            itinerary.destination = this.describeRoute(itinerary.legs);
+            itinerary.updatedAt = new Date().toISOString();
+
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory(`Edit leg "${leg.city}"`, itineraryId, before);
+
+            return leg;
+
+        } catch (error) {
+            this.logger.error('Failed to update itinerary leg', { error: error.message, itineraryId, legId });
+            throw new Error(`Failed to update leg: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a trip's packing list and pre-trip tasks
+     * Due dates follow the trip when its dates change, since entries store
+     * them as days relative to the start date. An entry is overdue once its
+     * due date has passed in the trip's timezone.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {number} now - Current time in milliseconds, defaults to now
+     * @returns {Object|null} Entries (tasks by due date, then packing items) with
+     *     their due date, overdue flag and assignee name, plus progress counts
+     */
+    getChecklist(itineraryId, now = Date.now()) {
+        const itinerary = this.itineraries.get(itineraryId);
+        if (!itinerary) return null;
+
+        const today = this.getTripClock(itinerary, now).date;
+        const items = this.getChecklistState(itinerary).items.map(entry => {
+            const dueDate = entry.dueOffset === null ? null : ICalendar.shiftDate(itinerary.startDate, entry.dueOffset);
+            return {
+                ...entry,
+                dueDate,
+                overdue: !entry.done && dueDate !== null && dueDate < today,
+                assigneeName: entry.assignee === null ? 'Everyone' : this.getTravelerName(itinerary, entry.assignee)
+            };
+        });
+
+        items.sort((a, b) => {
+            if (a.kind !== b.kind) return a.kind === 'task' ? -1 : 1;
+            if (a.dueDate !== b.dueDate) return (a.dueDate || '').localeCompare(b.dueDate || '');
+            return (a.category || '').localeCompare(b.category || '');
+        });
+
+        return {
+            items,
+            progress: {
+                done: items.filter(entry => entry.done).length,
+                total: items.length
+            }
+        };
+    }
+
+    /**
+     * Add suggested packing items and tasks to a trip's checklist
+     * Suggestions come from the trip type, the weather along the route and the
+     * trip's activities. Ones already on the list, or removed from it before,
+     * are skipped.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {Object} options - Suggestion inputs
+     * @param {Array<{city: string, report: Object}>} options.weather - LocationService.getWeatherInfo
+     *     reports for the cities on the route
+     * @returns {Promise<Object>} Updated itinerary and the entries added
+     */
+    async generateChecklist(itineraryId, options = {}) {
+        try {
+            this.logger.info('Generating itinerary checklist', { itineraryId });
+
+            const before = this.snapshotItinerary(itineraryId);
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+
+            const checklist = this.getChecklistState(itinerary);
+            const known = new Set([...checklist.items.map(entry => entry.key), ...checklist.dismissed]);
+            const added = PackingChecklist.suggest(itinerary, options.weather || [])
+                .filter(suggestion => !known.has(suggestion.key))
+                .map(suggestion => this.createChecklistEntry(itinerary, suggestion));
+
+            if (added.length > 0) {
+                checklist.items.push(...added);
+                itinerary.updatedAt = new Date().toISOString();
+                await this.saveEdit(itineraryId, before);
+                this.recordHistory('Suggest checklist items', itineraryId, before);
+            }
+
+            this.logger.info('Itinerary checklist generated', { itineraryId, added: added.length });
+            return { itinerary, added };
+
+        } catch (error) {
+            this.logger.error('Failed to generate itinerary checklist', { error: error.message, itineraryId });
+            throw new Error(`Failed to suggest checklist items: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add an entry of your own to a trip's checklist
+     * @param {string} itineraryId - Itinerary ID
+     * @param {Object} entry - Entry data
+     * @param {string} entry.title - What to pack or do
+     * @param {string} entry.kind - 'packing' or 'task'
+     * @param {string} entry.dueDate - Due date (YYYY-MM-DD); `dueOffset` (days from the start date) also works
+     * @param {number|null} entry.assignee - Traveler index, or null for everyone
+     * @returns {Promise<Object>} Added entry
+     */
+    async addChecklistItem(itineraryId, entry) {
+        try {
+            this.logger.info('Adding checklist item', { itineraryId, entry });
+
+            const before = this.snapshotItinerary(itineraryId);
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+
+            const checklistEntry = this.createChecklistEntry(itinerary, { ...entry, key: null, reason: null });
+            this.getChecklistState(itinerary).items.push(checklistEntry);
+            itinerary.updatedAt = new Date().toISOString();
+
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory(`Add "${checklistEntry.title}" to checklist`, itineraryId, before);
+
+            return checklistEntry;
+
+        } catch (error) {
+            this.logger.error('Failed to add checklist item', { error: error.message, itineraryId });
+            throw new Error(`Failed to add checklist item: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check off or edit a checklist entry
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} entryId - Checklist entry ID
+     * @param {Object} updates - New done state, title, kind, due date (or offset), assignee or category
+     * @returns {Promise<Object>} Updated entry
+     */
+    async updateChecklistItem(itineraryId, entryId, updates) {
+        try {
+            this.logger.info('Updating checklist item', { itineraryId, entryId, updates });
+
+            const before = this.snapshotItinerary(itineraryId);
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+            const entry = this.findChecklistEntry(itinerary, entryId);
+
+            const updated = this.createChecklistEntry(itinerary, {
+                ...entry,
+                ...updates,
+                dueOffset: updates.dueDate !== undefined || updates.dueOffset !== undefined ? updates.dueOffset : entry.dueOffset,
+                id: entry.id,
+                key: entry.key,
+                reason: entry.reason
+            });
+            if (updates.done !== undefined) {
+                updated.done = Boolean(updates.done);
+                updated.doneAt = updated.done ? entry.doneAt || new Date().toISOString() : null;
+            }
+            Object.assign(entry, updated);
+            itinerary.updatedAt = new Date().toISOString();
+
+            await this.saveEdit(itineraryId, before);
+            const label = updates.done !== undefined && Object.keys(updates).length === 1
+                ? `${entry.done ? 'Check off' : 'Uncheck'} "${entry.title}"`
+                : `Edit "${entry.title}" on checklist`;
+            this.recordHistory(label, itineraryId, before);
+
+            return entry;
+
+        } catch (error) {
+            this.logger.error('Failed to update checklist item', { error: error.message, itineraryId, entryId });
+            throw new Error(`Failed to update checklist item: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove an entry from a trip's checklist
+     * Removed suggestions are not suggested again.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} entryId - Checklist entry ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async removeChecklistItem(itineraryId, entryId) {
+        try {
+            this.logger.info('Removing checklist item', { itineraryId, entryId });
+
+            const before = this.snapshotItinerary(itineraryId);
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+            const entry = this.findChecklistEntry(itinerary, entryId);
+
+            const checklist = this.getChecklistState(itinerary);
+            checklist.items = checklist.items.filter(candidate => candidate.id !== entryId);
+            if (entry.key && !checklist.dismissed.includes(entry.key)) {
+                checklist.dismissed.push(entry.key);
+            }
+            itinerary.updatedAt = new Date().toISOString();
+
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory(`Remove "${entry.title}" from checklist`, itineraryId, before);
+
+            return true;
+
+        } catch (error) {
+            this.logger.error('Failed to remove checklist item', { error: error.message, itineraryId, entryId });
+            throw new Error(`Failed to remove checklist item: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a trip's travelers with their profiles
+     * Travelers without a name are shown as "Traveler N".
+     * @param {string} itineraryId - Itinerary ID
+     * @returns {Array} Travelers ({index, displayName, name, ageBand, dietary, passportCountry, loyalty})
+     */
+    getTravelers(itineraryId) {
+        const itinerary = this.itineraries.get(itineraryId);
+        if (!itinerary) return [];
+
+        return this.getTravelerProfiles(itinerary).map((profile, index) => ({
+            index,
+            displayName: this.getTravelerName(itinerary, index),
+            ...profile
+        }));
+    }
+
+    /**
+     * Get the age bands a traveler profile can use
+     * @returns {Array<{id: string, name: string}>} Age bands, youngest first
+     */
+    getAgeBands() {
+        return Object.entries(this.ageBands).map(([id, band]) => ({ id, name: band.name }));
+    }
+
+    /**
+     * Add a traveler to a trip
+     * Items that list their participants do not include the new traveler.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {Object} profile - Profile data
+     * @param {string} profile.name - Full name, as on their passport
+     * @param {string} profile.ageBand - Age band (infant, child, teen, adult, senior)
+     * @param {Array<string>|string} profile.dietary - Dietary needs
+     * @param {string} profile.passportCountry - Passport country (ISO 3166 two-letter code)
+     * @param {Array<{program: string, number: string}>} profile.loyalty - Loyalty program numbers
+     * @returns {Promise<Object>} Updated itinerary and the new traveler's index
+     */
+    async addTraveler(itineraryId, profile = {}) {
+        try {
+            this.logger.info('Adding traveler', { itineraryId });
+
+            const before = this.snapshotItinerary(itineraryId);
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+
+            const profiles = this.getTravelerProfiles(itinerary);
+            profiles.push(this.createTravelerProfile(profile));
+            itinerary.travelers = profiles.length;
+            itinerary.updatedAt = new Date().toISOString();
+
+            const index = profiles.length - 1;
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory(`Add traveler "${this.getTravelerName(itinerary, index)}"`, itineraryId, before);
+
+            return { itinerary, index };
+
+        } catch (error) {
+            this.logger.error('Failed to add traveler', { error: error.message, itineraryId });
+            throw new Error(`Failed to add traveler: ${error.message}`);
+        }
+    }
+
+    /**
+     * Edit a traveler's profile
+     * @param {string} itineraryId - Itinerary ID
+     * @param {number} index - Traveler index
+     * @param {Object} updates - New name, age band, dietary needs, passport country or loyalty numbers
+     * @returns {Promise<Object>} Updated profile
+     */
+    async updateTraveler(itineraryId, index, updates) {
+        try {
+            this.logger.info('Updating traveler', { itineraryId, index });
+
+            const before = this.snapshotItinerary(itineraryId);
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+            if (index === null || index === undefined) {
+                throw new Error('Traveler not found');
+            }
+            this.validateTravelerIndex(itinerary, index, 'Traveler');
+
+            const profiles = this.getTravelerProfiles(itinerary);
+            profiles[index] = this.createTravelerProfile({ ...profiles[index], ...updates });
+            itinerary.updatedAt = new Date().toISOString();
+
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory(`Edit traveler "${this.getTravelerName(itinerary, index)}"`, itineraryId, before);
+
+            return profiles[index];
+
+        } catch (error) {
+            this.logger.error('Failed to update traveler', { error: error.message, itineraryId, index });
+            throw new Error(`Failed to update traveler: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove a traveler from a trip
+     * Their payments and tasks become unassigned and they leave every item's
+     * participants; later travelers move up one place.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {number} index - Traveler index
+     * @returns {Promise<Object>} Updated itinerary
+     */
+    async removeTraveler(itineraryId, index) {
+        try {
+            this.logger.info('Removing traveler', { itineraryId, index });
+
+            const before = this.snapshotItinerary(itineraryId);
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+            if (index === null || index === undefined) {
+                throw new Error('Traveler not found');
+            }
+            this.validateTravelerIndex(itinerary, index, 'Traveler');
+            if (itinerary.travelers <= 1) {
+                throw new Error('A trip needs at least one traveler');
+            }
+
+            const name = this.getTravelerName(itinerary, index);
+            const profiles = this.getTravelerProfiles(itinerary);
+            profiles.splice(index, 1);
+            itinerary.travelers = profiles.length;
+
+            const shift = (position) => position > index ? position - 1 : position;
+            for (const { item } of this.collectItemPlacements(itinerary).values()) {
+                if (item.paidBy === index) {
+                    delete item.paidBy;
+                } else if (Number.isInteger(item.paidBy)) {
+                    item.paidBy = shift(item.paidBy);
+                }
+                if (Array.isArray(item.participants)) {
+                    item.participants = item.participants.filter(position => position !== index).map(shift);
+                    if (item.participants.length === 0) {
+                        delete item.participants;
+                    }
+                }
+            }
+            for (const entry of this.getChecklistState(itinerary).items) {
+                if (entry.assignee === index) {
+                    entry.assignee = null;
+                } else if (Number.isInteger(entry.assignee)) {
+                    entry.assignee = shift(entry.assignee);
+                }
+            }
+            itinerary.updatedAt = new Date().toISOString();
+
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory(`Remove traveler "${name}"`, itineraryId, before);
+
+            return itinerary;
+
+        } catch (error) {
+            this.logger.error('Failed to remove traveler', { error: error.message, itineraryId, index });
+            throw new Error(`Failed to remove traveler: ${error.message}`);
+        }
+    }
+
+    /**
+     * Work out each traveler's share of the trip's costs
+     * An item's cost is split evenly between its participants, or between
+     * everyone when it does not list any.
+     * @param {string} itineraryId - Itinerary ID
+     * @returns {Object} Currency, total and per traveler their total, totals by category and item shares
+     */
+    getPerPersonCosts(itineraryId) {
+        const itinerary = this.itineraries.get(itineraryId);
+        if (!itinerary) {
+            throw new Error('Itinerary not found');
+        }
+
+        const round = (amount) => Math.round(amount * 100) / 100;
+        const travelers = this.getTravelers(itineraryId).map(traveler => ({
+            index: traveler.index,
+            name: traveler.displayName,
+            total: 0,
+            categories: {},
+            items: []
+        }));
+
+        let total = 0;
+        for (const { item } of this.collectItemPlacements(itinerary).values()) {
+            if (!item.cost) continue;
+
+            const participants = this.getItemParticipants(itinerary, item);
+            const share = item.cost / participants.length;
+            const category = item.category || 'miscellaneous';
+            for (const index of participants) {
+                const traveler = travelers[index];
+                traveler.total += share;
+                traveler.categories[category] = (traveler.categories[category] || 0) + share;
+                traveler.items.push({ itemId: item.id, title: item.title, share: round(share), shared: participants.length });
+            }
+            total += item.cost;
+        }
+
+        for (const traveler of travelers) {
+            traveler.total = round(traveler.total);
+            for (const category of Object.keys(traveler.categories)) {
+                traveler.categories[category] = round(traveler.categories[category]);
+            }
+        }
+
+        return {
+            currency: this.getBaseCurrency(itinerary),
+            total: round(total),
+            travelers
+        };
+    }
+
+    /**
+     * Get booking details for an item's travelers from their profiles
+     * `passengerDetails` has the shape FlightService.bookFlight expects. Dates
+     * of birth are not kept in profiles, so they are left for the booking form
+     * to fill in. Loyalty numbers are matched to a flight's airline by program name.
+     * `guests` is the headcount for HotelService.searchHotels.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} itemId - Item ID
+     * @returns {Object} Traveler indexes, passenger details and guest count
+     */
+    getBookingDetails(itineraryId, itemId) {
+        const itinerary = this.itineraries.get(itineraryId);
+        if (!itinerary) {
+            throw new Error('Itinerary not found');
+        }
+        const placement = this.collectItemPlacements(itinerary).get(itemId);
+        if (!placement) {
+            throw new Error('Item not found in itinerary');
+        }
+
+        const item = placement.item;
+        const airline = item.type === 'flight' && item.data && item.data.airline ? item.data.airline.toLowerCase() : '';
+        const profiles = this.getTravelerProfiles(itinerary);
+        const travelers = this.getItemParticipants(itinerary, item);
+
+        const passengerDetails = travelers.map(index => {
+            const profile = profiles[index];
+            const names = profile.name.split(/\s+/).filter(Boolean);
+            const loyalty = airline
+                ? profile.loyalty.find(entry => {
+                    const program = entry.program.toLowerCase();
+                    return airline.includes(program) || program.includes(airline);
+                })
+                : null;
+
+            return {
+                travelerIndex: index,
+                firstName: names[0] || '',
+                lastName: names.slice(1).join(' '),
+                dateOfBirth: '',
+                passengerType: this.ageBands[profile.ageBand].passengerType,
+                nationality: profile.passportCountry,
+                dietary: [...profile.dietary],
+                loyaltyProgram: loyalty ? loyalty.program : null,
+                loyaltyNumber: loyalty ? loyalty.number : null
+            };
+        });
+
+        return { travelers, passengerDetails, guests: travelers.length };
+    }
+
+    /**
+     * Get a trip's status
+     * @param {string} itineraryId - Itinerary ID
+     * @returns {Object|null} Status ({status, name, changedAt}), or null if the trip does not exist
+     */
+    getStatus(itineraryId) {
+        const itinerary = this.itineraries.get(itineraryId);
+        if (!itinerary) return null;
+
+        const status = this.tripStatuses[itinerary.status] ? itinerary.status : 'draft';
+        return { status, name: this.tripStatuses[status].name, changedAt: itinerary.statusChangedAt || null };
+    }
+
+    /**
+     * Get the statuses a trip can move on to from its current one
+     * Starting a trip needs today to fall within its dates, and completing
+     * it needs it to have started.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {number} now - Current time in milliseconds, defaults to now
+     * @returns {Array} Options ({status, name, allowed, reason}); reason says why a status is not allowed yet
+     */
+    getStatusOptions(itineraryId, now = Date.now()) {
+        const itinerary = this.itineraries.get(itineraryId);
+        if (!itinerary) return [];
+
+        const today = this.getTripClock(itinerary, now).date;
+        return this.getTripStatus(itinerary).next.map(status => {
+            const reason = this.getStatusBlocker(itinerary, status, today);
+            return { status, name: this.tripStatuses[status].name, allowed: !reason, reason };
+        });
+    }
+
+    /**
+     * Move a trip to a new status
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} status - draft, booked, in-progress, completed or cancelled
+     * @param {number} now - Current time in milliseconds, defaults to now
+     * @returns {Promise<Object>} Updated itinerary
+     */
+    async setStatus(itineraryId, status, now = Date.now()) {
+        try {
+            this.logger.info('Setting itinerary status', { itineraryId, status });
+
+            const before = this.snapshotItinerary(itineraryId);
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+            if (!this.tripStatuses[status]) {
+                throw new Error(`Invalid status: ${status}`);
+            }
+
+            const current = this.getTripStatus(itinerary);
+            if (!current.next.includes(status)) {
+                throw new Error(`A ${current.name.toLowerCase()} trip cannot be marked ${this.tripStatuses[status].name.toLowerCase()}`);
+            }
+            const reason = this.getStatusBlocker(itinerary, status, this.getTripClock(itinerary, now).date);
+            if (reason) {
+                throw new Error(reason);
+            }
+
+            itinerary.status = status;
+            itinerary.statusChangedAt = new Date(now).toISOString();
+            itinerary.updatedAt = new Date().toISOString();
+
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory(`Mark trip ${this.tripStatuses[status].name.toLowerCase()}`, itineraryId, before);
+
+            this.logger.info('Itinerary status set', { itineraryId, status });
+            return itinerary;
+
+        } catch (error) {
+            this.logger.error('Failed to set itinerary status', { error: error.message, itineraryId, status });
+            throw new Error(`Failed to change trip status: ${error.message}`);
+        }
+    }
+
+    /**
+     * Move booked trips along as their dates pass
+     * A booked trip goes in progress on its start date, and a booked or
+     * in-progress trip is completed once its end date has passed. Drafts and
+     * cancelled trips are left alone.
+     * @param {number} now - Current time in milliseconds, defaults to now
+     * @returns {Promise<Array>} Changes made ({itineraryId, title, from, to})
+     */
+    async refreshStatuses(now = Date.now()) {
+        const changes = [];
+        for (const itinerary of this.itineraries.values()) {
+            const status = this.getAutomaticStatus(itinerary, this.getTripClock(itinerary, now).date);
+            if (status) {
+                changes.push({ itineraryId: itinerary.id, title: itinerary.title, from: itinerary.status, to: status });
+                itinerary.status = status;
+                itinerary.statusChangedAt = new Date(now).toISOString();
+            }
+        }
+
+        if (changes.length > 0) {
+            this.logger.info('Trip statuses advanced', { changes });
+            await this.saveItineraries();
+        }
+        return changes;
+    }
+
+    /**
+     * Check in to an item, skip it, or set it back to planned
+     * Only items on days up to today can be checked in or skipped, and not
+     * on cancelled trips. Setting a booked item back keeps it booked.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} itemId - Item ID
+     * @param {string} status - 'completed' (checked in), 'skipped' or 'planned'
+     * @param {number} now - Current time in milliseconds, defaults to now
+     * @returns {Promise<Object>} Updated item
+     */
+    async setItemStatus(itineraryId, itemId, status, now = Date.now()) {
+        try {
+            this.logger.info('Setting item status', { itineraryId, itemId, status });
+
+            const before = this.snapshotItinerary(itineraryId);
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+            const placement = this.collectItemPlacements(itinerary).get(itemId);
+            if (!placement) {
+                throw new Error('Item not found in itinerary');
+            }
+            if (!['completed', 'skipped', 'planned'].includes(status)) {
+                throw new Error(`Invalid item status: ${status}`);
+            }
+
+            const item = placement.item;
+            if (status !== 'planned') {
+                if (itinerary.status === 'cancelled') {
+                    throw new Error('Items on a cancelled trip cannot be checked in or skipped');
+                }
+                if (placement.date > this.getTripClock(itinerary, now).date) {
+                    throw new Error(`"${item.title}" is on ${placement.date}, which has not come yet`);
+                }
+            }
+
+            delete item.completedAt;
+            delete item.skippedAt;
+            if (status === 'completed') {
+                item.status = 'completed';
+                item.completedAt = new Date(now).toISOString();
+            } else if (status === 'skipped') {
+                item.status = 'skipped';
+                item.skippedAt = new Date(now).toISOString();
+            } else {
+                item.status = this.isItemBooked(item) ? 'booked' : 'planned';
+            }
+            itinerary.updatedAt = new Date().toISOString();
+
+            await this.saveEdit(itineraryId, before);
+            const label = status === 'completed' ? 'Check in to' : status === 'skipped' ? 'Skip' : 'Reset';
+            this.recordHistory(`${label} "${item.title}"`, itineraryId, before);
+
+            return item;
+
+        } catch (error) {
+            this.logger.error('Failed to set item status', { error: error.message, itineraryId, itemId, status });
+            throw new Error(`Failed to update item status: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get today's date where the trip is
+     * @param {string} itineraryId - Itinerary ID
+     * @param {number} now - Current time in milliseconds, defaults to now
+     * @returns {string|null} Date (YYYY-MM-DD) in the trip's timezone
+     */
+    getTripToday(itineraryId, now = Date.now()) {
+        const itinerary = this.itineraries.get(itineraryId);
+        return itinerary ? this.getTripClock(itinerary, now).date : null;
+    }
+
+    /**
+     * Get the day-of view of a trip: today's items, the next one and how soon it starts
+     * The view is active on any day within the trip's dates unless the trip
+     * is cancelled. Items without an exact time are placed at the start of
+     * their time slot; items in custom slots come last.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {number} now - Current time in milliseconds, defaults to now
+     * @returns {Object|null} Today view, or null if the trip does not exist
+     */
+    getTodayView(itineraryId, now = Date.now()) {
+        const itinerary = this.itineraries.get(itineraryId);
+        if (!itinerary) return null;
+
+        const clock = this.getTripClock(itinerary, now);
+        const dayIndex = itinerary.days.findIndex(day => day.date === clock.date);
+        if (dayIndex === -1 || itinerary.status === 'cancelled') {
+            return { active: false, date: clock.date, time: this.formatClock(clock.minutes) };
+        }
+
+        const day = itinerary.days[dayIndex];
+        const timed = new Map(this.getTimedEntries(itinerary, day).map(entry => [entry.item.id, entry]));
+        const entries = [];
+        for (const [slot, timeSlot] of Object.entries(day.timeSlots)) {
+            const window = this.timeSlotWindows[slot];
+            for (const item of timeSlot.items) {
+                const range = timed.get(item.id) || window || { start: null, end: null };
+                entries.push({ item, slot, slotName: timeSlot.name, start: range.start, end: range.end, exact: timed.has(item.id) });
+            }
+        }
+        entries.sort((a, b) => (a.start === null ? Infinity : a.start) - (b.start === null ? Infinity : b.start));
+
+        const isOpen = (entry) => !['completed', 'skipped'].includes(entry.item.status);
+        const next = entries.find(entry => isOpen(entry) && (entry.end === null || entry.end > clock.minutes)) || null;
+        const describe = (entry) => ({
+            item: entry.item,
+            slot: entry.slot,
+            slotName: entry.slotName,
+            startTime: entry.exact ? this.formatClock(entry.start) : null,
+            endTime: entry.exact ? this.formatClock(entry.end) : null,
+            missed: isOpen(entry) && entry.end !== null && entry.end <= clock.minutes
+        });
+
+        return {
+            active: true,
+            date: clock.date,
+            time: this.formatClock(clock.minutes),
+            dayIndex,
+            dayNumber: day.dayNumber,
+            leg: this.getDayLeg(itineraryId, dayIndex),
+            items: entries.map(describe),
+            next: next ? {
+                ...describe(next),
+                underway: next.start !== null && next.start <= clock.minutes,
+                startsIn: next.start !== null ? Math.max(0, next.start - clock.minutes) : null,
+                destination: {
+                    coordinates: this.getItemCoordinates(next.item),
+                    address: this.getItemLocation(next.item)
+                }
+            } : null,
+            progress: {
+                done: entries.filter(entry => entry.item.status === 'completed').length,
+                skipped: entries.filter(entry => entry.item.status === 'skipped').length,
+                total: entries.length
+            }
+        };
+    }
+
+    /**
+     * Attach a file, such as a PDF ticket or a QR code, to an item
+     * The file is kept in local storage and survives reloads. Removing it
+     * from the item keeps its contents until the next load, so the removal
+     * can be undone.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} itemId - Item ID
+     * @param {Object} file - File to attach
+     * @param {string} file.name - File name
+     * @param {string} file.type - MIME type (PDF, PNG, JPEG, GIF, WebP or plain text)
+     * @param {string} file.dataUrl - Contents as a base64 data URL, as FileReader.readAsDataURL gives
+     * @returns {Promise<Object>} Attachment ({id, name, type, size, addedAt})
+     */
+    async addAttachment(itineraryId, itemId, file) {
+        try {
+            this.logger.info('Adding attachment', { itineraryId, itemId, name: file && file.name });
+
+            const before = this.snapshotItinerary(itineraryId);
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+            const placement = this.collectItemPlacements(itinerary).get(itemId);
+            if (!placement) {
+                throw new Error('Item not found in itinerary');
+            }
+
+            const name = ((file && file.name) || '').toString().trim();
+            if (!name) {
+                throw new Error('File needs a name');
+            }
+            if (!this.attachmentTypes.includes(file.type)) {
+                throw new Error(`${name} is not a PDF, image or text file`);
+            }
+            const match = /^data:([^;,]+)(?:;[^,]*)?;base64,([A-Za-z0-9+/]*={0,2})$/.exec(file.dataUrl || '');
+            if (!match || match[1] !== file.type) {
+                throw new Error(`Could not read ${name}`);
+            }
+            const size = Math.floor(match[2].length * 3 / 4) - (match[2].match(/=+$/) || [''])[0].length;
+            if (size > this.maxAttachmentSize) {
+                throw new Error(`${name} is larger than ${this.maxAttachmentSize / (1024 * 1024)} MB`);
+            }
+
+            const attachment = {
+                id: `attachment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                name,
+                type: file.type,
+                size,
+                addedAt: new Date().toISOString()
+            };
+            this.attachments.set(attachment.id, { ...attachment, dataUrl: file.dataUrl });
+            try {
+                await this.saveAttachments();
+            } catch (error) {
+                this.attachments.delete(attachment.id);
+                throw error;
+            }
+
+            const item = placement.item;
+            item.attachments = [...(item.attachments || []), attachment];
+            item.updatedAt = new Date().toISOString();
+            itinerary.updatedAt = new Date().toISOString();
+
+            try {
+                await this.saveEdit(itineraryId, before);
+            } catch (error) {
+                // The stored file is no longer referenced, so the next load drops it
+                this.attachments.delete(attachment.id);
+                throw error;
+            }
+            this.recordHistory(`Attach "${name}" to "${item.title}"`, itineraryId, before);
+
+            this.logger.info('Attachment added', { itineraryId, itemId, attachmentId: attachment.id, size });
+            return attachment;
+
+        } catch (error) {
+            this.logger.error('Failed to add attachment', { error: error.message, itineraryId, itemId });
+            throw new Error(`Failed to attach file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove a file from an item
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} itemId - Item ID
+     * @param {string} attachmentId - Attachment ID
+     * @returns {Promise<Object>} Updated item
+     */
+    async removeAttachment(itineraryId, itemId, attachmentId) {
+        try {
+            this.logger.info('Removing attachment', { itineraryId, itemId, attachmentId });
+
+            const before = this.snapshotItinerary(itineraryId);
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+            const placement = this.collectItemPlacements(itinerary).get(itemId);
+            if (!placement) {
+                throw new Error('Item not found in itinerary');
+            }
+
+            const item = placement.item;
+            const attachment = (item.attachments || []).find(entry => entry.id === attachmentId);
+            if (!attachment) {
+                throw new Error('Attachment not found');
+            }
+
+            item.attachments = item.attachments.filter(entry => entry.id !== attachmentId);
+            if (item.attachments.length === 0) {
+                delete item.attachments;
+            }
+            item.updatedAt = new Date().toISOString();
+            itinerary.updatedAt = new Date().toISOString();
+
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory(`Remove "${attachment.name}" from "${item.title}"`, itineraryId, before);
+
+            return item;
+
+        } catch (error) {
+            this.logger.error('Failed to remove attachment', { error: error.message, itineraryId, itemId, attachmentId });
+            throw new Error(`Failed to remove attachment: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get an attached file with its contents
+     * @param {string} attachmentId - Attachment ID
+     * @returns {Object|null} Attachment ({id, name, type, size, addedAt, dataUrl}), or null if it is not stored
+     */
+    getAttachment(attachmentId) {
+        return this.attachments.get(attachmentId) || null;
+    }
+
+    /**
+     * Get a trip's documents: every item with booking details, notes or files
+     * Cancellation deadlines are read in the trip's timezone; a deadline
+     * without a time runs to the end of its day. `cancellation.state` is
+     * 'passed', 'soon' (within two days) or 'open'.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {number} now - Current time in milliseconds, defaults to now
+     * @returns {Object} Documents ({entries, attachmentCount, totalSize}), entries in trip order
+     */
+    getDocuments(itineraryId, now = Date.now()) {
+        const itinerary = this.itineraries.get(itineraryId);
+        if (!itinerary) {
+            throw new Error('Itinerary not found');
+        }
+
+        const clock = this.getTripClock(itinerary, now);
+        const current = new Date(`${clock.date}T${this.formatClock(clock.minutes)}:00Z`).getTime();
+        const entries = [];
+        let attachmentCount = 0;
+        let totalSize = 0;
+
+        for (const { item, date, dayIndex, slot } of this.collectItemPlacements(itinerary).values()) {
+            const attachments = (item.attachments || []).map(attachment => ({
+                ...attachment,
+                available: this.attachments.has(attachment.id)
+            }));
+            if (!item.booking && !item.notes && attachments.length === 0) continue;
+
+            let cancellation = null;
+            if (item.booking && item.booking.cancellationDeadline) {
+                const deadline = item.booking.cancellationDeadline;
+                const until = new Date(`${deadline.includes('T') ? deadline : `${deadline}T23:59`}:00Z`).getTime() - current;
+                cancellation = {
+                    deadline,
+                    state: until < 0 ? 'passed' : until <= 2 * 24 * 60 * 60 * 1000 ? 'soon' : 'open'
+                };
+            }
+
+            attachmentCount += attachments.length;
+            totalSize += attachments.reduce((sum, attachment) => sum + attachment.size, 0);
+            entries.push({
+                item,
+                date,
+                dayIndex,
+                slot,
+                booking: item.booking || null,
+                notes: item.notes || '',
+                cancellation,
+                attachments
+            });
+        }
+
+        return { entries, attachmentCount, totalSize };
+    }
+
+    /**
+     * Add an empty day at the start or end of a trip
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} position - 'start' or 'end'
+     * @returns {Promise<Object>} Updated itinerary
+     */
+    async addDay(itineraryId, position = 'end') {
+        return this.changeDates(itineraryId, { type: 'add-day', position });
+    }
+
+    /**
+     * Remove a day from a trip; the following days move one day earlier
+     * @param {string} itineraryId - Itinerary ID
+     * @param {number} dayIndex - Day index (0-based)
+     * @param {Object} orphanMoves - New day index (or null to delete) for each item on the removed day, by item ID
+     * @returns {Promise<Object>} Updated itinerary
+     */
+    async removeDay(itineraryId, dayIndex, orphanMoves = {}) {
+        return this.changeDates(itineraryId, { type: 'remove-day', dayIndex }, orphanMoves);
+    }
+
+    /**
+     * Move a whole trip to a new start date, keeping every day's plans
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} startDate - New start date (YYYY-MM-DD)
+     * @returns {Promise<Object>} Updated itinerary
+     */
+    async shiftDates(itineraryId, startDate) {
+        return this.changeDates(itineraryId, { type: 'shift', startDate });
+    }
+
+    /**
+     * Change a trip's date range; items stay on their calendar dates
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} startDate - New start date (YYYY-MM-DD)
+     * @param {string} endDate - New end date (YYYY-MM-DD)
+     * @param {Object} orphanMoves - New day index (or null to delete) for each item outside the new range, by item ID
+     * @returns {Promise<Object>} Updated itinerary
+     */
+    async setDateRange(itineraryId, startDate, endDate, orphanMoves = {}) {
+        return this.changeDates(itineraryId, { type: 'range', startDate, endDate }, orphanMoves);
+    }
+
+    /**
+     * Preview a date change without applying it
+     * Lists the resulting days and the items that would be left without a day,
+     * so the caller can ask where they should go.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {Object} change - Date change ({type: 'add-day'|'remove-day'|'shift'|'range', ...})
+     * @returns {Object} Resulting dates, days and orphaned items
+     */
+    previewDateChange(itineraryId, change) {
+        const itinerary = this.itineraries.get(itineraryId);
+        if (!itinerary) {
+            throw new Error('Itinerary not found');
+        }
+
+        const plan = this.planDateChange(itinerary, change);
+        return {
+            startDate: plan.startDate,
+            endDate: ICalendar.shiftDate(plan.startDate, plan.sources.length - 1),
+            duration: plan.sources.length,
+            days: plan.sources.map((source, index) => {
+                const date = ICalendar.shiftDate(plan.startDate, index);
+                return { date, dayOfWeek: this.getDayOfWeek(date), isNew: source === null };
+            }),
+            orphaned: plan.orphaned.map(({ item, dayIndex, slot }) => ({
+                id: item.id,
+                title: item.title,
+                date: itinerary.days[dayIndex].date,
+                dayIndex,
+                slot,
+                suggestedDayIndex: this.getNearestDayIndex(plan, itinerary.days[dayIndex].date)
+            }))
+        };
+    }
+
+    /**
+     * Apply a date change to a trip
+     * @param {string} itineraryId - Itinerary ID
+     * @param {Object} change - Date change ({type: 'add-day'|'remove-day'|'shift'|'range', ...})
+     * @param {Object} orphanMoves - New day index (or null to delete) for each orphaned item, by item ID
+     * @returns {Promise<Object>} Updated itinerary
+     */
+    async changeDates(itineraryId, change, orphanMoves = {}) {
+        try {
+            this.logger.info('Changing itinerary dates', { itineraryId, change });
+
+            const before = this.snapshotItinerary(itineraryId);
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+
+            const plan = this.planDateChange(itinerary, change);
+
+            // Every item losing its day needs somewhere to go first
+            const unresolved = plan.orphaned.filter(({ item }) => !Object.prototype.hasOwnProperty.call(orphanMoves, item.id));
+            if (unresolved.length > 0) {
+                const titles = unresolved.map(({ item }) => item.title).join(', ');
+                throw new Error(`${unresolved.length} item${unresolved.length !== 1 ? 's' : ''} would be left without a day (${titles}); choose where to move them`);
+            }
+            for (const { item } of plan.orphaned) {
+                const target = orphanMoves[item.id];
+                if (target !== null && (!Number.isInteger(target) || target < 0 || target >= plan.sources.length)) {
+                    throw new Error(`Invalid day index for ${item.title}: ${target}`);
+                }
+            }
+
+            // Build the new day list, reusing existing days where they survive
+            const slotTemplate = itinerary.days[0].timeSlots;
+            const days = plan.sources.map(source => {
+                if (source !== null) {
+                    return itinerary.days[source];
+                }
+                const timeSlots = {};
+                for (const [slot, timeSlot] of Object.entries(slotTemplate)) {
+                    timeSlots[slot] = { name: timeSlot.name, items: [] };
+                }
+                return { timeSlots };
+            });
+
+            days.forEach((day, index) => {
+                day.date = ICalendar.shiftDate(plan.startDate, index);
+                day.dayNumber = index + 1;
+                day.dayOfWeek = this.getDayOfWeek(day.date);
+            });
+
+            let moved = 0;
+            let removed = 0;
+            for (const { item, slot } of plan.orphaned) {
+                const target = orphanMoves[item.id];
+                if (target === null) {
+                    removed++;
+                    continue;
+                }
+
+                const day = days[target];
+                const requestedSlot = day.timeSlots[slot] ? slot : Object.keys(day.timeSlots)[0];
+                item.movedAt = new Date().toISOString();
+                day.timeSlots[this.resolveTimeSlot(day, requestedSlot, item)].items.push(item);
+                moved++;
+            }
+
+            itinerary.days = days;
+            itinerary.startDate = days[0].date;
+            itinerary.endDate = days[days.length - 1].date;
+            itinerary.duration = days.length;
+            itinerary.updatedAt = new Date().toISOString();
+            this.fitLegsToDays(itinerary);
+            this.recomputeBudget(itinerary);
+
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory(this.describeDateChange(change), itineraryId, before);
+
+            this.logger.info('Itinerary dates changed', {
+                itineraryId,
+                startDate: itinerary.startDate,
+                endDate: itinerary.endDate,
+                moved,
+                removed
+            });
+            return itinerary;
+
+        } catch (error) {
+            this.logger.error('Failed to change itinerary dates', { error: error.message, itineraryId, change });
+            throw new Error(`Failed to change trip dates: ${error.message}`);
+        }
+    }
+
+    /**
+     * Work out who owes whom for a trip's shared expenses
+     * Each paid item is split evenly between its participants, or between all
+     * travelers when it lists none; items without a payer are left out and
+     * totalled separately.
+     * @param {string} itineraryId - Itinerary ID
+     * @returns {Object} Per-traveler balances and the transfers that settle them, in the trip currency
+     */
+    getSettlement(itineraryId) {
+        const itinerary = this.itineraries.get(itineraryId);
+        if (!itinerary) {
+            throw new Error('Itinerary not found');
+        }
+
+        const count = itinerary.travelers || 1;
+        const travelers = Array.from({ length: count }, (_, index) => ({
+            index,
+            name: this.getTravelerName(itinerary, index),
+            paid: 0,
+            share: 0,
+            balance: 0
+        }));
+
+        let shared = 0;
+        let unassigned = 0;
+        for (const { item } of this.collectItemPlacements(itinerary).values()) {
+            if (!item.cost) continue;
+
+            const payer = travelers[item.paidBy];
+            if (!Number.isInteger(item.paidBy) || !payer) {
+                unassigned += item.cost;
+                continue;
+            }
+
+            payer.paid += item.cost;
+            shared += item.cost;
+            const participants = this.getItemParticipants(itinerary, item);
+            participants.forEach(index => {
+                travelers[index].share += item.cost / participants.length;
+            });
+        }
+
+        const round = (amount) => Math.round(amount * 100) / 100;
+        for (const traveler of travelers) {
+            traveler.paid = round(traveler.paid);
+            traveler.share = round(traveler.share);
+            traveler.balance = round(traveler.paid - traveler.share);
+        }
+
+        // Pay the largest debt to the largest creditor until everyone is even
+        const creditors = travelers.filter(traveler => traveler.balance > 0).map(traveler => ({ ...traveler, left: traveler.balance }));
+        const debtors = travelers.filter(traveler => traveler.balance < 0).map(traveler => ({ ...traveler, left: -traveler.balance }));
+        const transfers = [];
+        while (creditors.length > 0 && debtors.length > 0) {
+            creditors.sort((a, b) => b.left - a.left);
+            debtors.sort((a, b) => b.left - a.left);
+            const creditor = creditors[0];
+            const debtor = debtors[0];
+            const amount = round(Math.min(creditor.left, debtor.left));
+
+            if (amount >= 0.01) {
+                transfers.push({ from: debtor.index, fromName: debtor.name, to: creditor.index, toName: creditor.name, amount });
+            }
+            creditor.left = round(creditor.left - amount);
+            debtor.left = round(debtor.left - amount);
+            if (creditor.left < 0.01) creditors.shift();
+            if (debtor.left < 0.01) debtors.shift();
+        }
+
+        return {
+            currency: this.getBaseCurrency(itinerary),
+            total: round(shared),
+            unassigned: round(unassigned),
+            travelers,
+            transfers
+        };
+    }
+
+    /**
+     * Get the budget totals that were corrected when stored trips were loaded
+     * @returns {Array} One entry per repaired trip with the stored and recomputed totals
+     */
+    getBudgetRepairReport() {
+        return this.budgetRepairs;
+    }
+
+    /**
+     * Set spending caps for a trip and its categories
+     * @param {string} itineraryId - Itinerary ID
+     * @param {Object} limits - Cap per category in the trip currency; 0 or null removes a cap
+     * @param {number} total - Optional new overall budget
+     * @returns {Promise<Object>} Updated itinerary
+     */
+    async setBudgetLimits(itineraryId, limits, total) {
+        try {
+            this.logger.info('Setting budget limits', { itineraryId, limits, total });
+
+            const before = this.snapshotItinerary(itineraryId);
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+
+            const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+            if (total !== undefined && total !== null && !isAmount(total)) {
+                throw new Error('Total budget must be a non-negative number');
+            }
+
+            const caps = {};
+            for (const [category, limit] of Object.entries(limits || {})) {
+                if (limit === null || limit === undefined || limit === 0) continue;
+                if (!isAmount(limit)) {
+                    throw new Error(`Cap for ${category} must be a non-negative number`);
+                }
+                caps[category] = limit;
+            }
+
+            itinerary.budget.limits = caps;
+            if (total !== undefined && total !== null) {
+                itinerary.budget.total = total;
+            }
+            itinerary.updatedAt = new Date().toISOString();
+
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory('Edit budget', itineraryId, before);
+
+            this.logger.info('Budget limits set', { itineraryId, categories: Object.keys(caps).length });
+            return itinerary;
+
+        } catch (error) {
+            this.logger.error('Failed to set budget limits', { error: error.message, itineraryId });
+            throw new Error(`Failed to set budget limits: ${error.message}`);
+        }
+    }
+
+    /**
+     * Forecast a trip's spending against its budget
+     * Planned spend counts every item, with hotel stays booked as one item
+     * projected at their nightly rate times the number of nights. Paid spend
+     * counts items someone has paid for or that are completed.
+     * @param {string} itineraryId - Itinerary ID
+     * @returns {Object} Totals, per-category and per-day planned and paid amounts, and warnings
+     */
+    getBudgetForecast(itineraryId) {
+        const itinerary = this.itineraries.get(itineraryId);
+        if (!itinerary) {
+            throw new Error('Itinerary not found');
+        }
+
+        const round = (amount) => Math.round(amount * 100) / 100;
+        const limits = itinerary.budget.limits || {};
+        const categories = new Map();
+        const entryFor = (category) => {
+            if (!categories.has(category)) {
+                categories.set(category, { category, limit: limits[category] || null, planned: 0, paid: 0 });
+            }
+            return categories.get(category);
+        };
+        Object.keys(limits).forEach(entryFor);
+
+        const days = itinerary.days.map(day => ({ date: day.date, dayNumber: day.dayNumber, planned: 0, paid: 0 }));
+        let planned = 0;
+        let paid = 0;
+
+        itinerary.days.forEach((day, dayIndex) => {
+            for (const timeSlot of Object.values(day.timeSlots)) {
+                for (const item of timeSlot.items) {
+                    const forecast = this.getItemForecast(itinerary, item);
+                    if (!forecast) continue;
+
+                    const entry = entryFor(item.category || 'miscellaneous');
+                    entry.planned += forecast;
+                    days[dayIndex].planned += forecast;
+                    planned += forecast;
+
+                    if (this.isItemPaid(item)) {
+                        entry.paid += item.cost || 0;
+                        days[dayIndex].paid += item.cost || 0;
+                        paid += item.cost || 0;
+                    }
+                }
+            }
+        });
+
+        const total = itinerary.budget.total || 0;
+        const categoryList = Array.from(categories.values()).map(entry => ({
+            ...entry,
+            planned: round(entry.planned),
+            paid: round(entry.paid),
+            remaining: entry.limit !== null ? round(entry.limit - entry.planned) : null,
+            over: entry.limit !== null && entry.planned > entry.limit
+        })).sort((a, b) => b.planned - a.planned);
+
+        return {
+            currency: this.getBaseCurrency(itinerary),
+            total,
+            planned: round(planned),
+            paid: round(paid),
+            remaining: total > 0 ? round(total - planned) : null,
+            over: total > 0 && planned > total,
+            categories: categoryList,
+            days: days.map(day => ({ ...day, planned: round(day.planned), paid: round(day.paid) })),
+            warnings: this.describeOverspend(itinerary, [
+                ...categoryList,
+                { category: null, limit: total > 0 ? total : null, planned }
+            ])
+        };
+    }
+
+    /**
+     * Replace the exchange rate table, e.g. with rates fetched while online
+     * The table is stored so conversions keep working offline.
+     * @param {Object} rateTable - Rate table ({base, asOf, rates})
+     * @returns {Promise<Object>} Rate table in use
+     */
+    async setRateTable(rateTable) {
+        try {
+            this.currencyConverter.setRateTable(rateTable);
+            await this.storageManager.setItem('exchangeRates', this.currencyConverter.getRateTable());
+
+            this.logger.info('Exchange rate table updated', { base: rateTable.base, asOf: rateTable.asOf });
+            return this.currencyConverter.getRateTable();
+
+        } catch (error) {
+            this.logger.error('Failed to update exchange rates', { error: error.message });
+            throw new Error(`Failed to update exchange rates: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the exchange rate table in use
+     * @returns {Object} Rate table ({base, asOf, rates})
+     */
+    getRateTable() {
+        return this.currencyConverter.getRateTable();
+    }
+
+    /**
+     * List the currencies items and trips can use
+     * @returns {Array<string>} ISO 4217 codes
+     */
+    getCurrencies() {
+        return this.currencyConverter.getCurrencies();
+    }
+
+    /**
+     * Save a trip as a reusable template
+     * Items are stored by day offset from the start date, so a trip created
+     * from the template gets them on the same trip days. Who paid and the
+     * item status are left out.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {Object} options - Template options
+     * @param {string} options.name - Template name
+     * @param {string} options.description - Short description
+     * @param {Array<string>} options.timeSlots - Time slot names in order; defaults to the trip's slots.
+     *     Every slot that holds items must be kept.
+     * @returns {Promise<Object>} Template summary
+     */
+    async saveAsTemplate(itineraryId, options = {}) {
+        try {
+            this.logger.info('Saving itinerary as template', { itineraryId, options });
+
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+
+            const name = (options.name || '').trim();
+            if (!name) {
+                throw new Error('Template name is required');
+            }
+            if (this.getTemplates().some(template => template.name.toLowerCase() === name.toLowerCase())) {
+                throw new Error(`A template named "${name}" already exists`);
+            }
+
+            const { timeSlots, slotNames } = this.buildTemplateSlots(itinerary, options.timeSlots);
+
+            const items = [];
+            itinerary.days.forEach((day, dayOffset) => {
+                for (const [slot, timeSlot] of Object.entries(day.timeSlots)) {
+                    for (const item of timeSlot.items) {
+                        if (!timeSlots.includes(slot)) {
+                            throw new Error(`Time slot "${timeSlot.name}" holds items and cannot be left out`);
+                        }
+
+                        const templateItem = JSON.parse(JSON.stringify(item));
+                        for (const field of ['id', 'addedAt', 'status', 'paidBy', 'participants', 'booking', 'attachments']) {
+                            delete templateItem[field];
+                        }
+                        if (templateItem.cost) {
+                            templateItem.price = this.getItemPrice(itinerary, item);
+                        }
+                        items.push({ dayOffset, slot, item: templateItem });
+                    }
+                }
+            });
+
+            const template = {
+                id: `template_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                name,
+                description: (options.description || '').trim(),
+                type: itinerary.type || 'leisure',
+                defaultDuration: itinerary.days.length,
+                categories: [...new Set(items.map(entry => entry.item.category).filter(Boolean))],
+                timeSlots,
+                slotNames,
+                items,
+                budget: {
+                    total: itinerary.budget.total || 0,
+                    currency: this.getBaseCurrency(itinerary),
+                    limits: { ...(itinerary.budget.limits || {}) }
+                },
+                sourceItineraryId: itinerary.id,
+                createdAt: new Date().toISOString()
+            };
+
+            this.customTemplates.set(template.id, template);
+            try {
+                await this.saveTemplates();
+            } catch (error) {
+                this.customTemplates.delete(template.id);
+                throw error;
+            }
+
+            this.logger.info('Itinerary template saved', { templateId: template.id, items: items.length });
+            return this.summarizeTemplate(template);
+
+        } catch (error) {
+            this.logger.error('Failed to save itinerary template', { error: error.message, itineraryId });
+            throw new Error(`Failed to save template: ${error.message}`);
+        }
+    }
+
+    /**
+     * List the built-in trip type templates followed by saved ones
+     * @returns {Array} Template summaries; built-in ones have `builtIn: true` and the trip type as ID
+     */
+    getTemplates() {
+        const builtIn = Object.entries(this.templates).map(([type, template]) => ({
+            ...this.summarizeTemplate({ ...template, type, items: [] }),
+            id: type,
+            builtIn: true
+        }));
+        const saved = Array.from(this.customTemplates.values()).map(template => this.summarizeTemplate(template));
+
+        return [...builtIn, ...saved];
+    }
+
+    /**
+     * Delete a saved template
+     * @param {string} templateId - Template ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteTemplate(templateId) {
+        try {
+            this.logger.info('Deleting itinerary template', { templateId });
+
+            if (this.templates[templateId]) {
+                throw new Error('Built-in templates cannot be deleted');
+            }
+            this.findTemplate(templateId);
+
+            const templates = new Map(this.customTemplates);
+            this.customTemplates.delete(templateId);
+            try {
+                await this.saveTemplates();
+            } catch (error) {
+                this.customTemplates = templates;
+                throw error;
+            }
+            return true;
+
+        } catch (error) {
+            this.logger.error('Failed to delete itinerary template', { error: error.message, templateId });
+            throw new Error(`Failed to delete template: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save the current state of a trip as a named version
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} name - Version name (e.g. "before budget cut")
+     * @returns {Promise<Object>} Version summary
+     */
+    async saveVersion(itineraryId, name) {
+        try {
+            this.logger.info('Saving itinerary version', { itineraryId, name });
+
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+
+            const versionName = (name || '').trim();
+            if (!versionName) {
+                throw new Error('Version name is required');
+            }
+
+            const versions = this.versions.get(itineraryId) || [];
+            if (versions.some(version => version.name.toLowerCase() === versionName.toLowerCase())) {
+                throw new Error(`A version named "${versionName}" already exists`);
+            }
+
+            const version = {
+                id: `version_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                name: versionName,
+                createdAt: new Date().toISOString(),
+                itinerary: JSON.parse(JSON.stringify(itinerary))
+            };
+
+            const saved = new Map(this.versions);
+            this.versions.set(itineraryId, [...versions, version]);
+            try {
+                await this.saveVersions();
+            } catch (error) {
+                this.versions = saved;
+                throw error;
+            }
+
+            this.logger.info('Itinerary version saved', { itineraryId, versionId: version.id });
+            return this.summarizeVersion(version);
+
+        } catch (error) {
+            this.logger.error('Failed to save itinerary version', { error: error.message, itineraryId });
+            throw new Error(`Failed to save version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the saved versions of a trip, newest first
+     * @param {string} itineraryId - Itinerary ID
+     * @returns {Array} Version summaries
+     */
+    getVersions(itineraryId) {
+        return (this.versions.get(itineraryId) || [])
+            .map(version => this.summarizeVersion(version))
+            .reverse();
+    }
+
+    /**
+     * Delete a saved version
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} versionId - Version ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteVersion(itineraryId, versionId) {
+        try {
+            this.logger.info('Deleting itinerary version', { itineraryId, versionId });
+
+            this.findVersion(itineraryId, versionId);
+            const saved = new Map(this.versions);
+            const remaining = this.versions.get(itineraryId).filter(version => version.id !== versionId);
+            if (remaining.length > 0) {
+                this.versions.set(itineraryId, remaining);
+            } else {
+                this.versions.delete(itineraryId);
+            }
+
+            try {
+                await this.saveVersions();
+            } catch (error) {
+                this.versions = saved;
+                throw error;
+            }
+            return true;
+
+        } catch (error) {
+            this.logger.error('Failed to delete itinerary version', { error: error.message, itineraryId, versionId });
+            throw new Error(`Failed to delete version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Compare two versions of a trip
+     * Items are matched by ID, so an item counts as moved when its date, time
+     * slot or start time differs, and as changed when its title or cost does.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string|null} fromVersionId - Older version ID, or null for the current trip
+     * @param {string|null} toVersionId - Newer version ID, or null for the current trip
+     * @returns {Object} Added, removed, moved and changed items plus budget and date deltas
+     */
+    diffVersions(itineraryId, fromVersionId, toVersionId = null) {
+        const from = this.getVersionItinerary(itineraryId, fromVersionId);
+        const to = this.getVersionItinerary(itineraryId, toVersionId);
+
+        const fromItems = this.collectItemPlacements(from);
+        const toItems = this.collectItemPlacements(to);
+
+        const added = [];
+        const removed = [];
+        const moved = [];
+        const changed = [];
+
+        for (const [id, entry] of toItems) {
+            const previous = fromItems.get(id);
+            if (!previous) {
+                added.push(this.describePlacement(entry));
+                continue;
+            }
+
+            if (previous.date !== entry.date || previous.slot !== entry.slot || (previous.item.startTime || null) !== (entry.item.startTime || null)) {
+                moved.push({
+                    id,
+                    title: entry.item.title,
+                    from: this.describePlacement(previous),
+                    to: this.describePlacement(entry)
+                });
+            }
+
+            const fields = ['title', 'cost', 'category'].filter(field => (previous.item[field] ?? null) !== (entry.item[field] ?? null));
+            if (fields.length > 0) {
+                changed.push({
+                    id,
+                    title: entry.item.title,
+                    changes: fields.map(field => ({ field, from: previous.item[field] ?? null, to: entry.item[field] ?? null }))
+                });
+            }
+        }
+
+        for (const [id, entry] of fromItems) {
+            if (!toItems.has(id)) {
+                removed.push(this.describePlacement(entry));
+            }
+        }
+
+        const delta = (before = 0, after = 0) => ({ from: before, to: after, delta: after - before });
+        const categories = {};
+        for (const category of new Set([...Object.keys(from.budget.categories || {}), ...Object.keys(to.budget.categories || {})])) {
+            const entry = delta(from.budget.categories[category], to.budget.categories[category]);
+            if (entry.delta !== 0) {
+                categories[category] = entry;
+            }
+        }
+
+        return {
+            from: this.describeVersionSide(itineraryId, fromVersionId),
+            to: this.describeVersionSide(itineraryId, toVersionId),
+            dates: {
+                from: { startDate: from.startDate, endDate: from.endDate },
+                to: { startDate: to.startDate, endDate: to.endDate },
+                changed: from.startDate !== to.startDate || from.endDate !== to.endDate
+            },
+            added,
+            removed,
+            moved,
+            changed,
+            budget: {
+                total: delta(from.budget.total, to.budget.total),
+                spent: delta(from.budget.spent, to.budget.spent),
+                categories
+            }
+        };
+    }
+
+    /**
+     * Put a trip back to a saved version
+     * The trip keeps its ID and creation date; the restore itself can be undone.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} versionId - Version ID
+     * @returns {Promise<Object>} Restored itinerary
+     */
+    async restoreVersion(itineraryId, versionId) {
+        try {
+            this.logger.info('Restoring itinerary version', { itineraryId, versionId });
+
+            const before = this.snapshotItinerary(itineraryId);
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+
+            const version = this.findVersion(itineraryId, versionId);
+            const restored = {
+                ...JSON.parse(JSON.stringify(version.itinerary)),
+                id: itinerary.id,
+                createdAt: itinerary.createdAt,
+                updatedAt: new Date().toISOString()
+            };
+            if (itinerary.lineage) {
+                restored.lineage = itinerary.lineage;
+            }
+
+            this.itineraries.set(itineraryId, restored);
+            if (this.currentItinerary && this.currentItinerary.id === itineraryId) {
+                this.currentItinerary = restored;
+            }
+
+            await this.saveEdit(itineraryId, before);
+            this.recordHistory(`Restore version "${version.name}"`, itineraryId, before);
+
+            this.logger.info('Itinerary version restored', { itineraryId, versionId });
+            return restored;
+
+        } catch (error) {
+            this.logger.error('Failed to restore itinerary version', { error: error.message, itineraryId, versionId });
+            throw new Error(`Failed to restore version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Start a new trip from a saved version, remembering where it came from
+     * Unlike duplicateItinerary, the branch keeps its status, spending and item
+     * IDs so it can be compared with the trip it branched from.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string|null} versionId - Version ID, or null to branch the current trip
+     * @param {Object} updates - Optional title for the new trip
+     * @returns {Promise<Object>} New itinerary
+     */
+    async branchVersion(itineraryId, versionId, updates = {}) {
+        try {
+            this.logger.info('Branching itinerary version', { itineraryId, versionId });
+
+            const source = this.itineraries.get(itineraryId);
+            if (!source) {
+                throw new Error('Itinerary not found');
+            }
+
+            const version = versionId ? this.findVersion(itineraryId, versionId) : null;
+            const branch = JSON.parse(JSON.stringify(version ? version.itinerary : source));
+            const now = new Date().toISOString();
+
+            branch.id = `itinerary_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            branch.title = updates.title || `${source.title} (${version ? version.name : 'Branch'})`;
+            branch.createdAt = now;
+            branch.updatedAt = now;
+            branch.lineage = {
+                itineraryId,
+                itineraryTitle: source.title,
+                versionId: version ? version.id : null,
+                versionName: version ? version.name : null,
+                branchedAt: now
+            };
+
+            this.itineraries.set(branch.id, branch);
+            await this.saveEdit(branch.id, null);
+
+            this.logger.info('Itinerary version branched', { sourceId: itineraryId, versionId, newId: branch.id });
+            return branch;
+
+        } catch (error) {
+            this.logger.error('Failed to branch itinerary version', { error: error.message, itineraryId, versionId });
+            throw new Error(`Failed to branch version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Undo the most recent itinerary edit
+     * @returns {Promise<Object|null>} Undone entry ({label, itineraryId, itinerary}), or null when there is nothing to undo
+     */
+    async undo() {
+        const entry = this.history.undo.pop();
+        if (!entry) return null;
+
+        try {
+            this.logger.info('Undoing itinerary edit', { label: entry.label, itineraryId: entry.itineraryId });
+
+            await this.restoreSnapshot(entry.itineraryId, entry.before);
+            this.history.redo.push(entry);
+
+            return { label: entry.label, itineraryId: entry.itineraryId, itinerary: this.itineraries.get(entry.itineraryId) || null };
+
+        } catch (error) {
+            this.history.undo.push(entry);
+            this.logger.error('Failed to undo', { error: error.message, label: entry.label });
+            throw new Error(`Failed to undo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Redo the most recently undone itinerary edit
+     * @returns {Promise<Object|null>} Redone entry ({label, itineraryId, itinerary}), or null when there is nothing to redo
+     */
+    async redo() {
+        const entry = this.history.redo.pop();
+        if (!entry) return null;
+
+        try {
+            this.logger.info('Redoing itinerary edit', { label: entry.label, itineraryId: entry.itineraryId });
+
+            await this.restoreSnapshot(entry.itineraryId, entry.after);
+            this.history.undo.push(entry);
+
+            return { label: entry.label, itineraryId: entry.itineraryId, itinerary: this.itineraries.get(entry.itineraryId) || null };
+
+        } catch (error) {
+            this.history.redo.push(entry);
+            this.logger.error('Failed to redo', { error: error.message, label: entry.label });
+            throw new Error(`Failed to redo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Label of the edit the next undo would revert
+     * @returns {string|null} Edit label, or null when there is nothing to undo
+     */
+    peekUndo() {
+        const entry = this.history.undo[this.history.undo.length - 1];
+        return entry ? entry.label : null;
+    }
+
+    /**
+     * Label of the edit the next redo would reapply
+     * @returns {string|null} Edit label, or null when there is nothing to redo
+     */
+    peekRedo() {
+        const entry = this.history.redo[this.history.redo.length - 1];
+        return entry ? entry.label : null;
+    }
+
+    /**
+     * Run several edits to one itinerary as a single undo step
+     * If any edit fails, the itinerary is rolled back to where it started.
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} label - Label for the combined edit
+     * @param {Function} operation - Async function performing the edits
+     * @returns {Promise<*>} Result of the operation
+     */
+    async batch(itineraryId, label, operation) {
+        const before = this.snapshotItinerary(itineraryId);
+
+        this.historySuspended++;
+        try {
+            const result = await operation();
+            this.historySuspended--;
+            this.recordHistory(label, itineraryId, before);
+            return result;
+        } catch (error) {
+            this.historySuspended--;
+            try {
+                await this.restoreSnapshot(itineraryId, before);
+            } catch (restoreError) {
+                // The edits that did save stay in place, matching what is stored
+                this.logger.error('Failed to roll back itinerary edits', { error: restoreError.message, itineraryId, label });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Export itinerary to different formats
+     * @param {string} itineraryId - Itinerary ID
+     * @param {string} format - Export format (json, pdf, ical, csv, markdown)
+     * @returns {Promise<Object>} Export data
+     */
+    async exportItinerary(itineraryId, format = 'json') {
+        try {
+            this.logger.info('Exporting itinerary', { itineraryId, format });
+            
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+            
+            switch (format.toLowerCase()) {
+                case 'json':
+                    return this.exportToJSON(itinerary);
+                case 'pdf':
+                    return this.exportToPDF(itinerary);
+                case 'ical':
+                    return this.exportToICal(itinerary);
+                case 'csv':
+                    return this.exportToCSV(itinerary);
+                case 'markdown':
+                case 'md':
+                    return this.exportToMarkdown(itinerary);
+                default:
+                    throw new Error(`Unsupported export format: ${format}`);
+            }
+            
+        } catch (error) {
+            this.logger.error('Failed to export itinerary', { error: error.message, itineraryId, format });
+            throw new Error(`Failed to export itinerary: ${error.message}`);
+        }
+    }
+
+    /**
+     * Import an itinerary from an exported or third-party file
+     * @param {string} data - File contents
+     * @param {string} format - Import format (json, ical)
+     * @param {Object} options - Overrides for the created itinerary (title, destination, type, timezone, startDate, endDate)
+     * @returns {Promise<Object>} Created itinerary and an import report
+     */
+    async importItinerary(data, format, options = {}) {
+        try {
+            this.logger.info('Importing itinerary', { format, options });
+
+            if (!data || typeof data !== 'string') {
+                throw new Error('No data to import');
+            }
+
+            switch ((format || '').toLowerCase()) {
+                case 'json':
+                    return await this.importFromJSON(data, options);
+                case 'ical':
+                case 'ics':
+                    return await this.importFromICal(data, options);
+                default:
+                    throw new Error(`Unsupported import format: ${format}`);
+            }
+
+        } catch (error) {
+            this.logger.error('Failed to import itinerary', { error: error.message, format });
+            throw new Error(`Failed to import itinerary: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate itinerary data
+     * @private
+     */
+    validateItineraryData(data) {
+        const required = ['title', 'destination', 'startDate', 'endDate'];
+        const missing = required.filter(field => !data[field] || data[field].toString().trim() === '');
+        
+        if (missing.length > 0) {
+            throw new Error(`Missing required fields: ${missing.join(', ')}`);
+        }
+        
+        const startDate = new Date(data.startDate);
+        const endDate = new Date(data.endDate);
+        
+        if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+            throw new Error('Invalid date format');
+        }
+        
+        if (endDate < startDate) {
+            throw new Error('End date must be after start date');
+        }
+        
+        if (data.type && !this.templates[data.type]) {
+            throw new Error(`Invalid trip type: ${data.type}`);
+        }
+
+        if (data.currency && !this.currencyConverter.hasCurrency(data.currency)) {
+            throw new Error(`Unsupported currency: ${data.currency}`);
+        }
+    }
+
+    /**
+     * Generate day structure for itinerary
+     * @private
+     */
+    generateDayStructure(duration, startDate, template) {
+        const days = [];
+        
+        for (let i = 0; i < duration; i++) {
+            const currentDate = new Date(startDate);
+            currentDate.setDate(startDate.getDate() + i);
+            
+            const day = {
+                date: currentDate.toISOString().split('T')[0],
+                dayNumber: i + 1,
+                dayOfWeek: currentDate.toLocaleDateString('en-US', { weekday: 'long' }),
+                timeSlots: {}
+            };
+            
+            // Create time slots based on template
+            for (const slot of template.timeSlots) {
+                day.timeSlots[slot] = {
+                    name: (template.slotNames && template.slotNames[slot]) || slot.charAt(0).toUpperCase() + slot.slice(1),
+                    items: []
+                };
+            }
+            
+            days.push(day);
+        }
+        
+        return days;
+    }
+
+    /**
+     * Find a saved template
+     * @private
+     */
+    findTemplate(templateId) {
+        const template = this.customTemplates.get(templateId);
+        if (!template) {
+            throw new Error('Template not found');
+        }
+        return template;
+    }
+
+    /**
+     * Describe a template without its items
+     * @private
+     */
+    summarizeTemplate(template) {
+        return {
+            id: template.id,
+            name: template.name,
+            description: template.description || '',
+            type: template.type,
+            builtIn: false,
+            defaultDuration: template.defaultDuration,
+            categories: template.categories,
+            timeSlots: template.timeSlots.map(slot => (template.slotNames && template.slotNames[slot]) || slot),
+            itemCount: template.items.length,
+            budget: template.budget || null,
+            createdAt: template.createdAt || null
+        };
+    }
+
+    /**
+     * Work out the slot keys and display names a template keeps
+     * Requested names that match an existing slot reuse its key; new ones
+     * get a key made from the name.
+     * @private
+     */
+    buildTemplateSlots(itinerary, requested) {
+        const existing = Object.entries(itinerary.days[0].timeSlots).map(([key, timeSlot]) => ({ key, name: timeSlot.name }));
+        const names = Array.isArray(requested)
+            ? requested.map(name => String(name).trim()).filter(Boolean)
+            : existing.map(slot => slot.name);
+        if (names.length === 0) {
+            throw new Error('A template needs at least one time slot');
+        }
+
+        const timeSlots = [];
+        const slotNames = {};
+        for (const name of names) {
+            const match = existing.find(slot => slot.name.toLowerCase() === name.toLowerCase() || slot.key === name.toLowerCase());
+            const key = match ? match.key : name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+            if (!key) {
+                throw new Error(`Invalid time slot name: ${name}`);
+            }
+            if (timeSlots.includes(key)) {
+                throw new Error(`Time slot "${name}" is listed twice`);
+            }
+            timeSlots.push(key);
+            slotNames[key] = match ? match.name : name;
+        }
+
+        return { timeSlots, slotNames };
+    }
+
+    /**
+     * Fill in trip details left out of the creation data from a saved template
+     * @private
+     */
+    applyTemplateDefaults(itineraryData, template) {
+        const data = { ...itineraryData };
+        data.type = data.type || template.type;
+        if (!data.endDate && /^\d{4}-\d{2}-\d{2}$/.test(data.startDate || '')) {
+            data.endDate = ICalendar.shiftDate(data.startDate, template.defaultDuration - 1);
+        }
+        data.currency = data.currency || template.budget.currency;
+        if (data.budget === undefined && this.currencyConverter.hasCurrency(data.currency)) {
+            data.budget = this.currencyConverter.convert(template.budget.total, template.budget.currency, data.currency);
+        }
+        return data;
+    }
+
+    /**
+     * Copy a saved template's items onto a new trip's days
+     * Items fall on the same day offset from the start; those past the last
+     * day of a shorter trip are left out.
+     * @private
+     */
+    fillFromTemplate(itinerary, template) {
+        itinerary.templateId = template.id;
+        itinerary.budget.limits = {};
+        for (const [category, limit] of Object.entries(template.budget.limits || {})) {
+            itinerary.budget.limits[category] = this.currencyConverter.convert(limit, template.budget.currency, this.getBaseCurrency(itinerary));
+        }
+
+        let skipped = 0;
+        for (const { dayOffset, slot, item } of template.items) {
+            const day = itinerary.days[dayOffset];
+            if (!day || !day.timeSlots[slot]) {
+                skipped++;
+                continue;
+            }
+
+            const itineraryItem = {
+                ...JSON.parse(JSON.stringify(item)),
+                id: `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                ...this.priceItem(itinerary, item),
+                addedAt: itinerary.createdAt,
+                status: 'planned'
+            };
+            delete itineraryItem.currency;
+            day.timeSlots[slot].items.push(itineraryItem);
+        }
+
+        if (skipped > 0) {
+            this.logger.warn('Template items past the end of the trip were left out', { templateId: template.id, skipped });
+        }
+        this.recomputeBudget(itinerary);
+    }
+
+    /**
+     * Build a leg from user input, trimming text and dropping empty lodging
+     * @private
+     */
+    createLeg(leg) {
+        const lodging = leg.lodging && (leg.lodging.name || '').trim()
+            ? { name: leg.lodging.name.trim(), address: (leg.lodging.address || '').trim() }
+            : null;
+
+        return {
+            id: leg.id || `leg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            city: (leg.city || '').toString().trim(),
+            coordinates: leg.coordinates ? { lat: Number(leg.coordinates.lat), lng: Number(leg.coordinates.lng) } : null,
+            startDate: leg.startDate,
+            endDate: leg.endDate,
+            lodging
+        };
+    }
+
+    /**
+     * Check a single leg's city, coordinates and dates
+     * @private
+     */
+    validateLeg(leg, index) {
+        const label = `Leg ${index + 1}`;
+        if (!leg.city) {
+            throw new Error(`${label} needs a city`);
+        }
+        if (leg.coordinates) {
+            const { lat, lng } = leg.coordinates;
+            if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+                throw new Error(`${label} (${leg.city}) has invalid coordinates`);
+            }
+        }
+        for (const field of ['startDate', 'endDate']) {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(leg[field] || '') || isNaN(new Date(`${leg[field]}T00:00:00Z`).getTime())) {
+                throw new Error(`${label} (${leg.city}) has an invalid ${field === 'startDate' ? 'start' : 'end'} date`);
+            }
+        }
+        if (leg.endDate < leg.startDate) {
+            throw new Error(`${label} (${leg.city}) ends before it starts`);
+        }
+    }
+
+    /**
+     * Check that legs run in order and cover exactly the trip's dates
+     * @private
+     */
+    validateLegs(itinerary, legs) {
+        legs.forEach((leg, index) => this.validateLeg(leg, index));
+
+        if (legs[0].startDate !== itinerary.startDate) {
+            throw new Error(`The first leg must start on the trip's start date (${itinerary.startDate})`);
+        }
+        if (legs[legs.length - 1].endDate !== itinerary.endDate) {
+            throw new Error(`The last leg must end on the trip's end date (${itinerary.endDate})`);
+        }
+
+        for (let index = 1; index < legs.length; index++) {
+            const previous = legs[index - 1];
+            const leg = legs[index];
+            const nextDay = ICalendar.shiftDate(previous.endDate, 1);
+            if (leg.startDate !== previous.endDate && leg.startDate !== nextDay) {
+                throw new Error(`Leg ${index + 1} (${leg.city}) must start on ${previous.endDate} or ${nextDay}, when ${previous.city} ends`);
+            }
+            // Each leg needs a day of its own besides the travel day it hands over
+            if (leg.startDate <= previous.startDate) {
+                throw new Error(`Leg ${index + 1} (${leg.city}) must start after ${previous.city} does`);
+            }
+        }
+    }
+
+    /**
+     * Tie each day to the leg covering its date, the arriving leg on travel days
+     * @private
+     */
+    assignDaysToLegs(itinerary) {
+        for (const day of itinerary.days) {
+            day.legId = itinerary.legs.filter(leg => leg.startDate <= day.date && day.date <= leg.endDate).pop().id;
+        }
+    }
+
+    /**
+     * Fit the legs to the trip's days after the days changed
+     * Days keep their leg, new days join the leg of the day before them, and
+     * each leg's dates are taken from its days. Legs left without days are
+     * dropped. Trips saved before legs existed get one leg for the whole trip.
+     * @private
+     */
+    fitLegsToDays(itinerary) {
+        if (!Array.isArray(itinerary.legs) || itinerary.legs.length === 0) {
+            itinerary.legs = [this.createLeg({ city: itinerary.destination, startDate: itinerary.startDate, endDate: itinerary.endDate })];
+        }
+
+        const legIds = new Set(itinerary.legs.map(leg => leg.id));
+        let current = (itinerary.days.find(day => legIds.has(day.legId)) || {}).legId || itinerary.legs[0].id;
+        for (const day of itinerary.days) {
+            if (legIds.has(day.legId)) {
+                current = day.legId;
+            } else {
+                day.legId = current;
+            }
+        }
+
+        // Legs that handed over on a shared travel day keep doing so
+        const sharesTravelDay = new Set(itinerary.legs
+            .filter((leg, index) => itinerary.legs[index + 1] && itinerary.legs[index + 1].startDate === leg.endDate)
+            .map(leg => leg.id));
+
+        const legs = itinerary.legs.filter(leg => itinerary.days.some(day => day.legId === leg.id));
+        for (const leg of legs) {
+            const days = itinerary.days.filter(day => day.legId === leg.id);
+            leg.startDate = days[0].date;
+            leg.endDate = days[days.length - 1].date;
+        }
+        legs.forEach((leg, index) => {
+            if (sharesTravelDay.has(leg.id) && legs[index + 1]) {
+                leg.endDate = legs[index + 1].startDate;
+            }
+        });
+
+        if (legs.length !== itinerary.legs.length) {
+            const dropped = itinerary.legs.filter(leg => !legs.includes(leg)).map(leg => leg.city);
+            this.logger.warn('Legs left without days were removed from the route', { itineraryId: itinerary.id, dropped });
+            itinerary.legs = legs;
+            itinerary.destination = this.describeRoute(legs);
+        }
+    }
+
+    /**
+     * Describe a route as its cities in order, e.g. "London - Paris - Rome"
+     * @private
+     */
+    describeRoute(legs) {
+        return legs.map(leg => leg.city).join(' - ');
+    }
+
+    /**
+     * Work out which existing day ends up at each position after a date change
+     * @private
+     * @returns {{startDate: string, sources: Array<number|null>, orphaned: Array<Object>}} New start date,
+     *     the old day index for each new day (null for a new, empty day) and the items left without a day
+     */
+    planDateChange(itinerary, change) {
+        const oldIndexes = itinerary.days.map((_, index) => index);
+        let startDate = itinerary.startDate;
+        let sources;
+
+        switch (change.type) {
+            case 'add-day':
+                if (change.position === 'start') {
+                    startDate = ICalendar.shiftDate(startDate, -1);
+                    sources = [null, ...oldIndexes];
+                } else {
+                    sources = [...oldIndexes, null];
+                }
+                break;
+            case 'remove-day':
+                if (!Number.isInteger(change.dayIndex) || !itinerary.days[change.dayIndex]) {
+                    throw new Error('Invalid day index');
+                }
+                if (itinerary.days.length === 1) {
+                    throw new Error('A trip needs at least one day');
+                }
+                // Dropping the first day makes the trip start a day later
+                if (change.dayIndex === 0) {
+                    startDate = ICalendar.shiftDate(startDate, 1);
+                }
+                sources = oldIndexes.filter(index => index !== change.dayIndex);
+                break;
+            case 'shift':
+                this.validateItineraryData({ ...itinerary, startDate: change.startDate, endDate: change.startDate });
+                startDate = change.startDate;
+                sources = oldIndexes;
+                break;
+            case 'range': {
+                this.validateItineraryData({ ...itinerary, startDate: change.startDate, endDate: change.endDate });
+                startDate = change.startDate;
+                const length = Math.round((new Date(`${change.endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / (1000 * 60 * 60 * 24)) + 1;
+                sources = Array.from({ length }, (_, index) => {
+                    const source = itinerary.days.findIndex(day => day.date === ICalendar.shiftDate(startDate, index));
+                    return source === -1 ? null : source;
+                });
+                break;
+            }
+            default:
+                throw new Error(`Unsupported date change: ${change.type}`);
+        }
+
+        const kept = new Set(sources);
+        const orphaned = [];
+        itinerary.days.forEach((day, dayIndex) => {
+            if (kept.has(dayIndex)) return;
+            for (const [slot, timeSlot] of Object.entries(day.timeSlots)) {
+                for (const item of timeSlot.items) {
+                    orphaned.push({ item, dayIndex, slot });
+                }
+            }
+        });
+
+        return { startDate, sources, orphaned };
+    }
+
+    /**
+     * Find the day of a planned date change closest to a date
+     * @private
+     */
+    getNearestDayIndex(plan, date) {
+        const offset = Math.round((new Date(`${date}T00:00:00Z`) - new Date(`${plan.startDate}T00:00:00Z`)) / (1000 * 60 * 60 * 24));
+        return Math.min(Math.max(offset, 0), plan.sources.length - 1);
+    }
+
+    /**
+     * Get the weekday name of a date
+     * @private
+     */
+    getDayOfWeek(date) {
+        return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+    }
+
+    /**
+     * Export to JSON format
+     * @private
+     */
+    exportToJSON(itinerary) {
+        return {
+            format: 'json',
+            data: ItinerarySchema.wrap(itinerary),
+            mimeType: 'application/json',
+            exportedAt: new Date().toISOString(),
+            filename: `${itinerary.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_itinerary.json`
+        };
+    }
+
+    /**
+     * Export to PDF format
+     * @private
+     */
+    exportToPDF(itinerary) {
+        const pdf = new ItineraryPDF().render(this.buildPrintModel(itinerary));
+
+        return {
+            format: 'pdf',
+            data: pdf.output('blob'),
+            mimeType: 'application/pdf',
+            exportedAt: new Date().toISOString(),
+            filename: `${itinerary.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_itinerary.pdf`
+        };
+    }
+
+    /**
+     * Prepare the printable view of an itinerary
+     * @private
+     */
+    buildPrintModel(itinerary) {
+        const formatDate = (date, options) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+        const scheduled = this.getScheduledEntries(itinerary);
+        let itemCount = 0;
+
+        const days = itinerary.days.map(day => {
+            const points = [];
+            let total = 0;
+
+            const slots = Object.entries(day.timeSlots).map(([slot, timeSlot]) => {
+                const window = this.timeSlotWindows[slot];
+                const slotEntries = scheduled.filter(entry => entry.day === day && entry.slot === slot);
+                const entries = slotEntries.map(({ item, startTime, endTime }) => {
+                    const coordinates = this.getItemCoordinates(item);
+                    let marker = null;
+
+                    if (coordinates) {
+                        marker = points.length + 1;
+                        points.push({ ...coordinates, marker });
+                    }
+
+                    itemCount++;
+                    total += item.cost || 0;
+
+                    return {
+                        marker,
+                        time: startTime ? `${startTime}-${endTime}` : 'All day',
+                        title: item.title,
+                        category: item.category || item.type || 'activity',
+                        description: item.description || this.getItemLocation(item),
+                        cost: item.cost || 0
+                    };
+                });
+
+                return {
+                    name: timeSlot.name,
+                    window: window ? `${this.formatClock(window.start)}-${this.formatClock(window.end)}` : '',
+                    entries
+                };
+            });
+
+            return {
+                dayNumber: day.dayNumber,
+                label: formatDate(day.date, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }),
+                slots,
+                points,
+                total
+            };
+        });
+
+        return {
+            title: itinerary.title,
+            destination: itinerary.destination,
+            dateRange: `${formatDate(itinerary.startDate, { month: 'short', day: 'numeric', year: 'numeric' })} - ${formatDate(itinerary.endDate, { month: 'short', day: 'numeric', year: 'numeric' })}`,
+            duration: itinerary.duration,
+            type: itinerary.type,
+            travelers: itinerary.travelers,
+            notes: itinerary.notes,
+            currency: itinerary.budget.currency || 'USD',
+            itemCount,
+            budget: {
+                total: itinerary.budget.total || 0,
+                spent: itinerary.budget.spent || 0,
+                categories: Object.entries(itinerary.budget.categories)
+                    .filter(([, amount]) => amount > 0)
+                    .map(([name, amount]) => ({ name, amount }))
+                    .sort((a, b) => b.amount - a.amount)
+            },
+            days
+        };
+    }
+
+    /**
+     * Export to iCal format (RFC 5545)
+     * @private
+     */
+    exportToICal(itinerary) {
+        const timezone = ICalendar.isValidTimezone(itinerary.timezone) ? itinerary.timezone : 'UTC';
+        const events = [];
+        
+        for (const day of itinerary.days) {
+            for (const slot of Object.keys(day.timeSlots)) {
+                for (const entry of this.scheduleSlotItems(day, slot)) {
+                    const { item } = entry;
+                    const coordinates = this.getItemCoordinates(item);
+
+                    events.push({
+                        // Item IDs are stable, so re-importing updates events instead of duplicating them
+                        uid: `${item.id}@travel-planner-explorer`,
+                        timezone,
+                        start: entry.start,
+                        end: entry.end,
+                        summary: item.title,
+                        description: item.description,
+                        location: this.getItemLocation(item),
+                        geo: coordinates,
+                        categories: [item.category, item.type].filter(Boolean),
+                        lastModified: item.updatedAt || item.addedAt,
+                        properties: {
+                            'X-TRAVEL-PLANNER-SLOT': slot,
+                            'X-TRAVEL-PLANNER-DAY': day.dayNumber
+                        }
+                    });
+                }
+            }
+        }
+        
+        const icalData = ICalendar.serialize({
+            name: itinerary.title,
+            description: itinerary.destination,
+            timezones: [timezone],
+            rangeStart: itinerary.startDate,
+            rangeEnd: itinerary.endDate,
+            events
+        });
+        
+        return {
+            format: 'ical',
+            data: icalData,
+            mimeType: 'text/calendar',
+            exportedAt: new Date().toISOString(),
+            filename: `${itinerary.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_itinerary.ics`
+        };
+    }
+
+    /**
+     * Import from JSON format
+     * The file must pass schema validation; item and itinerary IDs are
+     * regenerated and the budget spending is rebuilt from item costs.
+     * @private
+     */
+    async importFromJSON(jsonData, options) {
+        let payload;
+        try {
+            payload = JSON.parse(jsonData);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        const { version, itinerary: source } = ItinerarySchema.unwrap(payload);
+        const errors = ItinerarySchema.validate(source, {
+            tripTypes: Object.keys(this.templates),
+            currencies: this.currencyConverter.getCurrencies()
+        });
+        if (errors.length > 0) {
+            const shown = errors.slice(0, 5).map(error => `${error.path} ${error.message}`);
+            if (errors.length > shown.length) {
+                shown.push(`and ${errors.length - shown.length} more`);
+            }
+            throw new Error(`Invalid itinerary file: ${shown.join('; ')}`);
+        }
+
+        const newItineraryId = `itinerary_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const template = this.templates[source.type] || this.templates.leisure;
+
+        // Create deep copy of the imported itinerary
+        const itinerary = JSON.parse(JSON.stringify(source));
+
+        Object.assign(itinerary, {
+            id: newItineraryId,
+            title: options.title || source.title,
+            duration: source.days.length,
+            timezone: ICalendar.isValidTimezone(source.timezone) ? source.timezone : this.getDefaultTimezone(),
+            type: source.type || 'leisure',
+            template: template.name,
+            preferences: source.preferences || {},
+            status: 'draft',
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            travelers: source.travelers || 1,
+            notes: source.notes || '',
+            tags: source.tags || [],
+            sharing: {
+                isPublic: false,
+                collaborators: []
+            }
+        });
+        itinerary.budget = {
+            ...itinerary.budget,
+            total: (source.budget && source.budget.total) || 0,
+            spent: 0,
+            categories: {}
+        };
+
+        // A route in the file has to fit its dates; files without one get a single leg
+        if (Array.isArray(source.legs)) {
+            itinerary.legs = source.legs.map(leg => this.createLeg(leg));
+            try {
+                this.validateLegs(itinerary, itinerary.legs);
+            } catch (error) {
+                throw new Error(`Invalid itinerary file: ${error.message}`);
+            }
+            this.assignDaysToLegs(itinerary);
+            itinerary.destination = this.describeRoute(itinerary.legs);
+        }
+        this.fitLegsToDays(itinerary);
+
+        if (Array.isArray(source.travelerProfiles)) {
+            try {
+                itinerary.travelerProfiles = source.travelerProfiles.map(profile => this.createTravelerProfile(profile));
+            } catch (error) {
+                throw new Error(`Invalid itinerary file: ${error.message}`);
+            }
+        }
+        this.getTravelerProfiles(itinerary);
+
+        // Generate new IDs for all items and rebuild spending from their costs
+        let itemCount = 0;
+        for (const day of itinerary.days) {
+            for (const timeSlot of Object.values(day.timeSlots)) {
+                for (const item of timeSlot.items) {
+                    item.id = `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                    item.status = item.status || 'planned';
+                    item.addedAt = item.addedAt || itinerary.createdAt;
+                    try {
+                        const booking = this.normalizeBooking(item.booking);
+                        delete item.booking;
+                        if (booking) item.booking = booking;
+                    } catch (error) {
+                        throw new Error(`Invalid itinerary file: ${item.title}: ${error.message}`);
+                    }
+
+                    // Files travel without their contents, so only ones already stored here are kept
+                    const attachments = (item.attachments || []).filter(attachment => this.attachments.has(attachment.id));
+                    delete item.attachments;
+                    if (attachments.length > 0) item.attachments = attachments;
+                    itemCount++;
+                }
+            }
+        }
+        this.recomputeBudget(itinerary);
+
+        this.itineraries.set(newItineraryId, itinerary);
+        await this.saveEdit(newItineraryId, null);
+        this.currentItinerary = itinerary;
+
+        this.logger.info('JSON import complete', { itineraryId: newItineraryId, version, items: itemCount });
+
+        return {
+            format: 'json',
+            itinerary,
+            report: {
+                version,
+                items: itemCount,
+                placed: itemCount,
+                unplaced: []
+            }
+        };
+    }
+
+    /**
+     * Import from iCal format
+     * Each VEVENT occurrence becomes an item on the matching day; the trip
+     * spans the earliest to the latest occurrence unless dates are given.
+     * @private
+     */
+    async importFromICal(icsData, options) {
+        const calendar = ICalendar.parse(icsData);
+        if (calendar.events.length === 0) {
+            throw new Error('No events found in calendar');
+        }
+
+        const candidates = [options.timezone, calendar.properties['X-WR-TIMEZONE'], ...Object.keys(calendar.timezones)];
+        const timezone = candidates.find(tzid => tzid && ICalendar.isValidTimezone(tzid)) || this.getDefaultTimezone();
+
+        const unplaced = [];
+        const occurrences = this.collectICalOccurrences(calendar, timezone, options, unplaced);
+        if (occurrences.length === 0) {
+            throw new Error('None of the calendar events could be read');
+        }
+
+        const dates = occurrences.map(occurrence => occurrence.date).sort();
+        const firstLocation = calendar.events.find(event => event.location)?.location;
+
+        const itinerary = await this.createItinerary({
+            title: options.title || calendar.properties['X-WR-CALNAME'] || 'Imported Trip',
+            destination: options.destination || calendar.properties['X-WR-CALDESC'] || firstLocation || 'Unknown Destination',
+            startDate: options.startDate || dates[0],
+            endDate: options.endDate || dates[dates.length - 1],
+            type: options.type || 'leisure',
+            timezone
+        });
+
+        // The import is one new trip, not a series of undoable edits
+        let placed = 0;
+        this.historySuspended++;
+        try {
+            for (const occurrence of occurrences) {
+                const dayIndex = itinerary.days.findIndex(day => day.date === occurrence.date);
+                if (dayIndex === -1) {
+                    unplaced.push({ ...occurrence.reference, reason: 'Outside the trip dates' });
+                    continue;
+                }
+
+                const timeSlot = this.findTimeSlotForTime(itinerary.days[dayIndex], occurrence.minutes, occurrence.slotHint);
+                try {
+                    await this.addItemToDay(itinerary.id, dayIndex, timeSlot, occurrence.item);
+                    placed++;
+                } catch (error) {
+                    unplaced.push({ ...occurrence.reference, reason: error.message });
+                }
+            }
+        } finally {
+            this.historySuspended--;
+        }
+
+        this.logger.info('Calendar imported', { itineraryId: itinerary.id, placed, unplaced: unplaced.length });
+
+        return {
+            format: 'ical',
+            itinerary,
+            report: {
+                events: calendar.events.length,
+                placed,
+                unplaced
+            }
+        };
+    }
+
+    /**
+     * Expand calendar events into dated occurrences in the trip timezone
+     * @private
+     */
+    collectICalOccurrences(calendar, timezone, options, unplaced) {
+        const occurrences = [];
+        const describe = (event, start) => ({
+            uid: event.uid || null,
+            summary: event.summary || 'Untitled event',
+            start: start ? `${start.date}${start.minutes !== undefined ? ` ${this.formatClock(start.minutes)}` : ''}` : null
+        });
+
+        // Modified instances of recurring events replace the generated ones
+        const overrides = new Set(calendar.events
+            .filter(event => event.recurrenceId)
+            .map(event => `${event.uid}|${event.recurrenceId.date}|${event.recurrenceId.minutes}`));
+
+        const bounded = calendar.events.filter(event => !event.rrule || event.rrule.count || event.rrule.until);
+        const unbounded = calendar.events.filter(event => event.rrule && !event.rrule.count && !event.rrule.until);
+
+        const expand = (event, rangeEnd) => {
+            if (!event.start) {
+                unplaced.push({ ...describe(event, null), reason: 'Missing or invalid DTSTART' });
+                return;
+            }
+            if (event.status === 'CANCELLED') {
+                unplaced.push({ ...describe(event, event.start), reason: 'Cancelled in calendar' });
+                return;
+            }
+
+            const excluded = new Set(event.exdates.filter(Boolean).map(exdate => `${exdate.date}|${exdate.minutes}`));
+            const starts = event.rrule && !event.recurrenceId
+                ? ICalendar.expandRecurrence(event.start, event.rrule, rangeEnd)
+                : [event.start];
+
+            for (const start of starts) {
+                const key = `${start.date}|${start.minutes}`;
+                if (excluded.has(key)) continue;
+                if (event.rrule && !event.recurrenceId && overrides.has(`${event.uid}|${key}`)) continue;
+
+                occurrences.push(...this.buildICalOccurrence(event, start, calendar.timezones, timezone, describe(event, start)));
+            }
+        };
+
+        bounded.forEach(event => expand(event, options.endDate || '9999-12-31'));
+
+        // Open-ended recurrences are clipped to the span of everything else
+        const lastDate = occurrences.map(occurrence => occurrence.date).sort().pop();
+        unbounded.forEach(event => expand(event, options.endDate || lastDate || event.start?.date));
+
+        return occurrences;
+    }
+
+    /**
+     * Turn one occurrence of a VEVENT into per-day item placements
+     * @private
+     */
+    buildICalOccurrence(event, start, timezones, timezone, reference) {
+        const categories = event.categories || [];
+        const text = `${event.summary || ''} ${categories.join(' ')}`;
+        let type = categories[1] || 'activity';
+        let category = categories[0] || 'activity';
+
+        if (!categories.length && /\b(flight|airlines?|departure)\b/i.test(text)) {
+            type = 'flight';
+            category = 'transport';
+        } else if (!categories.length && /\b(hotel|check-?in|stay|lodging)\b/i.test(text)) {
+            type = 'hotel';
+            category = 'accommodation';
+        }
+
+        const item = {
+            title: event.summary || 'Untitled event',
+            description: event.description || '',
+            type,
+            category,
+            cost: 0,
+            data: {
+                source: 'ical',
+                uid: event.uid,
+                address: event.location,
+                coordinates: event.geo
+            }
+        };
+        const slotHint = event.properties['X-TRAVEL-PLANNER-SLOT'];
+
+        // All-day events land on every date they cover
+        if (start.minutes === undefined) {
+            const days = event.end && event.end.minutes === undefined
+                ? Math.max(1, Math.round((new Date(event.end.date) - new Date(event.start.date)) / (1000 * 60 * 60 * 24)))
+                : Math.max(1, Math.round((event.duration || 0) / (24 * 60)));
+
+            return Array.from({ length: days }, (_, offset) => ({
+                date: ICalendar.shiftDate(start.date, offset),
+                slotHint,
+                reference,
+                item: { ...item, duration: 'All day', data: { ...item.data } }
+            }));
+        }
+
+        const instant = ICalendar.resolveInstant(start, timezones, timezone);
+        let minutes = event.duration;
+        if (minutes === undefined && event.end && event.end.minutes !== undefined) {
+            const startInstant = ICalendar.resolveInstant(event.start, timezones, timezone);
+            minutes = Math.round((ICalendar.resolveInstant(event.end, timezones, timezone) - startInstant) / 60000);
+        }
+
+        const local = ICalendar.toLocal(instant, timezone);
+        return [{
+            date: local.date,
+            minutes: local.minutes,
+            slotHint,
+            reference,
+            item: {
+                ...item,
+                startTime: this.formatClock(local.minutes),
+                duration: this.formatDuration(minutes > 0 ? minutes : this.defaultItemDuration),
+                data: { ...item.data }
+            }
+        }];
+    }
+
+    /**
+     * Pick the time slot of a day that covers a local time
+     * @private
+     */
+    findTimeSlotForTime(day, minutes, preferredSlot) {
+        const slots = Object.keys(day.timeSlots);
+        if (preferredSlot && day.timeSlots[preferredSlot]) {
+            return preferredSlot;
+        }
+
+        if (minutes === undefined) {
+            return day.timeSlots.evening ? 'evening' : slots[slots.length - 1];
+        }
+
+        const covering = slots.find(slot => {
+            const window = this.timeSlotWindows[slot];
+            return window && ((minutes >= window.start && minutes < window.end) ||
+                (minutes + 24 * 60 >= window.start && minutes + 24 * 60 < window.end));
+        });
+        if (covering) {
+            return covering;
+        }
+
+        // Otherwise use the slot whose window starts closest to the event
+        return slots.reduce((best, slot) => {
+            const distance = Math.abs((this.timeSlotWindows[slot]?.start ?? 9 * 60) - minutes);
+            const bestDistance = Math.abs((this.timeSlotWindows[best]?.start ?? 9 * 60) - minutes);
+            return distance < bestDistance ? slot : best;
+        }, slots[0]);
+    }
+
+    /**
+     * Format minutes as a readable duration ("1 hour 30 minutes")
+     * @param {number} minutes - Duration in minutes
+     * @returns {string} Readable duration
+     */
+    formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const remainder = minutes % 60;
+        const parts = [];
+
+        if (hours > 0) parts.push(`${hours} hour${hours !== 1 ? 's' : ''}`);
+        if (remainder > 0 || hours === 0) parts.push(`${remainder} minute${remainder !== 1 ? 's' : ''}`);
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Format minutes from midnight as HH:MM
+     * @private
+     */
+    formatClock(minutes) {
+        const normalized = ((minutes % (24 * 60)) + 24 * 60) % (24 * 60);
+        return `${String(Math.floor(normalized / 60)).padStart(2, '0')}:${String(normalized % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Format an item's cost in the trip currency, with its original price when that differs
+     * @param {Object} itinerary - Itinerary the item belongs to
+     * @param {Object} item - Itinerary item
+     * @returns {string} e.g. "€120.00 ≈ $130.43"
+     */
+    formatItemCost(itinerary, item) {
+        const base = this.getBaseCurrency(itinerary);
+        const cost = CurrencyConverter.format(item.cost || 0, base);
+        return item.price && item.price.currency !== base
+            ? `${CurrencyConverter.format(item.price.amount, item.price.currency)} ≈ ${cost}`
+            : cost;
+    }
+
+    /**
+     * Export to CSV format (one row per item)
+     * @private
+     */
+    exportToCSV(itinerary) {
+        const currency = this.getBaseCurrency(itinerary);
+        const header = ['Day', 'Date', 'Time Slot', 'Start', 'End', 'Title', 'Type', 'Category', `Cost (${currency})`, 'Original Price', 'Paid By', 'Duration', 'Location'];
+        const rows = this.getScheduledEntries(itinerary).map(entry => [
+            entry.day.dayNumber,
+            entry.day.date,
+            entry.slotName,
+            entry.startTime || 'All day',
+            entry.endTime || '',
+            entry.item.title,
+            entry.item.type || '',
+            entry.item.category || '',
+            entry.item.cost || 0,
+            entry.item.price && entry.item.price.currency !== currency ? `${entry.item.price.amount} ${entry.item.price.currency}` : '',
+            Number.isInteger(entry.item.paidBy) ? this.getTravelerName(itinerary, entry.item.paidBy) : '',
+            entry.item.duration || '',
+            this.getItemLocation(entry.item)
+        ]);
+
+        const escapeCell = (value) => {
+            const text = String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const csvData = [header, ...rows].map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+        return {
+            format: 'csv',
+            data: csvData,
+            mimeType: 'text/csv',
+            exportedAt: new Date().toISOString(),
+            filename: `${itinerary.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_itinerary.csv`
+        };
+    }
+
+    /**
+     * Export to Markdown format
+     * @private
+     */
+    exportToMarkdown(itinerary) {
+        const entries = this.getScheduledEntries(itinerary);
+        const escape = (text) => String(text ?? '').replace(/([\\`*_[\]#|])/g, '\\$1');
+        const money = (amount) => CurrencyConverter.format(amount, this.getBaseCurrency(itinerary));
+        const lines = [
+            `# ${escape(itinerary.title)}`,
+            '',
+            `- **Destination:** ${escape(itinerary.destination)}`,
+            `- **Dates:** ${itinerary.startDate} to ${itinerary.endDate} (${itinerary.duration} day${itinerary.duration !== 1 ? 's' : ''})`,
+            `- **Travelers:** ${itinerary.travelers}`
+        ];
+
+        if (itinerary.budget.total > 0) {
+            lines.push(`- **Budget:** ${money(itinerary.budget.spent)} of ${money(itinerary.budget.total)}`);
+        }
+        if (itinerary.notes) {
+            lines.push('', escape(itinerary.notes));
+        }
+
+        for (const day of itinerary.days) {
+            lines.push('', `## Day ${day.dayNumber} - ${day.dayOfWeek}, ${day.date}`);
+
+            for (const [slot, timeSlot] of Object.entries(day.timeSlots)) {
+                const slotEntries = entries.filter(entry => entry.day === day && entry.slot === slot);
+                if (slotEntries.length === 0) continue;
+
+                lines.push('', `### ${timeSlot.name}`, '');
+                for (const { item, startTime, endTime } of slotEntries) {
+                    const time = startTime ? `${startTime}-${endTime}` : 'All day';
+                    const cost = item.cost ? ` (${this.formatItemCost(itinerary, item)})` : '';
+                    lines.push(`- **${time}** ${escape(item.title)}${cost}`);
+                    if (item.description) {
+                        lines.push(`  ${escape(item.description).replace(/\s+/g, ' ').trim()}`);
+                    }
+                    if (item.booking && item.booking.confirmationCode) {
+                        lines.push(`  Confirmation: ${escape(item.booking.confirmationCode)}`);
+                    }
+                }
+            }
+        }
+
+        const categories = Object.entries(itinerary.budget.categories).filter(([, amount]) => amount > 0);
+        if (categories.length > 0) {
+            lines.push('', '## Budget', '', '| Category | Amount |', '| --- | ---: |');
+            for (const [category, amount] of categories) {
+                lines.push(`| ${escape(category)} | ${money(amount)} |`);
+            }
+        }
+
+        return {
+            format: 'markdown',
+            data: lines.join('\n') + '\n',
+            mimeType: 'text/markdown',
+            exportedAt: new Date().toISOString(),
+            filename: `${itinerary.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_itinerary.md`
+        };
+    }
+
+    /**
+     * Flatten an itinerary into scheduled entries with clock times
+     * @private
+     */
+    getScheduledEntries(itinerary) {
+        const timezone = ICalendar.isValidTimezone(itinerary.timezone) ? itinerary.timezone : 'UTC';
+        const toMinutes = (value) => {
+            if (value.minutes === undefined && !value.utc) return null;
+            return value.utc ? ICalendar.toLocal(new Date(value.utc).getTime(), timezone).minutes : value.minutes;
+        };
+        const formatTime = (value) => {
+            const minutes = toMinutes(value);
+            return minutes === null ? null : this.formatClock(minutes);
+        };
+        const entries = [];
+
+        for (const day of itinerary.days) {
+            for (const [slot, timeSlot] of Object.entries(day.timeSlots)) {
+                // All-day entries first, then in clock order
+                const scheduled = this.scheduleSlotItems(day, slot)
+                    .map(entry => ({ ...entry, order: toMinutes(entry.start) ?? -1 }))
+                    .sort((a, b) => a.order - b.order);
+
+                for (const { item, start, end } of scheduled) {
+                    entries.push({
+                        day,
+                        slot,
+                        slotName: timeSlot.name,
+                        item,
+                        startTime: formatTime(start),
+                        endTime: formatTime(end)
+                    });
+                }
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Lay out the items of a time slot on the clock
+     * Items with an exact start time keep it, the rest run back to back from
+     * the start of the slot window; flights use their real departure and
+     * arrival instants, and "All day" items become date-only entries.
+     * @param {Object} day - Itinerary day
+     * @param {string} slot - Time slot key
+     * @returns {Array<Object>} Entries with item, start and end
+     */
+    scheduleSlotItems(day, slot) {
+        const window = this.timeSlotWindows[slot] || { start: 9 * 60, end: 17 * 60 };
+        const entries = [];
+        let cursor = window.start;
+
+        for (const item of day.timeSlots[slot].items) {
+            const departure = item.data?.departure?.time;
+            const arrival = item.data?.arrival?.time;
+
+            if (item.type === 'flight' && departure && arrival && !isNaN(new Date(departure).getTime())) {
+                entries.push({ item, start: { utc: departure }, end: { utc: arrival } });
+                continue;
+            }
+
+            if (typeof item.duration === 'string' && /all\s*day/i.test(item.duration)) {
+                entries.push({
+                    item,
+                    start: { date: day.date },
+                    end: { date: ICalendar.shiftDate(day.date, 1) }
+                });
+                continue;
+            }
+
+            const minutes = item.durationMinutes || this.parseDuration(item.duration) || this.defaultItemDuration;
+            if (item.startTime) {
+                const start = this.getSlotMinutes(slot, this.parseClock(item.startTime));
+                entries.push({
+                    item,
+                    start: { date: day.date, minutes: start },
+                    end: { date: day.date, minutes: start + minutes }
+                });
+                continue;
+            }
+
+            entries.push({
+                item,
+                start: { date: day.date, minutes: cursor },
+                end: { date: day.date, minutes: cursor + minutes }
+            });
+            cursor += minutes;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Parse a duration into minutes
+     * Accepts minute counts and strings such as "2 hours", "1.5h" or "1 hour 30 minutes".
+     * @param {number|string} duration - Duration value
+     * @returns {number|null} Duration in minutes, or null if it cannot be parsed
+     */
+    parseDuration(duration) {
+        if (typeof duration === 'number') {
+            return duration > 0 ? Math.round(duration) : null;
+        }
+        if (typeof duration !== 'string') {
+            return null;
+        }
+
+        let minutes = 0;
+        const pattern = /(\d+(?:\.\d+)?)\s*(d|days?|h|hrs?|hours?|m|mins?|minutes?)(?![a-z])/gi;
+        let match;
+
+        while ((match = pattern.exec(duration)) !== null) {
+            const value = parseFloat(match[1]);
+            const unit = match[2].toLowerCase();
+
+            if (unit.startsWith('d')) {
+                minutes += value * 24 * 60;
+            } else if (unit.startsWith('h')) {
+                minutes += value * 60;
+            } else {
+                minutes += value;
+            }
+        }
+
+        return minutes > 0 ? Math.round(minutes) : null;
+    }
+
+    /**
+     * Parse a clock time ("HH:MM", "9:30", "7:15 pm") into minutes from midnight
+     * @param {string} value - Clock time
+     * @returns {number|null} Minutes from midnight, or null if it cannot be parsed
+     */
+    parseClock(value) {
+        const match = typeof value === 'string' && value.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?$/i);
+        if (!match) {
+            return null;
+        }
+
+        let hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        const meridiem = match[3] && match[3].toLowerCase();
+
+        if (meridiem && (hours < 1 || hours > 12)) return null;
+        if (meridiem === 'pm' && hours < 12) hours += 12;
+        if (meridiem === 'am' && hours === 12) hours = 0;
+        if (hours > 23 || minutes > 59) return null;
+
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Place a clock time on a slot's timeline, so times after midnight in
+     * the night slot sort after the evening
+     * @private
+     */
+    getSlotMinutes(slot, minutes) {
+        const window = this.timeSlotWindows[slot];
+        if (window && minutes < window.start && minutes + 24 * 60 < window.end) {
+            return minutes + 24 * 60;
+        }
+        return minutes;
+    }
+
+    /**
+     * Validate and fill in the timing fields of an item
+     * `startTime` is kept as "HH:MM" in trip time, an `endTime` is turned
+     * into a length, and the parsed length is stored as `durationMinutes`.
+     * @private
+     */
+    normalizeItemTiming(item) {
+        const normalized = { ...item };
+
+        if (normalized.startTime === undefined || normalized.startTime === null || normalized.startTime === '') {
+            delete normalized.startTime;
+        } else {
+            const start = this.parseClock(normalized.startTime);
+            if (start === null) {
+                throw new Error(`Invalid start time: ${normalized.startTime}`);
+            }
+            normalized.startTime = this.formatClock(start);
+
+            if (normalized.endTime) {
+                const end = this.parseClock(normalized.endTime);
+                if (end === null) {
+                    throw new Error(`Invalid end time: ${normalized.endTime}`);
+                }
+                normalized.durationMinutes = (end - start + 24 * 60) % (24 * 60) || 24 * 60;
+                normalized.duration = this.formatDuration(normalized.durationMinutes);
+            }
+        }
+        delete normalized.endTime;
+
+        const minutes = this.parseDuration(normalized.durationMinutes) || this.parseDuration(normalized.duration);
+        if (minutes) {
+            normalized.durationMinutes = minutes;
+            normalized.duration = normalized.duration || this.formatDuration(minutes);
+        } else {
+            delete normalized.durationMinutes;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Pick the slot an item is filed under: the requested one, unless the
+     * item has an exact start time outside that slot's window
+     * @private
+     */
+    resolveTimeSlot(day, requestedSlot, item) {
+        const minutes = item.startTime ? this.parseClock(item.startTime) : null;
+        if (minutes === null) {
+            return requestedSlot;
+        }
+
+        const window = this.timeSlotWindows[requestedSlot];
+        const slotMinutes = this.getSlotMinutes(requestedSlot, minutes);
+        if (!window || (slotMinutes >= window.start && slotMinutes < window.end)) {
+            return requestedSlot;
+        }
+
+        return this.findTimeSlotForTime(day, minutes);
+    }
+
+    /**
+     * Get the clock range an item occupies on its day
+     * @private
+     * @returns {{start: number, end: number}|null} Minutes from the day's midnight, or null for untimed items
+     */
+    getItemTimeRange(itinerary, day, slot, item) {
+        if (item.startTime) {
+            const start = this.getSlotMinutes(slot, this.parseClock(item.startTime));
+            const length = item.durationMinutes || this.parseDuration(item.duration) || this.defaultItemDuration;
+            return { start, end: start + length };
+        }
+
+        const departure = new Date(item.data?.departure?.time || NaN).getTime();
+        const arrival = new Date(item.data?.arrival?.time || NaN).getTime();
+        if (item.type === 'flight' && !isNaN(departure) && !isNaN(arrival)) {
+            const timezone = ICalendar.isValidTimezone(itinerary.timezone) ? itinerary.timezone : 'UTC';
+            const local = ICalendar.toLocal(departure, timezone);
+            if (local.date === day.date) {
+                return { start: local.minutes, end: local.minutes + Math.max(1, Math.round((arrival - departure) / 60000)) };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the timed items of a day whose clock range overlaps an item
+     * @private
+     */
+    findConflicts(itinerary, dayIndex, itemId) {
+        const entries = this.getTimedEntries(itinerary, itinerary.days[dayIndex]);
+        const target = entries.find(entry => entry.item.id === itemId);
+        if (!target) {
+            return [];
+        }
+
+        return entries
+            .filter(entry => entry !== target && entry.start < target.end && target.start < entry.end)
+            .map(entry => ({
+                id: entry.item.id,
+                title: entry.item.title,
+                startTime: this.formatClock(entry.start),
+                endTime: this.formatClock(entry.end)
+            }));
+    }
+
+    /**
+     * Collect the items of a day that have a clock range, sorted by start
+     * @private
+     */
+    getTimedEntries(itinerary, day) {
+        const entries = [];
+
+        for (const [slot, timeSlot] of Object.entries(day.timeSlots)) {
+            for (const item of timeSlot.items) {
+                const range = this.getItemTimeRange(itinerary, day, slot, item);
+                if (range) {
+                    entries.push({ item, slot, ...range });
+                }
+            }
+        }
+
+        return entries.sort((a, b) => a.start - b.start || a.end - b.end);
+    }
+
+    /**
+     * Place a flight on the day it departs (in trip time)
+     * @private
+     */
+    suggestFlightPlacement(itinerary, item, overrides) {
+        const segments = item.data?.segments || [];
+        if (segments.length > 1 && item.data.segmentIndex === undefined) {
+            return this.suggestSegmentPlacements(itinerary, item, segments);
+        }
+
+        const notes = [];
+        const departure = new Date(item.data?.departure?.time || NaN).getTime();
+        let dayIndex = overrides.dayIndex;
+        let minutes;
+
+        if (!isNaN(departure)) {
+            const timezone = ICalendar.isValidTimezone(itinerary.timezone) ? itinerary.timezone : 'UTC';
+            const local = ICalendar.toLocal(departure, timezone);
+            minutes = local.minutes;
+
+            if (dayIndex === undefined) {
+                dayIndex = itinerary.days.findIndex(day => day.date === local.date);
+                if (dayIndex === -1) {
+                    dayIndex = local.date < itinerary.startDate ? 0 : itinerary.days.length - 1;
+                    notes.push(`The flight departs on ${local.date}, outside the trip dates`);
+                }
+            }
+        } else if (dayIndex === undefined) {
+            dayIndex = 0;
+            notes.push('The flight has no departure time, so it was put on the first day');
+        }
+
+        const day = itinerary.days[dayIndex];
+        return {
+            kind: 'flight',
+            placements: [{
+                dayIndex,
+                date: day.date,
+                timeSlot: this.findTimeSlotForTime(day, minutes),
+                item
+            }],
+            notes
+        };
+    }
+
+    /**
+     * Give each flight of a round-trip or multi-city itinerary its own entry
+     * on its departure day, sharing the itinerary price between them
+     * @private
+     */
+    suggestSegmentPlacements(itinerary, item, segments) {
+        const notes = [];
+        const cents = Math.round((item.cost || 0) * 100);
+        const share = Math.floor(cents / segments.length);
+
+        const placements = segments.map((segment, index) => {
+            const suggestion = this.suggestFlightPlacement(itinerary, {
+                ...item,
+                title: `${segment.airline} ${segment.flightNumber}`,
+                description: `${segment.departure.airport || segment.origin} to ${segment.arrival.airport || segment.destination}`,
+                // The first flight takes the leftover cents so the entries add up to the price
+                cost: (share + (index === 0 ? cents - share * segments.length : 0)) / 100,
+                duration: segment.duration || item.duration,
+                data: { ...item.data, ...segment, segmentIndex: index }
+            }, {});
+            notes.push(...suggestion.notes);
+            return suggestion.placements[0];
+        });
+
+        return { kind: 'flight', placements, notes };
+    }
+
+    /**
+     * Place one hotel entry on each night of the stay that falls in the trip
+     * @private
+     */
+    suggestHotelPlacement(itinerary, item, overrides) {
+        const notes = [];
+        const stay = item.data?.stay || {};
+        let checkIn = overrides.checkIn || stay.checkIn || itinerary.startDate;
+        let checkOut = overrides.checkOut || stay.checkOut || ICalendar.shiftDate(itinerary.endDate, 1);
+
+        if (checkOut <= checkIn) {
+            throw new Error('Check-out must be after check-in');
+        }
+        if (!overrides.checkIn && !stay.checkIn) {
+            notes.push('No stay dates were given, so every night of the trip is booked');
+        }
+
+        const nights = [];
+        for (let date = checkIn; date < checkOut; date = ICalendar.shiftDate(date, 1)) {
+            nights.push(date);
+        }
+        const tripNights = nights.filter(date => itinerary.days.some(day => day.date === date));
+        if (tripNights.length === 0) {
+            throw new Error(`The stay (${checkIn} to ${checkOut}) does not overlap the trip dates`);
+        }
+        if (tripNights.length < nights.length) {
+            const outside = nights.length - tripNights.length;
+            notes.push(`${outside} night${outside !== 1 ? 's' : ''} of the stay ${outside !== 1 ? 'fall' : 'falls'} outside the trip dates`);
+            checkIn = tripNights[0];
+            checkOut = ICalendar.shiftDate(tripNights[tripNights.length - 1], 1);
+        }
+
+        // Split the stay price evenly in cents unless a nightly rate is known;
+        // the last night takes the leftover cents so the nights add up to the price
+        const cents = Math.round((item.cost || 0) * 100);
+        const share = Math.floor(cents / nights.length);
+        const nightlyCost = (date) => item.data?.price?.perNight
+            ?? (share + (date === nights[nights.length - 1] ? cents - share * nights.length : 0)) / 100;
+        const placements = tripNights.map((date, index) => {
+            const dayIndex = itinerary.days.findIndex(day => day.date === date);
+            const day = itinerary.days[dayIndex];
+            const slots = Object.keys(day.timeSlots);
+
+            return {
+                dayIndex,
+                date,
+                timeSlot: day.timeSlots.evening ? 'evening' : slots[slots.length - 1],
+                item: {
+                    ...item,
+                    title: tripNights.length > 1 ? `${item.title} (night ${index + 1} of ${tripNights.length})` : item.title,
+                    cost: nightlyCost(date),
+                    duration: 'All day',
+                    data: {
+                        ...item.data,
+                        stay: { ...stay, checkIn, checkOut, night: index + 1, nights: tripNights.length }
+                    }
+                }
+            };
+        });
+
+        return { kind: 'hotel', placements, checkIn, checkOut, notes };
+    }
+
+    /**
+     * Place an activity on the day and slot with the most free time
+     * Days already in the past are skipped while future days remain.
+     * @private
+     */
+    suggestActivityPlacement(itinerary, item, overrides) {
+        const notes = [];
+        const needed = item.durationMinutes || this.parseDuration(item.duration) || this.defaultItemDuration;
+        let dayIndex = overrides.dayIndex;
+
+        if (dayIndex === undefined) {
+            const today = new Date().toISOString().split('T')[0];
+            const upcoming = itinerary.days.filter(day => day.date >= today);
+            const candidates = (upcoming.length > 0 ? upcoming : itinerary.days)
+                .map(day => ({ index: itinerary.days.indexOf(day), free: this.getFreeMinutes(day) }));
+
+            const best = candidates.reduce((winner, candidate) => (candidate.free > winner.free ? candidate : winner), candidates[0]);
+            dayIndex = best.index;
+
+            if (best.free < needed) {
+                notes.push('Every day is already fully planned, so this was put on the least busy day');
+            }
+        }
+
+        const day = itinerary.days[dayIndex];
+        const slots = Object.keys(day.timeSlots).map(slot => ({ slot, free: this.getFreeMinutes(day, slot) }));
+        const fitting = slots.find(candidate => candidate.free >= needed);
+        const timeSlot = fitting
+            ? fitting.slot
+            : slots.reduce((winner, candidate) => (candidate.free > winner.free ? candidate : winner), slots[0]).slot;
+
+        return {
+            kind: 'activity',
+            placements: [{ dayIndex, date: day.date, timeSlot, item }],
+            notes
+        };
+    }
+
+    /**
+     * Get the unplanned minutes of a day, or of one of its slots
+     * "All day" items such as hotel nights do not use up any time.
+     * @private
+     */
+    getFreeMinutes(day, slot = null) {
+        const slots = slot ? [slot] : Object.keys(day.timeSlots);
+        let free = 0;
+
+        for (const key of slots) {
+            const window = this.timeSlotWindows[key] || { start: 9 * 60, end: 13 * 60 };
+            const used = day.timeSlots[key].items
+                .filter(item => !(typeof item.duration === 'string' && /all\s*day/i.test(item.duration)))
+                .reduce((total, item) => total + (item.durationMinutes || this.parseDuration(item.duration) || this.defaultItemDuration), 0);
+            free += (window.end - window.start) - used;
+        }
+
+        return free;
+    }
+
+    /**
+     * Get coordinates of an item from its source data
+     * @private
+     */
+    getItemCoordinates(item) {
+        const coordinates = item.data?.coordinates || item.data?.location?.coordinates;
+        if (!coordinates) return null;
+
+        const lat = Array.isArray(coordinates) ? coordinates[0] : coordinates.lat;
+        const lng = Array.isArray(coordinates) ? coordinates[1] : coordinates.lng;
+
+        if (typeof lat !== 'number' || typeof lng !== 'number') return null;
+        return { lat, lng };
+    }
+
+    /**
+     * Get a human-readable location for an item
+     * @private
+     */
+    getItemLocation(item) {
+        const data = item.data || {};
+        return data.formatted_address || data.address || data.location?.address || data.vicinity || data.name || '';
+    }
+
+    /**
+     * Get the timezone used when an itinerary does not specify one
+     * @private
+     */
+    getDefaultTimezone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (error) {
+            return 'UTC';
+        }
+    }
+
+    /**
+     * Get the timezone of a destination from its nearest airport
+     * Coordinates are used when known, otherwise the name is looked up.
+     * @private
+     * @param {string} destination - Destination city
+     * @param {Object} coordinates - Destination coordinates ({lat, lng})
+     * @returns {string} IANA timezone, the default one when the destination is not known
+     */
+    getDestinationTimezone(destination, coordinates) {
+        let timezone = null;
+        if (coordinates && Number.isFinite(coordinates.lat) && Number.isFinite(coordinates.lng)) {
+            const [airport] = this.airports.nearest([coordinates.lat, coordinates.lng], { limit: 1, maxDistanceKm: 150 });
+            timezone = airport ? airport.timezone : null;
+        } else {
+            const [code] = this.airports.resolve(destination);
+            timezone = code ? this.airports.getTimezone(code) : null;
+        }
+        return timezone && ICalendar.isValidTimezone(timezone) ? timezone : this.getDefaultTimezone();
+    }
+
+    /**
+     * Rebuild a trip's spent total and category totals from its items
+     * @private
+     * @returns {Object|null} What differed from the stored totals, or null when they matched
+     */
+    recomputeBudget(itinerary) {
+        const round = (amount) => Math.round(amount * 100) / 100;
+        const budget = itinerary.budget || (itinerary.budget = { total: 0, spent: 0, categories: {} });
+
+        let spent = 0;
+        const categories = {};
+        for (const { item } of this.collectItemPlacements(itinerary).values()) {
+            if (!item.cost) continue;
+            const category = item.category || 'miscellaneous';
+            categories[category] = round((categories[category] || 0) + item.cost);
+            spent += item.cost;
+        }
+        spent = round(spent);
+
+        const drifted = [...new Set([...Object.keys(budget.categories || {}), ...Object.keys(categories)])]
+            .filter(category => Math.abs((budget.categories?.[category] || 0) - (categories[category] || 0)) >= 0.01)
+            .map(category => ({ category, stored: budget.categories?.[category] || 0, actual: categories[category] || 0 }));
+        const spentDrifted = Math.abs((budget.spent || 0) - spent) >= 0.01;
+
+        const drift = spentDrifted || drifted.length > 0
+            ? { spent: { stored: budget.spent || 0, actual: spent }, categories: drifted }
+            : null;
+
+        budget.spent = spent;
+        budget.categories = categories;
+        return drift;
+    }
+
+    /**
+     * Projected cost of an item in the trip currency
+     * A hotel stay added as a single item is projected at its nightly rate
+     * for every night; per-night entries already carry one night each.
+     * @private
+     */
+    getItemForecast(itinerary, item) {
+        const stay = item.data && item.data.stay;
+        const rate = item.data && item.data.price;
+        if (item.type === 'hotel' && stay && !stay.night && stay.nights > 0 && rate && rate.perNight) {
+            const currency = rate.currency || this.getBaseCurrency(itinerary);
+            if (this.currencyConverter.hasCurrency(currency)) {
+                return Math.max(item.cost || 0, this.currencyConverter.convert(rate.perNight * stay.nights, currency, this.getBaseCurrency(itinerary)));
+            }
+        }
+        return item.cost || 0;
+    }
+
+    /**
+     * Check whether an item's cost has actually been spent
+     * @private
+     */
+    isItemPaid(item) {
+        return Number.isInteger(item.paidBy) || item.status === 'completed';
+    }
+
+    /**
+     * Planned spend per category, plus the trip total under `null`
+     * @private
+     */
+    getPlannedByCategory(itinerary) {
+        const planned = new Map([[null, 0]]);
+        for (const { item } of this.collectItemPlacements(itinerary).values()) {
+            const forecast = this.getItemForecast(itinerary, item);
+            const category = item.category || 'miscellaneous';
+            planned.set(category, (planned.get(category) || 0) + forecast);
+            planned.set(null, planned.get(null) + forecast);
+        }
+        return planned;
+    }
+
+    /**
+     * Find caps that a change pushed planned spending over
+     * Only caps whose planned spend went up are reported, so unrelated edits
+     * to an already overspent trip do not repeat the warning.
+     * @private
+     */
+    checkBudgetLimits(itinerary, plannedBefore) {
+        const plannedAfter = this.getPlannedByCategory(itinerary);
+        const limits = Object.entries(itinerary.budget.limits || {});
+        if (itinerary.budget.total > 0) {
+            limits.push([null, itinerary.budget.total]);
+        }
+
+        const exceeded = limits
+            .filter(([category, limit]) => {
+                const after = plannedAfter.get(category) || 0;
+                return after > limit && after > (plannedBefore.get(category) || 0);
+            })
+            .map(([category, limit]) => ({ category, limit, planned: plannedAfter.get(category) }));
+
+        return this.describeOverspend(itinerary, exceeded);
+    }
+
+    /**
+     * Turn over-cap categories into warnings; category null is the whole trip
+     * @private
+     */
+    describeOverspend(itinerary, categories) {
+        const currency = this.getBaseCurrency(itinerary);
+        const round = (amount) => Math.round(amount * 100) / 100;
+        return categories
+            .filter(entry => entry.limit !== null && entry.planned > entry.limit)
+            .map(entry => {
+                const over = round(entry.planned - entry.limit);
+                const name = entry.category === null ? 'The trip' : entry.category.charAt(0).toUpperCase() + entry.category.slice(1);
+                const cap = entry.category === null ? 'budget' : 'cap';
+                return {
+                    category: entry.category,
+                    limit: entry.limit,
+                    planned: round(entry.planned),
+                    over,
+                    message: `${name} is ${CurrencyConverter.format(over, currency)} over its ${CurrencyConverter.format(entry.limit, currency)} ${cap}`
+                };
+            });
+    }
+
+    /**
+     * Get a trip's base currency
+     * @private
+     */
+    getBaseCurrency(itinerary) {
+        return itinerary.budget.currency || 'USD';
+    }
+
+    /**
+     * Get what an item cost in the currency it was priced in
+     * Items without a `price` were entered in the trip currency.
+     * @private
+     */
+    getItemPrice(itinerary, item) {
+        return item.price || { amount: item.cost || 0, currency: this.getBaseCurrency(itinerary) };
+    }
+
+    /**
+     * Work out an item's original price and its cost in the trip currency
+     * @private
+     */
+    priceItem(itinerary, item) {
+        const base = this.getBaseCurrency(itinerary);
+        const price = item.currency
+            ? { amount: item.cost || 0, currency: item.currency.toUpperCase() }
+            : item.price && item.price.currency
+                ? { amount: item.price.amount || 0, currency: item.price.currency.toUpperCase() }
+                : null;
+
+        if (!price) {
+            return { cost: item.cost || 0 };
+        }
+        if (typeof price.amount !== 'number' || !Number.isFinite(price.amount) || price.amount < 0) {
+            throw new Error('Cost must be a non-negative number');
+        }
+        if (!this.currencyConverter.hasCurrency(price.currency)) {
+            throw new Error(`Unsupported currency: ${price.currency}`);
+        }
+
+        return {
+            cost: this.currencyConverter.convert(price.amount, price.currency, base),
+            price
+        };
+    }
+
+    /**
+     * Convert a trip's budget and item costs into a new base currency
+     * Items are converted from their original price so repeated changes do not drift.
+     * @private
+     */
+    convertItineraryCurrency(itinerary, currency) {
+        if (!this.currencyConverter.hasCurrency(currency)) {
+            throw new Error(`Unsupported currency: ${currency}`);
+        }
+
+        const base = this.getBaseCurrency(itinerary);
+        const budget = itinerary.budget;
+        budget.total = this.currencyConverter.convert(budget.total || 0, base, currency);
+        for (const category of Object.keys(budget.limits || {})) {
+            budget.limits[category] = this.currencyConverter.convert(budget.limits[category], base, currency);
+        }
+        budget.currency = currency;
+
+        for (const { item } of this.collectItemPlacements(itinerary).values()) {
+            if (!item.cost && !item.price) continue;
+
+            const price = item.price || { amount: item.cost, currency: base };
+            item.price = price;
+            item.cost = this.currencyConverter.convert(price.amount, price.currency, currency);
+        }
+
+        this.recomputeBudget(itinerary);
+    }
+
+    /**
+     * Check a payer is one of the trip's travelers
+     * @private
+     */
+    validatePayer(itinerary, paidBy) {
+        this.validateTravelerIndex(itinerary, paidBy, 'Payer');
+    }
+
+    /**
+     * Check that a traveler index, when given, is one of the trip's travelers
+     * @private
+     */
+    validateTravelerIndex(itinerary, index, role) {
+        if (index === undefined || index === null) return;
+        if (!Number.isInteger(index) || index < 0 || index >= (itinerary.travelers || 1)) {
+            throw new Error(`${role} must be one of the trip's ${itinerary.travelers || 1} traveler${itinerary.travelers !== 1 ? 's' : ''}`);
+        }
+    }
+
+    /**
+     * Get a trip's checklist, creating an empty one for trips saved without
+     * @private
+     */
+    getChecklistState(itinerary) {
+        if (!itinerary.checklist) {
+            itinerary.checklist = { items: [], dismissed: [] };
+        }
+        return itinerary.checklist;
+    }
+
+    /**
+     * Find a checklist entry by ID
+     * @private
+     */
+    findChecklistEntry(itinerary, entryId) {
+        const entry = this.getChecklistState(itinerary).items.find(candidate => candidate.id === entryId);
+        if (!entry) {
+            throw new Error('Checklist item not found');
+        }
+        return entry;
+    }
+
+    /**
+     * Build a checklist entry, checking its title, kind, due date and assignee
+     * A `dueDate` is stored as days from the trip's start date.
+     * @private
+     */
+    createChecklistEntry(itinerary, entry) {
+        const title = (entry.title || '').toString().trim();
+        if (!title) {
+            throw new Error('Checklist item needs a title');
+        }
+
+        const kind = entry.kind || 'packing';
+        if (!['packing', 'task'].includes(kind)) {
+            throw new Error(`Invalid checklist item kind: ${kind}`);
+        }
+
+        let dueOffset = entry.dueOffset === undefined ? null : entry.dueOffset;
+        if (entry.dueDate) {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.dueDate) || isNaN(new Date(`${entry.dueDate}T00:00:00Z`).getTime())) {
+                throw new Error(`Invalid due date: ${entry.dueDate}`);
+            }
+            dueOffset = Math.round((new Date(`${entry.dueDate}T00:00:00Z`) - new Date(`${itinerary.startDate}T00:00:00Z`)) / (1000 * 60 * 60 * 24));
+        }
+        if (dueOffset !== null && !Number.isInteger(dueOffset)) {
+            throw new Error('Due offset must be a whole number of days');
+        }
+
+        const assignee = entry.assignee === undefined ? null : entry.assignee;
+        this.validateTravelerIndex(itinerary, assignee, 'Assignee');
+
+        return {
+            id: entry.id || `check_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            key: entry.key || null,
+            title,
+            kind,
+            category: entry.category || null,
+            dueOffset,
+            assignee,
+            done: Boolean(entry.done),
+            doneAt: entry.doneAt || null,
+            reason: entry.reason || null
+        };
+    }
+
+    /**
+     * Get a trip's status entry; trips saved without a known status count as drafts
+     * @private
+     */
+    getTripStatus(itinerary) {
+        return this.tripStatuses[itinerary.status] || this.tripStatuses.draft;
+    }
+
+    /**
+     * Explain why a trip cannot move to a status today, or null when it can
+     * @private
+     */
+    getStatusBlocker(itinerary, status, today) {
+        if (status === 'in-progress' && (today < itinerary.startDate || today > itinerary.endDate)) {
+            return `A trip can only be in progress between ${itinerary.startDate} and ${itinerary.endDate}`;
+        }
+        if (status === 'completed' && today < itinerary.startDate) {
+            return 'A trip cannot be completed before it starts';
+        }
+        return null;
+    }
+
+    /**
+     * Status a booked or in-progress trip should move to on a date, or null to keep it
+     * @private
+     */
+    getAutomaticStatus(itinerary, today) {
+        if (!['booked', 'in-progress'].includes(itinerary.status)) return null;
+        if (today > itinerary.endDate) return 'completed';
+        if (itinerary.status === 'booked' && today >= itinerary.startDate) return 'in-progress';
+        return null;
+    }
+
+    /**
+     * Get the current date and minutes from midnight in a trip's timezone
+     * @private
      */
-    exportToICal(itinerary) {
-        // In a real implementation, you would generate proper iCal format
-        let icalData = 'BEGIN:VCALENDAR\nVERSION:2.0\nPRODID:Travel Planner\n';
-        
-        for (const day of itinerary.days) {
-            for (const timeSlot of Object.values(day.timeSlots)) {
+    getTripClock(itinerary, now) {
+        return ICalendar.toLocal(now, ICalendar.isValidTimezone(itinerary.timezone) ? itinerary.timezone : 'UTC');
+    }
+
+    /**
+     * Check and tidy an item's booking details, or null when there are none
+     * Blank fields are dropped, websites get a scheme, and a cancellation
+     * deadline is a date (YYYY-MM-DD) with an optional time (THH:MM).
+     * @private
+     */
+    normalizeBooking(booking) {
+        if (booking === undefined || booking === null) return null;
+        if (typeof booking !== 'object' || Array.isArray(booking)) {
+            throw new Error('Booking details must be an object');
+        }
+
+        const text = (value) => (value === undefined || value === null ? '' : String(value)).trim() || null;
+        const source = booking.provider || {};
+        const provider = {
+            name: text(source.name),
+            phone: text(source.phone),
+            email: text(source.email),
+            website: text(source.website)
+        };
+        if (provider.phone && !/^\+?[\d\s().-]{5,}$/.test(provider.phone)) {
+            throw new Error(`Invalid provider phone number: ${provider.phone}`);
+        }
+        if (provider.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(provider.email)) {
+            throw new Error(`Invalid provider email: ${provider.email}`);
+        }
+        if (provider.website && !/^https?:\/\//i.test(provider.website)) {
+            provider.website = `https://${provider.website}`;
+        }
+
+        const deadline = text(booking.cancellationDeadline);
+        if (deadline) {
+            const match = /^(\d{4}-\d{2}-\d{2})(T([01]\d|2[0-3]):[0-5]\d)?$/.exec(deadline);
+            if (!match || isNaN(new Date(`${match[1]}T00:00:00Z`).getTime())) {
+                throw new Error(`Invalid cancellation deadline: ${deadline}`);
+            }
+        }
+
+        const normalized = {
+            confirmationCode: text(booking.confirmationCode),
+            provider: Object.values(provider).some(Boolean) ? provider : null,
+            cancellationDeadline: deadline
+        };
+        return Object.values(normalized).some(Boolean) ? normalized : null;
+    }
+
+    /**
+     * Whether an item has been booked, by confirmation code or through a flight booking
+     * @private
+     */
+    isItemBooked(item) {
+        return Boolean((item.booking && item.booking.confirmationCode) || (item.data && item.data.booking));
+    }
+
+    /**
+     * Display name for a traveler by position; unnamed travelers are numbered
+     * @private
+     */
+    getTravelerName(itinerary, index) {
+        const profile = (itinerary.travelerProfiles || [])[index];
+        return profile && profile.name ? profile.name : `Traveler ${index + 1}`;
+    }
+
+    /**
+     * Get a trip's traveler profiles, one per traveler
+     * Trips saved without profiles, or with more travelers than profiles, get unnamed ones.
+     * @private
+     */
+    getTravelerProfiles(itinerary) {
+        const count = itinerary.travelers || 1;
+        const profiles = Array.isArray(itinerary.travelerProfiles) ? itinerary.travelerProfiles : [];
+        while (profiles.length < count) {
+            profiles.push(this.createTravelerProfile({}));
+        }
+        profiles.length = count;
+        itinerary.travelerProfiles = profiles;
+        return profiles;
+    }
+
+    /**
+     * Build a traveler profile, checking its age band, passport country and loyalty numbers
+     * Dietary needs may be given as a comma-separated string.
+     * @private
+     */
+    createTravelerProfile(profile) {
+        const ageBand = profile.ageBand || 'adult';
+        if (!this.ageBands[ageBand]) {
+            throw new Error(`Invalid age band: ${ageBand}`);
+        }
+
+        const dietary = typeof profile.dietary === 'string' ? profile.dietary.split(',') : profile.dietary || [];
+        if (!Array.isArray(dietary)) {
+            throw new Error('Dietary needs must be a list');
+        }
+
+        const passportCountry = profile.passportCountry ? profile.passportCountry.toString().trim().toUpperCase() : null;
+        if (passportCountry && !/^[A-Z]{2}$/.test(passportCountry)) {
+            throw new Error(`Passport country must be a two-letter country code (got ${JSON.stringify(profile.passportCountry)})`);
+        }
+
+        const loyalty = (profile.loyalty || []).map(entry => ({
+            program: (entry.program || '').toString().trim(),
+            number: (entry.number || '').toString().trim()
+        }));
+        if (loyalty.some(entry => !entry.program || !entry.number)) {
+            throw new Error('Loyalty numbers need a program and a number');
+        }
+
+        return {
+            name: (profile.name || '').toString().trim(),
+            ageBand,
+            dietary: [...new Set(dietary.map(need => need.toString().trim()).filter(Boolean))],
+            passportCountry,
+            loyalty
+        };
+    }
+
+    /**
+     * Check an item's participants; a list covering everyone is dropped
+     * @private
+     * @returns {Array<number>|null} Sorted traveler indexes, or null for everyone
+     */
+    normalizeParticipants(itinerary, participants) {
+        if (participants === undefined || participants === null) return null;
+        if (!Array.isArray(participants) || participants.length === 0) {
+            throw new Error('Participants must list at least one traveler');
+        }
+
+        for (const index of participants) {
+            if (index === null || index === undefined) {
+                throw new Error('Participants must be traveler indexes');
+            }
+            this.validateTravelerIndex(itinerary, index, 'Participant');
+        }
+
+        const unique = [...new Set(participants)].sort((a, b) => a - b);
+        return unique.length === (itinerary.travelers || 1) ? null : unique;
+    }
+
+    /**
+     * Get the indexes of the travelers taking part in an item
+     * @private
+     */
+    getItemParticipants(itinerary, item) {
+        return Array.isArray(item.participants) && item.participants.length > 0
+            ? item.participants
+            : Array.from({ length: itinerary.travelers || 1 }, (_, index) => index);
+    }
+
+    /**
+     * Get the itinerary stored in a version, or the live trip for null
+     * @private
+     */
+    getVersionItinerary(itineraryId, versionId) {
+        if (!versionId) {
+            const itinerary = this.itineraries.get(itineraryId);
+            if (!itinerary) {
+                throw new Error('Itinerary not found');
+            }
+            return itinerary;
+        }
+
+        return this.findVersion(itineraryId, versionId).itinerary;
+    }
+
+    /**
+     * Find a saved version of a trip
+     * @private
+     */
+    findVersion(itineraryId, versionId) {
+        const version = (this.versions.get(itineraryId) || []).find(entry => entry.id === versionId);
+        if (!version) {
+            throw new Error('Version not found');
+        }
+        return version;
+    }
+
+    /**
+     * Summarize a version for listing
+     * @private
+     */
+    summarizeVersion(version) {
+        const { itinerary } = version;
+        return {
+            id: version.id,
+            name: version.name,
+            createdAt: version.createdAt,
+            title: itinerary.title,
+            startDate: itinerary.startDate,
+            endDate: itinerary.endDate,
+            itemCount: this.collectItemPlacements(itinerary).size,
+            spent: itinerary.budget.spent
+        };
+    }
+
+    /**
+     * Describe one side of a comparison
+     * @private
+     */
+    describeVersionSide(itineraryId, versionId) {
+        if (!versionId) {
+            return { versionId: null, name: 'Current trip' };
+        }
+        const version = this.findVersion(itineraryId, versionId);
+        return { versionId, name: version.name, createdAt: version.createdAt };
+    }
+
+    /**
+     * Map every item in an itinerary to where it sits
+     * @private
+     */
+    collectItemPlacements(itinerary) {
+        const placements = new Map();
+        itinerary.days.forEach((day, dayIndex) => {
+            for (const [slot, timeSlot] of Object.entries(day.timeSlots)) {
                 for (const item of timeSlot.items) {
-                    icalData += `BEGIN:VEVENT\n`;
-                    icalData += `SUMMARY:${item.title}\n`;
-                    icalData += `DTSTART:${day.date.replace(/-/g, '')}T120000Z\n`;
-                    icalData += `DTEND:${day.date.replace(/-/g, '')}T130000Z\n`;
-                    icalData += `DESCRIPTION:${item.description || ''}\n`;
-                    icalData += `END:VEVENT\n`;
+                    placements.set(item.id, { item, date: day.date, dayIndex, slot });
                 }
             }
-        }
-        
-        icalData += 'END:VCALENDAR';
-        
+        });
+        return placements;
+    }
+
+    /**
+     * Flatten an item placement for a diff entry
+     * @private
+     */
+    describePlacement({ item, date, dayIndex, slot }) {
         return {
-            format: 'ical',
-            data: icalData,
-            exportedAt: new Date().toISOString(),
-            filename: `${itinerary.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_itinerary.ics`
+            id: item.id,
+            title: item.title,
+            date,
+            dayIndex,
+            slot,
+            startTime: item.startTime || null,
+            cost: item.cost || 0
+        };
+    }
+
+    /**
+     * Copy an itinerary and its place in the trip list for the history
+     * @private
+     */
+    snapshotItinerary(itineraryId) {
+        const itinerary = this.itineraries.get(itineraryId);
+        if (!itinerary) return null;
+
+        return {
+            itinerary: JSON.parse(JSON.stringify(itinerary)),
+            position: Array.from(this.itineraries.keys()).indexOf(itineraryId)
         };
     }
 
+    /**
+     * Push a completed edit onto the undo stack
+     * @private
+     */
+    recordHistory(label, itineraryId, before) {
+        if (this.historySuspended > 0) return;
+
+        this.history.undo.push({
+            label,
+            itineraryId,
+            before,
+            after: this.snapshotItinerary(itineraryId)
+        });
+        this.history.redo = [];
+
+        if (this.history.undo.length > this.historyLimit) {
+            this.history.undo.shift();
+        }
+    }
+
+    /**
+     * Put an itinerary back to a snapshot and save, re-creating or deleting it as needed
+     * If the save fails, the itinerary is left as it was before.
+     * @private
+     */
+    async restoreSnapshot(itineraryId, snapshot) {
+        const current = this.snapshotItinerary(itineraryId);
+        this.applySnapshot(itineraryId, snapshot);
+        await this.saveEdit(itineraryId, current);
+    }
+
+    /**
+     * Save after an edit to one itinerary
+     * If the save fails, the itinerary is put back to its snapshot from
+     * before the edit, so what is shown is what is stored.
+     * @private
+     * @param {string} itineraryId - Itinerary ID
+     * @param {Object|null} before - Snapshot from before the edit; null for a new itinerary
+     */
+    async saveEdit(itineraryId, before) {
+        try {
+            await this.saveItineraries();
+        } catch (error) {
+            this.applySnapshot(itineraryId, before);
+            throw error;
+        }
+    }
+
+    /**
+     * Put an itinerary back to a snapshot in memory, re-creating or deleting it as needed
+     * @private
+     */
+    applySnapshot(itineraryId, snapshot) {
+        const wasCurrent = this.currentItinerary && this.currentItinerary.id === itineraryId;
+
+        if (!snapshot) {
+            this.itineraries.delete(itineraryId);
+            if (wasCurrent) {
+                this.currentItinerary = null;
+            }
+        } else {
+            const restored = JSON.parse(JSON.stringify(snapshot.itinerary));
+            const entries = Array.from(this.itineraries.entries()).filter(([id]) => id !== itineraryId);
+            entries.splice(Math.min(snapshot.position, entries.length), 0, [itineraryId, restored]);
+            this.itineraries = new Map(entries);
+
+            if (wasCurrent) {
+                this.currentItinerary = restored;
+            }
+        }
+    }
+
+    /**
+     * Describe a date change for the undo history
+     * @private
+     */
+    describeDateChange(change) {
+        switch (change.type) {
+            case 'add-day':
+                return change.position === 'start' ? 'Add day at start' : 'Add day';
+            case 'remove-day':
+                return `Remove day ${change.dayIndex + 1}`;
+            case 'shift':
+                return 'Move trip dates';
+            default:
+                return 'Change trip dates';
+        }
+    }
+
     /**
      * Load itineraries from storage
      * @private
@@ -650,26 +5210,227 @@ export class ItineraryManager {
             if (stored && Array.isArray(stored)) {
                 for (const itinerary of stored) {
                     this.itineraries.set(itinerary.id, itinerary);
+                    this.fitLegsToDays(itinerary);
+
+                    // Trips saved by older versions may carry drifted totals
+                    const drift = this.recomputeBudget(itinerary);
+                    if (drift) {
+                        this.budgetRepairs.push({ itineraryId: itinerary.id, title: itinerary.title, ...drift });
+                    }
                 }
                 this.logger.info('Itineraries loaded from storage', { count: stored.length });
+
+                if (this.budgetRepairs.length > 0) {
+                    this.logger.warn('Repaired budget totals of stored itineraries', { repairs: this.budgetRepairs });
+                    await this.saveItineraries();
+                }
+
+                await this.refreshStatuses();
             }
         } catch (error) {
             this.logger.error('Failed to load itineraries from storage', { error: error.message });
         }
+
+        await this.loadVersions();
+        await this.loadAttachments();
+        await this.loadRateTable();
+        await this.loadTemplates();
+    }
+
+    /**
+     * Load attached files from storage
+     * Files no trip or saved version refers to any more are dropped here,
+     * when there is no history left that could bring them back.
+     * @private
+     */
+    async loadAttachments() {
+        try {
+            const stored = await this.storageManager.getItem('itineraryAttachments');
+            if (stored && Array.isArray(stored)) {
+                const referenced = new Set();
+                const itineraries = [
+                    ...this.itineraries.values(),
+                    ...Array.from(this.versions.values()).flat().map(version => version.itinerary)
+                ];
+                for (const itinerary of itineraries) {
+                    for (const { item } of this.collectItemPlacements(itinerary).values()) {
+                        (item.attachments || []).forEach(attachment => referenced.add(attachment.id));
+                    }
+                }
+
+                for (const attachment of stored) {
+                    if (referenced.has(attachment.id)) {
+                        this.attachments.set(attachment.id, attachment);
+                    }
+                }
+                const dropped = stored.length - this.attachments.size;
+                if (dropped > 0) {
+                    await this.saveAttachments();
+                }
+                this.logger.info('Attachments loaded from storage', { count: this.attachments.size, dropped });
+            }
+        } catch (error) {
+            this.logger.error('Failed to load attachments from storage', { error: error.message });
+        }
+    }
+
+    /**
+     * Save attached files to storage
+     * @private
+     * @throws {Error} When storage is full or the write fails
+     */
+    async saveAttachments() {
+        try {
+            await this.writeStorage('itineraryAttachments', Array.from(this.attachments.values()), 'attached files');
+            this.logger.debug('Attachments saved to storage', { count: this.attachments.size });
+        } catch (error) {
+            this.logger.error('Failed to save attachments to storage', { error: error.message, count: this.attachments.size });
+            throw error;
+        }
+    }
+
+    /**
+     * Load saved templates from storage
+     * @private
+     */
+    async loadTemplates() {
+        try {
+            const stored = await this.storageManager.getItem('itineraryTemplates');
+            if (stored && Array.isArray(stored)) {
+                for (const template of stored) {
+                    this.customTemplates.set(template.id, template);
+                }
+                this.logger.info('Itinerary templates loaded from storage', { count: stored.length });
+            }
+        } catch (error) {
+            this.logger.error('Failed to load itinerary templates from storage', { error: error.message });
+        }
+    }
+
+    /**
+     * Save templates to storage
+     * @private
+     * @throws {Error} When storage is full or the write fails
+     */
+    async saveTemplates() {
+        try {
+            await this.writeStorage('itineraryTemplates', Array.from(this.customTemplates.values()), 'templates');
+            this.logger.debug('Itinerary templates saved to storage', { count: this.customTemplates.size });
+        } catch (error) {
+            this.logger.error('Failed to save itinerary templates to storage', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Load a stored exchange rate table, keeping the bundled one if there is none
+     * @private
+     */
+    async loadRateTable() {
+        try {
+            const stored = await this.storageManager.getItem('exchangeRates');
+            if (stored) {
+                this.currencyConverter.setRateTable(stored);
+                this.logger.info('Exchange rates loaded from storage', { base: stored.base, asOf: stored.asOf });
+            }
+        } catch (error) {
+            this.logger.error('Failed to load exchange rates from storage', { error: error.message });
+        }
+    }
+
+    /**
+     * Load saved versions from storage
+     * Versions outlive a deleted trip while it can still be undone, so the
+     * ones whose trip is gone are dropped here, when the history is empty.
+     * @private
+     */
+    async loadVersions() {
+        try {
+            const stored = await this.storageManager.getItem('itineraryVersions');
+            if (stored && typeof stored === 'object') {
+                let dropped = 0;
+                for (const [itineraryId, versions] of Object.entries(stored)) {
+                    if (this.itineraries.has(itineraryId) && Array.isArray(versions)) {
+                        this.versions.set(itineraryId, versions);
+                    } else {
+                        dropped++;
+                    }
+                }
+                if (dropped > 0) {
+                    await this.saveVersions();
+                }
+                this.logger.info('Itinerary versions loaded from storage', { itineraries: this.versions.size, dropped });
+            }
+        } catch (error) {
+            this.logger.error('Failed to load itinerary versions from storage', { error: error.message });
+        }
+    }
+
+    /**
+     * Save versions to storage
+     * @private
+     * @throws {Error} When storage is full or the write fails
+     */
+    async saveVersions() {
+        try {
+            await this.writeStorage('itineraryVersions', Object.fromEntries(this.versions), 'versions');
+            this.logger.debug('Itinerary versions saved to storage', { itineraries: this.versions.size });
+        } catch (error) {
+            this.logger.error('Failed to save itinerary versions to storage', { error: error.message });
+            throw error;
+        }
     }
 
     /**
      * Save itineraries to storage
      * @private
+     * @throws {Error} When storage is full or the write fails, so the edit is not reported as saved
      */
     async saveItineraries() {
         try {
+            // Totals are always written as the sum of the items
+            for (const itinerary of this.itineraries.values()) {
+                this.fitLegsToDays(itinerary);
+                const drift = this.recomputeBudget(itinerary);
+                if (drift) {
+                    this.logger.warn('Budget totals were out of step with items', { itineraryId: itinerary.id, ...drift });
+                }
+            }
+
             const itinerariesArray = Array.from(this.itineraries.values());
-            await this.storageManager.setItem('itineraries', itinerariesArray);
+            await this.writeStorage('itineraries', itinerariesArray, 'your trips');
             this.logger.debug('Itineraries saved to storage', { count: itinerariesArray.length });
         } catch (error) {
             this.logger.error('Failed to save itineraries to storage', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Write a value to storage, throwing when the write fails
+     * Without any storage (private browsing, blocked storage) nothing can be
+     * kept past the session, so edits carry on in memory and nothing is thrown.
+     * @private
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @param {string} label - What is being saved, for the error message
+     * @returns {Promise<boolean>} Whether the value was stored
+     */
+    async writeStorage(key, value, label) {
+        if (await this.storageManager.setItem(key, value)) return true;
+
+        if (!this.storageManager.isAvailable) {
+            if (!this.storageUnavailableLogged) {
+                this.storageUnavailableLogged = true;
+                this.logger.warn('Browser storage is unavailable; changes last until the page is closed');
+            }
+            return false;
         }
+
+        const error = this.storageManager.lastError;
+        throw new Error(this.storageManager.isQuotaError(error)
+            ? `Could not save ${label}: browser storage is full`
+            : `Could not save ${label}: ${error ? error.message : 'the browser refused the write'}`);
     }
 
     /**
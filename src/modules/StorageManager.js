@@ -9,6 +9,7 @@ export class StorageManager {
         this.logger = new Logger('StorageManager');
         this.prefix = 'travelapp_';
         this.isAvailable = this.checkStorageAvailability();
+        this.lastError = null;
         
         this.logger.info('StorageManager initialized', { available: this.isAvailable });
     }
@@ -45,19 +46,34 @@ export class StorageManager {
 
     /**
      * Set item in storage
+     * When this returns false with storage available, lastError holds the
+     * reason; isQuotaError tells whether storage was full.
      */
     setItem(key, value) {
         if (!this.isAvailable) return false;
 
         try {
             localStorage.setItem(this.prefix + key, JSON.stringify(value));
+            this.lastError = null;
             return true;
         } catch (error) {
+            this.lastError = error;
             this.logger.error(`Failed to set item: ${key}`, error);
             return false;
         }
     }
 
+    /**
+     * Check whether a failed write ran out of storage space
+     */
+    isQuotaError(error) {
+        if (!error) return false;
+        return error.name === 'QuotaExceededError'
+            || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+            || error.code === 22
+            || error.code === 1014;
+    }
+
     /**
      * Remove item from storage
      */
@@ -54,8 +54,9 @@ export class UIManager {
 
     /**
      * Show toast notification
+     * @param {Object} action - Optional button ({label, onClick}) shown next to the message
      */
-    static showToast(message, type = 'info', duration = 5000) {
+    static showToast(message, type = 'info', duration = 5000, action = null) {
         const container = document.getElementById('toast-container');
         if (!container) return;
 
@@ -66,11 +67,20 @@ export class UIManager {
                 <i class="fas fa-${UIManager.getToastIcon(type)}"></i>
                 <span>${message}</span>
             </div>
+            ${action ? `<button class="toast-action">${action.label}</button>` : ''}
             <button class="toast-close" aria-label="Close notification"></button>
         `;
 
         container.appendChild(toast);
 
+        const actionBtn = toast.querySelector('.toast-action');
+        if (actionBtn) {
+            actionBtn.addEventListener('click', () => {
+                toast.remove();
+                action.onClick();
+            });
+        }
+
         // Add click handler for close button
         const closeBtn = toast.querySelector('.toast-close');
         if (closeBtn) {
@@ -0,0 +1,88 @@
+/**
+ * Fixture Flight Provider
+ * Replays recorded provider responses, for exercising FlightService without a network
+ */
+import { FlightProvider } from './FlightProvider.js';
+
+export class FixtureFlightProvider extends FlightProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.name - Provider name
+     * @param {string} options.format - Format of the recorded responses
+     * @param {Array<{query: Object, response: *}>} options.searches - Recorded searches; a search
+     *     replays the first response whose query fields all equal the search parameters
+     * @param {Object<string, *>} options.details - Recorded details responses by flight ID
+     * @param {Object<string, Object>} options.bookings - Recorded bookings by flight ID
+     * @param {string} options.error - Fail every call with this message
+     * @param {number} options.delay - Milliseconds to wait before answering
+     */
+    constructor({ name = 'fixture', format = 'native', searches = [], details = {}, bookings = {}, error = null, delay = 0 } = {}) {
+        super({ name, format });
+        this.searches = searches;
+        this.details = details;
+        this.bookings = bookings;
+        this.error = error;
+        this.delay = delay;
+        this.calls = [];
+    }
+
+    /**
+     * Replay the recorded response for a search
+     * @param {Object} searchParams - Search parameters
+     * @returns {Promise<*>} Recorded response
+     */
+    async search(searchParams) {
+        await this.replay('search', [searchParams]);
+
+        const recording = this.searches.find(({ query }) =>
+            Object.entries(query).every(([field, value]) => searchParams[field] === value)
+        );
+        if (!recording) {
+            throw new Error(`${this.name} has no recorded search for ${searchParams.origin} to ${searchParams.destination}`);
+        }
+        return recording.response;
+    }
+
+    /**
+     * Replay the recorded details of a flight
+     * @param {string} flightId - Provider flight ID
+     * @returns {Promise<*>} Recorded response
+     */
+    async getDetails(flightId) {
+        await this.replay('getDetails', [flightId]);
+
+        if (!(flightId in this.details)) {
+            throw new Error(`${this.name} has no recorded details for ${flightId}`);
+        }
+        return this.details[flightId];
+    }
+
+    /**
+     * Replay the recorded booking of a flight
+     * @param {string} flightId - Provider flight ID
+     * @param {Array<Object>} passengerDetails - Passengers
+     * @returns {Promise<Object>} Recorded booking
+     */
+    async book(flightId, passengerDetails) {
+        await this.replay('book', [flightId, passengerDetails]);
+
+        if (!(flightId in this.bookings)) {
+            throw new Error(`${this.name} has no recorded booking for ${flightId}`);
+        }
+        return this.bookings[flightId];
+    }
+
+    /**
+     * Record a call, then wait and fail as configured
+     * @private
+     */
+    async replay(method, args) {
+        this.calls.push({ method, args });
+        if (this.delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.delay));
+        }
+        if (this.error) {
+            throw new Error(this.error);
+        }
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * Flight Aggregator
+ * Fans a search out across flight providers and merges their results
+ */
+import { Logger } from '../utils/Logger.js';
+import { FlightNormalizer } from '../utils/FlightNormalizer.js';
+
+export class FlightAggregator {
+    /**
+     * @param {Object} options - Aggregator options
+     * @param {CurrencyConverter} options.currencyConverter - Compares prices quoted in different currencies
+     * @param {number} options.timeout - Milliseconds to wait for each provider
+     * @param {Function} options.timezoneOf - Airport timezone lookup passed to FlightNormalizer
+     */
+    constructor({ currencyConverter, timeout = 15000, timezoneOf = null }) {
+        this.logger = new Logger('FlightAggregator');
+        this.currencyConverter = currencyConverter;
+        this.timeout = timeout;
+        this.timezoneOf = timezoneOf;
+    }
+
+    /**
+     * Search every provider at once
+     * A provider that fails or times out is reported rather than failing the search.
+     * @param {Array<FlightProvider>} providers - Providers to search
+     * @param {Object} searchParams - Search parameters
+     * @returns {Promise<{flights: Array<Object>, providers: Array<Object>}>} Merged flights and
+     *     one report per provider ({name, status: 'ok'|'failed', count, skipped, error, durationMs})
+     */
+    async search(providers, searchParams) {
+        const results = await Promise.all(providers.map(provider => this.searchProvider(provider, searchParams)));
+
+        return {
+            flights: this.dedupe(results.flatMap(result => result.flights)),
+            providers: results.map(result => result.report)
+        };
+    }
+
+    /**
+     * Search one provider and normalize its response
+     * @private
+     */
+    async searchProvider(provider, searchParams) {
+        const started = Date.now();
+        let timer = null;
+
+        try {
+            const timedOut = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`Timed out after ${this.timeout / 1000}s`)), this.timeout);
+            });
+            const response = await Promise.race([provider.search(searchParams), timedOut]);
+            const { flights, skipped } = FlightNormalizer.normalize(response, provider.format, {
+                provider: provider.name,
+                searchParams,
+                timezoneOf: this.timezoneOf
+            });
+
+            if (skipped > 0) {
+                this.logger.warn(`Skipped ${skipped} unreadable offers from ${provider.name}`);
+            }
+            return {
+                flights,
+                report: { name: provider.name, status: 'ok', count: flights.length, skipped, error: null, durationMs: Date.now() - started }
+            };
+        } catch (error) {
+            this.logger.error(`Flight provider ${provider.name} failed`, error);
+            return {
+                flights: [],
+                report: { name: provider.name, status: 'failed', count: 0, skipped: 0, error: error.message, durationMs: Date.now() - started }
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Merge flights sold by several providers
+     * Flights whose segments have the same flight numbers and departure times are one itinerary;
+     * the cheapest offer is kept and the others are listed in its offers.
+     * @private
+     */
+    dedupe(flights) {
+        const merged = new Map();
+
+        flights.forEach(flight => {
+            const key = flight.segments
+                .map(segment => `${segment.flightNumber.replace(/\s/g, '').toUpperCase()}|${segment.departure.time}`)
+                .join(',');
+            const existing = merged.get(key);
+            if (!existing) {
+                merged.set(key, flight);
+                return;
+            }
+
+            const offers = [...existing.offers, ...flight.offers].sort((a, b) => this.comparePrices(a.price, b.price));
+            const cheapest = this.comparePrices(flight.price, existing.price) < 0 ? flight : existing;
+            merged.set(key, { ...cheapest, offers });
+        });
+
+        return Array.from(merged.values());
+    }
+
+    /**
+     * Compare two prices, converting when the currencies differ
+     * Prices in a currency without a rate sort after the others.
+     * @private
+     */
+    comparePrices(a, b) {
+        try {
+            return a.amount - this.currencyConverter.convert(b.amount, b.currency, a.currency);
+        } catch (error) {
+            return this.currencyConverter.hasCurrency(a.currency) ? -1 : 1;
+        }
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * Flight Provider Base Class
+ * Interface every flight data source implements for FlightService
+ */
+
+export class FlightProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.name - Unique provider name, used in flight IDs and reports
+     * @param {string} options.format - Response format FlightNormalizer reads (native, kiwi, amadeus, skyscanner)
+     */
+    constructor({ name, format = 'native' } = {}) {
+        if (!name || /[:\s]/.test(name)) {
+            throw new Error('Flight provider needs a name without spaces or colons');
+        }
+        this.name = name;
+        this.format = format;
+    }
+
+    /**
+     * Search for flights
+     * searchParams.segments lists each flight wanted ({origin, destination, departureDate}),
+     * with originAirports and destinationAirports holding the IATA codes each place could mean.
+     * @param {Object} searchParams - Search parameters as passed to FlightService.searchFlights
+     * @returns {Promise<*>} Raw search response in the provider's format
+     */
+    async search() {
+        throw new Error(`${this.name} does not support flight search`);
+    }
+
+    /**
+     * Get one flight by the provider's own ID
+     * @param {string} flightId - Provider flight ID
+     * @returns {Promise<*>} Raw response in the provider's search format, holding just that flight
+     */
+    async getDetails() {
+        throw new Error(`${this.name} does not support flight details`);
+    }
+
+    /**
+     * Book a flight
+     * @param {string} flightId - Provider flight ID
+     * @param {Array<Object>} passengerDetails - Passengers, checked by FlightService
+     * @param {Object} paymentInfo - Payment card, checked by FlightService
+     * @param {Object} flight - The flight being booked, already normalized
+     * @returns {Promise<Object>} Booking ({id, confirmationCode, totalPrice, bookingDate, status, eTickets})
+     */
+    async book() {
+        throw new Error(`${this.name} does not support booking`);
+    }
+}
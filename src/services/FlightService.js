@@ -3,6 +3,12 @@
  * Handles flight search, booking, and flight-related operations
  */
 import { Logger } from '../utils/Logger.js';
+import { CurrencyConverter } from '../utils/CurrencyConverter.js';
+import { FlightNormalizer } from '../utils/FlightNormalizer.js';
+import { ICalendar } from '../utils/ICalendar.js';
+import { AirportDirectory } from '../utils/AirportDirectory.js';
+import { FlightAggregator } from './FlightAggregator.js';
+import { MockFlightProvider } from './MockFlightProvider.js';
 
 export class FlightService {
     constructor() {
@@ -14,41 +20,168 @@ export class FlightService {
             amadeus: 'https://api.amadeus.com/v2',
             skyscanner: 'https://partners.api.skyscanner.net/apiservices'
         };
+        this.maxSegments = 6;
+        // Minimum connection times in minutes by airport, with a fallback for the rest
+        this.minimumConnectionTimes = {
+            default: 60,
+            ATL: 55,
+            CDG: 90,
+            DXB: 75,
+            FRA: 45,
+            JFK: 90,
+            LAX: 90,
+            LHR: 90,
+            NRT: 90,
+            ORD: 60
+        };
+        this.maxCalendarSearches = 200;
+        this.calendarConcurrency = 4;
+        this.providers = new Map();
+        this.airports = new AirportDirectory();
+        this.currencyConverter = new CurrencyConverter();
+        this.aggregator = new FlightAggregator({
+            currencyConverter: this.currencyConverter,
+            timezoneOf: (code) => this.airports.getTimezone(code)
+        });
+
+        this.registerProvider(new MockFlightProvider());
         
         this.logger.info('FlightService initialized');
     }
 
+    /**
+     * Register a flight provider
+     * @param {FlightProvider} provider - Provider adapter
+     * @param {boolean} enabled - Whether searches include it
+     */
+    registerProvider(provider, enabled = true) {
+        if (!FlightNormalizer.FORMATS.includes(provider.format)) {
+            throw new Error(`Unknown flight response format: ${provider.format}`);
+        }
+        this.providers.set(provider.name, { provider, enabled });
+        this.logger.info(`Flight provider registered: ${provider.name}`);
+    }
+
+    /**
+     * Include or leave out a provider in searches
+     * @param {string} name - Provider name
+     * @param {boolean} enabled - Whether searches include it
+     */
+    setProviderEnabled(name, enabled) {
+        const entry = this.providers.get(name);
+        if (!entry) {
+            throw new Error(`Unknown flight provider: ${name}`);
+        }
+        entry.enabled = enabled;
+    }
+
+    /**
+     * List registered providers
+     * @returns {Array<{name: string, format: string, enabled: boolean}>} Providers
+     */
+    getProviders() {
+        return Array.from(this.providers.values()).map(({ provider, enabled }) => ({
+            name: provider.name,
+            format: provider.format,
+            enabled
+        }));
+    }
+
+    /**
+     * Set the minimum connection time at an airport
+     * @param {string} airport - Airport code, or 'default' for airports without their own
+     * @param {number} minutes - Shortest connection considered safe, in minutes
+     */
+    setMinimumConnectionTime(airport, minutes) {
+        if (!Number.isInteger(minutes) || minutes < 0) {
+            throw new Error('Minimum connection time must be a whole number of minutes');
+        }
+        this.minimumConnectionTimes[airport === 'default' ? airport : airport.toUpperCase()] = minutes;
+    }
+
+    /**
+     * Get the minimum connection time at an airport
+     * @param {string} airport - Airport code
+     * @returns {number} Minutes
+     */
+    getMinimumConnectionTime(airport) {
+        return this.minimumConnectionTimes[airport] ?? this.minimumConnectionTimes.default;
+    }
+
     /**
      * Search for flights
+     * Give origin, destination and departureDate for a one-way search, add
+     * returnDate for a round trip, or give segments ([{origin, destination,
+     * departureDate}]) for open-jaw and multi-city trips. Each result is one
+     * itinerary with a segment per searched segment and a single price.
+     * Each segment lists its legs and layovers; layovers shorter than the
+     * airport's minimum connection time are marked belowMinimum and the
+     * flight hasShortConnection.
+     * @param {Object} searchParams - Search parameters
+     * @param {Object} searchParams.filters - Filters for applyFilters
+     * @param {string} searchParams.sortBy - Sort order for sortFlights
+     * @param {number} searchParams.sortSegment - Sort by this segment's times, duration or stops
+     * @returns {Promise<Array<Object>>} Flights
      */
     async searchFlights(searchParams) {
+        const { flights } = await this.searchFlightsWithReport(searchParams);
+        return flights;
+    }
+
+    /**
+     * Search for flights across every enabled provider
+     * A failing provider is reported alongside the flights from the others;
+     * the search only fails when every provider does.
+     * @param {Object} searchParams - Search parameters
+     * @returns {Promise<{flights: Array<Object>, providers: Array<Object>}>} Flights and per-provider reports
+     */
+    async searchFlightsWithReport(searchParams) {
         try {
             this.logger.info('Searching flights', searchParams);
             
             // Validate search parameters
             this.validateSearchParams(searchParams);
+
+            const providers = Array.from(this.providers.values())
+                .filter(entry => entry.enabled)
+                .map(entry => entry.provider);
+            if (providers.length === 0) {
+                throw new Error('No flight providers are enabled');
+            }
             
-            // Check cache first
-            const cacheKey = this.generateCacheKey(searchParams);
-            const cachedResult = this.getFromCache(cacheKey);
-            if (cachedResult) {
+            // Check cache first; results are cached before filtering so
+            // the same search with other filters reuses them
+            const cacheKey = `${this.generateCacheKey(searchParams)}_${providers.map(provider => provider.name).join('+')}`;
+            let result = this.getFromCache(cacheKey);
+            if (result) {
                 this.logger.debug('Returning cached flight results');
-                return cachedResult;
+            } else {
+                // Providers always get the searched segments, whichever way they were given,
+                // with the airports each end could mean
+                const segments = this.getSearchSegments(searchParams).map(segment => ({
+                    ...segment,
+                    originAirports: this.resolveAirports(segment.origin),
+                    destinationAirports: this.resolveAirports(segment.destination)
+                }));
+                result = await this.aggregator.search(providers, { ...searchParams, segments });
+                const failed = result.providers.filter(report => report.status === 'failed');
+                if (failed.length === providers.length) {
+                    throw new Error(`All flight providers failed: ${failed.map(report => `${report.name} (${report.error})`).join(', ')}`);
+                }
+
+                // Cache complete results only, so a failed provider is retried next time
+                if (failed.length === 0) {
+                    this.setCache(cacheKey, result);
+                }
             }
             
-            // For demo purposes, use mock data
-            // In production, this would call real flight APIs
-            const flights = await this.getMockFlightData(searchParams);
-            
             // Apply filters and sorting
+            const flights = result.flights.map(flight => this.checkConnections(flight));
             const filteredFlights = this.applyFilters(flights, searchParams.filters || {});
-            const sortedFlights = this.sortFlights(filteredFlights, searchParams.sortBy || 'price');
-            
-            // Cache results
-            this.setCache(cacheKey, sortedFlights);
+            const sortedFlights = this.sortFlights(filteredFlights, searchParams.sortBy || 'price', searchParams.sortSegment);
             
             this.logger.info(`Found ${sortedFlights.length} flights`);
-            return sortedFlights;
+            return { flights: sortedFlights, providers: result.providers };
             
         } catch (error) {
             this.logger.error('Flight search failed', error);
@@ -56,6 +189,188 @@ export class FlightService {
         }
     }
 
+    /**
+     * Find the cheapest fare for each date in a window
+     * Departures cover departureDate ± flexDays or, with month, every day of
+     * that month. Returns cover returnDate ± flexDays or every day of
+     * returnMonth, paired with every earlier departure; with nights, each
+     * departure is paired with the return that many nights later instead.
+     * Each date pair is an ordinary search, so it shares the search cache.
+     * @param {Object} params - Search parameters as for searchFlights, plus:
+     * @param {number} params.flexDays - Days either side of the given dates (default 3)
+     * @param {string} params.month - Search every departure day of this month (YYYY-MM)
+     * @param {string} params.returnMonth - Search every return day of this month (YYYY-MM)
+     * @param {number} params.nights - Fixed stay length for round trips
+     * @param {string} params.currency - Currency to compare and report prices in (default USD)
+     * @returns {Promise<Object>} Calendar with departureDates, returnDates (empty one-way,
+     *     one per departure with nights), matrix (a row of prices or nulls per departure, with a
+     *     column per return date, or a single column one-way or with nights), cells ({departureDate, returnDate,
+     *     price, flightId, flightCount, status: 'ok'|'none'|'failed', error, cheapest}) and
+     *     cheapest ({price, combinations}, or null when nothing was found)
+     */
+    async getFareCalendar(params) {
+        try {
+            this.logger.info('Building fare calendar', params);
+
+            const flexDays = params.flexDays ?? 3;
+            const currency = (params.currency || 'USD').toUpperCase();
+            if (!Number.isInteger(flexDays) || flexDays < 0 || flexDays > 15) {
+                throw new Error('Flexible days must be a whole number from 0 to 15');
+            }
+            if (!this.currencyConverter.hasCurrency(currency)) {
+                throw new Error(`No exchange rate for ${currency}`);
+            }
+            if (!params.origin || !params.destination || !(params.departureDate || params.month)) {
+                throw new Error('Missing required fields: origin, destination and a departure date or month');
+            }
+
+            const today = this.getToday();
+            const departureDates = this.getCalendarDates(params.departureDate, params.month, flexDays)
+                .filter(date => date >= today);
+            let returnDates = [];
+            let combinations;
+            let matrix;
+
+            if (params.nights !== undefined && params.nights !== null) {
+                if (!Number.isInteger(params.nights) || params.nights < 1) {
+                    throw new Error('Nights must be a whole number of at least 1');
+                }
+                combinations = departureDates.map(date => ({ departureDate: date, returnDate: ICalendar.shiftDate(date, params.nights) }));
+                returnDates = combinations.map(combination => combination.returnDate);
+                matrix = priceOf => combinations.map(({ departureDate, returnDate }) => [priceOf(departureDate, returnDate)]);
+            } else if (params.returnDate || params.returnMonth) {
+                returnDates = this.getCalendarDates(params.returnDate, params.returnMonth, flexDays);
+                combinations = departureDates.flatMap(departureDate => returnDates
+                    .filter(returnDate => returnDate > departureDate)
+                    .map(returnDate => ({ departureDate, returnDate })));
+                matrix = priceOf => departureDates.map(departureDate => returnDates.map(returnDate => priceOf(departureDate, returnDate)));
+            } else {
+                combinations = departureDates.map(date => ({ departureDate: date, returnDate: null }));
+                matrix = priceOf => departureDates.map(departureDate => [priceOf(departureDate, null)]);
+            }
+
+            if (combinations.length === 0) {
+                throw new Error('No future dates to search');
+            }
+            if (combinations.length > this.maxCalendarSearches) {
+                throw new Error(`The calendar needs ${combinations.length} searches; narrow the dates to at most ${this.maxCalendarSearches}`);
+            }
+
+            // Search a few date pairs at a time
+            const cells = [];
+            const queue = [...combinations];
+            const worker = async () => {
+                while (queue.length > 0) {
+                    cells.push(await this.priceFareCombination(queue.shift(), params, currency));
+                }
+            };
+            await Promise.all(Array.from({ length: Math.min(this.calendarConcurrency, queue.length) }, worker));
+
+            const priced = cells.filter(cell => cell.status === 'ok');
+            if (priced.length === 0 && cells.every(cell => cell.status === 'failed')) {
+                throw new Error(`No fares could be found: ${cells[0].error}`);
+            }
+            const lowest = priced.length > 0 ? Math.min(...priced.map(cell => cell.price)) : null;
+            priced.forEach(cell => {
+                cell.cheapest = cell.price === lowest;
+            });
+
+            const cellKey = (departureDate, returnDate) => `${departureDate}_${returnDate || ''}`;
+            const byDates = new Map(cells.map(cell => [cellKey(cell.departureDate, cell.returnDate), cell]));
+            const priceOf = (departureDate, returnDate) => {
+                const cell = byDates.get(cellKey(departureDate, returnDate));
+                return cell && cell.status === 'ok' ? cell.price : null;
+            };
+
+            this.logger.info(`Fare calendar priced ${priced.length} of ${cells.length} date combinations`);
+            return {
+                origin: params.origin,
+                destination: params.destination,
+                currency,
+                nights: params.nights ?? null,
+                departureDates,
+                returnDates,
+                matrix: matrix(priceOf),
+                cells: cells.sort((a, b) => cellKey(a.departureDate, a.returnDate).localeCompare(cellKey(b.departureDate, b.returnDate))),
+                cheapest: lowest === null ? null : {
+                    price: lowest,
+                    combinations: priced.filter(cell => cell.cheapest).map(({ departureDate, returnDate }) => ({ departureDate, returnDate }))
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('Fare calendar failed', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Search one date pair of a fare calendar and keep its cheapest flight
+     */
+    async priceFareCombination({ departureDate, returnDate }, params, currency) {
+        const cell = { departureDate, returnDate, price: null, flightId: null, flightCount: 0, status: 'none', error: null, cheapest: false };
+
+        try {
+            const { flights } = await this.searchFlightsWithReport({
+                origin: params.origin,
+                destination: params.destination,
+                departureDate,
+                returnDate: returnDate || undefined,
+                passengers: params.passengers,
+                class: params.class,
+                filters: params.filters
+            });
+
+            flights.forEach(flight => {
+                if (!this.currencyConverter.hasCurrency(flight.price.currency)) return;
+                const price = this.currencyConverter.convert(flight.price.amount, flight.price.currency, currency);
+                if (cell.price === null || price < cell.price) {
+                    cell.price = price;
+                    cell.flightId = flight.id;
+                }
+            });
+            cell.flightCount = flights.length;
+            cell.status = cell.price === null ? 'none' : 'ok';
+        } catch (error) {
+            cell.status = 'failed';
+            cell.error = error.message;
+        }
+
+        return cell;
+    }
+
+    /**
+     * Dates a fare calendar covers: a whole month, or a date ± flexDays
+     */
+    getCalendarDates(date, month, flexDays) {
+        if (month) {
+            if (!/^\d{4}-\d{2}$/.test(month)) {
+                throw new Error(`Invalid month: ${month}`);
+            }
+            const [year, monthNumber] = month.split('-').map(Number);
+            if (monthNumber < 1 || monthNumber > 12) {
+                throw new Error(`Invalid month: ${month}`);
+            }
+            const days = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+            return Array.from({ length: days }, (_, index) => `${month}-${String(index + 1).padStart(2, '0')}`);
+        }
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+            throw new Error(`Invalid date: ${date}`);
+        }
+        return Array.from({ length: flexDays * 2 + 1 }, (_, index) => ICalendar.shiftDate(date, index - flexDays));
+    }
+
+    /**
+     * Today's date (YYYY-MM-DD) where the user is
+     * Search dates are compared with it as text; parsing them would read
+     * them as UTC midnight rather than local midnight.
+     */
+    getToday() {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+
     /**
      * Get flight details by ID
      */
@@ -70,8 +385,15 @@ export class FlightService {
                 return cachedResult;
             }
             
-            // Get mock flight details
-            const flightDetails = await this.getMockFlightDetails(flightId);
+            const { provider, providerFlightId } = this.resolveFlightId(flightId);
+            const response = await provider.getDetails(providerFlightId);
+            const [flightDetails] = FlightNormalizer.normalize(response, provider.format, {
+                provider: provider.name,
+                searchParams: {}
+            }).flights;
+            if (!flightDetails) {
+                throw new Error(`${provider.name} returned no readable details for flight ${providerFlightId}`);
+            }
             
             // Cache result
             this.setCache(cacheKey, flightDetails);
@@ -112,8 +434,12 @@ export class FlightService {
 
     /**
      * Book a flight
+     * @param {string} flightId - Flight ID from a search
+     * @param {Array<Object>} passengerDetails - Passengers
+     * @param {Object} paymentInfo - Payment card
+     * @param {Object} flight - The flight as saved when it was found; looked up when omitted
      */
-    async bookFlight(flightId, passengerDetails, paymentInfo) {
+    async bookFlight(flightId, passengerDetails, paymentInfo, flight = null) {
         try {
             this.logger.info('Booking flight', { flightId });
             
@@ -121,10 +447,14 @@ export class FlightService {
             this.validateBookingData(passengerDetails, paymentInfo);
             
             // Get flight details
-            const flightDetails = await this.getFlightDetails(flightId);
+            const flightDetails = flight || await this.getFlightDetails(flightId);
             
-            // Simulate booking process
-            const booking = await this.simulateBooking(flightDetails, passengerDetails, paymentInfo);
+            const { provider, providerFlightId } = this.resolveFlightId(flightId);
+            const booking = {
+                ...await provider.book(providerFlightId, passengerDetails, paymentInfo, flightDetails),
+                flight: flightDetails,
+                passengers: passengerDetails
+            };
             
             this.logger.info('Flight booked successfully', { bookingId: booking.id });
             return booking;
@@ -136,29 +466,83 @@ export class FlightService {
     }
 
     /**
-     * Validate search parameters
+     * Find the provider behind a flight ID
+     * IDs are "provider:id"; IDs saved before providers existed belong to the mock.
      */
-    validateSearchParams(params) {
-        const required = ['origin', 'destination', 'departureDate'];
-        const missing = required.filter(field => !params[field]);
-        
-        if (missing.length > 0) {
-            throw new Error(`Missing required fields: ${missing.join(', ')}`);
+    resolveFlightId(flightId) {
+        const separator = String(flightId).indexOf(':');
+        const name = separator === -1 ? 'mock' : flightId.slice(0, separator);
+        const entry = this.providers.get(name);
+        if (!entry) {
+            throw new Error(`Unknown flight provider: ${name}`);
         }
-        
-        // Validate dates
-        const departureDate = new Date(params.departureDate);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        if (departureDate < today) {
-            throw new Error('Departure date cannot be in the past');
+        return { provider: entry.provider, providerFlightId: separator === -1 ? flightId : flightId.slice(separator + 1) };
+    }
+
+    /**
+     * Get the segments a search asks for
+     * A round trip is two segments, the second flying back on the return date.
+     */
+    getSearchSegments(params) {
+        if (Array.isArray(params.segments) && params.segments.length > 0) {
+            return params.segments.map(segment => ({
+                origin: segment.origin,
+                destination: segment.destination,
+                departureDate: segment.departureDate
+            }));
         }
-        
+
+        const segments = [{ origin: params.origin, destination: params.destination, departureDate: params.departureDate }];
         if (params.returnDate) {
-            const returnDate = new Date(params.returnDate);
-            if (returnDate <= departureDate) {
-                throw new Error('Return date must be after departure date');
+            segments.push({ origin: params.destination, destination: params.origin, departureDate: params.returnDate });
+        }
+        return segments;
+    }
+
+    /**
+     * Validate search parameters
+     */
+    validateSearchParams(params) {
+        const required = ['origin', 'destination', 'departureDate'];
+        const today = this.getToday();
+
+        if (Array.isArray(params.segments) && params.segments.length > 0) {
+            if (params.returnDate) {
+                throw new Error('Give either a return date or segments, not both');
+            }
+            if (params.segments.length > this.maxSegments) {
+                throw new Error(`A search can have at most ${this.maxSegments} segments`);
+            }
+
+            params.segments.forEach((segment, index) => {
+                const missing = required.filter(field => !segment[field]);
+                if (missing.length > 0) {
+                    throw new Error(`Segment ${index + 1} is missing: ${missing.join(', ')}`);
+                }
+                if (index === 0 && String(segment.departureDate) < today) {
+                    throw new Error('Departure date cannot be in the past');
+                }
+                if (index > 0 && segment.departureDate < params.segments[index - 1].departureDate) {
+                    throw new Error(`Segment ${index + 1} departs before segment ${index}`);
+                }
+            });
+        } else {
+            const missing = required.filter(field => !params[field]);
+
+            if (missing.length > 0) {
+                throw new Error(`Missing required fields: ${missing.join(', ')}`);
+            }
+
+            // Validate dates
+            if (String(params.departureDate) < today) {
+                throw new Error('Departure date cannot be in the past');
+            }
+
+            if (params.returnDate) {
+                const returnDate = new Date(params.returnDate);
+                if (returnDate <= new Date(params.departureDate)) {
+                    throw new Error('Return date must be after departure date');
+                }
             }
         }
         
@@ -187,8 +571,31 @@ export class FlightService {
         }
     }
 
+    /**
+     * Mark layovers shorter than the airport's minimum connection time
+     * Runs after the cache so changed minimums apply to cached results.
+     */
+    checkConnections(flight) {
+        let hasShortConnection = false;
+        const segments = this.getSegments(flight).map(segment => ({
+            ...segment,
+            layovers: (segment.layovers || []).map(layover => {
+                const minimumConnectionTime = this.getMinimumConnectionTime(layover.airport);
+                const belowMinimum = layover.duration < minimumConnectionTime;
+                hasShortConnection = hasShortConnection || belowMinimum;
+                return { ...layover, minimumConnectionTime, belowMinimum };
+            })
+        }));
+        return { ...flight, segments, hasShortConnection };
+    }
+
     /**
      * Apply filters to flight results
+     * maxPrice applies to the itinerary price. airlines, maxStops,
+     * departureTimeRange, maxDuration, maxLayover (minutes), excludedConnections
+     * (airport codes) and noOvernight apply to every segment, and
+     * filters.segments[i] holds the same filters for segment i only, e.g.
+     * { segments: [{ maxStops: 0 }] } for a nonstop outbound flight.
      */
     applyFilters(flights, filters) {
         let filtered = [...flights];
@@ -197,54 +604,83 @@ export class FlightService {
             filtered = filtered.filter(flight => flight.price.amount <= filters.maxPrice);
         }
         
-        if (filters.airlines && filters.airlines.length > 0) {
-            filtered = filtered.filter(flight => filters.airlines.includes(flight.airline));
+        const segmentFilters = filters.segments || [];
+        return filtered.filter(flight => this.getSegments(flight).every((segment, index) =>
+            this.matchesSegmentFilters(segment, filters) && this.matchesSegmentFilters(segment, segmentFilters[index] || {})
+        ));
+    }
+
+    /**
+     * Check one segment against airline, stop, departure time, duration and layover filters
+     */
+    matchesSegmentFilters(segment, filters) {
+        if (filters.airlines && filters.airlines.length > 0 && !filters.airlines.includes(segment.airline)) {
+            return false;
         }
         
-        if (filters.maxStops !== undefined) {
-            filtered = filtered.filter(flight => flight.stops <= filters.maxStops);
+        if (filters.maxStops !== undefined && segment.stops > filters.maxStops) {
+            return false;
         }
         
         if (filters.departureTimeRange) {
             const { start, end } = filters.departureTimeRange;
-            filtered = filtered.filter(flight => {
-                const departureHour = new Date(flight.departure.time).getHours();
-                return departureHour >= start && departureHour <= end;
-            });
+            const departureHour = new Date(segment.departure.time).getHours();
+            if (departureHour < start || departureHour > end) {
+                return false;
+            }
         }
         
-        if (filters.maxDuration) {
-            filtered = filtered.filter(flight => flight.duration <= filters.maxDuration);
+        if (filters.maxDuration && segment.duration > filters.maxDuration) {
+            return false;
         }
-        
-        return filtered;
+
+        const layovers = segment.layovers || [];
+        if (filters.maxLayover && layovers.some(layover => layover.duration > filters.maxLayover)) {
+            return false;
+        }
+
+        if (filters.excludedConnections && filters.excludedConnections.length > 0) {
+            const excluded = filters.excludedConnections.map(code => code.toUpperCase());
+            if (layovers.some(layover => excluded.includes(layover.airport))) {
+                return false;
+            }
+        }
+
+        return !filters.noOvernight || !layovers.some(layover => layover.overnight);
     }
 
     /**
      * Sort flights by specified criteria
+     * Price is always the itinerary price; with a segment index, duration,
+     * departure, arrival and stops compare that segment instead of the whole itinerary.
      */
-    sortFlights(flights, sortBy) {
+    sortFlights(flights, sortBy, segmentIndex = null) {
+        const pick = (flight) => (segmentIndex === null || segmentIndex === undefined ? flight : this.getSegments(flight)[segmentIndex] || flight);
         const sortFunctions = {
             price: (a, b) => a.price.amount - b.price.amount,
-            duration: (a, b) => a.duration - b.duration,
-            departure: (a, b) => new Date(a.departure.time) - new Date(b.departure.time),
-            arrival: (a, b) => new Date(a.arrival.time) - new Date(b.arrival.time),
-            stops: (a, b) => a.stops - b.stops
+            duration: (a, b) => pick(a).duration - pick(b).duration,
+            departure: (a, b) => new Date(pick(a).departure.time) - new Date(pick(b).departure.time),
+            arrival: (a, b) => new Date(pick(a).arrival.time) - new Date(pick(b).arrival.time),
+            stops: (a, b) => pick(a).stops - pick(b).stops
         };
         
         const sortFunction = sortFunctions[sortBy] || sortFunctions.price;
         return [...flights].sort(sortFunction);
     }
 
+    /**
+     * Segments of a flight; flights saved before segments existed are one segment
+     */
+    getSegments(flight) {
+        return flight.segments && flight.segments.length > 0 ? flight.segments : [flight];
+    }
+
     /**
      * Generate cache key for search parameters
      */
     generateCacheKey(params) {
         const keyParts = [
-            params.origin,
-            params.destination,
-            params.departureDate,
-            params.returnDate || '',
+            ...this.getSearchSegments(params).map(segment => `${segment.origin}-${segment.destination}-${segment.departureDate}`),
             params.passengers || 1,
             params.class || 'economy'
         ];
@@ -274,107 +710,6 @@ export class FlightService {
         });
     }
 
-    /**
-     * Generate mock flight data for demo purposes
-     */
-    async getMockFlightData(searchParams) {
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        const airlines = ['American Airlines', 'Delta', 'United', 'Southwest', 'JetBlue', 'Alaska Airlines'];
-        const aircraftTypes = ['Boeing 737', 'Airbus A320', 'Boeing 777', 'Airbus A330', 'Boeing 787'];
-        
-        const flights = [];
-        const flightCount = Math.floor(Math.random() * 15) + 10; // 10-25 flights
-        
-        for (let i = 0; i < flightCount; i++) {
-            const airline = airlines[Math.floor(Math.random() * airlines.length)];
-            const aircraft = aircraftTypes[Math.floor(Math.random() * aircraftTypes.length)];
-            const stops = Math.floor(Math.random() * 3); // 0-2 stops
-            const basePrice = 200 + Math.floor(Math.random() * 800); // $200-$1000
-            const duration = 120 + Math.floor(Math.random() * 480); // 2-10 hours
-            
-            const departureTime = new Date(searchParams.departureDate);
-            departureTime.setHours(6 + Math.floor(Math.random() * 16)); // 6 AM - 10 PM
-            departureTime.setMinutes(Math.floor(Math.random() * 60));
-            
-            const arrivalTime = new Date(departureTime.getTime() + duration * 60000);
-            
-            flights.push({
-                id: `flight_${i + 1}_${Date.now()}`,
-                airline,
-                flightNumber: `${airline.substring(0, 2).toUpperCase()}${Math.floor(Math.random() * 9000) + 1000}`,
-                aircraft,
-                origin: searchParams.origin,
-                destination: searchParams.destination,
-                departure: {
-                    time: departureTime.toISOString(),
-                    airport: this.getAirportCode(searchParams.origin),
-                    terminal: Math.floor(Math.random() * 5) + 1
-                },
-                arrival: {
-                    time: arrivalTime.toISOString(),
-                    airport: this.getAirportCode(searchParams.destination),
-                    terminal: Math.floor(Math.random() * 5) + 1
-                },
-                duration, // in minutes
-                stops,
-                price: {
-                    amount: basePrice + (stops * 50), // Add $50 per stop
-                    currency: 'USD'
-                },
-                class: searchParams.class || 'economy',
-                availableSeats: Math.floor(Math.random() * 50) + 10,
-                baggage: {
-                    carry: '1 carry-on included',
-                    checked: stops === 0 ? '1 checked bag included' : 'Additional fees apply'
-                },
-                amenities: this.generateAmenities(),
-                bookingClass: this.generateBookingClass(),
-                refundable: Math.random() > 0.7,
-                changeable: Math.random() > 0.5
-            });
-        }
-        
-        return flights;
-    }
-
-    /**
-     * Get mock flight details
-     */
-    async getMockFlightDetails(flightId) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        return {
-            id: flightId,
-            airline: 'Delta Airlines',
-            flightNumber: 'DL1234',
-            aircraft: 'Boeing 737-800',
-            route: {
-                origin: { code: 'JFK', name: 'John F. Kennedy International Airport', city: 'New York' },
-                destination: { code: 'LAX', name: 'Los Angeles International Airport', city: 'Los Angeles' }
-            },
-            schedule: {
-                departure: { time: '2024-02-15T08:30:00Z', gate: 'A12', terminal: '4' },
-                arrival: { time: '2024-02-15T14:45:00Z', gate: 'B8', terminal: '2' }
-            },
-            duration: 375, // 6h 15m
-            distance: 2475, // miles
-            stops: 0,
-            price: { amount: 450, currency: 'USD' },
-            seatMap: this.generateSeatMap(),
-            meals: ['Breakfast', 'Snack'],
-            entertainment: ['Movies', 'TV Shows', 'Music', 'Games'],
-            wifi: true,
-            powerOutlets: true,
-            policies: {
-                cancellation: '24-hour free cancellation',
-                changes: 'Changes allowed with fee',
-                baggage: '1 carry-on and 1 personal item included'
-            }
-        };
-    }
-
     /**
      * Get mock popular destinations
      */
@@ -394,76 +729,45 @@ export class FlightService {
     }
 
     /**
-     * Simulate flight booking
+     * Get the airports a searched place could mean
+     * @param {string} place - Airport code, metropolitan code (e.g. NYC) or city name
+     * @returns {Array<string>} IATA codes, main airport first; empty when the place is unknown
      */
-    async simulateBooking(flightDetails, passengerDetails, paymentInfo) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        return {
-            id: `booking_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            confirmationCode: Math.random().toString(36).substr(2, 6).toUpperCase(),
-            flight: flightDetails,
-            passengers: passengerDetails,
-            totalPrice: flightDetails.price.amount * passengerDetails.length,
-            bookingDate: new Date().toISOString(),
-            status: 'confirmed',
-            eTickets: passengerDetails.map((passenger, index) => ({
-                ticketNumber: `${Math.random().toString(36).substr(2, 10).toUpperCase()}`,
-                passenger: `${passenger.firstName} ${passenger.lastName}`,
-                seat: `${Math.floor(Math.random() * 30) + 1}${String.fromCharCode(65 + Math.floor(Math.random() * 6))}`
-            }))
-        };
+    resolveAirports(place) {
+        const codes = this.airports.resolve(place);
+        if (codes.length === 0) {
+            this.logger.warn(`No airport found for ${place}`);
+        }
+        return codes;
     }
 
     /**
-     * Helper methods
+     * Autocomplete airports and multi-airport cities
+     * @param {string} query - City, airport name, country or code, possibly misspelt
+     * @param {Object} options - Search options ({limit})
+     * @returns {Array<Object>} Cities and airports, best match first
      */
-    getAirportCode(city) {
-        const codes = {
-            'New York': 'JFK',
-            'Los Angeles': 'LAX',
-            'Chicago': 'ORD',
-            'Miami': 'MIA',
-            'London': 'LHR',
-            'Paris': 'CDG',
-            'Tokyo': 'NRT',
-            'Dubai': 'DXB'
-        };
-        return codes[city] || 'XXX';
-    }
-
-    generateAmenities() {
-        const allAmenities = ['WiFi', 'Power Outlets', 'Entertainment', 'Meals', 'Drinks', 'Blankets'];
-        const count = Math.floor(Math.random() * 4) + 2;
-        return allAmenities.sort(() => 0.5 - Math.random()).slice(0, count);
+    searchAirports(query, options) {
+        return this.airports.search(query, options);
     }
 
-    generateBookingClass() {
-        const classes = ['Basic Economy', 'Economy', 'Premium Economy', 'Business', 'First'];
-        return classes[Math.floor(Math.random() * classes.length)];
+    /**
+     * Find the airports closest to a point, such as the user's location
+     * @param {Array<number>} coordinates - [lat, lng]
+     * @param {Object} options - Lookup options ({limit, maxDistanceKm})
+     * @returns {Array<Object>} Airports with distanceKm, nearest first
+     */
+    findNearestAirports(coordinates, options) {
+        return this.airports.nearest(coordinates, options);
     }
 
-    generateSeatMap() {
-        // Simplified seat map generation
-        const rows = 30;
-        const seatsPerRow = 6;
-        const seatMap = [];
-        
-        for (let row = 1; row <= rows; row++) {
-            const rowSeats = [];
-            for (let seat = 0; seat < seatsPerRow; seat++) {
-                const seatLetter = String.fromCharCode(65 + seat);
-                rowSeats.push({
-                    number: `${row}${seatLetter}`,
-                    available: Math.random() > 0.3,
-                    type: seat < 2 || seat > 3 ? 'window' : 'aisle',
-                    price: row <= 5 ? 50 : 0 // Premium seats
-                });
-            }
-            seatMap.push(rowSeats);
-        }
-        
-        return seatMap;
+    /**
+     * Get an airport by IATA or ICAO code
+     * @param {string} code - Airport code
+     * @returns {Object|null} The airport, or null if unknown
+     */
+    getAirport(code) {
+        return this.airports.get(code);
     }
 
     /**
@@ -311,6 +311,12 @@ export class HotelService {
                     available: Math.floor(Math.random() * 10) + 1,
                     types: ['Standard Room', 'Deluxe Room', 'Suite'].filter(() => Math.random() > 0.3)
                 },
+                stay: {
+                    checkIn: searchParams.checkIn,
+                    checkOut: searchParams.checkOut,
+                    nights,
+                    guests: searchParams.guests
+                },
                 policies: {
                     checkIn: '3:00 PM',
                     checkOut: '11:00 AM',
@@ -308,21 +308,7 @@ export class MapService {
      */
     async getCurrentLocation() {
         try {
-            if (!navigator.geolocation) {
-                this.logger.warn('Geolocation not supported');
-                return;
-            }
-
-            const position = await new Promise((resolve, reject) => {
-                navigator.geolocation.getCurrentPosition(resolve, reject, {
-                    enableHighAccuracy: true,
-                    timeout: 10000,
-                    maximumAge: 300000 // 5 minutes
-                });
-            });
-
-            const { latitude, longitude } = position.coords;
-            this.currentLocation = [latitude, longitude];
+            const [latitude, longitude] = await this.locateUser();
 
             // Add user location marker
             this.addMarker({
@@ -339,6 +325,56 @@ export class MapService {
         }
     }
 
+    /**
+     * Ask the browser for the user's position
+     * @returns {Promise<Array>} [lat, lng]
+     */
+    async locateUser() {
+        if (!navigator.geolocation) {
+            throw new Error('Geolocation not supported');
+        }
+
+        const position = await new Promise((resolve, reject) => {
+            navigator.geolocation.getCurrentPosition(resolve, reject, {
+                enableHighAccuracy: true,
+                timeout: 10000,
+                maximumAge: 300000 // 5 minutes
+            });
+        });
+
+        const { latitude, longitude } = position.coords;
+        this.currentLocation = [latitude, longitude];
+        return this.currentLocation;
+    }
+
+    /**
+     * Get the straight-line distance and heading between two points, with a
+     * link to walking directions on OpenStreetMap
+     * @param {Array} from - [lat, lng]
+     * @param {Array} to - [lat, lng]
+     * @returns {Object} { distanceKm, heading, walkingMinutes, url }
+     */
+    getDirections(from, to) {
+        const toRadians = (degrees) => degrees * Math.PI / 180;
+        const [lat1, lng1] = from.map(toRadians);
+        const [lat2, lng2] = to.map(toRadians);
+
+        // Haversine distance on a 6371 km sphere
+        const a = Math.sin((lat2 - lat1) / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+        const distanceKm = 2 * 6371 * Math.asin(Math.sqrt(a));
+
+        const y = Math.sin(lng2 - lng1) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(lng2 - lng1);
+        const bearing = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+
+        return {
+            distanceKm: Math.round(distanceKm * 10) / 10,
+            heading: ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'][Math.round(bearing / 45) % 8],
+            walkingMinutes: Math.round(distanceKm / 5 * 60), // at a 5 km/h pace
+            url: `https://www.openstreetmap.org/directions?engine=fossgis_osrm_foot&route=${from[0]},${from[1]};${to[0]},${to[1]}`
+        };
+    }
+
     /**
      * Setup map event listeners
      * @private
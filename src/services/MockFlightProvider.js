@@ -0,0 +1,190 @@
+/**
+ * Mock Flight Provider
+ * Generates demo flights in the app's own shape, so the planner works without API keys
+ */
+import { FlightProvider } from './FlightProvider.js';
+
+export class MockFlightProvider extends FlightProvider {
+    constructor() {
+        super({ name: 'mock', format: 'native' });
+        this.flights = new Map();
+        this.maxRemembered = 500;
+    }
+
+    /**
+     * Generate mock flights for a search
+     * @param {Object} searchParams - Search parameters
+     * @returns {Promise<Array<Object>>} Flights
+     */
+    async search(searchParams) {
+        // Simulate API delay
+        await new Promise(resolve => setTimeout(resolve, 1000));
+
+        const flights = this.getMockFlightData(searchParams);
+        flights.forEach(flight => this.remember(flight));
+        return flights;
+    }
+
+    /**
+     * Get a flight this provider returned earlier
+     * @param {string} flightId - Mock flight ID
+     * @returns {Promise<Object>} The flight
+     */
+    async getDetails(flightId) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+
+        const flight = this.flights.get(flightId);
+        if (!flight) {
+            throw new Error('Flight not found, search again for current fares');
+        }
+        return flight;
+    }
+
+    /**
+     * Simulate booking a flight
+     * @param {string} flightId - Mock flight ID
+     * @param {Array<Object>} passengerDetails - Passengers
+     * @param {Object} paymentInfo - Payment card
+     * @param {Object} flight - The flight being booked
+     * @returns {Promise<Object>} Booking
+     */
+    async book(flightId, passengerDetails, paymentInfo, flight) {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+
+        return {
+            id: `booking_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            confirmationCode: Math.random().toString(36).substr(2, 6).toUpperCase(),
+            totalPrice: flight.price.amount * passengerDetails.length,
+            bookingDate: new Date().toISOString(),
+            status: 'confirmed',
+            eTickets: passengerDetails.map(passenger => ({
+                ticketNumber: `${Math.random().toString(36).substr(2, 10).toUpperCase()}`,
+                passenger: `${passenger.firstName} ${passenger.lastName}`,
+                seat: `${Math.floor(Math.random() * 30) + 1}${String.fromCharCode(65 + Math.floor(Math.random() * 6))}`
+            }))
+        };
+    }
+
+    /**
+     * Keep a returned flight for details and booking, dropping the oldest
+     * @private
+     */
+    remember(flight) {
+        this.flights.set(flight.id, flight);
+        if (this.flights.size > this.maxRemembered) {
+            this.flights.delete(this.flights.keys().next().value);
+        }
+    }
+
+    /**
+     * Generate mock flight data for demo purposes
+     * One itinerary per result, with a segment for each searched segment.
+     * @private
+     */
+    getMockFlightData(searchParams) {
+        const airlines = ['American Airlines', 'Delta', 'United', 'Southwest', 'JetBlue', 'Alaska Airlines'];
+        const searchSegments = searchParams.segments || [searchParams];
+
+        const flights = [];
+        const flightCount = Math.floor(Math.random() * 15) + 10; // 10-25 flights
+
+        for (let i = 0; i < flightCount; i++) {
+            const airline = airlines[Math.floor(Math.random() * airlines.length)];
+            const segments = searchSegments.map(segment => this.generateSegment(airline, segment));
+            const stops = segments.reduce((total, segment) => total + segment.stops, 0);
+            const basePrice = segments.reduce(total => total + 200 + Math.floor(Math.random() * 800), 0); // $200-$1000 per segment
+
+            flights.push({
+                id: `flight_${i + 1}_${Date.now()}`,
+                segments,
+                price: {
+                    amount: basePrice + (stops * 50), // Add $50 per stop
+                    currency: 'USD'
+                },
+                class: searchParams.class || 'economy',
+                availableSeats: Math.floor(Math.random() * 50) + 10,
+                baggage: {
+                    carry: '1 carry-on included',
+                    checked: stops === 0 ? '1 checked bag included' : 'Additional fees apply'
+                },
+                amenities: this.generateAmenities(),
+                bookingClass: this.generateBookingClass(),
+                refundable: Math.random() > 0.7,
+                changeable: Math.random() > 0.5
+            });
+        }
+
+        return flights;
+    }
+
+    /**
+     * Generate one segment of a mock itinerary, connecting through hubs
+     * Flies from and to any of the airports the searched places could mean.
+     * @private
+     */
+    generateSegment(airline, searchSegment) {
+        const aircraftTypes = ['Boeing 737', 'Airbus A320', 'Boeing 777', 'Airbus A330', 'Boeing 787'];
+        const hubs = ['ORD', 'ATL', 'DFW', 'DEN', 'FRA', 'AMS', 'IST', 'DXB'];
+        const stops = Math.floor(Math.random() * 3); // 0-2 stops
+        const pick = (codes) => (codes && codes.length > 0 ? codes[Math.floor(Math.random() * codes.length)] : 'XXX');
+        const origin = pick(searchSegment.originAirports);
+        const destination = pick(searchSegment.destinationAirports);
+        const connections = hubs.filter(hub => hub !== origin && hub !== destination).sort(() => 0.5 - Math.random()).slice(0, stops);
+        const airports = [origin, ...connections, destination];
+
+        const departureTime = new Date(searchSegment.departureDate);
+        departureTime.setHours(6 + Math.floor(Math.random() * 16)); // 6 AM - 10 PM
+        departureTime.setMinutes(Math.floor(Math.random() * 60));
+
+        const legs = [];
+        let clock = departureTime.getTime();
+        for (let i = 0; i < airports.length - 1; i++) {
+            if (i > 0) {
+                clock += (30 + Math.floor(Math.random() * 600)) * 60000; // 30 min - 10.5 hour connection
+            }
+            const duration = 60 + Math.floor(Math.random() * 360); // 1-7 hours
+            legs.push({
+                airline,
+                flightNumber: `${airline.substring(0, 2).toUpperCase()}${Math.floor(Math.random() * 9000) + 1000}`,
+                aircraft: aircraftTypes[Math.floor(Math.random() * aircraftTypes.length)],
+                departure: {
+                    time: new Date(clock).toISOString(),
+                    airport: airports[i],
+                    terminal: Math.floor(Math.random() * 5) + 1
+                },
+                arrival: {
+                    time: new Date(clock + duration * 60000).toISOString(),
+                    airport: airports[i + 1],
+                    terminal: Math.floor(Math.random() * 5) + 1
+                },
+                duration // in minutes
+            });
+            clock += duration * 60000;
+        }
+
+        return {
+            airline,
+            origin: searchSegment.origin,
+            destination: searchSegment.destination,
+            stops,
+            legs
+        };
+    }
+
+    /**
+     * @private
+     */
+    generateAmenities() {
+        const allAmenities = ['WiFi', 'Power Outlets', 'Entertainment', 'Meals', 'Drinks', 'Blankets'];
+        const count = Math.floor(Math.random() * 4) + 2;
+        return allAmenities.sort(() => 0.5 - Math.random()).slice(0, count);
+    }
+
+    /**
+     * @private
+     */
+    generateBookingClass() {
+        const classes = ['Basic Economy', 'Economy', 'Premium Economy', 'Business', 'First'];
+        return classes[Math.floor(Math.random() * classes.length)];
+    }
+}
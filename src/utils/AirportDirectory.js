@@ -0,0 +1,774 @@
+/**
+ * AirportDirectory Utility Class
+ * Looks up airports offline: by code, by fuzzy city or name search, and by distance
+ */
+
+/**
+ * Airports bundled with the app so lookups work offline.
+ * Columns: IATA, ICAO, name, city served, country, latitude, longitude, IANA timezone.
+ * Airports of one city are listed main airport first.
+ */
+const AIRPORT_ROWS = [
+    // North America
+    ['ATL', 'KATL', 'Hartsfield-Jackson Atlanta International Airport', 'Atlanta', 'United States', 33.6407, -84.4277, 'America/New_York'],
+    ['LAX', 'KLAX', 'Los Angeles International Airport', 'Los Angeles', 'United States', 33.9416, -118.4085, 'America/Los_Angeles'],
+    ['BUR', 'KBUR', 'Hollywood Burbank Airport', 'Los Angeles', 'United States', 34.2007, -118.3587, 'America/Los_Angeles'],
+    ['LGB', 'KLGB', 'Long Beach Airport', 'Long Beach', 'United States', 33.8177, -118.1516, 'America/Los_Angeles'],
+    ['SNA', 'KSNA', 'John Wayne Airport', 'Santa Ana', 'United States', 33.6757, -117.8682, 'America/Los_Angeles'],
+    ['ORD', 'KORD', 'O\'Hare International Airport', 'Chicago', 'United States', 41.9742, -87.9073, 'America/Chicago'],
+    ['MDW', 'KMDW', 'Chicago Midway International Airport', 'Chicago', 'United States', 41.7868, -87.7522, 'America/Chicago'],
+    ['DFW', 'KDFW', 'Dallas/Fort Worth International Airport', 'Dallas', 'United States', 32.8998, -97.0403, 'America/Chicago'],
+    ['DAL', 'KDAL', 'Dallas Love Field', 'Dallas', 'United States', 32.8471, -96.8518, 'America/Chicago'],
+    ['DEN', 'KDEN', 'Denver International Airport', 'Denver', 'United States', 39.8561, -104.6737, 'America/Denver'],
+    ['JFK', 'KJFK', 'John F. Kennedy International Airport', 'New York', 'United States', 40.6413, -73.7781, 'America/New_York'],
+    ['LGA', 'KLGA', 'LaGuardia Airport', 'New York', 'United States', 40.7769, -73.8740, 'America/New_York'],
+    ['EWR', 'KEWR', 'Newark Liberty International Airport', 'New York', 'United States', 40.6895, -74.1745, 'America/New_York'],
+    ['SFO', 'KSFO', 'San Francisco International Airport', 'San Francisco', 'United States', 37.6213, -122.3790, 'America/Los_Angeles'],
+    ['OAK', 'KOAK', 'Oakland International Airport', 'Oakland', 'United States', 37.7126, -122.2197, 'America/Los_Angeles'],
+    ['SJC', 'KSJC', 'San Jose Mineta International Airport', 'San Jose', 'United States', 37.3639, -121.9289, 'America/Los_Angeles'],
+    ['SEA', 'KSEA', 'Seattle-Tacoma International Airport', 'Seattle', 'United States', 47.4502, -122.3088, 'America/Los_Angeles'],
+    ['LAS', 'KLAS', 'Harry Reid International Airport', 'Las Vegas', 'United States', 36.0840, -115.1537, 'America/Los_Angeles'],
+    ['MCO', 'KMCO', 'Orlando International Airport', 'Orlando', 'United States', 28.4312, -81.3081, 'America/New_York'],
+    ['MIA', 'KMIA', 'Miami International Airport', 'Miami', 'United States', 25.7959, -80.2870, 'America/New_York'],
+    ['FLL', 'KFLL', 'Fort Lauderdale-Hollywood International Airport', 'Fort Lauderdale', 'United States', 26.0742, -80.1506, 'America/New_York'],
+    ['PBI', 'KPBI', 'Palm Beach International Airport', 'West Palm Beach', 'United States', 26.6832, -80.0956, 'America/New_York'],
+    ['TPA', 'KTPA', 'Tampa International Airport', 'Tampa', 'United States', 27.9755, -82.5332, 'America/New_York'],
+    ['RSW', 'KRSW', 'Southwest Florida International Airport', 'Fort Myers', 'United States', 26.5362, -81.7552, 'America/New_York'],
+    ['JAX', 'KJAX', 'Jacksonville International Airport', 'Jacksonville', 'United States', 30.4941, -81.6879, 'America/New_York'],
+    ['CLT', 'KCLT', 'Charlotte Douglas International Airport', 'Charlotte', 'United States', 35.2144, -80.9473, 'America/New_York'],
+    ['PHX', 'KPHX', 'Phoenix Sky Harbor International Airport', 'Phoenix', 'United States', 33.4352, -112.0101, 'America/Phoenix'],
+    ['IAH', 'KIAH', 'George Bush Intercontinental Airport', 'Houston', 'United States', 29.9902, -95.3368, 'America/Chicago'],
+    ['HOU', 'KHOU', 'William P. Hobby Airport', 'Houston', 'United States', 29.6454, -95.2789, 'America/Chicago'],
+    ['BOS', 'KBOS', 'Boston Logan International Airport', 'Boston', 'United States', 42.3656, -71.0096, 'America/New_York'],
+    ['MSP', 'KMSP', 'Minneapolis-Saint Paul International Airport', 'Minneapolis', 'United States', 44.8848, -93.2223, 'America/Chicago'],
+    ['DTW', 'KDTW', 'Detroit Metropolitan Wayne County Airport', 'Detroit', 'United States', 42.2162, -83.3554, 'America/Detroit'],
+    ['PHL', 'KPHL', 'Philadelphia International Airport', 'Philadelphia', 'United States', 39.8744, -75.2424, 'America/New_York'],
+    ['IAD', 'KIAD', 'Washington Dulles International Airport', 'Washington', 'United States', 38.9531, -77.4565, 'America/New_York'],
+    ['DCA', 'KDCA', 'Ronald Reagan Washington National Airport', 'Washington', 'United States', 38.8512, -77.0402, 'America/New_York'],
+    ['BWI', 'KBWI', 'Baltimore/Washington International Thurgood Marshall Airport', 'Baltimore', 'United States', 39.1774, -76.6684, 'America/New_York'],
+    ['SAN', 'KSAN', 'San Diego International Airport', 'San Diego', 'United States', 32.7338, -117.1933, 'America/Los_Angeles'],
+    ['PDX', 'KPDX', 'Portland International Airport', 'Portland', 'United States', 45.5898, -122.5951, 'America/Los_Angeles'],
+    ['SLC', 'KSLC', 'Salt Lake City International Airport', 'Salt Lake City', 'United States', 40.7899, -111.9791, 'America/Denver'],
+    ['BNA', 'KBNA', 'Nashville International Airport', 'Nashville', 'United States', 36.1263, -86.6774, 'America/Chicago'],
+    ['AUS', 'KAUS', 'Austin-Bergstrom International Airport', 'Austin', 'United States', 30.1975, -97.6664, 'America/Chicago'],
+    ['SAT', 'KSAT', 'San Antonio International Airport', 'San Antonio', 'United States', 29.5337, -98.4698, 'America/Chicago'],
+    ['MSY', 'KMSY', 'Louis Armstrong New Orleans International Airport', 'New Orleans', 'United States', 29.9934, -90.2580, 'America/Chicago'],
+    ['STL', 'KSTL', 'St. Louis Lambert International Airport', 'St. Louis', 'United States', 38.7487, -90.3700, 'America/Chicago'],
+    ['MCI', 'KMCI', 'Kansas City International Airport', 'Kansas City', 'United States', 39.2976, -94.7139, 'America/Chicago'],
+    ['MKE', 'KMKE', 'Milwaukee Mitchell International Airport', 'Milwaukee', 'United States', 42.9472, -87.8966, 'America/Chicago'],
+    ['IND', 'KIND', 'Indianapolis International Airport', 'Indianapolis', 'United States', 39.7173, -86.2944, 'America/Indiana/Indianapolis'],
+    ['CMH', 'KCMH', 'John Glenn Columbus International Airport', 'Columbus', 'United States', 39.9980, -82.8919, 'America/New_York'],
+    ['CLE', 'KCLE', 'Cleveland Hopkins International Airport', 'Cleveland', 'United States', 41.4117, -81.8498, 'America/New_York'],
+    ['PIT', 'KPIT', 'Pittsburgh International Airport', 'Pittsburgh', 'United States', 40.4919, -80.2329, 'America/New_York'],
+    ['CVG', 'KCVG', 'Cincinnati/Northern Kentucky International Airport', 'Cincinnati', 'United States', 39.0489, -84.6678, 'America/New_York'],
+    ['RDU', 'KRDU', 'Raleigh-Durham International Airport', 'Raleigh', 'United States', 35.8801, -78.7880, 'America/New_York'],
+    ['SMF', 'KSMF', 'Sacramento International Airport', 'Sacramento', 'United States', 38.6951, -121.5908, 'America/Los_Angeles'],
+    ['ABQ', 'KABQ', 'Albuquerque International Sunport', 'Albuquerque', 'United States', 35.0402, -106.6090, 'America/Denver'],
+    ['ANC', 'PANC', 'Ted Stevens Anchorage International Airport', 'Anchorage', 'United States', 61.1743, -149.9962, 'America/Anchorage'],
+    ['HNL', 'PHNL', 'Daniel K. Inouye International Airport', 'Honolulu', 'United States', 21.3187, -157.9225, 'Pacific/Honolulu'],
+    ['OGG', 'PHOG', 'Kahului Airport', 'Maui', 'United States', 20.8986, -156.4305, 'Pacific/Honolulu'],
+    ['KOA', 'PHKO', 'Ellison Onizuka Kona International Airport', 'Kailua-Kona', 'United States', 19.7388, -156.0456, 'Pacific/Honolulu'],
+    ['LIH', 'PHLI', 'Lihue Airport', 'Kauai', 'United States', 21.9760, -159.3390, 'Pacific/Honolulu'],
+    ['SJU', 'TJSJ', 'Luis Munoz Marin International Airport', 'San Juan', 'Puerto Rico', 18.4394, -66.0018, 'America/Puerto_Rico'],
+    ['YYZ', 'CYYZ', 'Toronto Pearson International Airport', 'Toronto', 'Canada', 43.6777, -79.6248, 'America/Toronto'],
+    ['YTZ', 'CYTZ', 'Billy Bishop Toronto City Airport', 'Toronto', 'Canada', 43.6275, -79.3962, 'America/Toronto'],
+    ['YUL', 'CYUL', 'Montreal-Trudeau International Airport', 'Montreal', 'Canada', 45.4706, -73.7408, 'America/Toronto'],
+    ['YQB', 'CYQB', 'Quebec City Jean Lesage International Airport', 'Quebec City', 'Canada', 46.7911, -71.3933, 'America/Toronto'],
+    ['YOW', 'CYOW', 'Ottawa Macdonald-Cartier International Airport', 'Ottawa', 'Canada', 45.3225, -75.6692, 'America/Toronto'],
+    ['YVR', 'CYVR', 'Vancouver International Airport', 'Vancouver', 'Canada', 49.1967, -123.1815, 'America/Vancouver'],
+    ['YYC', 'CYYC', 'Calgary International Airport', 'Calgary', 'Canada', 51.1215, -114.0076, 'America/Edmonton'],
+    ['YEG', 'CYEG', 'Edmonton International Airport', 'Edmonton', 'Canada', 53.3097, -113.5800, 'America/Edmonton'],
+    ['YWG', 'CYWG', 'Winnipeg James Armstrong Richardson International Airport', 'Winnipeg', 'Canada', 49.9100, -97.2399, 'America/Winnipeg'],
+    ['YHZ', 'CYHZ', 'Halifax Stanfield International Airport', 'Halifax', 'Canada', 44.8808, -63.5086, 'America/Halifax'],
+    ['MEX', 'MMMX', 'Mexico City International Airport', 'Mexico City', 'Mexico', 19.4361, -99.0719, 'America/Mexico_City'],
+    ['CUN', 'MMUN', 'Cancun International Airport', 'Cancun', 'Mexico', 21.0365, -86.8771, 'America/Cancun'],
+    ['GDL', 'MMGL', 'Guadalajara International Airport', 'Guadalajara', 'Mexico', 20.5218, -103.3112, 'America/Mexico_City'],
+    ['MTY', 'MMMY', 'Monterrey International Airport', 'Monterrey', 'Mexico', 25.7785, -100.1070, 'America/Monterrey'],
+    ['PVR', 'MMPR', 'Puerto Vallarta International Airport', 'Puerto Vallarta', 'Mexico', 20.6801, -105.2542, 'America/Mexico_City'],
+    ['SJD', 'MMSD', 'Los Cabos International Airport', 'Los Cabos', 'Mexico', 23.1518, -109.7211, 'America/Mazatlan'],
+
+    // Central America and the Caribbean
+    ['PTY', 'MPTO', 'Tocumen International Airport', 'Panama City', 'Panama', 9.0714, -79.3835, 'America/Panama'],
+    ['SJO', 'MROC', 'Juan Santamaria International Airport', 'San Jose', 'Costa Rica', 9.9939, -84.2088, 'America/Costa_Rica'],
+    ['GUA', 'MGGT', 'La Aurora International Airport', 'Guatemala City', 'Guatemala', 14.5833, -90.5275, 'America/Guatemala'],
+    ['HAV', 'MUHA', 'Jose Marti International Airport', 'Havana', 'Cuba', 22.9892, -82.4091, 'America/Havana'],
+    ['PUJ', 'MDPC', 'Punta Cana International Airport', 'Punta Cana', 'Dominican Republic', 18.5674, -68.3634, 'America/Santo_Domingo'],
+    ['SDQ', 'MDSD', 'Las Americas International Airport', 'Santo Domingo', 'Dominican Republic', 18.4297, -69.6689, 'America/Santo_Domingo'],
+    ['MBJ', 'MKJS', 'Sangster International Airport', 'Montego Bay', 'Jamaica', 18.5037, -77.9134, 'America/Jamaica'],
+    ['NAS', 'MYNN', 'Lynden Pindling International Airport', 'Nassau', 'Bahamas', 25.0390, -77.4662, 'America/Nassau'],
+    ['AUA', 'TNCA', 'Queen Beatrix International Airport', 'Oranjestad', 'Aruba', 12.5014, -70.0152, 'America/Aruba'],
+    ['BGI', 'TBPB', 'Grantley Adams International Airport', 'Bridgetown', 'Barbados', 13.0746, -59.4925, 'America/Barbados'],
+
+    // South America
+    ['GRU', 'SBGR', 'Sao Paulo/Guarulhos International Airport', 'Sao Paulo', 'Brazil', -23.4356, -46.4731, 'America/Sao_Paulo'],
+    ['CGH', 'SBSP', 'Congonhas Airport', 'Sao Paulo', 'Brazil', -23.6261, -46.6564, 'America/Sao_Paulo'],
+    ['VCP', 'SBKP', 'Viracopos International Airport', 'Campinas', 'Brazil', -23.0074, -47.1345, 'America/Sao_Paulo'],
+    ['GIG', 'SBGL', 'Rio de Janeiro/Galeao International Airport', 'Rio de Janeiro', 'Brazil', -22.8090, -43.2506, 'America/Sao_Paulo'],
+    ['SDU', 'SBRJ', 'Santos Dumont Airport', 'Rio de Janeiro', 'Brazil', -22.9105, -43.1631, 'America/Sao_Paulo'],
+    ['BSB', 'SBBR', 'Brasilia International Airport', 'Brasilia', 'Brazil', -15.8711, -47.9186, 'America/Sao_Paulo'],
+    ['SSA', 'SBSV', 'Salvador International Airport', 'Salvador', 'Brazil', -12.9086, -38.3225, 'America/Bahia'],
+    ['REC', 'SBRF', 'Recife/Guararapes International Airport', 'Recife', 'Brazil', -8.1265, -34.9236, 'America/Recife'],
+    ['FOR', 'SBFZ', 'Fortaleza International Airport', 'Fortaleza', 'Brazil', -3.7763, -38.5326, 'America/Fortaleza'],
+    ['EZE', 'SAEZ', 'Ministro Pistarini International Airport', 'Buenos Aires', 'Argentina', -34.8222, -58.5358, 'America/Argentina/Buenos_Aires'],
+    ['AEP', 'SABE', 'Aeroparque Jorge Newbery', 'Buenos Aires', 'Argentina', -34.5592, -58.4156, 'America/Argentina/Buenos_Aires'],
+    ['SCL', 'SCEL', 'Arturo Merino Benitez International Airport', 'Santiago', 'Chile', -33.3930, -70.7858, 'America/Santiago'],
+    ['LIM', 'SPJC', 'Jorge Chavez International Airport', 'Lima', 'Peru', -12.0219, -77.1143, 'America/Lima'],
+    ['CUZ', 'SPZO', 'Alejandro Velasco Astete International Airport', 'Cusco', 'Peru', -13.5357, -71.9388, 'America/Lima'],
+    ['BOG', 'SKBO', 'El Dorado International Airport', 'Bogota', 'Colombia', 4.7016, -74.1469, 'America/Bogota'],
+    ['MDE', 'SKRG', 'Jose Maria Cordova International Airport', 'Medellin', 'Colombia', 6.1645, -75.4231, 'America/Bogota'],
+    ['CTG', 'SKCG', 'Rafael Nunez International Airport', 'Cartagena', 'Colombia', 10.4424, -75.5130, 'America/Bogota'],
+    ['UIO', 'SEQM', 'Mariscal Sucre International Airport', 'Quito', 'Ecuador', -0.1292, -78.3575, 'America/Guayaquil'],
+    ['GYE', 'SEGU', 'Jose Joaquin de Olmedo International Airport', 'Guayaquil', 'Ecuador', -2.1574, -79.8837, 'America/Guayaquil'],
+    ['CCS', 'SVMI', 'Simon Bolivar International Airport', 'Caracas', 'Venezuela', 10.6031, -66.9906, 'America/Caracas'],
+    ['MVD', 'SUMU', 'Carrasco International Airport', 'Montevideo', 'Uruguay', -34.8384, -56.0308, 'America/Montevideo'],
+    ['ASU', 'SGAS', 'Silvio Pettirossi International Airport', 'Asuncion', 'Paraguay', -25.2400, -57.5191, 'America/Asuncion'],
+    ['VVI', 'SLVR', 'Viru Viru International Airport', 'Santa Cruz', 'Bolivia', -17.6448, -63.1354, 'America/La_Paz'],
+    ['LPB', 'SLLP', 'El Alto International Airport', 'La Paz', 'Bolivia', -16.5133, -68.1923, 'America/La_Paz'],
+
+    // Europe
+    ['LHR', 'EGLL', 'Heathrow Airport', 'London', 'United Kingdom', 51.4700, -0.4543, 'Europe/London'],
+    ['LGW', 'EGKK', 'Gatwick Airport', 'London', 'United Kingdom', 51.1537, -0.1821, 'Europe/London'],
+    ['STN', 'EGSS', 'Stansted Airport', 'London', 'United Kingdom', 51.8860, 0.2389, 'Europe/London'],
+    ['LTN', 'EGGW', 'Luton Airport', 'London', 'United Kingdom', 51.8747, -0.3683, 'Europe/London'],
+    ['LCY', 'EGLC', 'London City Airport', 'London', 'United Kingdom', 51.5053, 0.0553, 'Europe/London'],
+    ['SEN', 'EGMC', 'Southend Airport', 'London', 'United Kingdom', 51.5714, 0.6956, 'Europe/London'],
+    ['MAN', 'EGCC', 'Manchester Airport', 'Manchester', 'United Kingdom', 53.3588, -2.2727, 'Europe/London'],
+    ['BHX', 'EGBB', 'Birmingham Airport', 'Birmingham', 'United Kingdom', 52.4539, -1.7480, 'Europe/London'],
+    ['BRS', 'EGGD', 'Bristol Airport', 'Bristol', 'United Kingdom', 51.3827, -2.7191, 'Europe/London'],
+    ['EDI', 'EGPH', 'Edinburgh Airport', 'Edinburgh', 'United Kingdom', 55.9508, -3.3615, 'Europe/London'],
+    ['GLA', 'EGPF', 'Glasgow Airport', 'Glasgow', 'United Kingdom', 55.8719, -4.4331, 'Europe/London'],
+    ['BFS', 'EGAA', 'Belfast International Airport', 'Belfast', 'United Kingdom', 54.6575, -6.2158, 'Europe/London'],
+    ['DUB', 'EIDW', 'Dublin Airport', 'Dublin', 'Ireland', 53.4264, -6.2499, 'Europe/Dublin'],
+    ['SNN', 'EINN', 'Shannon Airport', 'Shannon', 'Ireland', 52.7020, -8.9248, 'Europe/Dublin'],
+    ['CDG', 'LFPG', 'Paris Charles de Gaulle Airport', 'Paris', 'France', 49.0097, 2.5479, 'Europe/Paris'],
+    ['ORY', 'LFPO', 'Paris Orly Airport', 'Paris', 'France', 48.7262, 2.3652, 'Europe/Paris'],
+    ['BVA', 'LFOB', 'Paris Beauvais Airport', 'Paris', 'France', 49.4544, 2.1128, 'Europe/Paris'],
+    ['NCE', 'LFMN', 'Nice Cote d\'Azur Airport', 'Nice', 'France', 43.6584, 7.2159, 'Europe/Paris'],
+    ['LYS', 'LFLL', 'Lyon-Saint Exupery Airport', 'Lyon', 'France', 45.7256, 5.0811, 'Europe/Paris'],
+    ['MRS', 'LFML', 'Marseille Provence Airport', 'Marseille', 'France', 43.4393, 5.2214, 'Europe/Paris'],
+    ['TLS', 'LFBO', 'Toulouse-Blagnac Airport', 'Toulouse', 'France', 43.6291, 1.3638, 'Europe/Paris'],
+    ['BOD', 'LFBD', 'Bordeaux-Merignac Airport', 'Bordeaux', 'France', 44.8283, -0.7156, 'Europe/Paris'],
+    ['AMS', 'EHAM', 'Amsterdam Airport Schiphol', 'Amsterdam', 'Netherlands', 52.3105, 4.7683, 'Europe/Amsterdam'],
+    ['EIN', 'EHEH', 'Eindhoven Airport', 'Eindhoven', 'Netherlands', 51.4501, 5.3745, 'Europe/Amsterdam'],
+    ['BRU', 'EBBR', 'Brussels Airport', 'Brussels', 'Belgium', 50.9010, 4.4856, 'Europe/Brussels'],
+    ['CRL', 'EBCI', 'Brussels South Charleroi Airport', 'Charleroi', 'Belgium', 50.4592, 4.4538, 'Europe/Brussels'],
+    ['LUX', 'ELLX', 'Luxembourg Airport', 'Luxembourg', 'Luxembourg', 49.6233, 6.2044, 'Europe/Luxembourg'],
+    ['FRA', 'EDDF', 'Frankfurt Airport', 'Frankfurt', 'Germany', 50.0379, 8.5622, 'Europe/Berlin'],
+    ['MUC', 'EDDM', 'Munich Airport', 'Munich', 'Germany', 48.3538, 11.7861, 'Europe/Berlin'],
+    ['BER', 'EDDB', 'Berlin Brandenburg Airport', 'Berlin', 'Germany', 52.3667, 13.5033, 'Europe/Berlin'],
+    ['HAM', 'EDDH', 'Hamburg Airport', 'Hamburg', 'Germany', 53.6304, 9.9882, 'Europe/Berlin'],
+    ['DUS', 'EDDL', 'Dusseldorf Airport', 'Dusseldorf', 'Germany', 51.2895, 6.7668, 'Europe/Berlin'],
+    ['CGN', 'EDDK', 'Cologne Bonn Airport', 'Cologne', 'Germany', 50.8659, 7.1427, 'Europe/Berlin'],
+    ['STR', 'EDDS', 'Stuttgart Airport', 'Stuttgart', 'Germany', 48.6899, 9.2220, 'Europe/Berlin'],
+    ['ZRH', 'LSZH', 'Zurich Airport', 'Zurich', 'Switzerland', 47.4582, 8.5555, 'Europe/Zurich'],
+    ['GVA', 'LSGG', 'Geneva Airport', 'Geneva', 'Switzerland', 46.2370, 6.1092, 'Europe/Zurich'],
+    ['BSL', 'LFSB', 'EuroAirport Basel Mulhouse Freiburg', 'Basel', 'Switzerland', 47.5896, 7.5299, 'Europe/Paris'],
+    ['VIE', 'LOWW', 'Vienna International Airport', 'Vienna', 'Austria', 48.1103, 16.5697, 'Europe/Vienna'],
+    ['SZG', 'LOWS', 'Salzburg Airport', 'Salzburg', 'Austria', 47.7933, 13.0043, 'Europe/Vienna'],
+    ['INN', 'LOWI', 'Innsbruck Airport', 'Innsbruck', 'Austria', 47.2602, 11.3440, 'Europe/Vienna'],
+    ['PRG', 'LKPR', 'Vaclav Havel Airport Prague', 'Prague', 'Czechia', 50.1008, 14.2600, 'Europe/Prague'],
+    ['BUD', 'LHBP', 'Budapest Ferenc Liszt International Airport', 'Budapest', 'Hungary', 47.4385, 19.2523, 'Europe/Budapest'],
+    ['WAW', 'EPWA', 'Warsaw Chopin Airport', 'Warsaw', 'Poland', 52.1657, 20.9671, 'Europe/Warsaw'],
+    ['KRK', 'EPKK', 'Krakow John Paul II International Airport', 'Krakow', 'Poland', 50.0777, 19.7848, 'Europe/Warsaw'],
+    ['GDN', 'EPGD', 'Gdansk Lech Walesa Airport', 'Gdansk', 'Poland', 54.3776, 18.4662, 'Europe/Warsaw'],
+    ['CPH', 'EKCH', 'Copenhagen Airport', 'Copenhagen', 'Denmark', 55.6180, 12.6508, 'Europe/Copenhagen'],
+    ['ARN', 'ESSA', 'Stockholm Arlanda Airport', 'Stockholm', 'Sweden', 59.6498, 17.9238, 'Europe/Stockholm'],
+    ['BMA', 'ESSB', 'Stockholm Bromma Airport', 'Stockholm', 'Sweden', 59.3544, 17.9417, 'Europe/Stockholm'],
+    ['GOT', 'ESGG', 'Gothenburg Landvetter Airport', 'Gothenburg', 'Sweden', 57.6628, 12.2798, 'Europe/Stockholm'],
+    ['OSL', 'ENGM', 'Oslo Gardermoen Airport', 'Oslo', 'Norway', 60.1976, 11.1004, 'Europe/Oslo'],
+    ['BGO', 'ENBR', 'Bergen Flesland Airport', 'Bergen', 'Norway', 60.2934, 5.2181, 'Europe/Oslo'],
+    ['HEL', 'EFHK', 'Helsinki Airport', 'Helsinki', 'Finland', 60.3172, 24.9633, 'Europe/Helsinki'],
+    ['RVN', 'EFRO', 'Rovaniemi Airport', 'Rovaniemi', 'Finland', 66.5648, 25.8304, 'Europe/Helsinki'],
+    ['KEF', 'BIKF', 'Keflavik International Airport', 'Reykjavik', 'Iceland', 63.9850, -22.6056, 'Atlantic/Reykjavik'],
+    ['TLL', 'EETN', 'Tallinn Airport', 'Tallinn', 'Estonia', 59.4133, 24.8328, 'Europe/Tallinn'],
+    ['RIX', 'EVRA', 'Riga International Airport', 'Riga', 'Latvia', 56.9236, 23.9711, 'Europe/Riga'],
+    ['VNO', 'EYVI', 'Vilnius Airport', 'Vilnius', 'Lithuania', 54.6341, 25.2858, 'Europe/Vilnius'],
+    ['MAD', 'LEMD', 'Adolfo Suarez Madrid-Barajas Airport', 'Madrid', 'Spain', 40.4983, -3.5676, 'Europe/Madrid'],
+    ['BCN', 'LEBL', 'Josep Tarradellas Barcelona-El Prat Airport', 'Barcelona', 'Spain', 41.2974, 2.0833, 'Europe/Madrid'],
+    ['PMI', 'LEPA', 'Palma de Mallorca Airport', 'Palma de Mallorca', 'Spain', 39.5517, 2.7388, 'Europe/Madrid'],
+    ['IBZ', 'LEIB', 'Ibiza Airport', 'Ibiza', 'Spain', 38.8729, 1.3731, 'Europe/Madrid'],
+    ['AGP', 'LEMG', 'Malaga-Costa del Sol Airport', 'Malaga', 'Spain', 36.6749, -4.4991, 'Europe/Madrid'],
+    ['ALC', 'LEAL', 'Alicante-Elche Miguel Hernandez Airport', 'Alicante', 'Spain', 38.2822, -0.5582, 'Europe/Madrid'],
+    ['VLC', 'LEVC', 'Valencia Airport', 'Valencia', 'Spain', 39.4893, -0.4816, 'Europe/Madrid'],
+    ['SVQ', 'LEZL', 'Seville Airport', 'Seville', 'Spain', 37.4180, -5.8931, 'Europe/Madrid'],
+    ['BIO', 'LEBB', 'Bilbao Airport', 'Bilbao', 'Spain', 43.3011, -2.9106, 'Europe/Madrid'],
+    ['TFS', 'GCTS', 'Tenerife South Airport', 'Tenerife', 'Spain', 28.0445, -16.5725, 'Atlantic/Canary'],
+    ['LPA', 'GCLP', 'Gran Canaria Airport', 'Las Palmas', 'Spain', 27.9319, -15.3866, 'Atlantic/Canary'],
+    ['LIS', 'LPPT', 'Humberto Delgado Airport', 'Lisbon', 'Portugal', 38.7742, -9.1342, 'Europe/Lisbon'],
+    ['OPO', 'LPPR', 'Francisco Sa Carneiro Airport', 'Porto', 'Portugal', 41.2481, -8.6814, 'Europe/Lisbon'],
+    ['FAO', 'LPFR', 'Faro Airport', 'Faro', 'Portugal', 37.0144, -7.9659, 'Europe/Lisbon'],
+    ['FNC', 'LPMA', 'Cristiano Ronaldo Madeira International Airport', 'Funchal', 'Portugal', 32.6979, -16.7745, 'Atlantic/Madeira'],
+    ['PDL', 'LPPD', 'Joao Paulo II Airport', 'Ponta Delgada', 'Portugal', 37.7412, -25.6979, 'Atlantic/Azores'],
+    ['FCO', 'LIRF', 'Leonardo da Vinci-Fiumicino Airport', 'Rome', 'Italy', 41.8003, 12.2389, 'Europe/Rome'],
+    ['CIA', 'LIRA', 'Ciampino Airport', 'Rome', 'Italy', 41.7994, 12.5949, 'Europe/Rome'],
+    ['MXP', 'LIMC', 'Milan Malpensa Airport', 'Milan', 'Italy', 45.6306, 8.7281, 'Europe/Rome'],
+    ['LIN', 'LIML', 'Milan Linate Airport', 'Milan', 'Italy', 45.4451, 9.2767, 'Europe/Rome'],
+    ['BGY', 'LIME', 'Milan Bergamo Airport', 'Bergamo', 'Italy', 45.6739, 9.7042, 'Europe/Rome'],
+    ['VCE', 'LIPZ', 'Venice Marco Polo Airport', 'Venice', 'Italy', 45.5053, 12.3519, 'Europe/Rome'],
+    ['NAP', 'LIRN', 'Naples International Airport', 'Naples', 'Italy', 40.8860, 14.2908, 'Europe/Rome'],
+    ['FLR', 'LIRQ', 'Florence Peretola Airport', 'Florence', 'Italy', 43.8100, 11.2051, 'Europe/Rome'],
+    ['PSA', 'LIRP', 'Pisa International Airport', 'Pisa', 'Italy', 43.6839, 10.3927, 'Europe/Rome'],
+    ['BLQ', 'LIPE', 'Bologna Guglielmo Marconi Airport', 'Bologna', 'Italy', 44.5354, 11.2887, 'Europe/Rome'],
+    ['TRN', 'LIMF', 'Turin Airport', 'Turin', 'Italy', 45.2008, 7.6497, 'Europe/Rome'],
+    ['CTA', 'LICC', 'Catania-Fontanarossa Airport', 'Catania', 'Italy', 37.4668, 15.0664, 'Europe/Rome'],
+    ['PMO', 'LICJ', 'Palermo Falcone-Borsellino Airport', 'Palermo', 'Italy', 38.1760, 13.0910, 'Europe/Rome'],
+    ['CAG', 'LIEE', 'Cagliari Elmas Airport', 'Cagliari', 'Italy', 39.2515, 9.0543, 'Europe/Rome'],
+    ['MLA', 'LMML', 'Malta International Airport', 'Valletta', 'Malta', 35.8575, 14.4775, 'Europe/Malta'],
+    ['ATH', 'LGAV', 'Athens International Airport', 'Athens', 'Greece', 37.9364, 23.9445, 'Europe/Athens'],
+    ['SKG', 'LGTS', 'Thessaloniki Makedonia Airport', 'Thessaloniki', 'Greece', 40.5197, 22.9709, 'Europe/Athens'],
+    ['HER', 'LGIR', 'Heraklion International Airport', 'Heraklion', 'Greece', 35.3397, 25.1803, 'Europe/Athens'],
+    ['JTR', 'LGSR', 'Santorini International Airport', 'Santorini', 'Greece', 36.3992, 25.4793, 'Europe/Athens'],
+    ['JMK', 'LGMK', 'Mykonos Airport', 'Mykonos', 'Greece', 37.4351, 25.3481, 'Europe/Athens'],
+    ['RHO', 'LGRP', 'Rhodes International Airport', 'Rhodes', 'Greece', 36.4054, 28.0862, 'Europe/Athens'],
+    ['CFU', 'LGKR', 'Corfu International Airport', 'Corfu', 'Greece', 39.6019, 19.9117, 'Europe/Athens'],
+    ['IST', 'LTFM', 'Istanbul Airport', 'Istanbul', 'Turkey', 41.2753, 28.7519, 'Europe/Istanbul'],
+    ['SAW', 'LTFJ', 'Sabiha Gokcen International Airport', 'Istanbul', 'Turkey', 40.8986, 29.3092, 'Europe/Istanbul'],
+    ['ESB', 'LTAC', 'Ankara Esenboga Airport', 'Ankara', 'Turkey', 40.1281, 32.9951, 'Europe/Istanbul'],
+    ['AYT', 'LTAI', 'Antalya Airport', 'Antalya', 'Turkey', 36.8987, 30.8005, 'Europe/Istanbul'],
+    ['ADB', 'LTBJ', 'Izmir Adnan Menderes Airport', 'Izmir', 'Turkey', 38.2924, 27.1570, 'Europe/Istanbul'],
+    ['DLM', 'LTBS', 'Dalaman Airport', 'Dalaman', 'Turkey', 36.7131, 28.7925, 'Europe/Istanbul'],
+    ['BJV', 'LTFE', 'Milas-Bodrum Airport', 'Bodrum', 'Turkey', 37.2506, 27.6643, 'Europe/Istanbul'],
+    ['LCA', 'LCLK', 'Larnaca International Airport', 'Larnaca', 'Cyprus', 34.8751, 33.6249, 'Asia/Nicosia'],
+    ['PFO', 'LCPH', 'Paphos International Airport', 'Paphos', 'Cyprus', 34.7180, 32.4857, 'Asia/Nicosia'],
+    ['OTP', 'LROP', 'Henri Coanda International Airport', 'Bucharest', 'Romania', 44.5711, 26.0850, 'Europe/Bucharest'],
+    ['SOF', 'LBSF', 'Sofia Airport', 'Sofia', 'Bulgaria', 42.6967, 23.4114, 'Europe/Sofia'],
+    ['BEG', 'LYBE', 'Belgrade Nikola Tesla Airport', 'Belgrade', 'Serbia', 44.8184, 20.3091, 'Europe/Belgrade'],
+    ['ZAG', 'LDZA', 'Zagreb Franjo Tudman Airport', 'Zagreb', 'Croatia', 45.7429, 16.0688, 'Europe/Zagreb'],
+    ['SPU', 'LDSP', 'Split Airport', 'Split', 'Croatia', 43.5389, 16.2980, 'Europe/Zagreb'],
+    ['DBV', 'LDDU', 'Dubrovnik Airport', 'Dubrovnik', 'Croatia', 42.5614, 18.2682, 'Europe/Zagreb'],
+    ['LJU', 'LJLJ', 'Ljubljana Joze Pucnik Airport', 'Ljubljana', 'Slovenia', 46.2237, 14.4576, 'Europe/Ljubljana'],
+    ['TIV', 'LYTV', 'Tivat Airport', 'Tivat', 'Montenegro', 42.4047, 18.7233, 'Europe/Podgorica'],
+    ['SVO', 'UUEE', 'Sheremetyevo International Airport', 'Moscow', 'Russia', 55.9726, 37.4146, 'Europe/Moscow'],
+    ['DME', 'UUDD', 'Domodedovo International Airport', 'Moscow', 'Russia', 55.4088, 37.9063, 'Europe/Moscow'],
+    ['VKO', 'UUWW', 'Vnukovo International Airport', 'Moscow', 'Russia', 55.5915, 37.2615, 'Europe/Moscow'],
+    ['LED', 'ULLI', 'Pulkovo Airport', 'Saint Petersburg', 'Russia', 59.8003, 30.2625, 'Europe/Moscow'],
+    ['TBS', 'UGTB', 'Tbilisi International Airport', 'Tbilisi', 'Georgia', 41.6692, 44.9547, 'Asia/Tbilisi'],
+    ['EVN', 'UDYZ', 'Zvartnots International Airport', 'Yerevan', 'Armenia', 40.1473, 44.3959, 'Asia/Yerevan'],
+    ['GYD', 'UBBB', 'Heydar Aliyev International Airport', 'Baku', 'Azerbaijan', 40.4675, 50.0467, 'Asia/Baku'],
+
+    // Middle East
+    ['DXB', 'OMDB', 'Dubai International Airport', 'Dubai', 'United Arab Emirates', 25.2532, 55.3657, 'Asia/Dubai'],
+    ['DWC', 'OMDW', 'Al Maktoum International Airport', 'Dubai', 'United Arab Emirates', 24.8964, 55.1614, 'Asia/Dubai'],
+    ['AUH', 'OMAA', 'Zayed International Airport', 'Abu Dhabi', 'United Arab Emirates', 24.4330, 54.6511, 'Asia/Dubai'],
+    ['SHJ', 'OMSJ', 'Sharjah International Airport', 'Sharjah', 'United Arab Emirates', 25.3286, 55.5172, 'Asia/Dubai'],
+    ['DOH', 'OTHH', 'Hamad International Airport', 'Doha', 'Qatar', 25.2731, 51.6081, 'Asia/Qatar'],
+    ['BAH', 'OBBI', 'Bahrain International Airport', 'Manama', 'Bahrain', 26.2708, 50.6336, 'Asia/Bahrain'],
+    ['KWI', 'OKKK', 'Kuwait International Airport', 'Kuwait City', 'Kuwait', 29.2266, 47.9689, 'Asia/Kuwait'],
+    ['MCT', 'OOMS', 'Muscat International Airport', 'Muscat', 'Oman', 23.5933, 58.2844, 'Asia/Muscat'],
+    ['RUH', 'OERK', 'King Khalid International Airport', 'Riyadh', 'Saudi Arabia', 24.9576, 46.6988, 'Asia/Riyadh'],
+    ['JED', 'OEJN', 'King Abdulaziz International Airport', 'Jeddah', 'Saudi Arabia', 21.6796, 39.1565, 'Asia/Riyadh'],
+    ['DMM', 'OEDF', 'King Fahd International Airport', 'Dammam', 'Saudi Arabia', 26.4712, 49.7979, 'Asia/Riyadh'],
+    ['AMM', 'OJAI', 'Queen Alia International Airport', 'Amman', 'Jordan', 31.7226, 35.9932, 'Asia/Amman'],
+    ['TLV', 'LLBG', 'Ben Gurion Airport', 'Tel Aviv', 'Israel', 32.0055, 34.8854, 'Asia/Jerusalem'],
+    ['BEY', 'OLBA', 'Beirut-Rafic Hariri International Airport', 'Beirut', 'Lebanon', 33.8209, 35.4884, 'Asia/Beirut'],
+    ['IKA', 'OIIE', 'Imam Khomeini International Airport', 'Tehran', 'Iran', 35.4161, 51.1522, 'Asia/Tehran'],
+
+    // Africa
+    ['CAI', 'HECA', 'Cairo International Airport', 'Cairo', 'Egypt', 30.1219, 31.4056, 'Africa/Cairo'],
+    ['HRG', 'HEGN', 'Hurghada International Airport', 'Hurghada', 'Egypt', 27.1783, 33.7994, 'Africa/Cairo'],
+    ['SSH', 'HESH', 'Sharm El Sheikh International Airport', 'Sharm El Sheikh', 'Egypt', 27.9773, 34.3950, 'Africa/Cairo'],
+    ['CMN', 'GMMN', 'Mohammed V International Airport', 'Casablanca', 'Morocco', 33.3675, -7.5898, 'Africa/Casablanca'],
+    ['RAK', 'GMMX', 'Marrakesh Menara Airport', 'Marrakesh', 'Morocco', 31.6069, -8.0363, 'Africa/Casablanca'],
+    ['TUN', 'DTTA', 'Tunis-Carthage International Airport', 'Tunis', 'Tunisia', 36.8510, 10.2272, 'Africa/Tunis'],
+    ['ALG', 'DAAG', 'Houari Boumediene Airport', 'Algiers', 'Algeria', 36.6910, 3.2154, 'Africa/Algiers'],
+    ['ADD', 'HAAB', 'Addis Ababa Bole International Airport', 'Addis Ababa', 'Ethiopia', 8.9779, 38.7993, 'Africa/Addis_Ababa'],
+    ['NBO', 'HKJK', 'Jomo Kenyatta International Airport', 'Nairobi', 'Kenya', -1.3192, 36.9278, 'Africa/Nairobi'],
+    ['MBA', 'HKMO', 'Moi International Airport', 'Mombasa', 'Kenya', -4.0348, 39.5942, 'Africa/Nairobi'],
+    ['DAR', 'HTDA', 'Julius Nyerere International Airport', 'Dar es Salaam', 'Tanzania', -6.8781, 39.2026, 'Africa/Dar_es_Salaam'],
+    ['JRO', 'HTKJ', 'Kilimanjaro International Airport', 'Kilimanjaro', 'Tanzania', -3.4294, 37.0745, 'Africa/Dar_es_Salaam'],
+    ['ZNZ', 'HTZA', 'Abeid Amani Karume International Airport', 'Zanzibar', 'Tanzania', -6.2220, 39.2249, 'Africa/Dar_es_Salaam'],
+    ['EBB', 'HUEN', 'Entebbe International Airport', 'Entebbe', 'Uganda', 0.0424, 32.4435, 'Africa/Kampala'],
+    ['KGL', 'HRYR', 'Kigali International Airport', 'Kigali', 'Rwanda', -1.9686, 30.1395, 'Africa/Kigali'],
+    ['LOS', 'DNMM', 'Murtala Muhammed International Airport', 'Lagos', 'Nigeria', 6.5774, 3.3212, 'Africa/Lagos'],
+    ['ABV', 'DNAA', 'Nnamdi Azikiwe International Airport', 'Abuja', 'Nigeria', 9.0068, 7.2632, 'Africa/Lagos'],
+    ['ACC', 'DGAA', 'Kotoka International Airport', 'Accra', 'Ghana', 5.6052, -0.1668, 'Africa/Accra'],
+    ['DSS', 'GOBD', 'Blaise Diagne International Airport', 'Dakar', 'Senegal', 14.6700, -17.0733, 'Africa/Dakar'],
+    ['ABJ', 'DIAP', 'Felix Houphouet-Boigny International Airport', 'Abidjan', 'Ivory Coast', 5.2614, -3.9263, 'Africa/Abidjan'],
+    ['JNB', 'FAOR', 'O. R. Tambo International Airport', 'Johannesburg', 'South Africa', -26.1392, 28.2460, 'Africa/Johannesburg'],
+    ['CPT', 'FACT', 'Cape Town International Airport', 'Cape Town', 'South Africa', -33.9715, 18.6021, 'Africa/Johannesburg'],
+    ['DUR', 'FALE', 'King Shaka International Airport', 'Durban', 'South Africa', -29.6144, 31.1197, 'Africa/Johannesburg'],
+    ['WDH', 'FYWH', 'Hosea Kutako International Airport', 'Windhoek', 'Namibia', -22.4799, 17.4709, 'Africa/Windhoek'],
+    ['VFA', 'FVFA', 'Victoria Falls Airport', 'Victoria Falls', 'Zimbabwe', -18.0959, 25.8390, 'Africa/Harare'],
+    ['MRU', 'FIMP', 'Sir Seewoosagur Ramgoolam International Airport', 'Mauritius', 'Mauritius', -20.4302, 57.6836, 'Indian/Mauritius'],
+    ['SEZ', 'FSIA', 'Seychelles International Airport', 'Mahe', 'Seychelles', -4.6743, 55.5218, 'Indian/Mahe'],
+    ['TNR', 'FMMI', 'Ivato International Airport', 'Antananarivo', 'Madagascar', -18.7969, 47.4788, 'Indian/Antananarivo'],
+
+    // South and Central Asia
+    ['DEL', 'VIDP', 'Indira Gandhi International Airport', 'Delhi', 'India', 28.5562, 77.1000, 'Asia/Kolkata'],
+    ['BOM', 'VABB', 'Chhatrapati Shivaji Maharaj International Airport', 'Mumbai', 'India', 19.0896, 72.8656, 'Asia/Kolkata'],
+    ['BLR', 'VOBL', 'Kempegowda International Airport', 'Bengaluru', 'India', 13.1986, 77.7066, 'Asia/Kolkata'],
+    ['MAA', 'VOMM', 'Chennai International Airport', 'Chennai', 'India', 12.9941, 80.1709, 'Asia/Kolkata'],
+    ['CCU', 'VECC', 'Netaji Subhas Chandra Bose International Airport', 'Kolkata', 'India', 22.6547, 88.4467, 'Asia/Kolkata'],
+    ['HYD', 'VOHS', 'Rajiv Gandhi International Airport', 'Hyderabad', 'India', 17.2403, 78.4294, 'Asia/Kolkata'],
+    ['GOI', 'VOGO', 'Dabolim Airport', 'Goa', 'India', 15.3808, 73.8314, 'Asia/Kolkata'],
+    ['GOX', 'VOGA', 'Manohar International Airport', 'Goa', 'India', 15.7300, 73.8600, 'Asia/Kolkata'],
+    ['COK', 'VOCI', 'Cochin International Airport', 'Kochi', 'India', 10.1520, 76.4019, 'Asia/Kolkata'],
+    ['AMD', 'VAAH', 'Sardar Vallabhbhai Patel International Airport', 'Ahmedabad', 'India', 23.0772, 72.6347, 'Asia/Kolkata'],
+    ['JAI', 'VIJP', 'Jaipur International Airport', 'Jaipur', 'India', 26.8242, 75.8122, 'Asia/Kolkata'],
+    ['CMB', 'VCBI', 'Bandaranaike International Airport', 'Colombo', 'Sri Lanka', 7.1808, 79.8841, 'Asia/Colombo'],
+    ['MLE', 'VRMM', 'Velana International Airport', 'Male', 'Maldives', 4.1918, 73.5291, 'Indian/Maldives'],
+    ['KTM', 'VNKT', 'Tribhuvan International Airport', 'Kathmandu', 'Nepal', 27.6966, 85.3591, 'Asia/Kathmandu'],
+    ['PBH', 'VQPR', 'Paro International Airport', 'Paro', 'Bhutan', 27.4032, 89.4246, 'Asia/Thimphu'],
+    ['DAC', 'VGHS', 'Hazrat Shahjalal International Airport', 'Dhaka', 'Bangladesh', 23.8433, 90.3978, 'Asia/Dhaka'],
+    ['KHI', 'OPKC', 'Jinnah International Airport', 'Karachi', 'Pakistan', 24.9065, 67.1608, 'Asia/Karachi'],
+    ['LHE', 'OPLA', 'Allama Iqbal International Airport', 'Lahore', 'Pakistan', 31.5216, 74.4036, 'Asia/Karachi'],
+    ['ISB', 'OPIS', 'Islamabad International Airport', 'Islamabad', 'Pakistan', 33.5491, 72.8256, 'Asia/Karachi'],
+    ['TAS', 'UTTT', 'Tashkent International Airport', 'Tashkent', 'Uzbekistan', 41.2579, 69.2812, 'Asia/Tashkent'],
+    ['ALA', 'UAAA', 'Almaty International Airport', 'Almaty', 'Kazakhstan', 43.3521, 77.0405, 'Asia/Almaty'],
+
+    // East Asia
+    ['HND', 'RJTT', 'Tokyo Haneda Airport', 'Tokyo', 'Japan', 35.5494, 139.7798, 'Asia/Tokyo'],
+    ['NRT', 'RJAA', 'Narita International Airport', 'Tokyo', 'Japan', 35.7720, 140.3929, 'Asia/Tokyo'],
+    ['KIX', 'RJBB', 'Kansai International Airport', 'Osaka', 'Japan', 34.4320, 135.2304, 'Asia/Tokyo'],
+    ['ITM', 'RJOO', 'Osaka Itami Airport', 'Osaka', 'Japan', 34.7855, 135.4382, 'Asia/Tokyo'],
+    ['NGO', 'RJGG', 'Chubu Centrair International Airport', 'Nagoya', 'Japan', 34.8584, 136.8054, 'Asia/Tokyo'],
+    ['FUK', 'RJFF', 'Fukuoka Airport', 'Fukuoka', 'Japan', 33.5859, 130.4510, 'Asia/Tokyo'],
+    ['CTS', 'RJCC', 'New Chitose Airport', 'Sapporo', 'Japan', 42.7752, 141.6923, 'Asia/Tokyo'],
+    ['OKA', 'ROAH', 'Naha Airport', 'Okinawa', 'Japan', 26.1958, 127.6459, 'Asia/Tokyo'],
+    ['ICN', 'RKSI', 'Incheon International Airport', 'Seoul', 'South Korea', 37.4602, 126.4407, 'Asia/Seoul'],
+    ['GMP', 'RKSS', 'Gimpo International Airport', 'Seoul', 'South Korea', 37.5587, 126.7945, 'Asia/Seoul'],
+    ['PUS', 'RKPK', 'Gimhae International Airport', 'Busan', 'South Korea', 35.1795, 128.9382, 'Asia/Seoul'],
+    ['CJU', 'RKPC', 'Jeju International Airport', 'Jeju', 'South Korea', 33.5104, 126.4914, 'Asia/Seoul'],
+    ['PEK', 'ZBAA', 'Beijing Capital International Airport', 'Beijing', 'China', 40.0799, 116.6031, 'Asia/Shanghai'],
+    ['PKX', 'ZBAD', 'Beijing Daxing International Airport', 'Beijing', 'China', 39.5098, 116.4105, 'Asia/Shanghai'],
+    ['PVG', 'ZSPD', 'Shanghai Pudong International Airport', 'Shanghai', 'China', 31.1443, 121.8083, 'Asia/Shanghai'],
+    ['SHA', 'ZSSS', 'Shanghai Hongqiao International Airport', 'Shanghai', 'China', 31.1979, 121.3363, 'Asia/Shanghai'],
+    ['CAN', 'ZGGG', 'Guangzhou Baiyun International Airport', 'Guangzhou', 'China', 23.3924, 113.2988, 'Asia/Shanghai'],
+    ['SZX', 'ZGSZ', 'Shenzhen Bao\'an International Airport', 'Shenzhen', 'China', 22.6393, 113.8107, 'Asia/Shanghai'],
+    ['CTU', 'ZUUU', 'Chengdu Shuangliu International Airport', 'Chengdu', 'China', 30.5785, 103.9471, 'Asia/Shanghai'],
+    ['TFU', 'ZUTF', 'Chengdu Tianfu International Airport', 'Chengdu', 'China', 30.3125, 104.4411, 'Asia/Shanghai'],
+    ['CKG', 'ZUCK', 'Chongqing Jiangbei International Airport', 'Chongqing', 'China', 29.7192, 106.6417, 'Asia/Shanghai'],
+    ['XIY', 'ZLXY', 'Xi\'an Xianyang International Airport', 'Xi\'an', 'China', 34.4471, 108.7516, 'Asia/Shanghai'],
+    ['KMG', 'ZPPP', 'Kunming Changshui International Airport', 'Kunming', 'China', 25.1019, 102.9292, 'Asia/Shanghai'],
+    ['HGH', 'ZSHC', 'Hangzhou Xiaoshan International Airport', 'Hangzhou', 'China', 30.2295, 120.4344, 'Asia/Shanghai'],
+    ['HKG', 'VHHH', 'Hong Kong International Airport', 'Hong Kong', 'Hong Kong', 22.3080, 113.9185, 'Asia/Hong_Kong'],
+    ['MFM', 'VMMC', 'Macau International Airport', 'Macau', 'Macau', 22.1496, 113.5915, 'Asia/Macau'],
+    ['TPE', 'RCTP', 'Taiwan Taoyuan International Airport', 'Taipei', 'Taiwan', 25.0797, 121.2342, 'Asia/Taipei'],
+    ['TSA', 'RCSS', 'Taipei Songshan Airport', 'Taipei', 'Taiwan', 25.0694, 121.5525, 'Asia/Taipei'],
+    ['KHH', 'RCKH', 'Kaohsiung International Airport', 'Kaohsiung', 'Taiwan', 22.5771, 120.3500, 'Asia/Taipei'],
+    ['ULN', 'ZMCK', 'Chinggis Khaan International Airport', 'Ulaanbaatar', 'Mongolia', 47.6469, 106.8195, 'Asia/Ulaanbaatar'],
+
+    // Southeast Asia
+    ['SIN', 'WSSS', 'Singapore Changi Airport', 'Singapore', 'Singapore', 1.3644, 103.9915, 'Asia/Singapore'],
+    ['BKK', 'VTBS', 'Suvarnabhumi Airport', 'Bangkok', 'Thailand', 13.6900, 100.7501, 'Asia/Bangkok'],
+    ['DMK', 'VTBD', 'Don Mueang International Airport', 'Bangkok', 'Thailand', 13.9126, 100.6068, 'Asia/Bangkok'],
+    ['HKT', 'VTSP', 'Phuket International Airport', 'Phuket', 'Thailand', 8.1132, 98.3169, 'Asia/Bangkok'],
+    ['CNX', 'VTCC', 'Chiang Mai International Airport', 'Chiang Mai', 'Thailand', 18.7668, 98.9626, 'Asia/Bangkok'],
+    ['USM', 'VTSM', 'Samui Airport', 'Koh Samui', 'Thailand', 9.5478, 100.0623, 'Asia/Bangkok'],
+    ['KBV', 'VTSG', 'Krabi International Airport', 'Krabi', 'Thailand', 8.0992, 98.9862, 'Asia/Bangkok'],
+    ['KUL', 'WMKK', 'Kuala Lumpur International Airport', 'Kuala Lumpur', 'Malaysia', 2.7456, 101.7099, 'Asia/Kuala_Lumpur'],
+    ['PEN', 'WMKP', 'Penang International Airport', 'Penang', 'Malaysia', 5.2971, 100.2770, 'Asia/Kuala_Lumpur'],
+    ['LGK', 'WMKL', 'Langkawi International Airport', 'Langkawi', 'Malaysia', 6.3297, 99.7287, 'Asia/Kuala_Lumpur'],
+    ['BKI', 'WBKK', 'Kota Kinabalu International Airport', 'Kota Kinabalu', 'Malaysia', 5.9372, 116.0515, 'Asia/Kuching'],
+    ['CGK', 'WIII', 'Soekarno-Hatta International Airport', 'Jakarta', 'Indonesia', -6.1256, 106.6559, 'Asia/Jakarta'],
+    ['SUB', 'WARR', 'Juanda International Airport', 'Surabaya', 'Indonesia', -7.3798, 112.7868, 'Asia/Jakarta'],
+    ['DPS', 'WADD', 'I Gusti Ngurah Rai International Airport (Bali)', 'Denpasar', 'Indonesia', -8.7482, 115.1670, 'Asia/Makassar'],
+    ['LOP', 'WADL', 'Lombok International Airport', 'Lombok', 'Indonesia', -8.7573, 116.2767, 'Asia/Makassar'],
+    ['MNL', 'RPLL', 'Ninoy Aquino International Airport', 'Manila', 'Philippines', 14.5086, 121.0194, 'Asia/Manila'],
+    ['CEB', 'RPVM', 'Mactan-Cebu International Airport', 'Cebu', 'Philippines', 10.3075, 123.9794, 'Asia/Manila'],
+    ['SGN', 'VVTS', 'Tan Son Nhat International Airport', 'Ho Chi Minh City', 'Vietnam', 10.8188, 106.6520, 'Asia/Ho_Chi_Minh'],
+    ['HAN', 'VVNB', 'Noi Bai International Airport', 'Hanoi', 'Vietnam', 21.2212, 105.8072, 'Asia/Ho_Chi_Minh'],
+    ['DAD', 'VVDN', 'Da Nang International Airport', 'Da Nang', 'Vietnam', 16.0439, 108.1994, 'Asia/Ho_Chi_Minh'],
+    ['PQC', 'VVPQ', 'Phu Quoc International Airport', 'Phu Quoc', 'Vietnam', 10.1698, 103.9931, 'Asia/Ho_Chi_Minh'],
+    ['PNH', 'VDPP', 'Phnom Penh International Airport', 'Phnom Penh', 'Cambodia', 11.5466, 104.8441, 'Asia/Phnom_Penh'],
+    ['SAI', 'VDSA', 'Siem Reap-Angkor International Airport', 'Siem Reap', 'Cambodia', 13.3700, 104.2200, 'Asia/Phnom_Penh'],
+    ['VTE', 'VLVT', 'Wattay International Airport', 'Vientiane', 'Laos', 17.9883, 102.5633, 'Asia/Vientiane'],
+    ['RGN', 'VYYY', 'Yangon International Airport', 'Yangon', 'Myanmar', 16.9073, 96.1332, 'Asia/Yangon'],
+    ['BWN', 'WBSB', 'Brunei International Airport', 'Bandar Seri Begawan', 'Brunei', 4.9442, 114.9283, 'Asia/Brunei'],
+
+    // Oceania
+    ['SYD', 'YSSY', 'Sydney Kingsford Smith Airport', 'Sydney', 'Australia', -33.9399, 151.1753, 'Australia/Sydney'],
+    ['MEL', 'YMML', 'Melbourne Airport', 'Melbourne', 'Australia', -37.6690, 144.8410, 'Australia/Melbourne'],
+    ['BNE', 'YBBN', 'Brisbane Airport', 'Brisbane', 'Australia', -27.3842, 153.1175, 'Australia/Brisbane'],
+    ['PER', 'YPPH', 'Perth Airport', 'Perth', 'Australia', -31.9385, 115.9672, 'Australia/Perth'],
+    ['ADL', 'YPAD', 'Adelaide Airport', 'Adelaide', 'Australia', -34.9450, 138.5306, 'Australia/Adelaide'],
+    ['OOL', 'YBCG', 'Gold Coast Airport', 'Gold Coast', 'Australia', -28.1644, 153.5047, 'Australia/Brisbane'],
+    ['CNS', 'YBCS', 'Cairns Airport', 'Cairns', 'Australia', -16.8858, 145.7552, 'Australia/Brisbane'],
+    ['CBR', 'YSCB', 'Canberra Airport', 'Canberra', 'Australia', -35.3069, 149.1950, 'Australia/Sydney'],
+    ['HBA', 'YMHB', 'Hobart Airport', 'Hobart', 'Australia', -42.8361, 147.5103, 'Australia/Hobart'],
+    ['DRW', 'YPDN', 'Darwin International Airport', 'Darwin', 'Australia', -12.4147, 130.8766, 'Australia/Darwin'],
+    ['AYQ', 'YAYE', 'Ayers Rock Airport', 'Uluru', 'Australia', -25.1861, 130.9756, 'Australia/Darwin'],
+    ['AKL', 'NZAA', 'Auckland Airport', 'Auckland', 'New Zealand', -37.0082, 174.7850, 'Pacific/Auckland'],
+    ['WLG', 'NZWN', 'Wellington Airport', 'Wellington', 'New Zealand', -41.3272, 174.8053, 'Pacific/Auckland'],
+    ['CHC', 'NZCH', 'Christchurch Airport', 'Christchurch', 'New Zealand', -43.4894, 172.5320, 'Pacific/Auckland'],
+    ['ZQN', 'NZQN', 'Queenstown Airport', 'Queenstown', 'New Zealand', -45.0211, 168.7392, 'Pacific/Auckland'],
+    ['NAN', 'NFFN', 'Nadi International Airport', 'Nadi', 'Fiji', -17.7554, 177.4434, 'Pacific/Fiji'],
+    ['PPT', 'NTAA', 'Faa\'a International Airport', 'Papeete', 'French Polynesia', -17.5537, -149.6071, 'Pacific/Tahiti'],
+    ['NOU', 'NWWW', 'La Tontouta International Airport', 'Noumea', 'New Caledonia', -22.0146, 166.2130, 'Pacific/Noumea'],
+    ['GUM', 'PGUM', 'Antonio B. Won Pat International Airport', 'Guam', 'Guam', 13.4834, 144.7960, 'Pacific/Guam'],
+    ['APW', 'NSFA', 'Faleolo International Airport', 'Apia', 'Samoa', -13.8300, -171.9970, 'Pacific/Apia'],
+    ['RAR', 'NCRG', 'Rarotonga International Airport', 'Rarotonga', 'Cook Islands', -21.2027, -159.8057, 'Pacific/Rarotonga']
+];
+
+const DEFAULT_AIRPORTS = AIRPORT_ROWS.map(([iata, icao, name, city, country, lat, lng, timezone]) => ({
+    iata, icao, name, city, country, lat, lng, timezone
+}));
+
+/**
+ * IATA metropolitan area codes, each standing for all of a city's airports
+ */
+const DEFAULT_METRO_AREAS = {
+    BJS: ['PEK', 'PKX'],
+    BUE: ['EZE', 'AEP'],
+    CHI: ['ORD', 'MDW'],
+    LON: ['LHR', 'LGW', 'STN', 'LTN', 'LCY', 'SEN'],
+    MIL: ['MXP', 'LIN', 'BGY'],
+    MOW: ['SVO', 'DME', 'VKO'],
+    NYC: ['JFK', 'LGA', 'EWR'],
+    OSA: ['KIX', 'ITM'],
+    PAR: ['CDG', 'ORY', 'BVA'],
+    RIO: ['GIG', 'SDU'],
+    ROM: ['FCO', 'CIA'],
+    SAO: ['GRU', 'CGH', 'VCP'],
+    SEL: ['ICN', 'GMP'],
+    STO: ['ARN', 'BMA'],
+    TYO: ['HND', 'NRT'],
+    WAS: ['IAD', 'DCA', 'BWI'],
+    YTO: ['YYZ', 'YTZ']
+};
+
+/**
+ * Other names of cities in the dataset: local names, other spellings and
+ * former names. Accents are ignored when matching, so München needs no entry.
+ */
+const DEFAULT_CITY_ALIASES = {
+    Athens: ['Athina'],
+    Beijing: ['Peking'],
+    Belgrade: ['Beograd'],
+    Bengaluru: ['Bangalore'],
+    Brussels: ['Bruxelles', 'Brussel'],
+    Bucharest: ['Bucuresti'],
+    Chennai: ['Madras'],
+    Cologne: ['Koln', 'Koeln'],
+    Copenhagen: ['Kobenhavn', 'Koebenhavn'],
+    Delhi: ['New Delhi'],
+    Dusseldorf: ['Duesseldorf'],
+    Florence: ['Firenze'],
+    Geneva: ['Geneve', 'Genf'],
+    Gothenburg: ['Goteborg', 'Goeteborg'],
+    'Ho Chi Minh City': ['Saigon'],
+    Kolkata: ['Calcutta'],
+    Lisbon: ['Lisboa'],
+    Marrakesh: ['Marrakech'],
+    'Mexico City': ['Ciudad de Mexico'],
+    Milan: ['Milano'],
+    Moscow: ['Moskva'],
+    Mumbai: ['Bombay'],
+    Munich: ['Munchen', 'Muenchen'],
+    Naples: ['Napoli'],
+    Prague: ['Praha', 'Prag'],
+    Rome: ['Roma'],
+    'Saint Petersburg': ['St Petersburg', 'Sankt Peterburg'],
+    Seville: ['Sevilla'],
+    Turin: ['Torino'],
+    Venice: ['Venezia'],
+    Vienna: ['Wien'],
+    Warsaw: ['Warszawa'],
+    Zurich: ['Zuerich']
+};
+
+// Weakest search match resolve() accepts; misspellings score below it
+const MIN_RESOLVE_SCORE = 50;
+
+export class AirportDirectory {
+    /**
+     * @param {Array<Object>} airports - Airports ({iata, icao, name, city, country, lat, lng, timezone});
+     *     defaults to the bundled dataset
+     * @param {Object<string, Array<string>>} metroAreas - IATA codes of each metropolitan area
+     * @param {Object<string, Array<string>>} cityAliases - Other names of each city
+     */
+    constructor(airports = DEFAULT_AIRPORTS, metroAreas = DEFAULT_METRO_AREAS, cityAliases = DEFAULT_CITY_ALIASES) {
+        this.setAirports(airports, metroAreas, cityAliases);
+    }
+
+    /**
+     * Airports bundled with the app
+     */
+    static get DEFAULT_AIRPORTS() {
+        return DEFAULT_AIRPORTS;
+    }
+
+    /**
+     * Replace the airports the directory searches
+     * @param {Array<Object>} airports - Airports ({iata, icao, name, city, country, lat, lng, timezone})
+     * @param {Object<string, Array<string>>} metroAreas - IATA codes of each metropolitan area
+     * @param {Object<string, Array<string>>} cityAliases - Other names of each city
+     */
+    setAirports(airports, metroAreas = {}, cityAliases = {}) {
+        if (!Array.isArray(airports)) {
+            throw new Error('Airports must be an array');
+        }
+
+        const byCode = new Map();
+        airports.forEach(airport => {
+            if (!/^[A-Z]{3}$/.test(airport.iata || '')) {
+                throw new Error(`Invalid IATA code: ${JSON.stringify(airport.iata)}`);
+            }
+            if (!Number.isFinite(airport.lat) || !Number.isFinite(airport.lng)) {
+                throw new Error(`Airport ${airport.iata} needs coordinates`);
+            }
+            if (byCode.has(airport.iata)) {
+                throw new Error(`Duplicate airport ${airport.iata}`);
+            }
+            byCode.set(airport.iata, airport);
+            if (airport.icao) {
+                byCode.set(airport.icao.toUpperCase(), airport);
+            }
+        });
+
+        const metros = new Map();
+        for (const [code, members] of Object.entries(metroAreas)) {
+            const unknown = members.filter(member => !byCode.has(member));
+            if (unknown.length > 0) {
+                throw new Error(`Metropolitan area ${code} lists unknown airports: ${unknown.join(', ')}`);
+            }
+            metros.set(code.toUpperCase(), members.map(member => byCode.get(member)));
+        }
+
+        const aliasesOf = (city) => (cityAliases[city] || []).map(alias => AirportDirectory.normalize(alias));
+
+        // Airports grouped by the city they serve, for "all airports" results
+        const cities = new Map();
+        airports.forEach(airport => {
+            const key = `${AirportDirectory.normalize(airport.city)}|${airport.country}`;
+            if (!cities.has(key)) {
+                cities.set(key, { city: airport.city, country: airport.country, aliases: aliasesOf(airport.city), airports: [] });
+            }
+            cities.get(key).airports.push(airport);
+        });
+        // A city in a metropolitan area stands for the whole area, e.g. Washington for IAD, DCA and BWI
+        cities.forEach(city => {
+            const metro = Array.from(metros.entries()).find(([, members]) => members.includes(city.airports[0]));
+            city.code = metro ? metro[0] : null;
+            if (metro) {
+                city.airports = metro[1];
+            }
+        });
+
+        this.airports = airports;
+        this.byCode = byCode;
+        this.metros = metros;
+        this.cities = Array.from(cities.values());
+        this.entries = airports.map((airport, order) => ({
+            airport,
+            order,
+            city: AirportDirectory.normalize(airport.city),
+            aliases: aliasesOf(airport.city),
+            name: AirportDirectory.normalize(airport.name),
+            country: AirportDirectory.normalize(airport.country),
+            words: Array.from(new Set(AirportDirectory.normalize(`${airport.name} ${airport.city}`).split(' ')))
+        }));
+    }
+
+    /**
+     * Get an airport by IATA or ICAO code
+     * @param {string} code - IATA or ICAO code
+     * @returns {Object|null} The airport, or null if it is not in the directory
+     */
+    get(code) {
+        return this.byCode.get(String(code || '').trim().toUpperCase()) || null;
+    }
+
+    /**
+     * Get the timezone of an airport
+     * @param {string} code - IATA or ICAO code
+     * @returns {string|null} IANA timezone, or null for unknown airports
+     */
+    getTimezone(code) {
+        const airport = this.get(code);
+        return airport ? airport.timezone : null;
+    }
+
+    /**
+     * Autocomplete airports and cities from a partial, possibly misspelt query
+     * Matches codes exactly, then city names and their aliases (München for
+     * Munich) and airport names by prefix, substring and small typos. Cities
+     * with several airports are offered as a whole ahead of their airports.
+     * @param {string} query - City, airport name, country or code
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Most results to return (default 8)
+     * @returns {Array<Object>} Results, best first: cities ({type: 'city', code, name, city, country,
+     *     airports}) with the metropolitan code if there is one, and airports ({type: 'airport', code, ...airport})
+     */
+    search(query, { limit = 8 } = {}) {
+        return this.rank(query)
+            .slice(0, limit)
+            .map(({ result }) => result);
+    }
+
+    /**
+     * Score every airport and city against a query, best first
+     * @private
+     */
+    rank(query) {
+        const text = AirportDirectory.normalize(query);
+        if (!text) return [];
+        const code = text.toUpperCase().replace(/\s/g, '');
+
+        const results = [];
+        this.entries.forEach(entry => {
+            const score = this.scoreAirport(entry, text, code);
+            if (score > 0) {
+                results.push({ score, order: entry.order, result: { type: 'airport', code: entry.airport.iata, ...entry.airport } });
+            }
+        });
+
+        this.cities.filter(city => city.airports.length > 1).forEach(city => {
+            const score = city.code === code ? 100 : this.scoreCity(AirportDirectory.normalize(city.city), city.aliases, text);
+            if (score >= 40) {
+                results.push({
+                    score: score + 1,
+                    order: this.airports.indexOf(city.airports[0]),
+                    result: { type: 'city', code: city.code, name: city.city, city: city.city, country: city.country, airports: city.airports }
+                });
+            }
+        });
+
+        return results.sort((a, b) => b.score - a.score || a.order - b.order || (a.result.type === 'city' ? -1 : 1));
+    }
+
+    /**
+     * Work out which airports a place typed into a search means
+     * Accepts airport codes (IATA or ICAO), metropolitan codes such as NYC,
+     * city names and aliases, "City, Country" and anything search() matches
+     * by at least a substring. Misspellings are left unresolved rather than
+     * guessed at.
+     * @param {string} place - Where to fly from or to
+     * @returns {Array<string>} IATA codes, main airport first; empty when nothing matches
+     */
+    resolve(place) {
+        const text = String(place || '').trim();
+        if (!text) return [];
+
+        const airport = this.get(text);
+        if (airport) return [airport.iata];
+        const metro = this.metros.get(text.toUpperCase());
+        if (metro) return metro.map(member => member.iata);
+
+        // "Paris, France" means Paris; fall back to the whole text for names with commas
+        for (const candidate of [text.split(',')[0], text]) {
+            const normalized = AirportDirectory.normalize(candidate);
+            const city = this.cities.find(other => AirportDirectory.normalize(other.city) === normalized)
+                || this.cities.find(other => other.aliases.includes(normalized));
+            if (city) return city.airports.map(member => member.iata);
+
+            const [best] = this.rank(candidate);
+            if (best && best.score >= MIN_RESOLVE_SCORE) {
+                return best.result.type === 'city' ? best.result.airports.map(member => member.iata) : [best.result.iata];
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Find the airports closest to a point
+     * @param {Array<number>} coordinates - [lat, lng]
+     * @param {Object} options - Lookup options
+     * @param {number} options.limit - Most airports to return (default 5)
+     * @param {number} options.maxDistanceKm - Ignore airports further away than this
+     * @returns {Array<Object>} Airports with distanceKm, nearest first
+     */
+    nearest([lat, lng], { limit = 5, maxDistanceKm = Infinity } = {}) {
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+            throw new Error('Coordinates must be [lat, lng] numbers');
+        }
+
+        return this.airports
+            .map(airport => ({ ...airport, distanceKm: AirportDirectory.distanceKm([lat, lng], [airport.lat, airport.lng]) }))
+            .filter(airport => airport.distanceKm <= maxDistanceKm)
+            .sort((a, b) => a.distanceKm - b.distanceKm)
+            .slice(0, limit);
+    }
+
+    /**
+     * Score how well an airport matches a query, 0 for no match
+     * @private
+     */
+    scoreAirport(entry, text, code) {
+        if (code === entry.airport.iata) return 100;
+        if (entry.airport.icao && code === entry.airport.icao.toUpperCase()) return 95;
+
+        const city = this.scoreCity(entry.city, entry.aliases, text);
+        if (city >= 50) return city;
+
+        // Every word of the query starts a word of the airport's name or city
+        const queryWords = text.split(' ');
+        if (queryWords.every(word => entry.words.some(other => other.startsWith(word)))) return 70;
+        if (entry.name.includes(text)) return 50;
+        if (entry.country === text) return 45;
+
+        return Math.max(city, ...entry.words.map(word => this.scoreText(word, text)));
+    }
+
+    /**
+     * Score a query against a city's name and aliases, the best of them
+     * @private
+     */
+    scoreCity(city, aliases, text) {
+        return Math.max(this.scoreText(city, text), ...aliases.map(alias => this.scoreText(alias, text)));
+    }
+
+    /**
+     * Score a query against one name: exact, prefix, substring or close misspelling
+     * @private
+     */
+    scoreText(candidate, text) {
+        if (candidate === text) return 90;
+        if (candidate.startsWith(text)) return 80;
+        if (text.length >= 3 && candidate.includes(text)) return 50;
+
+        // Tolerate one typo in short queries and two in longer ones, also while still typing
+        if (text.length < 4) return 0;
+        const allowed = text.length >= 7 ? 2 : 1;
+        const distance = Math.min(
+            AirportDirectory.editDistance(candidate, text),
+            AirportDirectory.editDistance(candidate.slice(0, text.length), text)
+        );
+        return distance <= allowed ? 40 - distance * 5 : 0;
+    }
+
+    /**
+     * Lower-case a name and strip accents and punctuation for matching
+     * @private
+     */
+    static normalize(value) {
+        return String(value || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Number of single-letter edits between two strings
+     * @private
+     */
+    static editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Great-circle distance between two points, to 0.1 km
+     * @private
+     */
+    static distanceKm(from, to) {
+        const toRadians = (degrees) => degrees * Math.PI / 180;
+        const [lat1, lng1] = from.map(toRadians);
+        const [lat2, lng2] = to.map(toRadians);
+        const a = Math.sin((lat2 - lat1) / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+        return Math.round(6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)) * 10) / 10;
+    }
+}
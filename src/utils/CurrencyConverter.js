@@ -0,0 +1,153 @@
+/**
+ * CurrencyConverter Utility Class
+ * Converts amounts between currencies using a replaceable rate table
+ */
+
+/**
+ * Rates bundled with the app so conversion works offline.
+ * Each rate is the number of units of that currency per one unit of `base`.
+ */
+const DEFAULT_RATE_TABLE = {
+    base: 'USD',
+    asOf: '2026-01-01',
+    rates: {
+        USD: 1,
+        EUR: 0.92,
+        GBP: 0.79,
+        JPY: 151.5,
+        CAD: 1.36,
+        AUD: 1.52,
+        NZD: 1.66,
+        CHF: 0.88,
+        CNY: 7.21,
+        HKD: 7.81,
+        SGD: 1.34,
+        INR: 83.3,
+        KRW: 1345,
+        THB: 35.9,
+        MXN: 17.1,
+        BRL: 5.05,
+        ZAR: 18.6,
+        AED: 3.67,
+        SEK: 10.5,
+        NOK: 10.7,
+        DKK: 6.88,
+        PLN: 3.98,
+        CZK: 23.1,
+        TRY: 32.2,
+        ILS: 3.7,
+        EGP: 47.5,
+        MAD: 10.05,
+        IDR: 15800,
+        PHP: 56.3,
+        VND: 24900
+    }
+};
+
+export class CurrencyConverter {
+    /**
+     * @param {Object} rateTable - Rate table ({base, asOf, rates}); defaults to the bundled table
+     */
+    constructor(rateTable = DEFAULT_RATE_TABLE) {
+        this.setRateTable(rateTable);
+    }
+
+    /**
+     * Rate table bundled with the app
+     */
+    static get DEFAULT_RATE_TABLE() {
+        return DEFAULT_RATE_TABLE;
+    }
+
+    /**
+     * Replace the rate table used for conversions
+     * @param {Object} rateTable - Rate table ({base, asOf, rates})
+     */
+    setRateTable(rateTable) {
+        if (!rateTable || typeof rateTable.rates !== 'object' || rateTable.rates === null) {
+            throw new Error('Rate table must have a rates object');
+        }
+
+        const base = String(rateTable.base || '').toUpperCase();
+        const rates = {};
+        for (const [code, rate] of Object.entries(rateTable.rates)) {
+            if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+                throw new Error(`Invalid rate for ${code}: ${JSON.stringify(rate)}`);
+            }
+            rates[code.toUpperCase()] = rate;
+        }
+        if (rates[base] !== 1) {
+            throw new Error(`Rate table base currency ${base || '(none)'} must have a rate of 1`);
+        }
+
+        this.rateTable = { base, asOf: rateTable.asOf || null, rates };
+    }
+
+    /**
+     * Get the current rate table
+     * @returns {Object} Rate table ({base, asOf, rates})
+     */
+    getRateTable() {
+        return this.rateTable;
+    }
+
+    /**
+     * List the currencies the rate table can convert
+     * @returns {Array<string>} ISO 4217 codes, sorted
+     */
+    getCurrencies() {
+        return Object.keys(this.rateTable.rates).sort();
+    }
+
+    /**
+     * Check whether a currency is in the rate table
+     * @param {string} currency - ISO 4217 code
+     * @returns {boolean} True when the currency can be converted
+     */
+    hasCurrency(currency) {
+        return typeof currency === 'string' && this.rateTable.rates[currency.toUpperCase()] !== undefined;
+    }
+
+    /**
+     * Get the rate that converts one unit of `from` into `to`
+     * @param {string} from - ISO 4217 code
+     * @param {string} to - ISO 4217 code
+     * @returns {number} Exchange rate
+     */
+    getRate(from, to) {
+        for (const currency of [from, to]) {
+            if (!this.hasCurrency(currency)) {
+                throw new Error(`No exchange rate for ${currency}`);
+            }
+        }
+        return this.rateTable.rates[to.toUpperCase()] / this.rateTable.rates[from.toUpperCase()];
+    }
+
+    /**
+     * Convert an amount between currencies, rounded to cents
+     * @param {number} amount - Amount in `from`
+     * @param {string} from - ISO 4217 code
+     * @param {string} to - ISO 4217 code
+     * @returns {number} Amount in `to`
+     */
+    convert(amount, from, to) {
+        if (from.toUpperCase() === to.toUpperCase()) {
+            return amount;
+        }
+        return Math.round(amount * this.getRate(from, to) * 100) / 100;
+    }
+
+    /**
+     * Format an amount for display, e.g. "€12.50"
+     * @param {number} amount - Amount
+     * @param {string} currency - ISO 4217 code
+     * @returns {string} Formatted amount
+     */
+    static format(amount, currency = 'USD') {
+        try {
+            return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+        } catch (error) {
+            return `${currency} ${(amount || 0).toFixed(2)}`;
+        }
+    }
+}
@@ -0,0 +1,417 @@
+/**
+ * FlightNormalizer Utility Class
+ * Maps flight search responses from each provider format into the app's flight shape
+ */
+import { ICalendar } from './ICalendar.js';
+
+const CABINS = {
+    M: 'economy',
+    W: 'premium economy',
+    C: 'business',
+    F: 'first',
+    ECONOMY: 'economy',
+    PREMIUM_ECONOMY: 'premium economy',
+    BUSINESS: 'business',
+    FIRST: 'first'
+};
+
+const PRICE_UNITS = {
+    PRICE_UNIT_WHOLE: 1,
+    PRICE_UNIT_CENTI: 100,
+    PRICE_UNIT_MILLI: 1000,
+    PRICE_UNIT_MICRO: 1000000
+};
+
+export class FlightNormalizer {
+    /**
+     * Response formats the normalizer can read
+     */
+    static get FORMATS() {
+        return ['native', 'kiwi', 'amadeus', 'skyscanner'];
+    }
+
+    /**
+     * Normalize a search response into flights
+     * Every flight is an itinerary of one or more segments (outbound, return,
+     * or each part of a multi-city trip) priced as a whole. Each segment lists
+     * its legs (the individual flights) and the layovers between them. Offers
+     * that cannot be read are skipped and counted rather than failing the
+     * whole response.
+     * @param {*} response - Raw response from a provider
+     * @param {string} format - Response format (native, kiwi, amadeus, skyscanner)
+     * @param {Object} context - What the response does not say itself
+     * @param {string} context.provider - Provider name; flight IDs become "provider:id"
+     * @param {Object} context.searchParams - The search that produced the response
+     * @param {Function} context.timezoneOf - Returns an airport's timezone from its code, or null;
+     *     local times at airports without one are read as UTC
+     * @returns {{flights: Array<Object>, skipped: number}} Flights in the app's shape
+     */
+    static normalize(response, format, context) {
+        const readers = {
+            native: () => FlightNormalizer.readNative(response),
+            kiwi: () => FlightNormalizer.readKiwi(response),
+            amadeus: () => FlightNormalizer.readAmadeus(response),
+            skyscanner: () => FlightNormalizer.readSkyscanner(response)
+        };
+        if (!readers[format]) {
+            throw new Error(`Unknown flight response format: ${format}`);
+        }
+
+        const flights = [];
+        let skipped = 0;
+        for (const read of readers[format]()) {
+            try {
+                flights.push(FlightNormalizer.finish(read(context), context));
+            } catch (error) {
+                skipped++;
+            }
+        }
+        return { flights, skipped };
+    }
+
+    /**
+     * Check and fill in a mapped flight
+     * The top-level route, times, duration and stops summarize the segments:
+     * departure is the first segment's, arrival the last one's, and duration
+     * and stops are totals. A round trip's destination is where it turns back.
+     * @private
+     */
+    static finish(flight, context) {
+        if (!flight.id) {
+            throw new Error('Flight is missing id');
+        }
+        if (!Array.isArray(flight.segments) || flight.segments.length === 0) {
+            throw new Error(`Flight ${flight.id} has no segments`);
+        }
+        const amount = Number(flight.price.amount);
+        if (!Number.isFinite(amount) || amount < 0) {
+            throw new Error(`Flight ${flight.id} has no valid price`);
+        }
+
+        const params = context.searchParams || {};
+        const searched = params.segments || [params];
+        const segments = flight.segments.map((segment, index) => FlightNormalizer.finishSegment(segment, searched[index] || {}, context));
+        const first = segments[0];
+        const last = segments[segments.length - 1];
+        const tripType = FlightNormalizer.getTripType(segments);
+        const airlines = [...new Set(segments.map(segment => segment.airline))];
+
+        return {
+            ...flight,
+            id: `${context.provider}:${flight.id}`,
+            tripType,
+            airline: airlines.join(' / '),
+            flightNumber: segments.map(segment => segment.flightNumber).join(' + '),
+            aircraft: first.aircraft,
+            origin: first.origin,
+            destination: tripType === 'round-trip' ? first.destination : last.destination,
+            departure: first.departure,
+            arrival: last.arrival,
+            duration: segments.reduce((total, segment) => total + segment.duration, 0),
+            stops: segments.reduce((total, segment) => total + segment.stops, 0),
+            segments,
+            price: { amount: Math.round(amount * 100) / 100, currency: (flight.price.currency || 'USD').toUpperCase() },
+            class: flight.class || params.class || 'economy',
+            availableSeats: Number.isFinite(flight.availableSeats) ? flight.availableSeats : null,
+            baggage: flight.baggage || { carry: '1 carry-on included', checked: 'Additional fees apply' },
+            amenities: flight.amenities || [],
+            bookingClass: flight.bookingClass || null,
+            refundable: Boolean(flight.refundable),
+            changeable: Boolean(flight.changeable),
+            provider: context.provider,
+            offers: [{ provider: context.provider, id: `${context.provider}:${flight.id}`, price: { amount: Math.round(amount * 100) / 100, currency: (flight.price.currency || 'USD').toUpperCase() } }]
+        };
+    }
+
+    /**
+     * Check and fill in one segment of an itinerary
+     * The segment departs with its first leg and arrives with its last; a
+     * segment without legs is a single flight. Stops count the layovers plus
+     * any stops where the passenger stays on board.
+     * @private
+     */
+    static finishSegment(segment, searched, context) {
+        const legs = (segment.legs && segment.legs.length > 0 ? segment.legs : [segment]).map(leg => FlightNormalizer.finishLeg(leg));
+        const first = legs[0];
+        const last = legs[legs.length - 1];
+        const layovers = legs.slice(1).map((next, index) => FlightNormalizer.getLayover(legs[index], next, context));
+        const elapsed = (new Date(last.arrival.time) - new Date(first.departure.time)) / 60000;
+
+        return {
+            airline: segment.airline || first.airline,
+            flightNumber: segment.flightNumber || legs.map(leg => leg.flightNumber).join('/'),
+            aircraft: first.aircraft,
+            origin: segment.origin || searched.origin || first.departure.airport,
+            destination: segment.destination || searched.destination || last.arrival.airport,
+            departure: first.departure,
+            arrival: last.arrival,
+            duration: Number.isFinite(segment.duration) && segment.duration > 0 ? Math.round(segment.duration) : Math.round(elapsed),
+            stops: Math.max(Number.isInteger(segment.stops) ? segment.stops : 0, layovers.length),
+            legs,
+            layovers
+        };
+    }
+
+    /**
+     * Check and fill in one flight of a segment
+     * @private
+     */
+    static finishLeg(leg) {
+        if (!leg.flightNumber) {
+            throw new Error('Flight is missing flightNumber');
+        }
+        const departure = new Date(leg.departure.time).getTime();
+        const arrival = new Date(leg.arrival.time).getTime();
+        if (isNaN(departure) || isNaN(arrival) || arrival < departure) {
+            throw new Error(`Flight ${leg.flightNumber} has no valid departure or arrival time`);
+        }
+
+        return {
+            airline: leg.airline || leg.flightNumber.slice(0, 2),
+            flightNumber: leg.flightNumber,
+            aircraft: leg.aircraft || 'Unknown aircraft',
+            departure: { ...leg.departure, time: new Date(departure).toISOString() },
+            arrival: { ...leg.arrival, time: new Date(arrival).toISOString() },
+            duration: Number.isFinite(leg.duration) && leg.duration > 0 ? Math.round(leg.duration) : Math.round((arrival - departure) / 60000)
+        };
+    }
+
+    /**
+     * Describe the connection between two legs
+     * A layover is overnight when the connection crosses midnight in the
+     * connecting airport's timezone.
+     * @private
+     */
+    static getLayover(previous, next, context) {
+        const landed = new Date(previous.arrival.time).getTime();
+        const departs = new Date(next.departure.time).getTime();
+        if (departs < landed) {
+            throw new Error(`Flight ${next.flightNumber} departs before ${previous.flightNumber} lands`);
+        }
+
+        const timezone = (context.timezoneOf && context.timezoneOf(previous.arrival.airport)) || 'UTC';
+        const arrivalTerminal = previous.arrival.terminal;
+        const departureTerminal = next.departure.terminal;
+        return {
+            airport: previous.arrival.airport,
+            arrival: previous.arrival.time,
+            departure: next.departure.time,
+            duration: Math.round((departs - landed) / 60000),
+            terminalChange: Boolean(arrivalTerminal && departureTerminal) && String(arrivalTerminal) !== String(departureTerminal),
+            airportChange: next.departure.airport !== previous.arrival.airport,
+            overnight: ICalendar.toLocal(landed, timezone).date !== ICalendar.toLocal(departs, timezone).date
+        };
+    }
+
+    /**
+     * One-way, round-trip (back to where it started) or multi-city
+     * @private
+     */
+    static getTripType(segments) {
+        if (segments.length === 1) {
+            return 'one-way';
+        }
+        const [outbound, inbound] = segments;
+        const returnsHome = inbound.destination === outbound.origin || inbound.arrival.airport === outbound.departure.airport;
+        return segments.length === 2 && returnsHome ? 'round-trip' : 'multi-city';
+    }
+
+    /**
+     * Flights already in the app's shape, as the mock provider returns them
+     * A flight without segments is a one-way flight and is its own segment.
+     * @private
+     */
+    static readNative(response) {
+        const flights = Array.isArray(response) ? response : [response];
+        return flights.map(flight => () => ({
+            ...flight,
+            segments: flight.segments || [flight],
+            price: { ...flight.price }
+        }));
+    }
+
+    /**
+     * Kiwi Tequila /v2/search and /v2/flights_multi responses
+     * Times come as UTC; durations are in seconds. Round trips mark their
+     * return flights in the route; multi-city offers nest one route per segment.
+     * @private
+     */
+    static readKiwi(response) {
+        const offers = Array.isArray(response) ? response : response.data || [];
+
+        return offers.map(offer => (context) => {
+            const checkedFee = offer.bags_price && offer.bags_price[1];
+            const parts = offer.route[0].route
+                ? offer.route.map(part => ({ flights: part.route, seconds: part.duration }))
+                : [0, 1].map(back => ({
+                    flights: offer.route.filter(flight => Boolean(flight.return) === Boolean(back)),
+                    seconds: offer.duration ? offer.duration[back ? 'return' : 'departure'] : null
+                })).filter(part => part.flights.length > 0);
+            const first = parts[0].flights[0];
+
+            return {
+                id: offer.id,
+                segments: parts.map(({ flights, seconds }) => ({
+                    origin: flights[0].cityFrom,
+                    destination: flights[flights.length - 1].cityTo,
+                    duration: seconds ? seconds / 60 : null,
+                    legs: flights.map(flight => ({
+                        airline: flight.airline,
+                        flightNumber: `${flight.airline}${flight.flight_no}`,
+                        aircraft: flight.equipment,
+                        departure: { time: flight.utc_departure, airport: flight.flyFrom, terminal: null },
+                        arrival: { time: flight.utc_arrival, airport: flight.flyTo, terminal: null }
+                    }))
+                })),
+                price: { amount: offer.price, currency: response.currency || (context.searchParams && context.searchParams.currency) || 'EUR' },
+                class: CABINS[first.fare_category] || null,
+                availableSeats: offer.availability ? offer.availability.seats : null,
+                baggage: {
+                    carry: offer.baglimit && offer.baglimit.hand_weight ? `1 carry-on up to ${offer.baglimit.hand_weight} kg` : '1 carry-on included',
+                    checked: checkedFee === 0 ? '1 checked bag included' : 'Additional fees apply'
+                },
+                bookingClass: first.fare_classes || null
+            };
+        });
+    }
+
+    /**
+     * Amadeus Flight Offers Search v2 responses
+     * Times are local to each airport, so they are read with the airport's timezone.
+     * @private
+     */
+    static readAmadeus(response) {
+        const dictionaries = response.dictionaries || {};
+        const carriers = dictionaries.carriers || {};
+        const aircraft = dictionaries.aircraft || {};
+
+        // Each Amadeus itinerary is one of our segments; its segments are the flights in it
+        return (response.data || []).map(offer => (context) => {
+            const fare = ((offer.travelerPricings || [])[0] || {}).fareDetailsBySegment || [];
+            const bags = fare[0] && fare[0].includedCheckedBags ? fare[0].includedCheckedBags.quantity || 0 : 0;
+
+            return {
+                id: offer.id,
+                segments: offer.itineraries.map(itinerary => ({
+                    duration: FlightNormalizer.parseIsoDuration(itinerary.duration),
+                    stops: itinerary.segments.reduce((stops, flight) => stops + (flight.numberOfStops || 0), itinerary.segments.length - 1),
+                    legs: itinerary.segments.map(flight => ({
+                        airline: FlightNormalizer.titleCase(carriers[flight.carrierCode]) || flight.carrierCode,
+                        flightNumber: `${flight.carrierCode}${flight.number}`,
+                        aircraft: FlightNormalizer.titleCase(aircraft[flight.aircraft && flight.aircraft.code]) || (flight.aircraft && flight.aircraft.code),
+                        departure: {
+                            time: FlightNormalizer.toInstant(flight.departure.at, flight.departure.iataCode, context),
+                            airport: flight.departure.iataCode,
+                            terminal: flight.departure.terminal || null
+                        },
+                        arrival: {
+                            time: FlightNormalizer.toInstant(flight.arrival.at, flight.arrival.iataCode, context),
+                            airport: flight.arrival.iataCode,
+                            terminal: flight.arrival.terminal || null
+                        },
+                        duration: FlightNormalizer.parseIsoDuration(flight.duration)
+                    }))
+                })),
+                price: { amount: parseFloat(offer.price.grandTotal || offer.price.total), currency: offer.price.currency },
+                class: fare[0] ? CABINS[fare[0].cabin] : null,
+                availableSeats: offer.numberOfBookableSeats,
+                baggage: {
+                    carry: '1 carry-on included',
+                    checked: bags > 0 ? `${bags} checked bag${bags !== 1 ? 's' : ''} included` : 'Additional fees apply'
+                },
+                bookingClass: fare[0] ? fare[0].brandedFare || fare[0].class || null : null,
+                refundable: Boolean(offer.pricingOptions && offer.pricingOptions.refundableFare)
+            };
+        });
+    }
+
+    /**
+     * Skyscanner live prices v3 responses
+     * Itineraries, legs, segments, places and carriers come as maps keyed by ID.
+     * @private
+     */
+    static readSkyscanner(response) {
+        const results = (response.content && response.content.results) || {};
+        const legs = results.legs || {};
+        const segments = results.segments || {};
+        const places = results.places || {};
+        const carriers = results.carriers || {};
+        const code = (placeId) => (places[placeId] && places[placeId].iata) || placeId;
+        const wallClock = (time) => `${time.year}-${String(time.month).padStart(2, '0')}-${String(time.day).padStart(2, '0')}T${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}`;
+
+        // Each Skyscanner leg is one of our segments; its segments are the flights in it
+        return Object.entries(results.itineraries || {}).map(([id, itinerary]) => (context) => {
+            const price = itinerary.pricingOptions[0].price;
+
+            return {
+                id,
+                segments: itinerary.legIds.map(legId => {
+                    const leg = legs[legId];
+                    return {
+                        airline: (carriers[(leg.marketingCarrierIds || [])[0]] || {}).name,
+                        origin: places[leg.originPlaceId] ? places[leg.originPlaceId].name : null,
+                        destination: places[leg.destinationPlaceId] ? places[leg.destinationPlaceId].name : null,
+                        duration: leg.durationInMinutes,
+                        stops: leg.stopCount,
+                        legs: (leg.segmentIds || []).map(segmentId => segments[segmentId]).filter(Boolean).map(flight => ({
+                            airline: (carriers[flight.marketingCarrierId] || {}).name,
+                            flightNumber: `${(carriers[flight.marketingCarrierId] || {}).iata || ''}${flight.marketingFlightNumber}`,
+                            departure: {
+                                time: FlightNormalizer.toInstant(wallClock(flight.departureDateTime), code(flight.originPlaceId), context),
+                                airport: code(flight.originPlaceId),
+                                terminal: null
+                            },
+                            arrival: {
+                                time: FlightNormalizer.toInstant(wallClock(flight.arrivalDateTime), code(flight.destinationPlaceId), context),
+                                airport: code(flight.destinationPlaceId),
+                                terminal: null
+                            },
+                            duration: flight.durationInMinutes
+                        }))
+                    };
+                }),
+                price: {
+                    amount: Number(price.amount) / (PRICE_UNITS[price.unit] || 1),
+                    currency: (context.searchParams && context.searchParams.currency) || 'USD'
+                }
+            };
+        });
+    }
+
+    /**
+     * Turn a time into an ISO instant; local times without an offset are
+     * read in the airport's timezone
+     * @private
+     */
+    static toInstant(time, airport, context) {
+        if (/(Z|[+-]\d{2}:?\d{2})$/.test(time)) {
+            return new Date(time).toISOString();
+        }
+
+        const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})/.exec(time || '');
+        if (!match) {
+            throw new Error(`Invalid time: ${time}`);
+        }
+        const timezone = (context.timezoneOf && context.timezoneOf(airport)) || 'UTC';
+        const instant = ICalendar.resolveInstant({ date: match[1], minutes: Number(match[2]) * 60 + Number(match[3]) }, {}, timezone);
+        return new Date(instant).toISOString();
+    }
+
+    /**
+     * Read an ISO 8601 duration such as "PT2H35M" as minutes
+     * @private
+     */
+    static parseIsoDuration(duration) {
+        const match = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?$/.exec(duration || '');
+        if (!match) return null;
+        return (Number(match[1] || 0) * 24 + Number(match[2] || 0)) * 60 + Number(match[3] || 0);
+    }
+
+    /**
+     * "BRITISH AIRWAYS" -> "British Airways"
+     * @private
+     */
+    static titleCase(text) {
+        return text ? text.toLowerCase().replace(/\b\w/g, letter => letter.toUpperCase()) : null;
+    }
+}
@@ -0,0 +1,720 @@
+/**
+ * ICalendar Utility Class
+ * Serializes and parses RFC 5545 iCalendar text
+ */
+export class ICalendar {
+    /**
+     * Serialize a calendar to iCalendar text
+     * @param {Object} calendar - Calendar definition
+     * @param {string} calendar.name - Calendar display name
+     * @param {string} calendar.description - Calendar description
+     * @param {Array<string>} calendar.timezones - TZIDs referenced by the events
+     * @param {string} calendar.rangeStart - First date covered (YYYY-MM-DD)
+     * @param {string} calendar.rangeEnd - Last date covered (YYYY-MM-DD)
+     * @param {Array<Object>} calendar.events - Events to serialize
+     * @returns {string} iCalendar data with CRLF line endings
+     */
+    static serialize(calendar) {
+        const dtstamp = ICalendar.formatUTC(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Travel Planner Explorer//Itinerary Export//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+
+        if (calendar.name) {
+            lines.push(`X-WR-CALNAME:${ICalendar.escapeText(calendar.name)}`);
+        }
+        if (calendar.description) {
+            lines.push(`X-WR-CALDESC:${ICalendar.escapeText(calendar.description)}`);
+        }
+
+        for (const tzid of calendar.timezones || []) {
+            lines.push(...ICalendar.buildTimezone(tzid, calendar.rangeStart, calendar.rangeEnd));
+        }
+
+        for (const event of calendar.events || []) {
+            lines.push(...ICalendar.buildEvent(event, dtstamp));
+        }
+
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => ICalendar.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Build the content lines of a single VEVENT
+     * @private
+     */
+    static buildEvent(event, dtstamp) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${dtstamp}`
+        ];
+
+        lines.push(ICalendar.formatDateProperty('DTSTART', event.start, event.timezone));
+        lines.push(ICalendar.formatDateProperty('DTEND', event.end, event.timezone));
+
+        lines.push(`SUMMARY:${ICalendar.escapeText(event.summary || 'Untitled')}`);
+
+        if (event.description) {
+            lines.push(`DESCRIPTION:${ICalendar.escapeText(event.description)}`);
+        }
+        if (event.location) {
+            lines.push(`LOCATION:${ICalendar.escapeText(event.location)}`);
+        }
+        if (event.geo) {
+            lines.push(`GEO:${Number(event.geo.lat).toFixed(6)};${Number(event.geo.lng).toFixed(6)}`);
+        }
+        if (event.categories && event.categories.length > 0) {
+            lines.push(`CATEGORIES:${event.categories.map(category => ICalendar.escapeText(category)).join(',')}`);
+        }
+        if (event.lastModified) {
+            lines.push(`LAST-MODIFIED:${ICalendar.formatUTC(new Date(event.lastModified))}`);
+        }
+
+        for (const [name, value] of Object.entries(event.properties || {})) {
+            if (value !== undefined && value !== null && value !== '') {
+                lines.push(`${name}:${ICalendar.escapeText(String(value))}`);
+            }
+        }
+
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Format a DTSTART/DTEND property
+     * Accepts { date } for all-day values, { utc } for absolute instants
+     * and { date, minutes } for local times in the event timezone.
+     * @private
+     */
+    static formatDateProperty(name, value, timezone) {
+        if (value.utc) {
+            return `${name}:${ICalendar.formatUTC(new Date(value.utc))}`;
+        }
+
+        if (value.minutes === undefined) {
+            return `${name};VALUE=DATE:${value.date.replace(/-/g, '')}`;
+        }
+
+        const local = ICalendar.formatLocal(value.date, value.minutes);
+        return timezone ? `${name};TZID=${timezone}:${local}` : `${name}:${local}`;
+    }
+
+    /**
+     * Build a VTIMEZONE component covering the given date range
+     * Observances are derived from the platform's timezone database, so only
+     * the transitions that actually fall inside the trip are emitted.
+     * @private
+     */
+    static buildTimezone(tzid, rangeStart, rangeEnd) {
+        const hour = 60 * 60 * 1000;
+        const day = 24 * hour;
+        const from = new Date(`${rangeStart}T00:00:00Z`).getTime() - day;
+        const to = new Date(`${rangeEnd}T00:00:00Z`).getTime() + 2 * day;
+
+        const year = new Date(from).getUTCFullYear();
+        const standardOffset = Math.min(
+            ICalendar.getTimezoneOffset(tzid, new Date(Date.UTC(year, 0, 1))),
+            ICalendar.getTimezoneOffset(tzid, new Date(Date.UTC(year, 6, 1)))
+        );
+
+        const observances = [];
+        let previousOffset = ICalendar.getTimezoneOffset(tzid, new Date(from));
+
+        // Initial observance in effect at the start of the range
+        observances.push({
+            start: new Date(from),
+            offsetFrom: previousOffset,
+            offsetTo: previousOffset
+        });
+
+        for (let time = from + day; time <= to; time += day) {
+            const offset = ICalendar.getTimezoneOffset(tzid, new Date(time));
+            if (offset === previousOffset) continue;
+
+            // Narrow the transition down to the minute
+            let low = time - day;
+            let high = time;
+            while (high - low > 60 * 1000) {
+                const middle = Math.floor((low + high) / 2);
+                if (ICalendar.getTimezoneOffset(tzid, new Date(middle)) === previousOffset) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+
+            observances.push({
+                start: new Date(Math.floor(high / 60000) * 60000),
+                offsetFrom: previousOffset,
+                offsetTo: offset
+            });
+            previousOffset = offset;
+        }
+
+        const lines = ['BEGIN:VTIMEZONE', `TZID:${tzid}`];
+
+        for (const observance of observances) {
+            const type = observance.offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+            // DTSTART is expressed in the local time that was in effect before the change
+            const localStart = new Date(observance.start.getTime() + observance.offsetFrom * 60 * 1000);
+
+            lines.push(
+                `BEGIN:${type}`,
+                `DTSTART:${ICalendar.formatUTC(localStart).replace('Z', '')}`,
+                `TZOFFSETFROM:${ICalendar.formatOffset(observance.offsetFrom)}`,
+                `TZOFFSETTO:${ICalendar.formatOffset(observance.offsetTo)}`,
+                `TZNAME:${ICalendar.getTimezoneName(tzid, observance.start)}`,
+                `END:${type}`
+            );
+        }
+
+        lines.push('END:VTIMEZONE');
+        return lines;
+    }
+
+    /**
+     * Get the UTC offset of a timezone at a given instant, in minutes
+     */
+    static getTimezoneOffset(tzid, date) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: tzid,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(date);
+
+        const value = type => Number(parts.find(part => part.type === type).value);
+        const asUTC = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+        return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
+
+    /**
+     * Check whether a TZID is known to the platform
+     */
+    static isValidTimezone(tzid) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: tzid });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Get the short name of a timezone at an instant (e.g. CET, GMT+9)
+     * @private
+     */
+    static getTimezoneName(tzid, date) {
+        const part = new Intl.DateTimeFormat('en-US', { timeZone: tzid, timeZoneName: 'short' })
+            .formatToParts(date)
+            .find(entry => entry.type === 'timeZoneName');
+        return part ? part.value : tzid;
+    }
+
+    /**
+     * Format an offset in minutes as +HHMM / -HHMM
+     * @private
+     */
+    static formatOffset(minutes) {
+        const sign = minutes < 0 ? '-' : '+';
+        const absolute = Math.abs(minutes);
+        return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Format a Date as a UTC date-time (YYYYMMDDTHHMMSSZ)
+     */
+    static formatUTC(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Format a local date plus minutes-from-midnight as YYYYMMDDTHHMMSS
+     * Minutes past 24:00 roll over into the following day.
+     */
+    static formatLocal(date, minutes) {
+        const [year, month, day] = date.split('-').map(Number);
+        const local = new Date(Date.UTC(year, month - 1, day, 0, minutes));
+        return ICalendar.formatUTC(local).replace('Z', '');
+    }
+
+    /**
+     * Shift a YYYY-MM-DD date by a number of days
+     */
+    static shiftDate(date, days) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+    }
+
+    /**
+     * Escape a TEXT value (RFC 5545 section 3.3.11)
+     */
+    static escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r\n|\r|\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line to 75 octets (RFC 5545 section 3.1)
+     * Never splits a multi-byte UTF-8 character.
+     */
+    static foldLine(line) {
+        const encoder = new TextEncoder();
+        const segments = [];
+        let current = '';
+        let currentBytes = 0;
+        let limit = 75;
+
+        for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            if (currentBytes + bytes > limit) {
+                segments.push(current);
+                current = '';
+                currentBytes = 0;
+                // Continuation lines start with a space, which counts towards the limit
+                limit = 74;
+            }
+            current += char;
+            currentBytes += bytes;
+        }
+        segments.push(current);
+
+        return segments.join('\r\n ');
+    }
+
+    /**
+     * Parse iCalendar text
+     * @param {string} text - iCalendar data
+     * @returns {Object} Calendar properties, VTIMEZONE definitions and VEVENTs
+     */
+    static parse(text) {
+        const lines = String(text)
+            .replace(/\r\n|\r/g, '\n')
+            // Unfold continuation lines
+            .replace(/\n[ \t]/g, '')
+            .split('\n')
+            .filter(line => line.trim() !== '');
+
+        const calendar = { properties: {}, timezones: {}, events: [] };
+        const stack = [];
+
+        for (const line of lines) {
+            const property = ICalendar.parseContentLine(line);
+            if (!property) continue;
+
+            if (property.name === 'BEGIN') {
+                stack.push({ type: property.value.toUpperCase(), properties: [], children: [] });
+                continue;
+            }
+
+            if (property.name === 'END') {
+                const component = stack.pop();
+                if (!component) continue;
+
+                const parent = stack[stack.length - 1];
+                if (parent) {
+                    parent.children.push(component);
+                }
+
+                if (component.type === 'VEVENT') {
+                    calendar.events.push(ICalendar.readEvent(component));
+                } else if (component.type === 'VTIMEZONE') {
+                    const timezone = ICalendar.readTimezone(component);
+                    if (timezone.tzid) {
+                        calendar.timezones[timezone.tzid] = timezone;
+                    }
+                }
+                continue;
+            }
+
+            const current = stack[stack.length - 1];
+            if (!current) continue;
+
+            if (current.type === 'VCALENDAR') {
+                calendar.properties[property.name] = ICalendar.unescapeText(property.value);
+            } else {
+                current.properties.push(property);
+            }
+        }
+
+        if (calendar.events.length === 0 && !lines.some(line => /^BEGIN:VCALENDAR$/i.test(line.trim()))) {
+            throw new Error('Not an iCalendar file');
+        }
+
+        return calendar;
+    }
+
+    /**
+     * Split a content line into name, parameters and value
+     * @private
+     */
+    static parseContentLine(line) {
+        let inQuotes = false;
+        let separator = -1;
+
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === ':' && !inQuotes) {
+                separator = i;
+                break;
+            }
+        }
+        if (separator === -1) return null;
+
+        const [name, ...rawParams] = line.slice(0, separator).split(';');
+        const params = {};
+        for (const param of rawParams) {
+            const [key, ...value] = param.split('=');
+            params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+        }
+
+        return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+    }
+
+    /**
+     * Convert a parsed VEVENT component to a plain event object
+     * @private
+     */
+    static readEvent(component) {
+        const event = { properties: {}, exdates: [] };
+
+        for (const property of component.properties) {
+            switch (property.name) {
+                case 'UID':
+                    event.uid = property.value;
+                    break;
+                case 'SUMMARY':
+                    event.summary = ICalendar.unescapeText(property.value);
+                    break;
+                case 'DESCRIPTION':
+                    event.description = ICalendar.unescapeText(property.value);
+                    break;
+                case 'LOCATION':
+                    event.location = ICalendar.unescapeText(property.value);
+                    break;
+                case 'GEO': {
+                    const [lat, lng] = property.value.split(/[;,]/).map(Number);
+                    if (!isNaN(lat) && !isNaN(lng)) {
+                        event.geo = { lat, lng };
+                    }
+                    break;
+                }
+                case 'CATEGORIES':
+                    event.categories = property.value.split(/(?<!\\),/).map(category => ICalendar.unescapeText(category));
+                    break;
+                case 'DTSTART':
+                    event.start = ICalendar.parseDateValue(property.value, property.params);
+                    break;
+                case 'DTEND':
+                    event.end = ICalendar.parseDateValue(property.value, property.params);
+                    break;
+                case 'DURATION':
+                    event.duration = ICalendar.parseDuration(property.value);
+                    break;
+                case 'RRULE':
+                    event.rrule = ICalendar.parseRecurrenceRule(property.value);
+                    break;
+                case 'EXDATE':
+                    for (const value of property.value.split(',')) {
+                        event.exdates.push(ICalendar.parseDateValue(value, property.params));
+                    }
+                    break;
+                case 'RECURRENCE-ID':
+                    event.recurrenceId = ICalendar.parseDateValue(property.value, property.params);
+                    break;
+                case 'STATUS':
+                    event.status = property.value.toUpperCase();
+                    break;
+                default:
+                    event.properties[property.name] = ICalendar.unescapeText(property.value);
+            }
+        }
+
+        return event;
+    }
+
+    /**
+     * Convert a parsed VTIMEZONE component to its observances
+     * @private
+     */
+    static readTimezone(component) {
+        const tzidProperty = component.properties.find(property => property.name === 'TZID');
+        const observances = component.children
+            .filter(child => child.type === 'STANDARD' || child.type === 'DAYLIGHT')
+            .map(child => {
+                const get = name => child.properties.find(property => property.name === name);
+                const start = get('DTSTART');
+                const rrule = get('RRULE');
+                return {
+                    type: child.type,
+                    start: start ? ICalendar.parseDateValue(start.value, {}) : null,
+                    offsetFrom: ICalendar.parseOffset(get('TZOFFSETFROM')?.value),
+                    offsetTo: ICalendar.parseOffset(get('TZOFFSETTO')?.value),
+                    rrule: rrule ? ICalendar.parseRecurrenceRule(rrule.value) : null
+                };
+            })
+            .filter(observance => observance.start && observance.offsetTo !== null);
+
+        return { tzid: tzidProperty ? tzidProperty.value : null, observances };
+    }
+
+    /**
+     * Parse a DATE or DATE-TIME value
+     * @returns {Object|null} { date, minutes?, utc?, tzid? }
+     */
+    static parseDateValue(value, params = {}) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+        if (!match) return null;
+
+        const parsed = { date: `${match[1]}-${match[2]}-${match[3]}` };
+        if (match[4] === undefined || params.VALUE === 'DATE') {
+            return parsed;
+        }
+
+        parsed.minutes = Number(match[4]) * 60 + Number(match[5]);
+        if (match[7]) {
+            parsed.utc = true;
+        } else if (params.TZID) {
+            parsed.tzid = params.TZID;
+        }
+        return parsed;
+    }
+
+    /**
+     * Parse a DURATION value (e.g. PT1H30M, P1D) into minutes
+     * @private
+     */
+    static parseDuration(value) {
+        const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+        if (!match) return null;
+
+        const [, sign, weeks, days, hours, minutes, seconds] = match;
+        const total = (Number(weeks || 0) * 7 + Number(days || 0)) * 24 * 60 +
+            Number(hours || 0) * 60 + Number(minutes || 0) + Math.floor(Number(seconds || 0) / 60);
+        return sign === '-' ? -total : total;
+    }
+
+    /**
+     * Parse a UTC offset (+HHMM) into minutes
+     * @private
+     */
+    static parseOffset(value) {
+        const match = /^([+-])(\d{2})(\d{2})/.exec(String(value || ''));
+        if (!match) return null;
+
+        const minutes = Number(match[2]) * 60 + Number(match[3]);
+        return match[1] === '-' ? -minutes : minutes;
+    }
+
+    /**
+     * Parse an RRULE value
+     * @private
+     */
+    static parseRecurrenceRule(value) {
+        const rule = {};
+        for (const part of value.split(';')) {
+            const [key, ruleValue] = part.split('=');
+            if (key && ruleValue !== undefined) {
+                rule[key.toUpperCase()] = ruleValue.toUpperCase();
+            }
+        }
+
+        return {
+            freq: rule.FREQ,
+            interval: Math.max(1, Number(rule.INTERVAL) || 1),
+            count: rule.COUNT ? Number(rule.COUNT) : null,
+            until: rule.UNTIL ? ICalendar.parseDateValue(rule.UNTIL) : null,
+            byDay: rule.BYDAY ? rule.BYDAY.split(',').map(day => {
+                const dayMatch = /^([+-]?\d+)?(MO|TU|WE|TH|FR|SA|SU)$/.exec(day);
+                return dayMatch ? {
+                    ordinal: dayMatch[1] ? Number(dayMatch[1]) : null,
+                    weekday: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'].indexOf(dayMatch[2])
+                } : null;
+            }).filter(Boolean) : null,
+            byMonth: rule.BYMONTH ? rule.BYMONTH.split(',').map(Number) : null,
+            byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : null
+        };
+    }
+
+    /**
+     * Expand a recurrence rule into occurrence start values
+     * Supports DAILY, WEEKLY, MONTHLY and YEARLY rules with INTERVAL, COUNT,
+     * UNTIL, BYDAY, BYMONTH and BYMONTHDAY. Occurrences keep the wall-clock
+     * time of the first instance.
+     * @param {Object} start - Parsed DTSTART value
+     * @param {Object} rule - Parsed RRULE
+     * @param {string} rangeEnd - Stop expanding after this date (YYYY-MM-DD)
+     * @param {number} limit - Maximum number of occurrences
+     * @returns {Array<Object>} Occurrence start values
+     */
+    static expandRecurrence(start, rule, rangeEnd, limit = 366) {
+        const occurrences = [];
+        const frequencies = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+        if (!rule || !frequencies.includes(rule.freq)) {
+            return [start];
+        }
+
+        const [startYear, startMonth, startDay] = start.date.split('-').map(Number);
+        const startWeekday = new Date(Date.UTC(startYear, startMonth - 1, startDay)).getUTCDay();
+        const toDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).toISOString().split('T')[0];
+        const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+        // Days of a month matching BYDAY (with optional ordinals) or BYMONTHDAY
+        const monthCandidates = (year, month) => {
+            const total = daysInMonth(year, month);
+            if (rule.byDay) {
+                const dates = [];
+                for (const { ordinal, weekday } of rule.byDay) {
+                    const matching = [];
+                    for (let day = 1; day <= total; day++) {
+                        if (new Date(Date.UTC(year, month - 1, day)).getUTCDay() === weekday) {
+                            matching.push(day);
+                        }
+                    }
+                    const picked = ordinal === null ? matching : [matching[ordinal > 0 ? ordinal - 1 : matching.length + ordinal]];
+                    dates.push(...picked.filter(Boolean));
+                }
+                return dates.map(day => toDate(year, month, day));
+            }
+
+            const monthDays = rule.byMonthDay || [startDay];
+            return monthDays
+                .map(day => (day < 0 ? total + day + 1 : day))
+                .filter(day => day >= 1 && day <= total)
+                .map(day => toDate(year, month, day));
+        };
+
+        const periodCandidates = period => {
+            const step = period * rule.interval;
+            switch (rule.freq) {
+                case 'DAILY':
+                    return [toDate(startYear, startMonth, startDay + step)];
+                case 'WEEKLY': {
+                    // Weeks start on Monday (RFC 5545 default WKST)
+                    const weekStart = startDay - ((startWeekday + 6) % 7) + step * 7;
+                    const weekdays = rule.byDay ? rule.byDay.map(day => day.weekday) : [startWeekday];
+                    return weekdays.map(weekday => toDate(startYear, startMonth, weekStart + ((weekday + 6) % 7)));
+                }
+                case 'MONTHLY': {
+                    const date = new Date(Date.UTC(startYear, startMonth - 1 + step, 1));
+                    return monthCandidates(date.getUTCFullYear(), date.getUTCMonth() + 1);
+                }
+                default: {
+                    const months = rule.byMonth || [startMonth];
+                    return months.flatMap(month => monthCandidates(startYear + step, month));
+                }
+            }
+        };
+
+        for (let period = 0; period < 1000 && occurrences.length < limit; period++) {
+            const candidates = [...new Set(periodCandidates(period))].sort();
+            if (candidates.length > 0 && candidates[0] > rangeEnd) break;
+
+            for (const date of candidates) {
+                if (date < start.date) continue;
+                if (date > rangeEnd) break;
+                if (rule.until && date > rule.until.date) return occurrences;
+
+                occurrences.push({ ...start, date });
+                if (rule.count && occurrences.length >= rule.count) return occurrences;
+                if (occurrences.length >= limit) break;
+            }
+        }
+
+        return occurrences;
+    }
+
+    /**
+     * Resolve a parsed DATE-TIME value to a UTC timestamp
+     * Uses the platform timezone database for known TZIDs and falls back to
+     * the file's own VTIMEZONE definitions (e.g. Outlook's Windows zone names).
+     * @param {Object} value - Parsed DATE-TIME value
+     * @param {Object} timezones - VTIMEZONE definitions from parse()
+     * @param {string} floatingTimezone - Zone used for values without a TZID
+     * @returns {number} Milliseconds since epoch
+     */
+    static resolveInstant(value, timezones = {}, floatingTimezone = 'UTC') {
+        const [year, month, day] = value.date.split('-').map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, 0, value.minutes || 0);
+
+        if (value.utc) {
+            return wallClock;
+        }
+
+        const tzid = value.tzid || floatingTimezone;
+        if (ICalendar.isValidTimezone(tzid)) {
+            // Two passes settle the offset around DST changes
+            let instant = wallClock - ICalendar.getTimezoneOffset(tzid, new Date(wallClock)) * 60000;
+            instant = wallClock - ICalendar.getTimezoneOffset(tzid, new Date(instant)) * 60000;
+            return instant;
+        }
+
+        const definition = timezones[tzid];
+        if (definition) {
+            return wallClock - ICalendar.getDefinedOffset(definition, value) * 60000;
+        }
+
+        return wallClock;
+    }
+
+    /**
+     * Get the offset a VTIMEZONE definition applies at a local time
+     * @private
+     */
+    static getDefinedOffset(definition, value) {
+        const local = `${value.date}T${String(value.minutes || 0).padStart(4, '0')}`;
+        let latest = null;
+
+        for (const observance of definition.observances) {
+            const onsets = observance.rrule
+                ? ICalendar.expandRecurrence(observance.start, observance.rrule, value.date, 1000)
+                : [observance.start];
+
+            for (const onset of onsets) {
+                const onsetKey = `${onset.date}T${String(onset.minutes || 0).padStart(4, '0')}`;
+                if (onsetKey <= local && (!latest || onsetKey > latest.key)) {
+                    latest = { key: onsetKey, offset: observance.offsetTo };
+                }
+            }
+        }
+
+        if (latest) return latest.offset;
+        return definition.observances.length > 0 ? definition.observances[0].offsetFrom : 0;
+    }
+
+    /**
+     * Express a UTC timestamp as a local date and minutes in a timezone
+     * @param {number} instant - Milliseconds since epoch
+     * @param {string} tzid - Target timezone
+     * @returns {Object} { date, minutes }
+     */
+    static toLocal(instant, tzid) {
+        const offset = ICalendar.isValidTimezone(tzid) ? ICalendar.getTimezoneOffset(tzid, new Date(instant)) : 0;
+        const local = new Date(instant + offset * 60000);
+        return {
+            date: local.toISOString().split('T')[0],
+            minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+        };
+    }
+
+    /**
+     * Reverse escapeText()
+     */
+    static unescapeText(text) {
+        return String(text).replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+}
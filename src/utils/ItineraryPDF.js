@@ -0,0 +1,378 @@
+import { jsPDF } from 'jspdf';
+
+/**
+ * ItineraryPDF Utility Class
+ * Lays out a printable itinerary document with jsPDF
+ */
+export class ItineraryPDF {
+    constructor() {
+        this.page = { width: 595.28, height: 841.89, margin: 48 };
+        this.colors = {
+            primary: [26, 60, 64],
+            accent: [78, 205, 196],
+            secondary: [255, 107, 107],
+            text: [44, 62, 80],
+            muted: [127, 140, 141],
+            border: [233, 236, 239],
+            mapBackground: [238, 245, 244]
+        };
+        this.doc = null;
+        this.cursor = 0;
+    }
+
+    /**
+     * Render an itinerary model to a PDF document
+     * @param {Object} model - Printable itinerary prepared by ItineraryManager
+     * @returns {jsPDF} Rendered document
+     */
+    render(model) {
+        this.doc = new jsPDF({ unit: 'pt', format: 'a4' });
+        this.formatMoney = this.createMoneyFormatter(model.currency);
+
+        this.renderCover(model);
+
+        for (const day of model.days) {
+            this.doc.addPage();
+            this.cursor = this.page.margin;
+            this.renderDay(day);
+        }
+
+        this.doc.addPage();
+        this.cursor = this.page.margin;
+        this.renderBudget(model);
+
+        this.renderFooters(model);
+        return this.doc;
+    }
+
+    /**
+     * Render the cover page
+     * @private
+     */
+    renderCover(model) {
+        const { doc, page } = this;
+        const contentWidth = page.width - page.margin * 2;
+
+        doc.setFillColor(...this.colors.primary);
+        doc.rect(0, 0, page.width, 280, 'F');
+
+        doc.setTextColor(255, 255, 255);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(30);
+        const titleLines = doc.splitTextToSize(model.title, contentWidth);
+        doc.text(titleLines, page.margin, 140);
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(16);
+        doc.text(model.destination || '', page.margin, 150 + titleLines.length * 30);
+
+        this.cursor = 330;
+        const facts = [
+            ['Dates', `${model.dateRange}`],
+            ['Duration', `${model.duration} day${model.duration !== 1 ? 's' : ''}`],
+            ['Trip type', model.type || 'leisure'],
+            ['Travelers', String(model.travelers || 1)],
+            ['Planned items', String(model.itemCount)],
+            ['Budget', model.budget.total > 0 ? this.formatMoney(model.budget.total) : 'Not set']
+        ];
+
+        doc.setFontSize(12);
+        for (const [label, value] of facts) {
+            doc.setTextColor(...this.colors.muted);
+            doc.setFont('helvetica', 'normal');
+            doc.text(label, page.margin, this.cursor);
+            doc.setTextColor(...this.colors.text);
+            doc.setFont('helvetica', 'bold');
+            doc.text(value, page.margin + 140, this.cursor);
+            this.cursor += 24;
+        }
+
+        if (model.notes) {
+            this.cursor += 16;
+            doc.setFont('helvetica', 'bold');
+            doc.text('Notes', page.margin, this.cursor);
+            this.cursor += 18;
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(...this.colors.muted);
+            doc.text(doc.splitTextToSize(model.notes, contentWidth), page.margin, this.cursor);
+        }
+    }
+
+    /**
+     * Render a day agenda with its map snapshot
+     * @private
+     */
+    renderDay(day) {
+        const { doc, page } = this;
+        const contentWidth = page.width - page.margin * 2;
+
+        doc.setTextColor(...this.colors.primary);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(20);
+        doc.text(`Day ${day.dayNumber}`, page.margin, this.cursor + 14);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(12);
+        doc.setTextColor(...this.colors.muted);
+        doc.text(day.label, page.margin + 80, this.cursor + 14);
+        if (day.total > 0) {
+            doc.text(this.formatMoney(day.total), page.width - page.margin, this.cursor + 14, { align: 'right' });
+        }
+        this.cursor += 32;
+
+        if (day.points.length > 0) {
+            this.renderMap(day.points, page.margin, this.cursor, contentWidth, 170);
+            this.cursor += 186;
+        }
+
+        for (const slot of day.slots) {
+            this.ensureSpace(40);
+            doc.setFillColor(...this.colors.border);
+            doc.rect(page.margin, this.cursor, contentWidth, 20, 'F');
+            doc.setTextColor(...this.colors.primary);
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(11);
+            doc.text(slot.name, page.margin + 8, this.cursor + 14);
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(...this.colors.muted);
+            doc.text(slot.window, page.width - page.margin - 8, this.cursor + 14, { align: 'right' });
+            this.cursor += 28;
+
+            if (slot.entries.length === 0) {
+                doc.setFontSize(10);
+                doc.text('Nothing planned', page.margin + 8, this.cursor + 4);
+                this.cursor += 18;
+                continue;
+            }
+
+            for (const entry of slot.entries) {
+                this.renderEntry(entry, contentWidth);
+            }
+            this.cursor += 4;
+        }
+    }
+
+    /**
+     * Render one agenda entry
+     * @private
+     */
+    renderEntry(entry, contentWidth) {
+        const { doc, page } = this;
+        const textX = page.margin + 96;
+        const textWidth = contentWidth - 96 - 80;
+
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'bold');
+        const titleLines = doc.splitTextToSize(entry.marker ? `${entry.marker}. ${entry.title}` : entry.title, textWidth);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        const descriptionLines = entry.description ? doc.splitTextToSize(entry.description, textWidth).slice(0, 4) : [];
+
+        const height = titleLines.length * 14 + 12 + descriptionLines.length * 11 + 8;
+        this.ensureSpace(height);
+
+        doc.setFontSize(10);
+        doc.setTextColor(...this.colors.muted);
+        doc.text(entry.time, page.margin + 8, this.cursor + 10);
+
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(...this.colors.text);
+        doc.text(titleLines, textX, this.cursor + 10);
+        let y = this.cursor + 10 + titleLines.length * 14;
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.setTextColor(...this.colors.accent);
+        doc.text(entry.category, textX, y - 2);
+        y += 10;
+
+        if (descriptionLines.length > 0) {
+            doc.setTextColor(...this.colors.muted);
+            doc.text(descriptionLines, textX, y);
+            y += descriptionLines.length * 11;
+        }
+
+        if (entry.cost > 0) {
+            doc.setFontSize(11);
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(...this.colors.text);
+            doc.text(this.formatMoney(entry.cost), page.width - page.margin - 8, this.cursor + 10, { align: 'right' });
+        }
+
+        this.cursor = y + 4;
+        doc.setDrawColor(...this.colors.border);
+        doc.line(page.margin + 8, this.cursor, page.width - page.margin - 8, this.cursor);
+        this.cursor += 8;
+    }
+
+    /**
+     * Draw a static map snapshot of a day's locations
+     * Points are projected into the box (equirectangular, scaled by latitude)
+     * and joined in visiting order.
+     * @private
+     */
+    renderMap(points, x, y, width, height) {
+        const { doc } = this;
+        const padding = 24;
+
+        doc.setFillColor(...this.colors.mapBackground);
+        doc.setDrawColor(...this.colors.border);
+        doc.roundedRect(x, y, width, height, 6, 6, 'FD');
+
+        // Light graticule
+        doc.setDrawColor(255, 255, 255);
+        for (let i = 1; i < 6; i++) {
+            doc.line(x + (width / 6) * i, y, x + (width / 6) * i, y + height);
+        }
+        for (let i = 1; i < 4; i++) {
+            doc.line(x, y + (height / 4) * i, x + width, y + (height / 4) * i);
+        }
+
+        const lats = points.map(point => point.lat);
+        const lngs = points.map(point => point.lng);
+        const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+        const scaleX = Math.cos(midLat * Math.PI / 180);
+
+        const minX = Math.min(...lngs) * scaleX;
+        const maxX = Math.max(...lngs) * scaleX;
+        const minY = Math.min(...lats);
+        const maxY = Math.max(...lats);
+        const spanX = Math.max(maxX - minX, 0.002);
+        const spanY = Math.max(maxY - minY, 0.002);
+        const scale = Math.min((width - padding * 2) / spanX, (height - padding * 2) / spanY);
+
+        const project = point => ({
+            x: x + width / 2 + ((point.lng * scaleX) - (minX + maxX) / 2) * scale,
+            y: y + height / 2 - (point.lat - (minY + maxY) / 2) * scale
+        });
+
+        const projected = points.map(project);
+
+        doc.setDrawColor(...this.colors.primary);
+        doc.setLineWidth(1.5);
+        for (let i = 1; i < projected.length; i++) {
+            doc.line(projected[i - 1].x, projected[i - 1].y, projected[i].x, projected[i].y);
+        }
+        doc.setLineWidth(1);
+
+        projected.forEach((position, index) => {
+            doc.setFillColor(...this.colors.secondary);
+            doc.circle(position.x, position.y, 8, 'F');
+            doc.setTextColor(255, 255, 255);
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(8);
+            doc.text(String(points[index].marker), position.x, position.y + 3, { align: 'center' });
+        });
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8);
+        doc.setTextColor(...this.colors.muted);
+        doc.text(`${points.length} location${points.length !== 1 ? 's' : ''}`, x + 8, y + height - 8);
+    }
+
+    /**
+     * Render the budget summary page
+     * @private
+     */
+    renderBudget(model) {
+        const { doc, page } = this;
+        const contentWidth = page.width - page.margin * 2;
+        const { budget } = model;
+
+        doc.setTextColor(...this.colors.primary);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(20);
+        doc.text('Budget Summary', page.margin, this.cursor + 14);
+        this.cursor += 40;
+
+        const rows = [
+            ['Total budget', budget.total > 0 ? this.formatMoney(budget.total) : 'Not set'],
+            ['Spent', this.formatMoney(budget.spent)],
+            ['Remaining', budget.total > 0 ? this.formatMoney(budget.total - budget.spent) : '-']
+        ];
+
+        doc.setFontSize(12);
+        for (const [label, value] of rows) {
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(...this.colors.muted);
+            doc.text(label, page.margin, this.cursor);
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(...this.colors.text);
+            doc.text(value, page.width - page.margin, this.cursor, { align: 'right' });
+            this.cursor += 22;
+        }
+
+        this.cursor += 16;
+        doc.setFont('helvetica', 'bold');
+        doc.text('By category', page.margin, this.cursor);
+        this.cursor += 20;
+
+        if (budget.categories.length === 0) {
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(...this.colors.muted);
+            doc.text('No costs recorded yet', page.margin, this.cursor);
+            return;
+        }
+
+        const largest = Math.max(...budget.categories.map(category => category.amount), 1);
+        const barWidth = contentWidth - 220;
+
+        for (const category of budget.categories) {
+            this.ensureSpace(24);
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(11);
+            doc.setTextColor(...this.colors.text);
+            doc.text(category.name, page.margin, this.cursor + 10);
+
+            doc.setFillColor(...this.colors.border);
+            doc.rect(page.margin + 120, this.cursor, barWidth, 12, 'F');
+            doc.setFillColor(...this.colors.accent);
+            doc.rect(page.margin + 120, this.cursor, Math.max(1, (category.amount / largest) * barWidth), 12, 'F');
+
+            doc.text(this.formatMoney(category.amount), page.width - page.margin, this.cursor + 10, { align: 'right' });
+            this.cursor += 24;
+        }
+    }
+
+    /**
+     * Add page numbers to every page except the cover
+     * @private
+     */
+    renderFooters(model) {
+        const { doc, page } = this;
+        const pageCount = doc.getNumberOfPages();
+
+        for (let i = 2; i <= pageCount; i++) {
+            doc.setPage(i);
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(9);
+            doc.setTextColor(...this.colors.muted);
+            doc.text(model.title, page.margin, page.height - 24);
+            doc.text(`Page ${i} of ${pageCount}`, page.width - page.margin, page.height - 24, { align: 'right' });
+        }
+    }
+
+    /**
+     * Start a new page when the remaining space is too small
+     * @private
+     */
+    ensureSpace(height) {
+        if (this.cursor + height > this.page.height - this.page.margin - 16) {
+            this.doc.addPage();
+            this.cursor = this.page.margin;
+        }
+    }
+
+    /**
+     * Create a currency formatter, falling back to a plain code prefix
+     * @private
+     */
+    createMoneyFormatter(currency = 'USD') {
+        try {
+            const formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency });
+            return amount => formatter.format(amount || 0);
+        } catch (error) {
+            return amount => `${currency} ${Number(amount || 0).toFixed(2)}`;
+        }
+    }
+}
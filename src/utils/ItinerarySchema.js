@@ -0,0 +1,405 @@
+/**
+ * ItinerarySchema Utility Class
+ * Versioned envelope and validation for itinerary JSON files
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const ITEM = {
+    type: 'object',
+    required: ['title'],
+    properties: {
+        id: { type: 'string' },
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        type: { type: 'string' },
+        category: { type: 'string' },
+        cost: { type: 'number', minimum: 0 },
+        price: {
+            type: 'object',
+            required: ['amount', 'currency'],
+            properties: {
+                amount: { type: 'number', minimum: 0 },
+                currency: { type: 'string', format: 'currency' }
+            }
+        },
+        paidBy: { type: 'integer', minimum: 0 },
+        participants: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 0 } },
+        duration: { type: ['string', 'number'] },
+        startTime: { type: 'string', format: 'time' },
+        durationMinutes: { type: 'number', minimum: 0 },
+        data: { type: 'object' },
+        booking: {
+            type: 'object',
+            properties: {
+                confirmationCode: { type: ['string', 'null'] },
+                provider: { type: ['object', 'null'] },
+                cancellationDeadline: { type: ['string', 'null'] }
+            }
+        },
+        notes: { type: 'string' },
+        attachments: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    type: { type: 'string' },
+                    size: { type: 'integer', minimum: 0 }
+                }
+            }
+        },
+        status: { type: 'string' },
+        addedAt: { type: 'string' }
+    }
+};
+
+const TIME_SLOT = {
+    type: 'object',
+    required: ['name', 'items'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        items: { type: 'array', items: ITEM }
+    }
+};
+
+const DAY = {
+    type: 'object',
+    required: ['date', 'dayNumber', 'timeSlots'],
+    properties: {
+        date: { type: 'string', format: 'date' },
+        dayNumber: { type: 'integer', minimum: 1 },
+        dayOfWeek: { type: 'string' },
+        legId: { type: 'string' },
+        timeSlots: { type: 'object', minProperties: 1, additionalProperties: TIME_SLOT }
+    }
+};
+
+const LEG = {
+    type: 'object',
+    required: ['city', 'startDate', 'endDate'],
+    properties: {
+        id: { type: 'string' },
+        city: { type: 'string', minLength: 1 },
+        coordinates: {
+            type: 'object',
+            required: ['lat', 'lng'],
+            properties: {
+                lat: { type: 'number' },
+                lng: { type: 'number' }
+            }
+        },
+        startDate: { type: 'string', format: 'date' },
+        endDate: { type: 'string', format: 'date' },
+        lodging: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: { type: 'string' },
+                address: { type: 'string' }
+            }
+        }
+    }
+};
+
+const TRAVELER_PROFILE = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        ageBand: { type: 'string' },
+        dietary: { type: 'array', items: { type: 'string' } },
+        passportCountry: { type: 'string' },
+        loyalty: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['program', 'number'],
+                properties: {
+                    program: { type: 'string', minLength: 1 },
+                    number: { type: 'string', minLength: 1 }
+                }
+            }
+        }
+    }
+};
+
+const ITINERARY = {
+    type: 'object',
+    required: ['title', 'destination', 'startDate', 'endDate', 'days'],
+    properties: {
+        id: { type: 'string' },
+        title: { type: 'string', minLength: 1 },
+        destination: { type: 'string', minLength: 1 },
+        startDate: { type: 'string', format: 'date' },
+        endDate: { type: 'string', format: 'date' },
+        timezone: { type: 'string' },
+        type: { type: 'string' },
+        days: { type: 'array', minItems: 1, items: DAY },
+        legs: { type: 'array', minItems: 1, items: LEG },
+        budget: {
+            type: 'object',
+            properties: {
+                total: { type: 'number', minimum: 0 },
+                currency: { type: 'string', format: 'currency' },
+                categories: { type: 'object' },
+                limits: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } }
+            }
+        },
+        travelers: { type: 'integer', minimum: 1 },
+        travelerProfiles: { type: 'array', items: TRAVELER_PROFILE },
+        notes: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } },
+        preferences: { type: 'object' },
+        checklist: {
+            type: 'object',
+            properties: {
+                items: { type: 'array', items: { type: 'object', required: ['title'] } },
+                dismissed: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    }
+};
+
+export class ItinerarySchema {
+    /**
+     * Identifier written into every exported file
+     */
+    static get ID() {
+        return 'travel-planner-explorer/itinerary';
+    }
+
+    /**
+     * Version of the file layout written by this build
+     */
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * Wrap an itinerary in a versioned envelope for export
+     * @param {Object} itinerary - Itinerary to export
+     * @returns {Object} Envelope with schema, version and itinerary
+     */
+    static wrap(itinerary) {
+        return {
+            schema: ItinerarySchema.ID,
+            version: ItinerarySchema.VERSION,
+            exportedAt: new Date().toISOString(),
+            itinerary
+        };
+    }
+
+    /**
+     * Read the itinerary out of an exported file, upgrading older versions
+     * @param {Object} payload - Parsed JSON file contents
+     * @returns {{version: number, itinerary: Object}} Itinerary in the current layout
+     */
+    static unwrap(payload) {
+        if (!ItinerarySchema.isObject(payload)) {
+            throw new Error('Expected a JSON object at the top level');
+        }
+
+        // Files exported before the envelope existed hold the bare itinerary
+        if (payload.schema === undefined && Array.isArray(payload.days)) {
+            return { version: 0, itinerary: payload };
+        }
+
+        if (payload.schema !== ItinerarySchema.ID) {
+            throw new Error(`Not an itinerary file (schema: ${JSON.stringify(payload.schema)})`);
+        }
+        if (!Number.isInteger(payload.version) || payload.version < 1) {
+            throw new Error(`Invalid schema version: ${JSON.stringify(payload.version)}`);
+        }
+        if (payload.version > ItinerarySchema.VERSION) {
+            throw new Error(`File uses schema version ${payload.version}, but this app only reads up to version ${ItinerarySchema.VERSION}`);
+        }
+
+        return { version: payload.version, itinerary: payload.itinerary };
+    }
+
+    /**
+     * Validate an itinerary against the current schema
+     * @param {Object} itinerary - Itinerary to check
+     * @param {Object} options - Extra constraints
+     * @param {Array<string>} options.tripTypes - Accepted values for itinerary.type
+     * @param {Array<string>} options.currencies - Currencies the app can convert
+     * @returns {Array<{path: string, message: string}>} Problems found, empty when valid
+     */
+    static validate(itinerary, options = {}) {
+        const errors = [];
+        ItinerarySchema.check(itinerary, ITINERARY, 'itinerary', errors);
+
+        if (errors.length === 0) {
+            ItinerarySchema.checkConsistency(itinerary, options, errors);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check a value against a schema node, collecting errors
+     * @private
+     */
+    static check(value, schema, path, errors) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => ItinerarySchema.isType(value, type))) {
+            errors.push({ path, message: `must be ${types.map(type => `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`).join(' or ')}` });
+            return;
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength && value.trim().length < schema.minLength) {
+                errors.push({ path, message: 'must not be empty' });
+            }
+            if (schema.format === 'date' && !ItinerarySchema.isDate(value)) {
+                errors.push({ path, message: `must be a YYYY-MM-DD date (got ${JSON.stringify(value)})` });
+            }
+            if (schema.format === 'time' && !TIME_PATTERN.test(value)) {
+                errors.push({ path, message: `must be an HH:MM time (got ${JSON.stringify(value)})` });
+            }
+            if (schema.format === 'currency' && !CURRENCY_PATTERN.test(value)) {
+                errors.push({ path, message: `must be a three-letter currency code (got ${JSON.stringify(value)})` });
+            }
+        }
+
+        if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be at least ${schema.minimum}` });
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems && value.length < schema.minItems) {
+                errors.push({ path, message: `must contain at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}` });
+            }
+            if (schema.items) {
+                value.forEach((entry, index) => ItinerarySchema.check(entry, schema.items, `${path}[${index}]`, errors));
+            }
+        } else if (ItinerarySchema.isObject(value)) {
+            for (const field of schema.required || []) {
+                if (value[field] === undefined || value[field] === null) {
+                    errors.push({ path: `${path}.${field}`, message: 'is required' });
+                }
+            }
+            for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+                if (value[field] !== undefined && value[field] !== null) {
+                    ItinerarySchema.check(value[field], fieldSchema, `${path}.${field}`, errors);
+                }
+            }
+            if (schema.additionalProperties) {
+                const keys = Object.keys(value);
+                if (schema.minProperties && keys.length < schema.minProperties) {
+                    errors.push({ path, message: `must contain at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}` });
+                }
+                for (const key of keys) {
+                    ItinerarySchema.check(value[key], schema.additionalProperties, `${path}.${key}`, errors);
+                }
+            }
+        }
+    }
+
+    /**
+     * Check rules that span several fields: date range, day sequence, trip type, travelers
+     * @private
+     */
+    static checkConsistency(itinerary, options, errors) {
+        if (itinerary.endDate < itinerary.startDate) {
+            errors.push({ path: 'itinerary.endDate', message: `must not be before startDate (${itinerary.startDate})` });
+            return;
+        }
+
+        if (options.tripTypes && itinerary.type !== undefined && !options.tripTypes.includes(itinerary.type)) {
+            errors.push({ path: 'itinerary.type', message: `must be one of ${options.tripTypes.join(', ')} (got ${JSON.stringify(itinerary.type)})` });
+        }
+
+        const start = new Date(`${itinerary.startDate}T00:00:00Z`);
+        const expectedDays = Math.round((new Date(`${itinerary.endDate}T00:00:00Z`) - start) / 86400000) + 1;
+        if (itinerary.days.length !== expectedDays) {
+            errors.push({ path: 'itinerary.days', message: `must contain ${expectedDays} day${expectedDays !== 1 ? 's' : ''} for ${itinerary.startDate} to ${itinerary.endDate} (got ${itinerary.days.length})` });
+        }
+
+        if (options.currencies) {
+            const checkCurrency = (currency, path) => {
+                if (currency !== undefined && !options.currencies.includes(currency)) {
+                    errors.push({ path, message: `is not a supported currency (got ${JSON.stringify(currency)})` });
+                }
+            };
+            checkCurrency(itinerary.budget && itinerary.budget.currency, 'itinerary.budget.currency');
+            itinerary.days.forEach((day, dayIndex) => {
+                for (const [slot, timeSlot] of Object.entries(day.timeSlots)) {
+                    timeSlot.items.forEach((item, itemIndex) => {
+                        checkCurrency(item.price && item.price.currency, `itinerary.days[${dayIndex}].timeSlots.${slot}.items[${itemIndex}].price.currency`);
+                    });
+                }
+            });
+        }
+
+        const travelers = itinerary.travelers || 1;
+        const travelerCount = `${travelers} traveler${travelers !== 1 ? 's' : ''}`;
+        if (itinerary.travelerProfiles && itinerary.travelerProfiles.length > travelers) {
+            errors.push({ path: 'itinerary.travelerProfiles', message: `must not list more profiles than the trip's ${travelerCount} (got ${itinerary.travelerProfiles.length})` });
+        }
+        itinerary.days.forEach((day, dayIndex) => {
+            for (const [slot, timeSlot] of Object.entries(day.timeSlots)) {
+                timeSlot.items.forEach((item, itemIndex) => {
+                    (item.participants || []).forEach((participant, position) => {
+                        if (participant >= travelers) {
+                            errors.push({ path: `itinerary.days[${dayIndex}].timeSlots.${slot}.items[${itemIndex}].participants[${position}]`, message: `must be one of the trip's ${travelerCount} (got ${participant})` });
+                        }
+                    });
+                });
+            }
+        });
+
+        itinerary.days.forEach((day, index) => {
+            const expectedDate = new Date(start.getTime() + index * 86400000).toISOString().split('T')[0];
+            if (day.date !== expectedDate) {
+                errors.push({ path: `itinerary.days[${index}].date`, message: `must be ${expectedDate} to follow the previous day (got ${day.date})` });
+            }
+            if (day.dayNumber !== index + 1) {
+                errors.push({ path: `itinerary.days[${index}].dayNumber`, message: `must be ${index + 1} (got ${day.dayNumber})` });
+            }
+        });
+    }
+
+    /**
+     * Check a value against a schema type name
+     * @private
+     */
+    static isType(value, type) {
+        switch (type) {
+            case 'object':
+                return ItinerarySchema.isObject(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value);
+            case 'null':
+                return value === null;
+            default:
+                return typeof value === type;
+        }
+    }
+
+    /**
+     * Check for a plain (non-array) object
+     * @private
+     */
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Check for a real calendar date in YYYY-MM-DD form
+     * @private
+     */
+    static isDate(value) {
+        if (!DATE_PATTERN.test(value)) return false;
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * PackingChecklist Utility Class
+ * Suggests packing items and pre-trip tasks from a trip's type, weather and activities
+ */
+
+/**
+ * Suggestions for every trip, then per trip type.
+ * Tasks carry `dueOffset`, the number of days before (negative) or after the start date.
+ */
+const TRIP_TYPE_SUGGESTIONS = {
+    common: [
+        { title: 'Passport or ID', kind: 'packing', category: 'documents' },
+        { title: 'Phone charger', kind: 'packing', category: 'electronics' },
+        { title: 'Toiletries', kind: 'packing', category: 'health' },
+        { title: 'Medications', kind: 'packing', category: 'health' },
+        { title: 'Check passport or ID expiry', kind: 'task', dueOffset: -30 },
+        { title: 'Tell your bank about the trip', kind: 'task', dueOffset: -7 },
+        { title: 'Download offline maps', kind: 'task', dueOffset: -2 }
+    ],
+    business: [
+        { title: 'Laptop and charger', kind: 'packing', category: 'electronics' },
+        { title: 'Business attire', kind: 'packing', category: 'clothing' },
+        { title: 'Business cards', kind: 'packing', category: 'documents' },
+        { title: 'Submit travel approval', kind: 'task', dueOffset: -14 },
+        { title: 'Prepare meeting materials', kind: 'task', dueOffset: -2 }
+    ],
+    leisure: [
+        { title: 'Comfortable walking shoes', kind: 'packing', category: 'clothing' },
+        { title: 'Sunglasses', kind: 'packing', category: 'accessories' },
+        { title: 'Book popular attractions in advance', kind: 'task', dueOffset: -14 }
+    ],
+    family: [
+        { title: 'Snacks for the journey', kind: 'packing', category: 'food' },
+        { title: 'Kids\' entertainment', kind: 'packing', category: 'accessories' },
+        { title: 'First aid kit', kind: 'packing', category: 'health' },
+        { title: 'Children\'s travel documents', kind: 'packing', category: 'documents' },
+        { title: 'Arrange child seats or stroller', kind: 'task', dueOffset: -7 }
+    ],
+    adventure: [
+        { title: 'First aid kit', kind: 'packing', category: 'health' },
+        { title: 'Headlamp', kind: 'packing', category: 'gear' },
+        { title: 'Quick-dry clothing', kind: 'packing', category: 'clothing' },
+        { title: 'Reusable water bottle', kind: 'packing', category: 'gear' },
+        { title: 'Check travel insurance covers your activities', kind: 'task', dueOffset: -14 }
+    ]
+};
+
+/**
+ * Suggestions for the weather expected along the route
+ */
+const WEATHER_SUGGESTIONS = {
+    cold: [
+        { title: 'Warm jacket', kind: 'packing', category: 'clothing' },
+        { title: 'Gloves and hat', kind: 'packing', category: 'clothing' }
+    ],
+    hot: [
+        { title: 'Sunscreen', kind: 'packing', category: 'health' },
+        { title: 'Sun hat', kind: 'packing', category: 'clothing' },
+        { title: 'Reusable water bottle', kind: 'packing', category: 'gear' }
+    ],
+    rain: [
+        { title: 'Umbrella', kind: 'packing', category: 'accessories' },
+        { title: 'Waterproof jacket', kind: 'packing', category: 'clothing' }
+    ],
+    snow: [
+        { title: 'Waterproof boots', kind: 'packing', category: 'clothing' },
+        { title: 'Thermal layers', kind: 'packing', category: 'clothing' }
+    ]
+};
+
+const WEATHER_LABELS = {
+    cold: 'Cold weather',
+    hot: 'Hot weather',
+    rain: 'Rain',
+    snow: 'Snow'
+};
+
+const HIKING_SUGGESTIONS = [
+    { title: 'Hiking boots', kind: 'packing', category: 'gear' },
+    { title: 'Daypack', kind: 'packing', category: 'gear' },
+    { title: 'First aid kit', kind: 'packing', category: 'health' }
+];
+
+const SWIMMING_SUGGESTIONS = [
+    { title: 'Swimsuit', kind: 'packing', category: 'clothing' }
+];
+
+export class PackingChecklist {
+    /**
+     * Suggest checklist entries for an itinerary
+     * Each suggestion has a stable `key`, so suggesting again only adds what is new.
+     * @param {Object} itinerary - Itinerary to prepare for
+     * @param {Array<{city: string, report: Object}>} weather - Weather reports from
+     *     LocationService.getWeatherInfo, one per city on the route
+     * @returns {Array<Object>} Suggestions ({key, title, kind, category, dueOffset, reason})
+     */
+    static suggest(itinerary, weather = []) {
+        const suggestions = new Map();
+        const add = (entry, reason, key = PackingChecklist.slug(entry.title)) => {
+            if (suggestions.has(key)) return;
+            suggestions.set(key, {
+                key,
+                title: entry.title,
+                kind: entry.kind,
+                category: entry.category || null,
+                dueOffset: entry.kind === 'task' ? entry.dueOffset : null,
+                reason
+            });
+        };
+
+        const type = TRIP_TYPE_SUGGESTIONS[itinerary.type] ? itinerary.type : 'leisure';
+        for (const entry of TRIP_TYPE_SUGGESTIONS.common) {
+            add(entry, 'Every trip');
+        }
+        for (const entry of TRIP_TYPE_SUGGESTIONS[type]) {
+            add(entry, `${type.charAt(0).toUpperCase() + type.slice(1)} trip`);
+        }
+
+        for (const [condition, cities] of Object.entries(PackingChecklist.readWeather(itinerary, weather))) {
+            for (const entry of WEATHER_SUGGESTIONS[condition]) {
+                add(entry, `${WEATHER_LABELS[condition]} expected in ${cities.join(', ')}`);
+            }
+        }
+
+        itinerary.days.forEach((day, dayIndex) => {
+            for (const timeSlot of Object.values(day.timeSlots)) {
+                for (const item of timeSlot.items) {
+                    PackingChecklist.suggestForItem(item, dayIndex, add);
+                }
+            }
+        });
+
+        return Array.from(suggestions.values());
+    }
+
+    /**
+     * Add the suggestions an activity calls for
+     * @private
+     */
+    static suggestForItem(item, dayIndex, add) {
+        const text = `${item.category || ''} ${item.title || ''}`.toLowerCase();
+
+        if (item.type === 'flight') {
+            add({ title: `Check in for ${item.title}`, kind: 'task', dueOffset: dayIndex - 1 }, `Flight on day ${dayIndex + 1}`, `item:${item.id}:check-in`);
+
+            const checked = item.data && item.data.baggage && item.data.baggage.checked;
+            if (typeof checked === 'string' ? /\d+\s+checked bag/i.test(checked) : checked > 0) {
+                add({ title: `Weigh checked bag for ${item.title}`, kind: 'task', dueOffset: dayIndex - 1 }, 'Flight with checked baggage', `item:${item.id}:bag`);
+                add({ title: 'Luggage tags', kind: 'packing', category: 'accessories' }, `${item.title} has checked baggage`);
+            }
+        }
+
+        if (item.type === 'hotel') {
+            add({ title: `Reconfirm ${item.title}`, kind: 'task', dueOffset: dayIndex - 3 }, `Hotel from day ${dayIndex + 1}`, `item:${item.id}:reconfirm`);
+        }
+
+        if (/hik|trek|outdoor/.test(text)) {
+            for (const entry of HIKING_SUGGESTIONS) {
+                add(entry, `${item.title} on day ${dayIndex + 1}`);
+            }
+        }
+
+        if (/beach|swim|pool|snorkel/.test(text)) {
+            for (const entry of SWIMMING_SUGGESTIONS) {
+                add(entry, `${item.title} on day ${dayIndex + 1}`);
+            }
+        }
+    }
+
+    /**
+     * Work out which weather conditions to pack for, and where they are expected
+     * Forecast days inside the trip are used when there are any; otherwise
+     * the current conditions stand in for them.
+     * @private
+     * @returns {Object} Cities by condition (cold, hot, rain, snow)
+     */
+    static readWeather(itinerary, weather) {
+        const conditions = {};
+        const note = (condition, city) => {
+            conditions[condition] = conditions[condition] || [];
+            if (!conditions[condition].includes(city)) {
+                conditions[condition].push(city);
+            }
+        };
+
+        for (const { city, report } of weather) {
+            if (!report) continue;
+
+            const forecast = (report.forecast || []).filter(entry => entry.date >= itinerary.startDate && entry.date <= itinerary.endDate);
+            const readings = forecast.length > 0
+                ? forecast.map(entry => ({ low: entry.low, high: entry.high, text: `${entry.condition} ${entry.description}`, precipitation: entry.precipitation }))
+                : report.current
+                    ? [{ low: report.current.temperature, high: report.current.temperature, text: `${report.current.condition} ${report.current.description}`, precipitation: 0 }]
+                    : [];
+
+            for (const reading of readings) {
+                const text = (reading.text || '').toLowerCase();
+                if (reading.low <= 10) note('cold', city);
+                if (reading.high >= 27) note('hot', city);
+                if (/rain|drizzle|shower|storm/.test(text) || reading.precipitation >= 40) note('rain', city);
+                if (/snow|sleet/.test(text)) note('snow', city);
+            }
+        }
+
+        return conditions;
+    }
+
+    /**
+     * Turn a title into a key, e.g. "First aid kit" -> "first-aid-kit"
+     * @private
+     */
+    static slug(title) {
+        return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+}
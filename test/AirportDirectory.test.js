@@ -0,0 +1,42 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AirportDirectory } from '../src/utils/AirportDirectory.js';
+
+describe('AirportDirectory', () => {
+    const directory = new AirportDirectory();
+
+    test('resolves codes, metropolitan areas and city names', () => {
+        assert.deepEqual(directory.resolve('lhr'), ['LHR']);
+        assert.deepEqual(directory.resolve('EGLL'), ['LHR']);
+        assert.deepEqual(directory.resolve('NYC'), ['JFK', 'LGA', 'EWR']);
+        assert.deepEqual(directory.resolve('Paris, France'), ['CDG', 'ORY', 'BVA']);
+    });
+
+    test('resolves local and older names of a city', () => {
+        for (const name of ['Munich', 'München', 'Munchen', 'Muenchen']) {
+            assert.deepEqual(directory.resolve(name), ['MUC'], name);
+        }
+        assert.deepEqual(directory.resolve('Roma'), directory.resolve('Rome'));
+        assert.deepEqual(directory.resolve('Bombay'), ['BOM']);
+    });
+
+    test('ranks an exact alias above a misspelt city', () => {
+        assert.equal(directory.search('München')[0].code, 'MUC');
+        assert.equal(directory.search('Munchen')[0].code, 'MUC');
+        assert.equal(directory.search('Manchester')[0].code, 'MAN');
+    });
+
+    test('still suggests misspelt cities while typing', () => {
+        assert.equal(directory.search('Londn')[0].code, 'LHR');
+    });
+
+    test('leaves misspelt and unknown places unresolved instead of guessing', () => {
+        assert.deepEqual(directory.resolve('Londn'), []);
+        assert.deepEqual(directory.resolve('Atlantis'), []);
+        assert.deepEqual(directory.resolve('Middle Earth'), []);
+    });
+
+    test('matches airport names by substring', () => {
+        assert.deepEqual(directory.resolve('Heathrow'), ['LHR']);
+    });
+});
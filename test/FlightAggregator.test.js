@@ -0,0 +1,104 @@
+import './helpers/browser.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { FlightAggregator } from '../src/services/FlightAggregator.js';
+import { CurrencyConverter } from '../src/utils/CurrencyConverter.js';
+import { AirportDirectory } from '../src/utils/AirportDirectory.js';
+import { loadFlightFixture } from './helpers/fixtures.js';
+
+const airports = new AirportDirectory();
+const searchParams = {
+    origin: 'LON',
+    destination: 'NYC',
+    departureDate: '2026-11-10',
+    segments: [{ origin: 'LON', destination: 'NYC', departureDate: '2026-11-10', originAirports: ['LHR'], destinationAirports: ['JFK'] }]
+};
+
+const createAggregator = (options = {}) => new FlightAggregator({
+    currencyConverter: new CurrencyConverter(),
+    timezoneOf: (code) => airports.getTimezone(code),
+    ...options
+});
+
+describe('FlightAggregator with recorded providers', () => {
+    test('normalizes each recording and reports unreadable offers', async () => {
+        const kiwi = loadFlightFixture('kiwi-lon-nyc.json');
+        const { flights, providers } = await createAggregator().search([kiwi], searchParams);
+
+        assert.deepEqual(kiwi.calls.map(call => call.method), ['search']);
+        assert.deepEqual(providers.map(({ name, status, count, skipped }) => ({ name, status, count, skipped })), [
+            { name: 'kiwi', status: 'ok', count: 2, skipped: 1 }
+        ]);
+
+        const connection = flights.find(flight => flight.id === 'kiwi:3c81d07aa915_0');
+        assert.equal(connection.flightNumber, 'EI155/EI105');
+        assert.equal(connection.duration, 640);
+        assert.equal(connection.stops, 1);
+        assert.deepEqual(connection.price, { amount: 318, currency: 'GBP' });
+        assert.equal(connection.baggage.checked, '1 checked bag included');
+        assert.equal(connection.segments[0].layovers[0].airport, 'DUB');
+        assert.equal(connection.segments[0].layovers[0].duration, 160);
+    });
+
+    test('reads local times in each airport\'s timezone', async () => {
+        const { flights } = await createAggregator().search([loadFlightFixture('amadeus-lon-nyc.json')], searchParams);
+
+        const direct = flights.find(flight => flight.id === 'amadeus:1');
+        assert.equal(direct.airline, 'British Airways');
+        assert.equal(direct.departure.time, '2026-11-10T08:20:00.000Z');
+        assert.equal(direct.arrival.time, '2026-11-10T16:15:00.000Z');
+
+        const viaReykjavik = flights.find(flight => flight.id === 'amadeus:2');
+        const [layover] = viaReykjavik.segments[0].layovers;
+        assert.equal(layover.airport, 'KEF');
+        assert.equal(layover.duration, 650);
+        assert.equal(layover.overnight, true);
+        assert.equal(viaReykjavik.baggage.checked, '1 checked bag included');
+    });
+
+    test('merges the same flight sold by several providers, keeping the cheapest offer', async () => {
+        const { flights } = await createAggregator().search(
+            [loadFlightFixture('kiwi-lon-nyc.json'), loadFlightFixture('amadeus-lon-nyc.json')],
+            searchParams
+        );
+
+        assert.equal(flights.length, 3);
+        const ba117 = flights.filter(flight => flight.flightNumber === 'BA117');
+        assert.equal(ba117.length, 1);
+        // 412 GBP is about 521 USD, so the 498 USD fare wins
+        assert.equal(ba117[0].provider, 'amadeus');
+        assert.deepEqual(ba117[0].offers.map(offer => offer.id), ['amadeus:1', 'kiwi:0f6a1c2e4b9d_0']);
+    });
+
+    test('reports a failing provider without failing the search', async () => {
+        const { flights, providers } = await createAggregator().search(
+            [loadFlightFixture('kiwi-lon-nyc.json', { error: 'Upstream returned 503' }), loadFlightFixture('amadeus-lon-nyc.json')],
+            searchParams
+        );
+
+        assert.deepEqual(flights.map(flight => flight.provider), ['amadeus', 'amadeus']);
+        assert.equal(providers[0].status, 'failed');
+        assert.equal(providers[0].error, 'Upstream returned 503');
+        assert.equal(providers[1].status, 'ok');
+    });
+
+    test('gives up on a provider that is too slow', async () => {
+        const { providers } = await createAggregator({ timeout: 20 }).search(
+            [loadFlightFixture('kiwi-lon-nyc.json', { delay: 200 })],
+            searchParams
+        );
+
+        assert.equal(providers[0].status, 'failed');
+        assert.match(providers[0].error, /^Timed out/);
+    });
+
+    test('fails a search the recording does not cover', async () => {
+        const { providers } = await createAggregator().search(
+            [loadFlightFixture('kiwi-lon-nyc.json')],
+            { ...searchParams, origin: 'PAR' }
+        );
+
+        assert.equal(providers[0].status, 'failed');
+        assert.equal(providers[0].error, 'kiwi has no recorded search for PAR to NYC');
+    });
+});
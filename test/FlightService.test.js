@@ -0,0 +1,40 @@
+import './helpers/browser.js';
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { FlightService } from '../src/services/FlightService.js';
+import { ICalendar } from '../src/utils/ICalendar.js';
+import { loadFlightFixture } from './helpers/fixtures.js';
+
+describe('FlightService fare calendar', () => {
+    // West of UTC, a date read as UTC midnight falls on the evening before
+    const timezone = 'America/Los_Angeles';
+    let service;
+    let today;
+
+    before(() => {
+        process.env.TZ = timezone;
+        today = ICalendar.toLocal(Date.now(), timezone).date;
+        service = new FlightService();
+        service.setProviderEnabled('mock', false);
+        service.registerProvider(loadFlightFixture('kiwi-lon-nyc.json'));
+    });
+
+    test('includes today and leaves out the days before it', async () => {
+        const calendar = await service.getFareCalendar({ origin: 'LON', destination: 'NYC', departureDate: today, flexDays: 1, currency: 'GBP' });
+
+        assert.deepEqual(calendar.departureDates, [today, ICalendar.shiftDate(today, 1)]);
+        assert.deepEqual(calendar.matrix, [[318], [318]]);
+    });
+
+    test('accepts a search departing today', async () => {
+        const flights = await service.searchFlights({ origin: 'LON', destination: 'NYC', departureDate: today });
+        assert.equal(flights.length, 2);
+    });
+
+    test('rejects a search departing yesterday', async () => {
+        await assert.rejects(
+            service.searchFlights({ origin: 'LON', destination: 'NYC', departureDate: ICalendar.shiftDate(today, -1) }),
+            /Departure date cannot be in the past/
+        );
+    });
+});
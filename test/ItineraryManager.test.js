@@ -0,0 +1,195 @@
+import './helpers/browser.js';
+import { test, describe, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ItineraryManager } from '../src/modules/ItineraryManager.js';
+
+describe('ItineraryManager trip timezone', () => {
+    let manager;
+
+    before(async () => {
+        // The browser is in California; the trips below are not
+        process.env.TZ = 'America/Los_Angeles';
+        manager = new ItineraryManager();
+        await manager.loaded;
+    });
+
+    const trip = (details) => manager.createItinerary({
+        title: 'Trip',
+        startDate: '2026-11-02',
+        endDate: '2026-11-04',
+        type: 'leisure',
+        ...details
+    });
+
+    test('takes the timezone of the destination city', async () => {
+        const itinerary = await trip({ destination: 'Tokyo' });
+        assert.equal(itinerary.timezone, 'Asia/Tokyo');
+    });
+
+    test('prefers the destination coordinates over its name', async () => {
+        const itinerary = await trip({ destination: 'Somewhere near Paris', coordinates: { lat: 48.85, lng: 2.35 } });
+        assert.equal(itinerary.timezone, 'Europe/Paris');
+    });
+
+    test('keeps a timezone that is given', async () => {
+        const itinerary = await trip({ destination: 'Tokyo', timezone: 'Europe/London' });
+        assert.equal(itinerary.timezone, 'Europe/London');
+    });
+
+    test('falls back to the browser timezone for unknown destinations', async () => {
+        const itinerary = await trip({ destination: 'Middle Earth' });
+        assert.equal(itinerary.timezone, 'America/Los_Angeles');
+    });
+
+    test('reads the trip dates in the destination timezone', async () => {
+        const itinerary = await trip({ destination: 'Tokyo' });
+        // 2026-11-02 15:30 UTC is already the next day in Tokyo
+        assert.equal(manager.getTripToday(itinerary.id, Date.parse('2026-11-02T15:30:00Z')), '2026-11-03');
+    });
+});
+
+describe('ItineraryManager saving', () => {
+    let manager;
+    const storage = globalThis.localStorage;
+    const setItem = storage.setItem;
+
+    before(async () => {
+        manager = new ItineraryManager();
+        await manager.loaded;
+    });
+
+    afterEach(() => {
+        storage.setItem = setItem;
+        manager.storageManager.isAvailable = true;
+    });
+
+    const fillStorage = () => {
+        storage.setItem = () => {
+            const error = new Error('The quota has been exceeded.');
+            error.name = 'QuotaExceededError';
+            throw error;
+        };
+    };
+
+    const createTrip = () => manager.createItinerary({
+        title: 'Lisbon',
+        destination: 'Lisbon',
+        startDate: '2026-11-02',
+        endDate: '2026-11-04',
+        type: 'leisure'
+    });
+
+    test('reports full storage and puts the edit back', async () => {
+        const trip = await createTrip();
+        fillStorage();
+
+        await assert.rejects(
+            manager.addItemToDay(trip.id, 0, 'morning', { title: 'Tram 28', cost: 3 }),
+            /browser storage is full/
+        );
+        const kept = manager.getItinerary(trip.id);
+        assert.deepEqual(kept.days[0].timeSlots.morning.items, []);
+        assert.equal(kept.budget.spent, 0);
+        assert.doesNotMatch(manager.peekUndo() || '', /Tram 28/);
+    });
+
+    test('does not keep a trip that could not be saved', async () => {
+        const count = manager.getAllItineraries().length;
+        fillStorage();
+
+        await assert.rejects(createTrip(), /browser storage is full/);
+        assert.equal(manager.getAllItineraries().length, count);
+    });
+
+    test('tells other write failures apart from full storage', async () => {
+        const trip = await createTrip();
+        storage.setItem = () => {
+            throw new Error('The operation is insecure.');
+        };
+
+        await assert.rejects(
+            manager.updateItinerary(trip.id, { title: 'Porto' }),
+            error => !/full/.test(error.message) && /The operation is insecure/.test(error.message)
+        );
+        assert.equal(manager.getItinerary(trip.id).title, 'Lisbon');
+    });
+
+    test('keeps editing in memory when there is no storage at all', async () => {
+        manager.storageManager.isAvailable = false;
+
+        const trip = await createTrip();
+        await manager.updateItinerary(trip.id, { title: 'Porto' });
+        assert.equal(manager.getItinerary(trip.id).title, 'Porto');
+    });
+
+    test('reports full storage when saving a version and forgets it', async () => {
+        const trip = await createTrip();
+        fillStorage();
+
+        await assert.rejects(manager.saveVersion(trip.id, 'Before the tram'), /browser storage is full/);
+        assert.deepEqual(manager.getVersions(trip.id), []);
+    });
+});
+
+describe('ItineraryManager checklist', () => {
+    let manager;
+    let trip;
+
+    before(async () => {
+        manager = new ItineraryManager();
+        await manager.loaded;
+        trip = await manager.createItinerary({
+            title: 'New York',
+            destination: 'New York',
+            startDate: '2026-12-10',
+            endDate: '2026-12-14',
+            type: 'leisure'
+        });
+        await manager.addChecklistItem(trip.id, { title: 'Book museum tickets', kind: 'task', dueDate: '2026-12-01' });
+    });
+
+    const overdue = (now) => manager.getChecklist(trip.id, Date.parse(now)).items
+        .find(entry => entry.title === 'Book museum tickets').overdue;
+
+    test('is not overdue until the due date has passed where the trip is', () => {
+        assert.equal(trip.timezone, 'America/New_York');
+        // Already December 2 in UTC, still the evening of December 1 in New York
+        assert.equal(overdue('2026-12-02T02:00:00Z'), false);
+        assert.equal(overdue('2026-12-02T04:59:00Z'), false);
+    });
+
+    test('is overdue from midnight after the due date', () => {
+        assert.equal(overdue('2026-12-02T05:00:00Z'), true);
+    });
+});
+
+describe('ItineraryManager budget totals', () => {
+    let manager;
+
+    before(async () => {
+        manager = new ItineraryManager();
+        await manager.loaded;
+    });
+
+    test('follow the items through adds, edits and removals', async () => {
+        const trip = await manager.createItinerary({
+            title: 'Rome',
+            destination: 'Rome',
+            startDate: '2026-11-02',
+            endDate: '2026-11-04',
+            type: 'leisure'
+        });
+        const { item: museum } = await manager.addItemToDay(trip.id, 0, 'morning', { title: 'Vatican Museums', cost: 40, category: 'activities' });
+        const { item: dinner } = await manager.addItemToDay(trip.id, 1, 'evening', { title: 'Trattoria', cost: 35.5, category: 'food' });
+
+        // Totals that drifted low are corrected rather than clamped at zero
+        manager.getItinerary(trip.id).budget.spent = 10;
+        await manager.removeItem(trip.id, museum.id);
+        assert.equal(manager.getItinerary(trip.id).budget.spent, 35.5);
+        assert.deepEqual(manager.getItinerary(trip.id).budget.categories, { food: 35.5 });
+
+        await manager.updateItem(trip.id, dinner.id, { cost: 20, category: 'dining' });
+        assert.equal(manager.getItinerary(trip.id).budget.spent, 20);
+        assert.deepEqual(manager.getItinerary(trip.id).budget.categories, { dining: 20 });
+    });
+});
@@ -0,0 +1,28 @@
+/**
+ * Browser globals the app modules expect, for running them under Node
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+globalThis.localStorage = new MemoryStorage();
+// Keep test output to errors
+globalThis.localStorage.setItem('logLevel', 'error');
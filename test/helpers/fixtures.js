@@ -0,0 +1,16 @@
+/**
+ * Recorded provider responses, replayed through FixtureFlightProvider
+ */
+import { readFileSync } from 'node:fs';
+import { FixtureFlightProvider } from '../../src/services/FixtureFlightProvider.js';
+
+/**
+ * Load a recording from test/fixtures/flights as a provider
+ * @param {string} file - Recording file name
+ * @param {Object} options - Provider options to use instead of the recorded ones (error, delay, ...)
+ * @returns {FixtureFlightProvider} Provider replaying the recording
+ */
+export function loadFlightFixture(file, options = {}) {
+    const recording = JSON.parse(readFileSync(new URL(`../fixtures/flights/${file}`, import.meta.url), 'utf8'));
+    return new FixtureFlightProvider({ ...recording, ...options });
+}